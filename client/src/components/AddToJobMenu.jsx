@@ -0,0 +1,116 @@
+import { useState, useRef, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Briefcase, Loader } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Add candidates to one of the user's open jobs (their own, or shared with
+// them as a recruiter or owner). `resolveCandidateIds` is for callers whose
+// candidates may not be saved yet (sourcing results); it runs when a job is
+// picked and returns the ids to add.
+const AddToJobMenu = ({ candidateIds, resolveCandidateIds, source = 'SEARCH', compact = false }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  const { data: jobs = [], isLoading } = useQuery({
+    queryKey: ['jobs', 'OPEN'],
+    queryFn: async () => {
+      const { data } = await api.get('/jobs', { params: { status: 'OPEN' } });
+      return data;
+    },
+    enabled: open,
+    staleTime: 30 * 1000,
+    // Jobs shared with the user as a viewer are read-only
+    select: (data) => data.filter((job) => job.myRole !== 'VIEWER'),
+  });
+
+  const addMutation = useMutation({
+    mutationFn: async (job) => {
+      const ids = resolveCandidateIds ? await resolveCandidateIds() : candidateIds;
+      if (!ids?.length) throw new Error('Could not save this candidate');
+      const { data } = await api.post(`/jobs/${job._id}/applications`, { candidateIds: ids, source });
+      return data;
+    },
+    onSuccess: (data, job) => {
+      setOpen(false);
+      queryClient.invalidateQueries({ queryKey: ['job-applications', job._id] });
+      queryClient.invalidateQueries({ queryKey: ['candidate-activity'] });
+      const skipped = data.alreadyOnJob > 0 ? ` (${data.alreadyOnJob} already on it)` : '';
+      if (data.added > 0) toast.success(`Added ${data.added} to ${job.title}${skipped}`);
+      else toast(`Already on ${job.title}`, { icon: 'ℹ️' });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || err.message || 'Failed to add to job'),
+  });
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const count = candidateIds?.length;
+
+  return (
+    <div className="relative" ref={menuRef}>
+      {compact ? (
+        <button
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-1 text-xs text-amber-300 hover:text-white font-medium cursor-pointer transition-colors"
+          title="Add to one of your jobs"
+        >
+          {addMutation.isPending ? <Loader size={12} className="animate-spin" /> : <Briefcase size={12} />} Add to job
+        </button>
+      ) : (
+        <button
+          onClick={() => setOpen((v) => !v)}
+          className="flex items-center gap-1.5 px-3 py-1.5 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700 text-slate-600 dark:text-slate-300 rounded-lg text-xs font-semibold transition-colors shadow-sm cursor-pointer"
+        >
+          {addMutation.isPending ? <Loader className="animate-spin" size={16} /> : <Briefcase size={16} />}
+          <span className="hidden sm:inline">Add to job</span>
+        </button>
+      )}
+
+      {open && (
+        <div className={`absolute ${compact ? 'left-0' : 'right-0'} mt-2 w-64 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-50 overflow-hidden`}>
+          <p className="px-3 py-2 border-b border-slate-100 dark:border-slate-800 text-xs font-semibold text-slate-700 dark:text-slate-200">
+            {count ? `Add ${count} selected to…` : 'Add to…'}
+          </p>
+          <div className="max-h-64 overflow-y-auto py-1">
+            {isLoading ? (
+              <div className="flex justify-center py-3">
+                <Loader size={16} className="animate-spin text-slate-400" />
+              </div>
+            ) : jobs.length === 0 ? (
+              <p className="px-3 py-3 text-xs text-slate-500 dark:text-slate-400 text-center">
+                No open jobs — create one on the Jobs page
+              </p>
+            ) : (
+              jobs.map((job) => (
+                <button
+                  key={job._id}
+                  onClick={() => addMutation.mutate(job)}
+                  disabled={addMutation.isPending}
+                  className="w-full text-left px-3 py-1.5 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50 cursor-pointer"
+                >
+                  <span className="block text-sm text-slate-700 dark:text-slate-200 truncate">{job.title}</span>
+                  {(job.client || job.location) && (
+                    <span className="block text-[11px] text-slate-400 truncate">
+                      {[job.client, job.location].filter(Boolean).join(' · ')}
+                    </span>
+                  )}
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToJobMenu;
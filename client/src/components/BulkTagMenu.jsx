@@ -0,0 +1,90 @@
+import { useState, useRef, useEffect } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Tag as TagIcon, Plus, Minus, Loader } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import useTags from './useTags';
+import { tagColorClass } from './tagColors';
+
+// Add or remove a tag on the selected candidates (bulk actions bar).
+const BulkTagMenu = ({ candidateIds }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { data } = useTags();
+  const tags = data?.tags || [];
+
+  const tagMutation = useMutation({
+    mutationFn: ({ tagId, remove }) =>
+      api.post(`/candidates/tags/${remove ? 'remove' : 'add'}`, { candidateIds, tagIds: [tagId] }),
+    onSuccess: ({ data }, { remove }) => {
+      queryClient.invalidateQueries({ queryKey: ['candidates'] });
+      queryClient.invalidateQueries({ queryKey: ['candidate-activity'] });
+      toast.success(`${remove ? 'Untagged' : 'Tagged'} ${data.modified} candidate${data.modified === 1 ? '' : 's'}`);
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to update tags'),
+  });
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex items-center gap-1.5 px-3 py-1.5 bg-white dark:bg-slate-800 border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-700 text-slate-600 dark:text-slate-300 rounded-lg text-xs font-semibold transition-colors shadow-sm cursor-pointer"
+      >
+        {tagMutation.isPending ? <Loader className="animate-spin" size={16} /> : <TagIcon size={16} />}
+        <span className="hidden sm:inline">Tag</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-50 overflow-hidden">
+          <p className="px-3 py-2 border-b border-slate-100 dark:border-slate-800 text-xs font-semibold text-slate-700 dark:text-slate-200">
+            Tag {candidateIds.length} selected
+          </p>
+          <div className="max-h-64 overflow-y-auto py-1">
+            {tags.length === 0 ? (
+              <p className="px-3 py-3 text-xs text-slate-500 dark:text-slate-400 text-center">
+                No tags yet — create one from the tag filter
+              </p>
+            ) : (
+              tags.map((tag) => (
+                <div key={tag._id} className="flex items-center gap-2 px-3 py-1.5">
+                  <span className={`flex-1 min-w-0 truncate inline-flex px-1.5 py-0.5 rounded-md border text-[11px] font-semibold ${tagColorClass(tag.color)}`}>
+                    {tag.name}
+                  </span>
+                  <button
+                    onClick={() => tagMutation.mutate({ tagId: tag._id, remove: false })}
+                    disabled={tagMutation.isPending}
+                    title="Add to selected"
+                    className="p-1 text-slate-400 hover:text-emerald-600 disabled:opacity-50 cursor-pointer"
+                  >
+                    <Plus size={14} />
+                  </button>
+                  <button
+                    onClick={() => tagMutation.mutate({ tagId: tag._id, remove: true })}
+                    disabled={tagMutation.isPending}
+                    title="Remove from selected"
+                    className="p-1 text-slate-400 hover:text-rose-500 disabled:opacity-50 cursor-pointer"
+                  >
+                    <Minus size={14} />
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkTagMenu;
@@ -0,0 +1,127 @@
+import { useInfiniteQuery } from '@tanstack/react-query';
+import {
+  Eye,
+  Download,
+  GitBranch,
+  StickyNote,
+  Tag,
+  Paperclip,
+  FileX,
+  RefreshCw,
+  Sparkles,
+  CheckCircle2,
+  Pencil,
+  ShieldCheck,
+  Contact,
+  Ban,
+  FileDown,
+  ListPlus,
+  Briefcase,
+  BriefcaseBusiness,
+  Merge,
+  Trash2,
+  RotateCcw,
+  History,
+  Loader,
+} from 'lucide-react';
+import api from '../api/axios';
+
+const PAGE_SIZE = 15;
+
+const TYPE_ICONS = {
+  VIEWED: Eye,
+  DOWNLOADED: Download,
+  STAGE_CHANGED: GitBranch,
+  NOTES_UPDATED: StickyNote,
+  TAGS_UPDATED: Tag,
+  ATTACHMENT_ADDED: Paperclip,
+  ATTACHMENT_REMOVED: FileX,
+  REPARSED: RefreshCw,
+  ENRICHED: Sparkles,
+  ENRICHMENT_REVIEWED: CheckCircle2,
+  EDITED: Pencil,
+  VERIFIED: ShieldCheck,
+  CONTACT_REVEALED: Contact,
+  CONSENT_UPDATED: Ban,
+  EXPORTED: FileDown,
+  SHORTLISTED: ListPlus,
+  ADDED_TO_JOB: Briefcase,
+  REMOVED_FROM_JOB: BriefcaseBusiness,
+  MERGED: Merge,
+  DELETED: Trash2,
+  RESTORED: RotateCcw,
+};
+
+// Newest-first activity timeline for one candidate, paged from
+// /candidates/:id/activity. Fetches once `enabled` (after the profile loads,
+// so the view that opened the modal is already on the list).
+const CandidateActivityTimeline = ({ candidateId, enabled = true }) => {
+  const { data, isLoading, isError, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ['candidate-activity', candidateId],
+    queryFn: async ({ pageParam }) => {
+      const { data } = await api.get(`/candidates/${candidateId}/activity`, {
+        params: { page: pageParam, limit: PAGE_SIZE },
+      });
+      return data;
+    },
+    initialPageParam: 1,
+    getNextPageParam: (lastPage) => (lastPage.hasMore ? lastPage.page + 1 : undefined),
+    enabled: Boolean(candidateId) && enabled,
+    staleTime: 0,
+  });
+
+  const activities = data?.pages.flatMap((page) => page.activities) || [];
+
+  return (
+    <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-4 md:p-6 shadow-sm">
+      <h3 className="text-sm font-bold text-slate-800 dark:text-slate-200 uppercase tracking-wider flex items-center gap-2 mb-4">
+        <span className="bg-violet-100 dark:bg-violet-900/30 p-1.5 rounded-lg">
+          <History className="text-violet-600 dark:text-violet-400" size={16} />
+        </span>
+        Activity
+        {data?.pages[0]?.total > 0 && (
+          <span className="text-xs font-medium normal-case tracking-normal text-slate-400">({data.pages[0].total})</span>
+        )}
+      </h3>
+
+      {isLoading || !enabled ? (
+        <div className="flex justify-center py-4">
+          <Loader className="animate-spin text-indigo-500" size={18} />
+        </div>
+      ) : isError ? (
+        <p className="text-sm text-rose-500">Could not load activity</p>
+      ) : activities.length === 0 ? (
+        <p className="text-slate-400 italic text-sm">No activity recorded yet</p>
+      ) : (
+        <ol className="relative border-l border-slate-200 dark:border-slate-700 ml-2 space-y-4">
+          {activities.map((activity) => {
+            const Icon = TYPE_ICONS[activity.type] || History;
+            return (
+              <li key={activity._id} className="ml-5">
+                <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-slate-100 dark:bg-slate-800 ring-4 ring-white dark:ring-slate-900">
+                  <Icon size={12} className="text-slate-600 dark:text-slate-300" />
+                </span>
+                <p className="text-sm font-medium text-slate-800 dark:text-slate-200">{activity.summary || activity.type}</p>
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {activity.actorName || 'System'} · {new Date(activity.createdAt).toLocaleString()}
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {hasNextPage && (
+        <button
+          onClick={() => fetchNextPage()}
+          disabled={isFetchingNextPage}
+          className="mt-4 w-full py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50 cursor-pointer"
+        >
+          {isFetchingNextPage ? 'Loading…' : 'Show older activity'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CandidateActivityTimeline;
@@ -0,0 +1,217 @@
+import { useState, useRef, useContext } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Paperclip, Upload, Download, Trash2, Star, RefreshCw, Loader, AlertCircle } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+
+const KIND_LABELS = {
+  RESUME: 'Resume',
+  COVER_LETTER: 'Cover letter',
+  ASSESSMENT: 'Assessment',
+  OTHER: 'Other',
+};
+const PARSEABLE = /\.(pdf|docx?|txt)$/i;
+const ACCEPT = '.pdf,.doc,.docx,.txt,.rtf,.odt,.png,.jpg,.jpeg';
+
+const isAdminRole = (role) => role === 'ADMIN' || role === 'SUPER_ADMIN';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files kept with a candidate: resume versions, cover letters, assessments.
+// Anyone can upload and pick the primary version; uploaders (and admins)
+// remove files; admins can re-parse a resume version into the profile.
+const CandidateAttachments = ({ candidateId, enabled = true }) => {
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [kind, setKind] = useState('RESUME');
+  const isAdmin = isAdminRole(user?.role);
+
+  const queryKey = ['candidate-attachments', candidateId];
+  const { data, isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const { data } = await api.get(`/candidates/${candidateId}/attachments`);
+      return data;
+    },
+    enabled: Boolean(candidateId) && enabled,
+    staleTime: 0,
+    // Poll while a re-parse is running so the status updates
+    refetchInterval: (query) =>
+      (query.state.data?.attachments || []).some((a) => a.parseStatus === 'QUEUED') ? 4000 : false,
+  });
+  const attachments = data?.attachments || [];
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey });
+    queryClient.invalidateQueries({ queryKey: ['candidate-activity', candidateId] });
+  };
+  const onError = (fallback) => (err) => toast.error(err.response?.data?.message || fallback);
+
+  const uploadMutation = useMutation({
+    mutationFn: (file) => {
+      const form = new FormData();
+      form.append('file', file);
+      form.append('kind', kind);
+      return api.post(`/candidates/${candidateId}/attachments`, form);
+    },
+    onSuccess: () => {
+      invalidate();
+      toast.success('File uploaded');
+    },
+    onError: onError('Upload failed'),
+  });
+
+  const primaryMutation = useMutation({
+    mutationFn: (id) => api.patch(`/candidates/${candidateId}/attachments/${id}`, { isPrimary: true }),
+    onSuccess: invalidate,
+    onError: onError('Failed to update attachment'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/candidates/${candidateId}/attachments/${id}`),
+    onSuccess: invalidate,
+    onError: onError('Failed to remove attachment'),
+  });
+
+  const reparseMutation = useMutation({
+    mutationFn: (id) => api.post(`/candidates/${candidateId}/attachments/${id}/reparse`),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Re-parse started. Reopen the profile once it finishes to see the update.');
+    },
+    onError: onError('Failed to start re-parse'),
+  });
+
+  const handleDownload = async (id) => {
+    try {
+      const { data } = await api.get(`/candidates/${candidateId}/attachments/${id}/download`);
+      const link = document.createElement('a');
+      link.href = data.downloadUrl;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not get the download link');
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) uploadMutation.mutate(file);
+  };
+
+  const canRemove = (a) => isAdmin || String(a.uploadedBy) === String(user?._id);
+
+  return (
+    <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-4 md:p-6 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-sm font-bold text-slate-800 dark:text-slate-200 uppercase tracking-wider flex items-center gap-2">
+          <span className="bg-sky-100 dark:bg-sky-900/30 p-1.5 rounded-lg">
+            <Paperclip className="text-sky-600 dark:text-sky-400" size={16} />
+          </span>
+          Files
+        </h3>
+        <div className="flex items-center gap-1.5">
+          <select
+            value={kind}
+            onChange={(e) => setKind(e.target.value)}
+            className="px-2 py-1 text-xs rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+          >
+            {Object.entries(KIND_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={uploadMutation.isPending}
+            className="flex items-center gap-1 px-2.5 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+          >
+            {uploadMutation.isPending ? <Loader size={13} className="animate-spin" /> : <Upload size={13} />}
+            Upload
+          </button>
+          <input ref={fileInputRef} type="file" accept={ACCEPT} onChange={handleFile} className="hidden" />
+        </div>
+      </div>
+
+      {isLoading || !enabled ? (
+        <div className="flex justify-center py-4">
+          <Loader className="animate-spin text-indigo-500" size={18} />
+        </div>
+      ) : isError ? (
+        <p className="text-sm text-rose-500">Could not load files</p>
+      ) : attachments.length === 0 ? (
+        <p className="text-slate-400 italic text-sm">No files yet</p>
+      ) : (
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {attachments.map((a) => (
+            <div key={a._id} className="flex items-center gap-2 py-2">
+              <button
+                onClick={() => !a.isPrimary && primaryMutation.mutate(a._id)}
+                title={a.isPrimary ? `Primary ${KIND_LABELS[a.kind].toLowerCase()}` : 'Make primary'}
+                className={`p-1 cursor-pointer ${a.isPrimary ? 'text-amber-500' : 'text-slate-300 hover:text-amber-500'}`}
+              >
+                <Star size={14} className={a.isPrimary ? 'fill-amber-500' : ''} />
+              </button>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-slate-800 dark:text-slate-200 truncate">{a.fileName}</p>
+                <p className="text-[11px] text-slate-500 dark:text-slate-400 truncate">
+                  {KIND_LABELS[a.kind]} v{a.version}
+                  {a.size ? ` · ${formatSize(a.size)}` : ''}
+                  {' · '}
+                  {a.uploadedByName || 'Imported'} · {new Date(a.uploadedAt).toLocaleDateString()}
+                </p>
+              </div>
+              {a.parseStatus === 'QUEUED' && (
+                <span title="Parsing…">
+                  <Loader size={14} className="animate-spin text-indigo-500" />
+                </span>
+              )}
+              {a.parseStatus === 'FAILED' && (
+                <span title={a.parseError || 'Parse failed'}>
+                  <AlertCircle size={14} className="text-rose-500" />
+                </span>
+              )}
+              {isAdmin && a.kind === 'RESUME' && PARSEABLE.test(a.fileName) && a.parseStatus !== 'QUEUED' && (
+                <button
+                  onClick={() => reparseMutation.mutate(a._id)}
+                  disabled={reparseMutation.isPending}
+                  title="Re-parse into profile"
+                  className="p-1 text-slate-400 hover:text-indigo-600 disabled:opacity-50 cursor-pointer"
+                >
+                  <RefreshCw size={14} />
+                </button>
+              )}
+              <button
+                onClick={() => handleDownload(a._id)}
+                title="Download"
+                className="p-1 text-slate-400 hover:text-emerald-600 cursor-pointer"
+              >
+                <Download size={14} />
+              </button>
+              {canRemove(a) && (
+                <button
+                  onClick={() => window.confirm(`Remove ${a.fileName}?`) && deleteMutation.mutate(a._id)}
+                  title="Remove"
+                  className="p-1 text-slate-400 hover:text-rose-500 cursor-pointer"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CandidateAttachments;
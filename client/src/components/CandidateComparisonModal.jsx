@@ -0,0 +1,297 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { X, Loader, Columns, Download, Check, Minus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import api from '../api/axios';
+
+const CATEGORY_STYLES = {
+  PERFECT: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400',
+  STRONG: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-400',
+  GOOD: 'bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-400',
+  PARTIAL: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400',
+  WEAK: 'bg-rose-100 dark:bg-rose-900/30 text-rose-700 dark:text-rose-400',
+};
+
+const FIT_STYLES = {
+  FIT: { label: 'Fit', className: 'text-emerald-600 dark:text-emerald-400' },
+  BELOW: { label: 'Below range', className: 'text-rose-600 dark:text-rose-400' },
+  ABOVE: { label: 'Above range', className: 'text-amber-600 dark:text-amber-400' },
+  MISMATCH: { label: 'Mismatch', className: 'text-rose-600 dark:text-rose-400' },
+  UNKNOWN: { label: 'Unknown', className: 'text-slate-400' },
+};
+
+const AVAILABILITY_LABELS = { IMMEDIATE: 'Immediate', '15_DAYS': '15 days', '30_DAYS': '30 days', UNKNOWN: 'Unknown' };
+
+const SKILL_GROUPS = [
+  { key: 'mustHave', label: 'Must-have skills', requirement: 'mustHaveSkills' },
+  { key: 'required', label: 'Required skills', requirement: 'requiredSkills' },
+  { key: 'preferred', label: 'Preferred skills', requirement: 'preferredSkills' },
+];
+
+const experienceRange = ({ experienceYears: min, maxExperienceYears: max }) => {
+  if (min && max) return `${min}–${max} yrs`;
+  if (min) return `${min}+ yrs`;
+  if (max) return `up to ${max} yrs`;
+  return 'any';
+};
+
+const FitCell = ({ value, status }) => (
+  <div>
+    <span className="text-slate-700 dark:text-slate-200">{value || 'Not stated'}</span>
+    {FIT_STYLES[status] && (
+      <span className={`ml-1.5 text-[11px] font-semibold ${FIT_STYLES[status].className}`}>
+        · {FIT_STYLES[status].label}
+      </span>
+    )}
+  </div>
+);
+
+// One criterion: its label, then one aligned cell per candidate
+const Row = ({ label, gridStyle, children }) => (
+  <div className="grid" style={gridStyle}>
+    <div className="px-3 py-2 text-xs font-semibold text-slate-600 dark:text-slate-300 bg-slate-50 dark:bg-slate-800/60">
+      {label}
+    </div>
+    {children}
+  </div>
+);
+
+// Side-by-side view of 2–5 selected candidates scored against one of the
+// user's jobs or a pasted JD, exportable as a DOCX table.
+const CandidateComparisonModal = ({ candidateIds, onClose }) => {
+  const [mode, setMode] = useState('job');
+  const [jobId, setJobId] = useState('');
+  const [jobDescription, setJobDescription] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const { data: jobs = [] } = useQuery({
+    queryKey: ['jobs', ''],
+    queryFn: async () => {
+      const { data } = await api.get('/jobs');
+      return data;
+    },
+    staleTime: 30 * 1000,
+  });
+
+  const compareMutation = useMutation({
+    mutationFn: async () => {
+      const body = mode === 'job' ? { candidateIds, jobId } : { candidateIds, jobDescription };
+      const { data } = await api.post('/candidates/compare', body);
+      return data;
+    },
+    onSuccess: setComparison,
+    onError: (err) => toast.error(err.response?.data?.message || 'Comparison failed'),
+  });
+
+  const canCompare = mode === 'job' ? Boolean(jobId) : jobDescription.trim().length >= 20;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await api.post(
+        '/candidates/compare/export',
+        {
+          candidateIds,
+          jobId: comparison.source.jobId || undefined,
+          parsedRequirements: comparison.parsedRequirements,
+        },
+        { responseType: 'blob' }
+      );
+      const fileName = response.headers['x-filename'] || 'candidate_comparison.docx';
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      toast.success('Comparison downloaded');
+    } catch {
+      toast.error('Export failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const requirements = comparison?.requirements;
+  const candidates = comparison?.candidates || [];
+  const gridStyle = { gridTemplateColumns: `minmax(160px, 1.2fr) repeat(${candidates.length || 1}, minmax(150px, 1fr))` };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-6xl max-h-[90vh] flex flex-col bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-5 py-3 border-b border-slate-100 dark:border-slate-800">
+          <h3 className="text-sm font-bold text-slate-800 dark:text-slate-100 flex items-center gap-2">
+            <Columns size={16} className="text-indigo-500" />
+            Compare {candidateIds.length} candidates
+          </h3>
+          <div className="flex items-center gap-2">
+            {comparison && (
+              <button
+                onClick={handleExport}
+                disabled={isExporting}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white rounded-lg text-xs font-semibold cursor-pointer"
+              >
+                {isExporting ? <Loader size={13} className="animate-spin" /> : <Download size={13} />}
+                Export DOCX
+              </button>
+            )}
+            <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 cursor-pointer">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+
+        <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-800 space-y-2">
+          <div className="flex items-center gap-1 text-xs">
+            {[
+              ['job', 'Against a job'],
+              ['jd', 'Paste a job description'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setMode(value)}
+                className={`px-3 py-1.5 rounded-lg font-semibold cursor-pointer ${
+                  mode === value
+                    ? 'bg-indigo-600 text-white'
+                    : 'text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-start gap-2">
+            {mode === 'job' ? (
+              <select
+                value={jobId}
+                onChange={(e) => setJobId(e.target.value)}
+                className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+              >
+                <option value="">{jobs.length > 0 ? 'Choose a job…' : 'No jobs yet — create one on the Jobs page'}</option>
+                {jobs.map((job) => (
+                  <option key={job._id} value={job._id}>
+                    {[job.title, job.client].filter(Boolean).join(' — ')}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <textarea
+                value={jobDescription}
+                onChange={(e) => setJobDescription(e.target.value)}
+                rows={3}
+                placeholder="Paste the job description (at least 20 characters)"
+                className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500 resize-y"
+              />
+            )}
+            <button
+              onClick={() => compareMutation.mutate()}
+              disabled={!canCompare || compareMutation.isPending}
+              className="flex items-center gap-1.5 px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white rounded-lg text-sm font-semibold cursor-pointer"
+            >
+              {compareMutation.isPending && <Loader size={14} className="animate-spin" />}
+              Compare
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-auto p-5">
+          {!comparison ? (
+            <p className="text-sm text-slate-400 italic text-center py-10">
+              {compareMutation.isPending
+                ? 'Reading the job requirements…'
+                : 'Choose a job or paste a job description to compare the selected candidates.'}
+            </p>
+          ) : (
+            <div className="min-w-fit rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden text-sm divide-y divide-slate-100 dark:divide-slate-800">
+              <Row gridStyle={gridStyle} label={comparison.source.label}>
+                {candidates.map((c) => (
+                  <div key={c._id} className="px-3 py-2">
+                    <div className="font-semibold text-slate-800 dark:text-slate-100 truncate">{c.fullName}</div>
+                    <div className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                      {[c.jobTitle, c.company].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                ))}
+              </Row>
+              <Row gridStyle={gridStyle} label="Match score">
+                {candidates.map((c) => (
+                  <div key={c._id} className="px-3 py-2 flex items-center gap-2">
+                    <span
+                      className={`px-1.5 py-0.5 rounded text-[11px] font-bold ${CATEGORY_STYLES[c.matchCategory] || ''}`}
+                    >
+                      {c.score}% · {c.matchCategory}
+                    </span>
+                    {c.disqualified && (
+                      <span className="text-[10px] font-semibold text-rose-500" title="Misses a hard requirement">
+                        Fails a requirement
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </Row>
+
+              {SKILL_GROUPS.filter((group) => requirements[group.requirement].length > 0).map((group) => (
+                <div key={group.key} className="divide-y divide-slate-100 dark:divide-slate-800">
+                  <div className="px-3 py-1.5 text-[11px] font-bold uppercase tracking-wider text-indigo-700 dark:text-indigo-300 bg-indigo-50 dark:bg-indigo-900/20">
+                    {group.label}
+                  </div>
+                  {requirements[group.requirement].map((skill) => (
+                    <Row key={skill} gridStyle={gridStyle} label={skill}>
+                      {candidates.map((c) =>
+                        c.skills[group.key].matched.includes(skill) ? (
+                          <div key={c._id} className="px-3 py-2 flex items-center gap-1 text-emerald-600 dark:text-emerald-400 text-xs font-semibold">
+                            <Check size={14} /> Matched
+                          </div>
+                        ) : (
+                          <div key={c._id} className="px-3 py-2 flex items-center gap-1 text-rose-500 text-xs">
+                            <Minus size={14} /> Missing
+                          </div>
+                        )
+                      )}
+                    </Row>
+                  ))}
+                </div>
+              ))}
+
+              <div className="px-3 py-1.5 text-[11px] font-bold uppercase tracking-wider text-indigo-700 dark:text-indigo-300 bg-indigo-50 dark:bg-indigo-900/20">
+                Fit
+              </div>
+              <Row gridStyle={gridStyle} label={`Experience (${experienceRange(requirements)})`}>
+                {candidates.map((c) => (
+                  <div key={c._id} className="px-3 py-2 text-xs">
+                    <FitCell
+                      value={c.experience.years ? `${c.experience.years} yrs` : c.experience.value}
+                      status={c.experience.status}
+                    />
+                  </div>
+                ))}
+              </Row>
+              <Row gridStyle={gridStyle} label={`Location (${requirements.location || 'any'})`}>
+                {candidates.map((c) => (
+                  <div key={c._id} className="px-3 py-2 text-xs">
+                    <FitCell value={c.location.value} status={c.location.status} />
+                  </div>
+                ))}
+              </Row>
+              <Row gridStyle={gridStyle} label={`Availability (${AVAILABILITY_LABELS[requirements.availability] || 'any'})`}>
+                {candidates.map((c) => (
+                  <div key={c._id} className="px-3 py-2 text-xs">
+                    <FitCell value={AVAILABILITY_LABELS[c.availability.value]} status={c.availability.status} />
+                  </div>
+                ))}
+              </Row>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CandidateComparisonModal;
@@ -0,0 +1,213 @@
+import { useState, useContext } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ShieldCheck, Ban, Loader } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+
+const STATUS_LABELS = {
+  UNKNOWN: 'Unknown',
+  GRANTED: 'Granted',
+  DENIED: 'Denied',
+  WITHDRAWN: 'Withdrawn',
+};
+const BASIS_LABELS = {
+  CONSENT: 'Consent',
+  LEGITIMATE_INTEREST: 'Legitimate interest',
+  CONTRACT: 'Contract',
+  LEGAL_OBLIGATION: 'Legal obligation',
+};
+
+const isAdminRole = (role) => role === 'ADMIN' || role === 'SUPER_ADMIN';
+
+const inputClass =
+  'w-full px-2 py-1.5 text-xs rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Consent record and do-not-contact flag. Anyone can flag a candidate; only
+// admins can clear the flag. A flagged candidate (or one on the suppression
+// list) is blocked from sequencing, calls, enrichment and exports.
+const CandidateConsent = ({ candidateId, enabled = true }) => {
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const isAdmin = isAdminRole(user?.role);
+  // Unsaved edits, tagged with the candidate they belong to
+  const [draft, setDraft] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const queryKey = ['candidate-consent', candidateId];
+  const { data, isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const { data } = await api.get(`/candidates/${candidateId}/consent`);
+      return data;
+    },
+    enabled: Boolean(candidateId) && enabled,
+    staleTime: 0,
+  });
+
+  const form =
+    draft?.candidateId === candidateId
+      ? draft
+      : {
+          status: data?.consent?.status || 'UNKNOWN',
+          lawfulBasis: data?.consent?.lawfulBasis || '',
+          source: data?.consent?.source || '',
+          date: toDateInput(data?.consent?.date),
+        };
+
+  const updateMutation = useMutation({
+    mutationFn: (body) => api.patch(`/candidates/${candidateId}/consent`, body),
+    onSuccess: ({ data: updated }) => {
+      queryClient.setQueryData(queryKey, updated);
+      queryClient.invalidateQueries({ queryKey: ['candidate-activity', candidateId] });
+      setDraft(null);
+      setReason('');
+      toast.success('Contact preferences saved');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to save contact preferences'),
+  });
+
+  const setField = (field) => (e) => setDraft({ ...form, candidateId, [field]: e.target.value });
+
+  const saveConsent = () =>
+    updateMutation.mutate({
+      status: form.status,
+      lawfulBasis: form.lawfulBasis || null,
+      source: form.source,
+      date: form.date || null,
+    });
+
+  const markDoNotContact = () => {
+    if (!reason.trim()) {
+      toast.error('Add a reason first');
+      return;
+    }
+    updateMutation.mutate({ doNotContact: true, reason: reason.trim() });
+  };
+
+  const clearDoNotContact = () => {
+    if (!window.confirm('Clear the do-not-contact flag? The candidate can be contacted again.')) return;
+    updateMutation.mutate({ doNotContact: false });
+  };
+
+  const dnc = data?.doNotContact;
+
+  return (
+    <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-4 md:p-6 shadow-sm">
+      <h3 className="text-sm font-bold text-slate-800 dark:text-slate-200 uppercase tracking-wider flex items-center gap-2 mb-4">
+        <span className="bg-emerald-100 dark:bg-emerald-900/30 p-1.5 rounded-lg">
+          <ShieldCheck className="text-emerald-600 dark:text-emerald-400" size={16} />
+        </span>
+        Consent & Contact
+      </h3>
+
+      {isLoading || !enabled ? (
+        <div className="flex justify-center py-4">
+          <Loader className="animate-spin text-indigo-500" size={18} />
+        </div>
+      ) : isError ? (
+        <p className="text-sm text-rose-500">Could not load consent details</p>
+      ) : (
+        <div className="space-y-4">
+          {data?.contactBlockedReason && (
+            <div className="flex items-start gap-2 p-3 rounded-xl bg-rose-50 dark:bg-rose-900/20 border border-rose-200 dark:border-rose-800 text-xs text-rose-700 dark:text-rose-300">
+              <Ban size={14} className="shrink-0 mt-0.5" />
+              <span>
+                <strong>Do not contact.</strong> {data.contactBlockedReason}. Sequencing, calls, enrichment and exports
+                are blocked.
+              </span>
+            </div>
+          )}
+
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-[11px] font-semibold text-slate-500 dark:text-slate-400">
+              Consent status
+              <select value={form.status} onChange={setField('status')} className={`${inputClass} mt-1`}>
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-[11px] font-semibold text-slate-500 dark:text-slate-400">
+              Lawful basis
+              <select value={form.lawfulBasis} onChange={setField('lawfulBasis')} className={`${inputClass} mt-1`}>
+                <option value="">Not recorded</option>
+                {Object.entries(BASIS_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-[11px] font-semibold text-slate-500 dark:text-slate-400">
+              Source
+              <input
+                value={form.source}
+                onChange={setField('source')}
+                placeholder="e.g. Application form"
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="text-[11px] font-semibold text-slate-500 dark:text-slate-400">
+              Date
+              <input type="date" value={form.date} onChange={setField('date')} className={`${inputClass} mt-1`} />
+            </label>
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={saveConsent}
+              disabled={updateMutation.isPending}
+              className="px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+            >
+              Save consent
+            </button>
+          </div>
+
+          <div className="pt-3 border-t border-slate-100 dark:border-slate-800">
+            {dnc?.flag ? (
+              <div className="flex items-center gap-2">
+                <p className="flex-1 text-xs text-slate-600 dark:text-slate-300">
+                  Marked do not contact
+                  {dnc.setAt ? ` on ${new Date(dnc.setAt).toLocaleDateString()}` : ''}
+                  {dnc.reason ? `: ${dnc.reason}` : ''}
+                </p>
+                {isAdmin && (
+                  <button
+                    onClick={clearDoNotContact}
+                    disabled={updateMutation.isPending}
+                    className="px-2.5 py-1 rounded-lg border border-slate-200 dark:border-slate-700 text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50 cursor-pointer"
+                  >
+                    Clear flag
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="flex items-center gap-2">
+                <input
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason (e.g. asked not to be contacted)"
+                  className={inputClass}
+                />
+                <button
+                  onClick={markDoNotContact}
+                  disabled={updateMutation.isPending}
+                  className="flex items-center gap-1 shrink-0 px-2.5 py-1.5 rounded-lg bg-rose-600 hover:bg-rose-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+                >
+                  <Ban size={13} />
+                  Do not contact
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CandidateConsent;
@@ -0,0 +1,284 @@
+import { useState, useRef, useContext } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { MessageSquare, Pin, PinOff, Pencil, Trash2, Loader, Send } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import { useDebounce } from './useDebounce';
+
+const MENTION_RE = /@\[([^\]\n]{1,80})\]\(([a-f0-9]{24})\)/gi;
+// The "@partial" being typed right before the caret
+const MENTION_QUERY_RE = /(^|\s)@([\w.-]{0,30})$/;
+
+const isAdminRole = (role) => role === 'ADMIN' || role === 'SUPER_ADMIN';
+
+// Note text with @[Name](id) tokens shown as highlighted @Name.
+const NoteBody = ({ body }) => {
+  const parts = [];
+  let last = 0;
+  for (const match of body.matchAll(MENTION_RE)) {
+    if (match.index > last) parts.push(body.slice(last, match.index));
+    parts.push(
+      <span key={match.index} className="font-semibold text-indigo-600 dark:text-indigo-400">
+        @{match[1]}
+      </span>
+    );
+    last = match.index + match[0].length;
+  }
+  if (last < body.length) parts.push(body.slice(last));
+  return <p className="text-sm text-slate-700 dark:text-slate-300 whitespace-pre-wrap break-words">{parts}</p>;
+};
+
+// Textarea with an @mention picker. Picking a teammate inserts @[Name](id).
+const NoteComposer = ({ initialValue = '', submitLabel, busy, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialValue);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const textareaRef = useRef(null);
+  const debouncedQuery = useDebounce(mentionQuery, 250);
+
+  const { data: people = [] } = useQuery({
+    queryKey: ['mentionable-users', debouncedQuery],
+    queryFn: async () => {
+      const { data } = await api.get('/candidates/notes/mentionable', { params: { q: debouncedQuery } });
+      return data;
+    },
+    enabled: debouncedQuery !== null,
+    staleTime: 60 * 1000,
+  });
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    const beforeCaret = e.target.value.slice(0, e.target.selectionStart);
+    const match = beforeCaret.match(MENTION_QUERY_RE);
+    setMentionQuery(match ? match[2] : null);
+  };
+
+  const insertMention = (person) => {
+    const caret = textareaRef.current?.selectionStart ?? text.length;
+    const before = text.slice(0, caret).replace(/@[\w.-]{0,30}$/, '');
+    const token = `@[${person.name}](${person._id}) `;
+    setText(before + token + text.slice(caret));
+    setMentionQuery(null);
+    textareaRef.current?.focus();
+  };
+
+  const handleSubmit = () => {
+    if (!text.trim()) return;
+    onSubmit(text.trim(), () => setText(''));
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={text}
+        onChange={handleChange}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSubmit();
+          if (e.key === 'Escape') setMentionQuery(null);
+        }}
+        rows={3}
+        maxLength={5000}
+        placeholder="Add a note… type @ to mention a teammate"
+        className="w-full px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500 resize-y"
+      />
+      {mentionQuery !== null && people.length > 0 && (
+        <div className="absolute left-0 right-0 z-20 mt-1 max-h-48 overflow-y-auto bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl">
+          {people.map((person) => (
+            <button
+              key={person._id}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                insertMention(person);
+              }}
+              className="w-full text-left px-3 py-1.5 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer"
+            >
+              <span className="text-sm text-slate-800 dark:text-slate-200">{person.name}</span>
+              <span className="ml-2 text-xs text-slate-400">{person.email}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end gap-2 mt-2">
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 rounded-lg text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSubmit}
+          disabled={busy || !text.trim()}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+        >
+          {busy ? <Loader size={13} className="animate-spin" /> : <Send size={13} />}
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Recruiter notes thread for one candidate: pinned notes first, then newest.
+// Authors can edit (earlier versions are kept) and delete their notes;
+// anyone can pin. Fetches once `enabled`, like the activity timeline.
+const CandidateNotesThread = ({ candidateId, enabled = true }) => {
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+
+  const queryKey = ['candidate-notes', candidateId];
+  const { data, isLoading, isError } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const { data } = await api.get(`/candidates/${candidateId}/notes`);
+      return data;
+    },
+    enabled: Boolean(candidateId) && enabled,
+    staleTime: 0,
+  });
+  const notes = data?.notes || [];
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey });
+    queryClient.invalidateQueries({ queryKey: ['candidate-activity', candidateId] });
+  };
+  const onError = (fallback) => (err) => toast.error(err.response?.data?.message || fallback);
+
+  const addMutation = useMutation({
+    mutationFn: (body) => api.post(`/candidates/${candidateId}/notes`, { body }),
+    onSuccess: invalidate,
+    onError: onError('Failed to add note'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...payload }) => api.patch(`/candidates/${candidateId}/notes/${id}`, payload),
+    onSuccess: () => {
+      setEditingId(null);
+      invalidate();
+    },
+    onError: onError('Failed to update note'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/candidates/${candidateId}/notes/${id}`),
+    onSuccess: invalidate,
+    onError: onError('Failed to delete note'),
+  });
+
+  const isAuthor = (note) => String(note.authorId) === String(user?._id);
+
+  return (
+    <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-4 md:p-6 shadow-sm">
+      <h3 className="text-sm font-bold text-slate-800 dark:text-slate-200 uppercase tracking-wider flex items-center gap-2 mb-4">
+        <span className="bg-amber-100 dark:bg-amber-900/30 p-1.5 rounded-lg">
+          <MessageSquare className="text-amber-600 dark:text-amber-400" size={16} />
+        </span>
+        Notes
+        {notes.length > 0 && (
+          <span className="text-xs font-medium normal-case tracking-normal text-slate-400">({notes.length})</span>
+        )}
+      </h3>
+
+      <NoteComposer
+        submitLabel="Add note"
+        busy={addMutation.isPending}
+        onSubmit={(body, reset) => addMutation.mutate(body, { onSuccess: reset })}
+      />
+
+      {isLoading || !enabled ? (
+        <div className="flex justify-center py-4">
+          <Loader className="animate-spin text-indigo-500" size={18} />
+        </div>
+      ) : isError ? (
+        <p className="mt-4 text-sm text-rose-500">Could not load notes</p>
+      ) : notes.length === 0 ? (
+        <p className="mt-4 text-slate-400 italic text-sm">No notes yet</p>
+      ) : (
+        <div className="mt-4 space-y-3">
+          {notes.map((note) => (
+            <div
+              key={note._id}
+              className={`rounded-xl border p-3 ${
+                note.pinned
+                  ? 'border-amber-200 dark:border-amber-500/30 bg-amber-50/60 dark:bg-amber-900/10'
+                  : 'border-slate-100 dark:border-slate-800'
+              }`}
+            >
+              <div className="flex items-center gap-2 mb-1.5">
+                <p className="flex-1 min-w-0 text-xs text-slate-500 dark:text-slate-400 truncate">
+                  <span className="font-semibold text-slate-700 dark:text-slate-200">{note.authorName || 'Unknown'}</span>
+                  {' · '}
+                  {new Date(note.createdAt).toLocaleString()}
+                  {note.edits?.length > 0 && (
+                    <button
+                      onClick={() => setHistoryId(historyId === note._id ? null : note._id)}
+                      className="ml-1 underline decoration-dotted hover:text-indigo-600 cursor-pointer"
+                    >
+                      (edited)
+                    </button>
+                  )}
+                </p>
+                <button
+                  onClick={() => updateMutation.mutate({ id: note._id, pinned: !note.pinned })}
+                  title={note.pinned ? 'Unpin' : 'Pin to top'}
+                  className={`p-1 cursor-pointer ${note.pinned ? 'text-amber-500' : 'text-slate-400 hover:text-amber-500'}`}
+                >
+                  {note.pinned ? <PinOff size={13} /> : <Pin size={13} />}
+                </button>
+                {isAuthor(note) && (
+                  <button
+                    onClick={() => setEditingId(note._id)}
+                    title="Edit"
+                    className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer"
+                  >
+                    <Pencil size={13} />
+                  </button>
+                )}
+                {(isAuthor(note) || isAdminRole(user?.role)) && (
+                  <button
+                    onClick={() => window.confirm('Delete this note?') && deleteMutation.mutate(note._id)}
+                    title="Delete"
+                    className="p-1 text-slate-400 hover:text-rose-500 cursor-pointer"
+                  >
+                    <Trash2 size={13} />
+                  </button>
+                )}
+              </div>
+
+              {editingId === note._id ? (
+                <NoteComposer
+                  initialValue={note.body}
+                  submitLabel="Save"
+                  busy={updateMutation.isPending}
+                  onSubmit={(body) => updateMutation.mutate({ id: note._id, body })}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <NoteBody body={note.body} />
+              )}
+
+              {historyId === note._id && (
+                <div className="mt-2 pl-3 border-l-2 border-slate-200 dark:border-slate-700 space-y-2">
+                  {[...note.edits].reverse().map((edit, i) => (
+                    <div key={i}>
+                      <p className="text-[11px] text-slate-400">{new Date(edit.editedAt).toLocaleString()}</p>
+                      <div className="opacity-70">
+                        <NoteBody body={edit.body} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CandidateNotesThread;
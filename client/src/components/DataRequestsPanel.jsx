@@ -0,0 +1,322 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ShieldCheck, Search, Download, Trash2, Loader, AlertTriangle, ChevronLeft, ChevronRight, RotateCcw } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+const SUMMARY_LABELS = {
+  candidates: 'Candidate records',
+  enrichedContacts: 'Enriched contacts',
+  poolProfiles: 'Pool profiles',
+  sourcingResults: 'Sourcing results',
+  notes: 'Notes',
+  activities: 'Activity entries',
+  enrichmentLogs: 'Enrichment logs',
+  shortlists: 'Shortlists',
+  applications: 'Job applications',
+  files: 'Files',
+};
+
+const STATUS_STYLES = {
+  QUEUED: 'bg-slate-100 text-slate-600 dark:bg-slate-800 dark:text-slate-300',
+  PROCESSING: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300',
+  COMPLETED: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-300',
+  FAILED: 'bg-rose-100 text-rose-700 dark:bg-rose-900/30 dark:text-rose-300',
+};
+
+const EMPTY_SUBJECT = { email: '', phone: '', linkedinUrl: '' };
+
+const inputClass =
+  'w-full px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500';
+
+const requestLabel = (request) =>
+  request.type === 'EXPORT' ? 'Export' : request.mode === 'ANONYMIZE' ? 'Anonymize' : 'Erase';
+
+const subjectLabel = (subject = {}) => [subject.email, subject.phone, subject.linkedinUrl].filter(Boolean).join(' · ');
+
+// Admin tool for data-subject requests (GDPR / DPDP): find everything held on
+// a person by email, phone or LinkedIn URL, then export it as a ZIP or erase
+// it. Every export and erasure is kept as an audit record below.
+const DataRequestsPanel = () => {
+  const queryClient = useQueryClient();
+  const [subject, setSubject] = useState(EMPTY_SUBJECT);
+  const [reference, setReference] = useState('');
+  const [eraseMode, setEraseMode] = useState('DELETE');
+  const [preview, setPreview] = useState(null);
+  const [page, setPage] = useState(1);
+
+  const { data: history, isLoading } = useQuery({
+    queryKey: ['dsr-requests', page],
+    queryFn: async () => {
+      const { data } = await api.get('/admin/dsr', { params: { page, limit: 15 } });
+      return data;
+    },
+    staleTime: 0,
+    refetchInterval: (query) =>
+      (query.state.data?.requests || []).some((r) => r.status === 'QUEUED' || r.status === 'PROCESSING')
+        ? 4000
+        : false,
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: () => api.post('/admin/dsr/preview', subject),
+    onSuccess: ({ data }) => setPreview(data),
+    onError: (err) => toast.error(err.response?.data?.message || 'Lookup failed'),
+  });
+
+  const createMutation = useMutation({
+    mutationFn: (payload) => api.post('/admin/dsr', { ...subject, reference, ...payload }),
+    onSuccess: ({ data }) => {
+      toast.success(data.type === 'EXPORT' ? 'Export started' : 'Erasure started');
+      setSubject(EMPTY_SUBJECT);
+      setReference('');
+      setPreview(null);
+      setPage(1);
+      queryClient.invalidateQueries({ queryKey: ['dsr-requests'] });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Request failed'),
+  });
+
+  // A failed request still holds its identifiers, so it can be run again
+  const retryMutation = useMutation({
+    mutationFn: (id) => api.post(`/admin/dsr/${id}/retry`),
+    onSuccess: () => {
+      toast.success('Request queued again');
+      queryClient.invalidateQueries({ queryKey: ['dsr-requests'] });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Retry failed'),
+  });
+
+  const setField = (field) => (e) => {
+    setSubject((prev) => ({ ...prev, [field]: e.target.value }));
+    setPreview(null);
+  };
+
+  const handleErase = () => {
+    const count = preview?.summary?.candidates || 0;
+    const action = eraseMode === 'ANONYMIZE' ? 'anonymize' : 'permanently delete';
+    if (!window.confirm(`This will ${action} ${count} candidate record(s) and all related data and files. Continue?`)) {
+      return;
+    }
+    createMutation.mutate({ type: 'ERASE', mode: eraseMode });
+  };
+
+  const handleDownload = async (id) => {
+    try {
+      const { data } = await api.get(`/admin/dsr/${id}`);
+      if (!data.downloadUrl) return toast.error('This export has no file');
+      const link = document.createElement('a');
+      link.href = data.downloadUrl;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not get the download link');
+    }
+  };
+
+  const hasSubject = Object.values(subject).some((v) => v.trim());
+  const found = Object.values(preview?.summary || {}).some((n) => n > 0);
+  const requests = history?.requests || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-900 rounded-2xl p-6 shadow-xl border border-slate-200 dark:border-transparent">
+        <h3 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+          <ShieldCheck className="w-5 h-5 text-indigo-600" />
+          Data Subject Requests
+        </h3>
+        <p className="text-sm text-slate-400 mt-1 mb-5">
+          Find everything held on a person, then export it or erase it everywhere.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input value={subject.email} onChange={setField('email')} placeholder="Email" className={inputClass} />
+          <input value={subject.phone} onChange={setField('phone')} placeholder="Phone" className={inputClass} />
+          <input
+            value={subject.linkedinUrl}
+            onChange={setField('linkedinUrl')}
+            placeholder="LinkedIn profile URL"
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-col md:flex-row gap-3 mt-3">
+          <input
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            placeholder="Reference (ticket or email thread)"
+            maxLength={200}
+            className={inputClass}
+          />
+          <button
+            onClick={() => previewMutation.mutate()}
+            disabled={!hasSubject || previewMutation.isPending}
+            className="flex items-center justify-center gap-2 px-5 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-sm font-semibold cursor-pointer whitespace-nowrap"
+          >
+            {previewMutation.isPending ? <Loader size={16} className="animate-spin" /> : <Search size={16} />}
+            Find records
+          </button>
+        </div>
+
+        {preview && (
+          <div className="mt-6 border-t border-slate-200 dark:border-slate-800 pt-5">
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-3">
+              {Object.entries(SUMMARY_LABELS).map(([key, label]) => (
+                <div key={key} className="rounded-xl bg-slate-50 dark:bg-slate-800/60 px-3 py-2">
+                  <p className="text-lg font-bold text-slate-900 dark:text-white">{preview.summary[key] || 0}</p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400">{label}</p>
+                </div>
+              ))}
+            </div>
+
+            {preview.candidates.length > 0 && (
+              <ul className="mt-4 text-sm text-slate-600 dark:text-slate-300 space-y-1">
+                {preview.candidates.map((c) => (
+                  <li key={c._id}>
+                    <span className="font-medium text-slate-800 dark:text-slate-100">{c.fullName || 'Unnamed'}</span>
+                    {[c.jobTitle, c.company].filter(Boolean).length > 0 && ` — ${[c.jobTitle, c.company].filter(Boolean).join(' at ')}`}
+                    {c.isDeleted && <span className="ml-2 text-xs text-slate-400">(deleted)</span>}
+                    {c.privateDbId && <span className="ml-2 text-xs text-slate-400">(private database)</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {preview.sharedFiles.length > 0 && (
+              <p className="mt-4 flex items-start gap-2 text-xs text-amber-700 dark:text-amber-400">
+                <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+                {preview.sharedFiles.length} bulk import file(s) also contain this person alongside others. They are
+                not exported or deleted; remove the row from the source file by hand if needed.
+              </p>
+            )}
+
+            {found ? (
+              <div className="flex flex-wrap items-center gap-3 mt-5">
+                <button
+                  onClick={() => createMutation.mutate({ type: 'EXPORT' })}
+                  disabled={createMutation.isPending}
+                  className="flex items-center gap-2 px-4 py-2 rounded-xl bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm font-semibold cursor-pointer"
+                >
+                  <Download size={16} />
+                  Export (ZIP)
+                </button>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={eraseMode}
+                    onChange={(e) => setEraseMode(e.target.value)}
+                    className="px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+                  >
+                    <option value="DELETE">Delete records</option>
+                    <option value="ANONYMIZE">Anonymize records</option>
+                  </select>
+                  <button
+                    onClick={handleErase}
+                    disabled={createMutation.isPending}
+                    className="flex items-center gap-2 px-4 py-2 rounded-xl bg-rose-600 hover:bg-rose-700 disabled:opacity-50 text-white text-sm font-semibold cursor-pointer"
+                  >
+                    <Trash2 size={16} />
+                    Erase
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="mt-4 text-sm text-slate-400 italic">Nothing found for these details.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-slate-900/80 rounded-2xl shadow-xl border border-slate-200 dark:border-slate-800">
+        <div className="p-6 border-b border-slate-200 dark:border-slate-800">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Request log</h3>
+          <p className="text-sm text-slate-400 mt-1">Identifiers are masked once a request completes</p>
+        </div>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="animate-spin text-indigo-500" size={20} />
+          </div>
+        ) : requests.length === 0 ? (
+          <p className="p-6 text-sm text-slate-400 italic">No requests yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                <tr>
+                  <th className="px-6 py-3">Date</th>
+                  <th className="px-6 py-3">Type</th>
+                  <th className="px-6 py-3">Subject</th>
+                  <th className="px-6 py-3">Reference</th>
+                  <th className="px-6 py-3">By</th>
+                  <th className="px-6 py-3">Records</th>
+                  <th className="px-6 py-3">Status</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+                {requests.map((r) => (
+                  <tr key={r._id}>
+                    <td className="px-6 py-3 whitespace-nowrap">{new Date(r.createdAt).toLocaleString()}</td>
+                    <td className="px-6 py-3">{requestLabel(r)}</td>
+                    <td className="px-6 py-3 font-mono text-xs">{subjectLabel(r.subject)}</td>
+                    <td className="px-6 py-3">{r.reference || '—'}</td>
+                    <td className="px-6 py-3">{r.requestedByName || '—'}</td>
+                    <td className="px-6 py-3" title={r.error || ''}>
+                      {r.status === 'COMPLETED' ? r.summary?.candidates ?? 0 : '—'}
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[r.status]}`}>
+                        {r.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      {r.type === 'EXPORT' && r.status === 'COMPLETED' && (
+                        <button
+                          onClick={() => handleDownload(r._id)}
+                          title="Download ZIP"
+                          className="p-1.5 text-slate-400 hover:text-emerald-600 cursor-pointer"
+                        >
+                          <Download size={16} />
+                        </button>
+                      )}
+                      {r.status === 'FAILED' && (
+                        <button
+                          onClick={() => retryMutation.mutate(r._id)}
+                          disabled={retryMutation.isPending}
+                          title="Retry"
+                          className="p-1.5 text-slate-400 hover:text-indigo-600 disabled:opacity-50 cursor-pointer"
+                        >
+                          <RotateCcw size={16} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {history?.pages > 1 && (
+          <div className="flex items-center justify-end gap-2 px-6 py-3 border-t border-slate-200 dark:border-slate-800 text-sm text-slate-500">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+              className="p-1 disabled:opacity-40 cursor-pointer"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            {page} / {history.pages}
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= history.pages}
+              className="p-1 disabled:opacity-40 cursor-pointer"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataRequestsPanel;
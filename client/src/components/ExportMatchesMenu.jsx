@@ -0,0 +1,209 @@
+import { useState, useRef, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { FileDown, Loader, Download, AlertCircle, Settings2 } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import ExportTemplateManager from './ExportTemplateManager';
+import useExportTemplates from './useExportTemplates';
+
+const FORMATS = ['CSV', 'XLSX', 'JSONL'];
+const ACTIVE_STATUSES = ['QUEUED', 'PROCESSING'];
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// "Export all matches": queues a server-side export of everything matching
+// the applied search and lists recent exports with their download links.
+// `queryFilters` are the /candidates/search params for what is on screen.
+// `templateId` is the chosen column template ('' = the user's default layout);
+// the search page also uses it for selected-row exports.
+const ExportMatchesMenu = ({ queryFilters, canExport, templateId, onTemplateChange }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState('CSV');
+  const [managingTemplates, setManagingTemplates] = useState(false);
+  const menuRef = useRef(null);
+
+  const { data: templateData } = useExportTemplates();
+  const templates = templateData?.templates || [];
+
+  const { data: exportJobs = [] } = useQuery({
+    queryKey: ['export-jobs'],
+    queryFn: async () => {
+      const { data } = await api.get('/candidates/export-jobs');
+      return data;
+    },
+    // Poll while an export is running so the link shows up when it finishes
+    refetchInterval: (query) =>
+      (query.state.data || []).some((job) => ACTIVE_STATUSES.includes(job.status)) ? 3000 : false,
+    staleTime: 30 * 1000,
+  });
+
+  const hasActive = exportJobs.some((job) => ACTIVE_STATUSES.includes(job.status));
+
+  const createMutation = useMutation({
+    mutationFn: () => api.post('/candidates/export-jobs', { filters: queryFilters, format, templateId: templateId || undefined }),
+    onSuccess: ({ data }) => {
+      queryClient.invalidateQueries({ queryKey: ['export-jobs'] });
+      const rows = data.exportJob.estimatedRows.toLocaleString();
+      toast.success(data.capped ? `Exporting the first ${rows} matches` : `Exporting ${rows} candidates`);
+    },
+    onError: (err) => {
+      const res = err.response;
+      if (res?.status === 402) {
+        toast.error(`Not enough credits: ${res.data.required} needed, ${res.data.available} available`);
+      } else {
+        toast.error(res?.data?.message || 'Failed to start export');
+      }
+    },
+  });
+
+  const handleDownload = async (jobId) => {
+    try {
+      const { data } = await api.get(`/candidates/export-jobs/${jobId}`);
+      if (!data.downloadUrl) return toast.error('This export is not ready yet');
+      // The presigned URL is served as an attachment, so this downloads in place
+      const link = document.createElement('a');
+      link.href = data.downloadUrl;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not get the download link');
+    }
+  };
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        title="Export all matches"
+        className="relative ml-1 p-2 rounded-xl transition-all border border-transparent text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 hover:text-slate-800 dark:hover:text-slate-200 cursor-pointer"
+      >
+        <FileDown size={16} />
+        {hasActive && (
+          <span className="absolute -top-0.5 -right-0.5 w-2.5 h-2.5 rounded-full bg-emerald-500 animate-pulse" />
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-50 overflow-hidden">
+          <div className="p-3 border-b border-slate-100 dark:border-slate-800">
+            <p className="text-xs font-semibold text-slate-700 dark:text-slate-200 mb-2">Export all matches</p>
+            <div className="flex items-center gap-2">
+              <div className="flex flex-1 rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
+                {FORMATS.map((f) => (
+                  <button
+                    key={f}
+                    onClick={() => setFormat(f)}
+                    className={`flex-1 py-1 text-[11px] font-semibold cursor-pointer ${
+                      format === f
+                        ? 'bg-indigo-600 text-white'
+                        : 'text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800'
+                    }`}
+                  >
+                    {f}
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => createMutation.mutate()}
+                disabled={!canExport || createMutation.isPending}
+                className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+              >
+                {createMutation.isPending ? <Loader size={13} className="animate-spin" /> : <FileDown size={13} />}
+                Export
+              </button>
+            </div>
+            <div className="flex items-center gap-1.5 mt-2">
+              <select
+                value={templateId}
+                onChange={(e) => onTemplateChange(e.target.value)}
+                className="flex-1 min-w-0 px-2 py-1 text-[11px] rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+              >
+                <option value="">Default columns</option>
+                {templates.map((template) => (
+                  <option key={template._id} value={template._id}>
+                    {template.name}
+                    {template.scope === 'ORG' ? ' (org)' : ''}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => setManagingTemplates(true)}
+                title="Manage export templates"
+                className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer"
+              >
+                <Settings2 size={14} />
+              </button>
+            </div>
+            <p className="mt-1.5 text-[10px] text-slate-400">
+              {canExport ? 'Credits for the matches are held up front; any not exported are refunded.' : 'Apply a search to export its matches.'}
+            </p>
+          </div>
+
+          <div className="max-h-72 overflow-y-auto">
+            {exportJobs.length === 0 ? (
+              <p className="p-4 text-xs text-slate-500 dark:text-slate-400 text-center">No exports yet</p>
+            ) : (
+              exportJobs.map((job) => (
+                <div
+                  key={job._id}
+                  className="flex items-center gap-2 px-3 py-2 border-b border-slate-100 dark:border-slate-800 last:border-b-0"
+                >
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs font-medium text-slate-800 dark:text-slate-200 truncate">
+                      {job.format} · {(job.status === 'COMPLETED' ? job.exportedRows : job.estimatedRows).toLocaleString()} rows
+                    </p>
+                    <p className="text-[11px] text-slate-500 dark:text-slate-400">
+                      {new Date(job.createdAt).toLocaleString()}
+                      {job.status === 'COMPLETED' && job.fileSize ? ` · ${formatSize(job.fileSize)}` : ''}
+                      {job.creditsCharged > 0 ? ` · ${job.creditsCharged} credits` : ''}
+                      {job.suppressedRows > 0 ? ` · ${job.suppressedRows} do-not-contact skipped` : ''}
+                    </p>
+                  </div>
+                  {ACTIVE_STATUSES.includes(job.status) && (
+                    <span title="Exporting…">
+                      <Loader size={14} className="animate-spin text-indigo-500" />
+                    </span>
+                  )}
+                  {job.status === 'FAILED' && (
+                    <span title={job.error || 'Export failed'}>
+                      <AlertCircle size={14} className="text-rose-500" />
+                    </span>
+                  )}
+                  {job.status === 'COMPLETED' && (
+                    <button
+                      onClick={() => handleDownload(job._id)}
+                      title="Download"
+                      className="p-1 text-slate-400 hover:text-emerald-600 cursor-pointer"
+                    >
+                      <Download size={14} />
+                    </button>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+
+      {managingTemplates && <ExportTemplateManager onClose={() => setManagingTemplates(false)} />}
+    </div>
+  );
+};
+
+export default ExportMatchesMenu;
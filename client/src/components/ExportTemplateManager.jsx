@@ -0,0 +1,258 @@
+import { useState, useContext } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { X, Plus, Trash2, ArrowUp, ArrowDown, Loader, Pencil, Star } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import useExportTemplates from './useExportTemplates';
+
+const isAdminRole = (role) => role === 'ADMIN' || role === 'SUPER_ADMIN';
+
+const emptyDraft = { name: '', scope: 'USER', isDefault: false, columns: [] };
+
+// Create, edit and delete export column templates. USER templates are
+// private; ORG templates are shared with everyone and managed by admins.
+const ExportTemplateManager = ({ onClose }) => {
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const { data, isLoading } = useExportTemplates();
+  const templates = data?.templates || [];
+  const catalog = data?.columns || [];
+  const canManageOrg = isAdminRole(user?.role);
+
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['export-templates'] });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, ...payload }) =>
+      id ? api.patch(`/export-templates/${id}`, payload) : api.post('/export-templates', payload),
+    onSuccess: () => {
+      invalidate();
+      setDraft(null);
+      setEditingId(null);
+      toast.success('Template saved');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to save template'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/export-templates/${id}`),
+    onSuccess: invalidate,
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to delete template'),
+  });
+
+  const headerFor = (key) => catalog.find((col) => col.key === key)?.header || key;
+  const canEdit = (template) => (template.scope === 'ORG' ? canManageOrg : String(template.ownerId) === String(user?._id));
+
+  const startEdit = (template) => {
+    setEditingId(template._id);
+    setDraft({
+      name: template.name,
+      scope: template.scope,
+      isDefault: template.isDefault,
+      columns: template.columns.map((col) => ({ key: col.key, header: col.header || '' })),
+    });
+  };
+
+  const updateColumns = (fn) => setDraft((d) => ({ ...d, columns: fn([...d.columns]) }));
+
+  const moveColumn = (index, delta) =>
+    updateColumns((cols) => {
+      const target = index + delta;
+      if (target < 0 || target >= cols.length) return cols;
+      [cols[index], cols[target]] = [cols[target], cols[index]];
+      return cols;
+    });
+
+  const handleSave = () => {
+    if (!draft.name.trim()) return toast.error('Give this template a name');
+    if (draft.columns.length === 0) return toast.error('Pick at least one column');
+    saveMutation.mutate({
+      id: editingId,
+      name: draft.name.trim(),
+      isDefault: draft.isDefault,
+      columns: draft.columns.map(({ key, header }) => (header.trim() ? { key, header: header.trim() } : { key })),
+      ...(editingId ? {} : { scope: draft.scope }),
+    });
+  };
+
+  const unusedColumns = draft ? catalog.filter((col) => !draft.columns.some((c) => c.key === col.key)) : [];
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-2xl max-h-[85vh] flex flex-col bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-5 py-3 border-b border-slate-100 dark:border-slate-800">
+          <h3 className="text-sm font-bold text-slate-800 dark:text-slate-100">Export templates</h3>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 cursor-pointer">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5">
+          {draft ? (
+            <div className="space-y-3">
+              <div className="flex items-center gap-2">
+                <input
+                  value={draft.name}
+                  onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+                  placeholder="Template name"
+                  maxLength={120}
+                  className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500"
+                />
+                {canManageOrg && !editingId && (
+                  <select
+                    value={draft.scope}
+                    onChange={(e) => setDraft((d) => ({ ...d, scope: e.target.value }))}
+                    className="px-2 py-1.5 text-xs rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+                  >
+                    <option value="USER">Only me</option>
+                    <option value="ORG">Organization</option>
+                  </select>
+                )}
+              </div>
+              <label className="flex items-center gap-2 text-xs text-slate-600 dark:text-slate-300">
+                <input
+                  type="checkbox"
+                  checked={draft.isDefault}
+                  onChange={(e) => setDraft((d) => ({ ...d, isDefault: e.target.checked }))}
+                />
+                {draft.scope === 'ORG' ? 'Default for everyone without their own default' : 'Use by default for my exports'}
+              </label>
+
+              <div>
+                <p className="text-[11px] font-semibold uppercase tracking-wide text-slate-400 mb-1.5">Columns (in order)</p>
+                {draft.columns.length === 0 && (
+                  <p className="text-xs text-slate-500 dark:text-slate-400">Add columns from the list below.</p>
+                )}
+                <div className="space-y-1">
+                  {draft.columns.map((col, index) => (
+                    <div key={col.key} className="flex items-center gap-2">
+                      <span className="w-40 shrink-0 text-xs text-slate-700 dark:text-slate-200 truncate">{headerFor(col.key)}</span>
+                      <input
+                        value={col.header}
+                        onChange={(e) =>
+                          updateColumns((cols) => {
+                            cols[index] = { ...cols[index], header: e.target.value };
+                            return cols;
+                          })
+                        }
+                        placeholder="Header (optional)"
+                        maxLength={120}
+                        className="flex-1 px-2 py-1 text-xs rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 outline-none focus:border-indigo-500"
+                      />
+                      <button onClick={() => moveColumn(index, -1)} title="Move up" className="p-1 text-slate-400 hover:text-slate-700 cursor-pointer">
+                        <ArrowUp size={13} />
+                      </button>
+                      <button onClick={() => moveColumn(index, 1)} title="Move down" className="p-1 text-slate-400 hover:text-slate-700 cursor-pointer">
+                        <ArrowDown size={13} />
+                      </button>
+                      <button
+                        onClick={() => updateColumns((cols) => cols.filter((_, i) => i !== index))}
+                        title="Remove"
+                        className="p-1 text-slate-400 hover:text-rose-500 cursor-pointer"
+                      >
+                        <X size={13} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {unusedColumns.length > 0 && (
+                <div className="flex flex-wrap gap-1.5">
+                  {unusedColumns.map((col) => (
+                    <button
+                      key={col.key}
+                      onClick={() => updateColumns((cols) => [...cols, { key: col.key, header: '' }])}
+                      className="flex items-center gap-1 px-2 py-1 rounded-full border border-slate-200 dark:border-slate-700 text-[11px] text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer"
+                    >
+                      <Plus size={11} />
+                      {col.header}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader size={18} className="animate-spin text-indigo-500" />
+            </div>
+          ) : templates.length === 0 ? (
+            <p className="py-8 text-center text-xs text-slate-500 dark:text-slate-400">
+              No templates yet. Exports use the standard column layout.
+            </p>
+          ) : (
+            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+              {templates.map((template) => (
+                <div key={template._id} className="flex items-center gap-2 py-2">
+                  <div className="flex-1 min-w-0">
+                    <p className="flex items-center gap-1.5 text-sm font-medium text-slate-800 dark:text-slate-200 truncate">
+                      {template.name}
+                      {template.isDefault && <Star size={12} className="text-amber-500 fill-amber-500" />}
+                    </p>
+                    <p className="text-[11px] text-slate-500 dark:text-slate-400 truncate">
+                      {template.scope === 'ORG' ? 'Organization' : 'Personal'} · {template.columns.length} columns
+                    </p>
+                  </div>
+                  {canEdit(template) && (
+                    <>
+                      <button onClick={() => startEdit(template)} title="Edit" className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer">
+                        <Pencil size={14} />
+                      </button>
+                      <button
+                        onClick={() => deleteMutation.mutate(template._id)}
+                        title="Delete"
+                        className="p-1 text-slate-400 hover:text-rose-500 cursor-pointer"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 px-5 py-3 border-t border-slate-100 dark:border-slate-800">
+          {draft ? (
+            <>
+              <button
+                onClick={() => {
+                  setDraft(null);
+                  setEditingId(null);
+                }}
+                className="px-3 py-1.5 rounded-lg text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saveMutation.isPending}
+                className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+              >
+                {saveMutation.isPending && <Loader size={13} className="animate-spin" />}
+                Save template
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => setDraft(emptyDraft)}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-semibold cursor-pointer"
+            >
+              <Plus size={13} />
+              New template
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportTemplateManager;
@@ -0,0 +1,247 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { X, Loader, MapPin, RefreshCw, Sparkles, ListChecks, Plus, Check, Users } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import JobTeamPanel from './JobTeamPanel';
+
+const CATEGORY_STYLES = {
+  PERFECT: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400',
+  STRONG: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-400',
+  GOOD: 'bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-400',
+  PARTIAL: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400',
+};
+
+const TABS = [
+  { key: 'recommended', label: 'Recommended candidates', icon: <Sparkles size={14} /> },
+  { key: 'requirements', label: 'Requirements', icon: <ListChecks size={14} /> },
+  { key: 'team', label: 'Team', icon: <Users size={14} /> },
+];
+
+const SkillList = ({ label, skills, className }) =>
+  skills?.length > 0 && (
+    <div>
+      <p className="text-xs font-semibold text-slate-500 dark:text-slate-400 uppercase tracking-wide mb-1.5">{label}</p>
+      <div className="flex flex-wrap gap-1">
+        {skills.map((skill) => (
+          <span key={skill} className={`px-2 py-0.5 rounded-md text-xs font-medium ${className}`}>{skill}</span>
+        ))}
+      </div>
+    </div>
+  );
+
+const RequirementsTab = ({ requirements }) => {
+  if (!requirements) {
+    return <p className="text-sm text-slate-400 italic">Requirements are being parsed from the job…</p>;
+  }
+  const experience = requirements.experienceYears
+    ? `${requirements.experienceYears}${requirements.maxExperienceYears ? `–${requirements.maxExperienceYears}` : '+'} years`
+    : null;
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        {[
+          ['Title', requirements.jobTitle],
+          ['Location', requirements.location],
+          ['Experience', experience],
+          ['Availability', requirements.availability !== 'ANY' ? requirements.availability : null],
+        ]
+          .filter(([, value]) => value && value !== 'Unspecified')
+          .map(([label, value]) => (
+            <div key={label}>
+              <p className="text-xs font-semibold text-slate-500 dark:text-slate-400 uppercase tracking-wide">{label}</p>
+              <p className="text-slate-800 dark:text-slate-200">{value}</p>
+            </div>
+          ))}
+      </div>
+      <SkillList label="Must have" skills={requirements.mustHaveSkills} className="bg-rose-50 dark:bg-rose-900/20 text-rose-700 dark:text-rose-300" />
+      <SkillList label="Required" skills={requirements.requiredSkills} className="bg-indigo-50 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-300" />
+      <SkillList label="Preferred" skills={requirements.preferredSkills} className="bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300" />
+    </div>
+  );
+};
+
+// One job's parsed requirements, its best matches from the global DB (plus the
+// owner's private DBs, which only the owner sees), and who it is shared with. Matches are computed in the
+// background (on edit and after imports), so opening this costs no credits.
+const JobDetailModal = ({ job, initialTab = 'recommended', onClose }) => {
+  const queryClient = useQueryClient();
+  const [tab, setTab] = useState(initialTab);
+  const canEdit = job.myRole !== 'VIEWER';
+  const [addedIds, setAddedIds] = useState(() => new Set());
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ['job-recommendations', job._id],
+    queryFn: async () => {
+      const { data } = await api.get(`/jobs/${job._id}/recommendations`);
+      return data;
+    },
+    // Poll while the worker is (re)computing
+    refetchInterval: (query) => (query.state.data?.status === 'PENDING' ? 5000 : false),
+    staleTime: 30 * 1000,
+  });
+
+  const refreshMutation = useMutation({
+    mutationFn: () => api.post(`/jobs/${job._id}/recommendations/refresh`),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['job-recommendations', job._id] }),
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to refresh'),
+  });
+
+  const addMutation = useMutation({
+    mutationFn: (candidate) =>
+      api.post(`/jobs/${job._id}/applications`, { candidateIds: [candidate._id], source: 'RECOMMENDED' }),
+    onSuccess: (_, candidate) => {
+      setAddedIds((prev) => new Set(prev).add(candidate._id));
+      queryClient.invalidateQueries({ queryKey: ['job-applications', job._id] });
+      toast.success(`Added ${candidate.fullName || 'candidate'} to ${job.title}`);
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to add to job'),
+  });
+
+  const candidates = data?.candidates || [];
+  const pending = data?.status === 'PENDING' || refreshMutation.isPending;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-slate-900 rounded-2xl w-full max-w-2xl shadow-2xl border border-slate-200 dark:border-slate-800 max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 pt-5 shrink-0">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <h3 className="text-lg font-bold text-slate-900 dark:text-white truncate">{job.title}</h3>
+              <p className="text-sm text-slate-500 dark:text-slate-400 truncate">
+                {[job.client, job.location].filter(Boolean).join(' · ') || 'No client or location'}
+              </p>
+            </div>
+            <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-white transition cursor-pointer">
+              <X size={20} />
+            </button>
+          </div>
+          <div className="flex items-center gap-1 mt-4 border-b border-slate-200 dark:border-slate-800">
+            {TABS.map(({ key, label, icon }) => (
+              <button
+                key={key}
+                onClick={() => setTab(key)}
+                className={`flex items-center gap-1.5 px-3 py-2 text-sm font-semibold border-b-2 -mb-px transition cursor-pointer ${
+                  tab === key
+                    ? 'border-indigo-600 text-indigo-600 dark:text-indigo-400'
+                    : 'border-transparent text-slate-500 hover:text-slate-800 dark:hover:text-slate-200'
+                }`}
+              >
+                {icon}
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {tab === 'team' ? (
+            <JobTeamPanel jobId={job._id} onLeft={onClose} />
+          ) : isLoading ? (
+            <div className="flex justify-center py-10"><Loader size={24} className="animate-spin text-indigo-500" /></div>
+          ) : isError ? (
+            <p className="text-sm text-rose-500">Could not load this job</p>
+          ) : tab === 'requirements' ? (
+            <RequirementsTab requirements={data.requirements} />
+          ) : (
+            <div className="space-y-2">
+              <div className="flex items-center justify-between gap-2 mb-3">
+                <p className="text-xs text-slate-500 dark:text-slate-400">
+                  {pending
+                    ? 'Finding matches…'
+                    : data.status === 'FAILED'
+                      ? `Last refresh failed: ${data.error || 'unknown error'}`
+                      : data.refreshedAt
+                        ? `${candidates.length} matches · updated ${new Date(data.refreshedAt).toLocaleString()}`
+                        : 'Not matched yet'}
+                </p>
+                <button
+                  onClick={() => refreshMutation.mutate()}
+                  disabled={pending || !canEdit}
+                  className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-slate-200 dark:border-slate-700 text-xs font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50 cursor-pointer"
+                >
+                  <RefreshCw size={13} className={pending ? 'animate-spin' : ''} />
+                  Refresh
+                </button>
+              </div>
+              {candidates.length === 0 && !pending ? (
+                <p className="text-sm text-slate-400 italic">No candidates match this job yet</p>
+              ) : (
+                candidates.map((c) => {
+                  const added = addedIds.has(c._id);
+                  return (
+                    <div
+                      key={c._id}
+                      className="flex items-start gap-3 p-3 rounded-xl border border-slate-100 dark:border-slate-800"
+                    >
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold text-sm text-slate-800 dark:text-slate-100 truncate">{c.fullName}</span>
+                          <span
+                            className={`shrink-0 px-1.5 py-0.5 rounded text-[10px] font-bold ${CATEGORY_STYLES[c.matchCategory] || 'bg-slate-100 dark:bg-slate-800 text-slate-500'}`}
+                          >
+                            {c.matchScore}%
+                          </span>
+                          {c.privateDbId && (
+                            <span className="shrink-0 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400">
+                              My DB
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                          {[c.jobTitle, c.company].filter(Boolean).join(' · ')}
+                        </p>
+                        {(c.locality || c.location) && (
+                          <p className="text-[11px] text-slate-400 flex items-center gap-1 mt-0.5">
+                            <MapPin size={10} />
+                            {c.locality || c.location}
+                          </p>
+                        )}
+                        {(c.matchedSkills?.length > 0 || c.missingSkills?.length > 0) && (
+                          <div className="flex flex-wrap gap-1 mt-1.5">
+                            {c.matchedSkills.slice(0, 6).map((skill) => (
+                              <span
+                                key={skill}
+                                className="px-1.5 py-0.5 rounded bg-indigo-50 dark:bg-indigo-900/20 text-indigo-700 dark:text-indigo-300 text-[10px] font-medium"
+                              >
+                                {skill}
+                              </span>
+                            ))}
+                            {c.missingSkills.slice(0, 3).map((skill) => (
+                              <span
+                                key={skill}
+                                title="Missing"
+                                className="px-1.5 py-0.5 rounded bg-slate-100 dark:bg-slate-800 text-slate-400 line-through text-[10px] font-medium"
+                              >
+                                {skill}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      {canEdit && (
+                        <button
+                          onClick={() => addMutation.mutate(c)}
+                          disabled={added || addMutation.isPending}
+                          className="shrink-0 flex items-center gap-1 px-2.5 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:bg-slate-300 dark:disabled:bg-slate-700 text-white text-xs font-semibold cursor-pointer"
+                        >
+                          {added ? <Check size={12} /> : <Plus size={12} />}
+                          {added ? 'Added' : 'Add to job'}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JobDetailModal;
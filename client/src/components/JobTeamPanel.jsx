@@ -0,0 +1,198 @@
+import { useState, useContext } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Loader, UserPlus, X, Crown } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import { useDebounce } from './useDebounce';
+
+const ROLE_LABELS = { OWNER: 'Owner', RECRUITER: 'Recruiter', VIEWER: 'Viewer' };
+const ROLE_HINTS = {
+  OWNER: 'Can edit, delete and share the job',
+  RECRUITER: 'Can edit the job and move candidates',
+  VIEWER: 'Can see the job and its pipeline',
+};
+
+// Who the job is shared with. Owners add, re-role and remove collaborators;
+// everyone else sees the list and can leave.
+const JobTeamPanel = ({ jobId, onLeft }) => {
+  const queryClient = useQueryClient();
+  const { user } = useContext(AuthContext);
+  const [query, setQuery] = useState('');
+  const [role, setRole] = useState('RECRUITER');
+  const debouncedQuery = useDebounce(query.trim(), 250);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['job-collaborators', jobId],
+    queryFn: async () => {
+      const { data } = await api.get(`/jobs/${jobId}/collaborators`);
+      return data;
+    },
+    staleTime: 30 * 1000,
+  });
+
+  const isOwner = data?.myRole === 'OWNER';
+  const memberIds = new Set([data?.owner?._id, ...(data?.collaborators || []).map((c) => c.user._id)]);
+
+  const { data: people = [], isFetching: searching } = useQuery({
+    queryKey: ['job-teammates', debouncedQuery],
+    queryFn: async () => {
+      const { data } = await api.get('/jobs/teammates', { params: { q: debouncedQuery } });
+      return data;
+    },
+    enabled: isOwner && debouncedQuery.length > 0,
+    staleTime: 60 * 1000,
+  });
+
+  const onTeamChange = (team) => {
+    queryClient.setQueryData(['job-collaborators', jobId], (prev) => ({ ...prev, ...team }));
+    queryClient.invalidateQueries({ queryKey: ['jobs'] });
+  };
+  const onError = (err) => toast.error(err.response?.data?.message || 'Failed to update the team');
+
+  const addMutation = useMutation({
+    mutationFn: (person) => api.post(`/jobs/${jobId}/collaborators`, { userId: person._id, role }),
+    onSuccess: ({ data: team }, person) => {
+      onTeamChange(team);
+      setQuery('');
+      toast.success(`Added ${person.name} — they've been emailed`);
+    },
+    onError,
+  });
+
+  const roleMutation = useMutation({
+    mutationFn: ({ userId, role }) => api.patch(`/jobs/${jobId}/collaborators/${userId}`, { role }),
+    onSuccess: ({ data: team }) => onTeamChange(team),
+    onError,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (userId) => api.delete(`/jobs/${jobId}/collaborators/${userId}`),
+    onSuccess: ({ data: team }, userId) => {
+      if (userId === user?._id) {
+        queryClient.invalidateQueries({ queryKey: ['jobs'] });
+        toast.success('You left this job');
+        onLeft?.();
+        return;
+      }
+      onTeamChange(team);
+    },
+    onError,
+  });
+
+  if (isLoading) {
+    return <div className="flex justify-center py-10"><Loader size={24} className="animate-spin text-indigo-500" /></div>;
+  }
+
+  const suggestions = people.filter((p) => !memberIds.has(p._id));
+
+  return (
+    <div className="space-y-4">
+      {isOwner && (
+        <div className="relative">
+          <div className="flex gap-2">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Add a teammate by name or email"
+              className="flex-1 px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-indigo-400 text-sm"
+            />
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              title={ROLE_HINTS[role]}
+              className="px-2 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-white text-sm"
+            >
+              {data.roles.map((r) => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+            </select>
+          </div>
+          {debouncedQuery && (
+            <div className="absolute left-0 right-0 mt-1 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-10 overflow-hidden">
+              {searching ? (
+                <div className="flex justify-center py-3"><Loader size={16} className="animate-spin text-slate-400" /></div>
+              ) : suggestions.length === 0 ? (
+                <p className="px-3 py-3 text-xs text-slate-500 dark:text-slate-400 text-center">No teammates found</p>
+              ) : (
+                suggestions.map((person) => (
+                  <button
+                    key={person._id}
+                    onClick={() => addMutation.mutate(person)}
+                    disabled={addMutation.isPending}
+                    className="w-full flex items-center gap-2 text-left px-3 py-2 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50 cursor-pointer"
+                  >
+                    <UserPlus size={14} className="text-indigo-500 shrink-0" />
+                    <span className="text-sm text-slate-700 dark:text-slate-200 truncate">{person.name}</span>
+                    <span className="text-xs text-slate-400 truncate">{person.email}</span>
+                  </button>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      <ul className="divide-y divide-slate-100 dark:divide-slate-800">
+        <li className="flex items-center gap-3 py-2.5">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm font-semibold text-slate-800 dark:text-slate-100 truncate">{data.owner?.name || 'Unknown'}</p>
+            <p className="text-xs text-slate-400 truncate">{data.owner?.email}</p>
+          </div>
+          <span className="flex items-center gap-1 text-xs font-semibold text-amber-600 dark:text-amber-400">
+            <Crown size={12} />
+            Creator
+          </span>
+        </li>
+        {data.collaborators.map((c) => {
+          const isMe = c.user._id === user?._id;
+          return (
+            <li key={c.user._id} className="flex items-center gap-3 py-2.5">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-semibold text-slate-800 dark:text-slate-100 truncate">
+                  {c.user.name}{isMe && <span className="font-normal text-slate-400"> (you)</span>}
+                </p>
+                <p className="text-xs text-slate-400 truncate">
+                  {c.user.email}{c.addedBy?.name ? ` · added by ${c.addedBy.name}` : ''}
+                </p>
+              </div>
+              {isOwner ? (
+                <select
+                  value={c.role}
+                  onChange={(e) => roleMutation.mutate({ userId: c.user._id, role: e.target.value })}
+                  disabled={roleMutation.isPending}
+                  title={ROLE_HINTS[c.role]}
+                  className="px-2 py-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-transparent text-xs text-slate-600 dark:text-slate-300"
+                >
+                  {data.roles.map((r) => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+                </select>
+              ) : (
+                <span className="text-xs font-semibold text-slate-500 dark:text-slate-400" title={ROLE_HINTS[c.role]}>
+                  {ROLE_LABELS[c.role]}
+                </span>
+              )}
+              {(isOwner || isMe) && (
+                <button
+                  onClick={() => {
+                    const prompt = isMe ? 'Leave this job? It will disappear from your job list.' : `Remove ${c.user.name} from this job?`;
+                    if (window.confirm(prompt)) removeMutation.mutate(c.user._id);
+                  }}
+                  disabled={removeMutation.isPending}
+                  title={isMe ? 'Leave job' : 'Remove'}
+                  className="p-1 rounded-lg text-slate-400 hover:text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-500/10 disabled:opacity-50 cursor-pointer"
+                >
+                  <X size={14} />
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      {data.collaborators.length === 0 && (
+        <p className="text-xs text-slate-400 italic">
+          {isOwner ? 'Share this job with a co-recruiter or account manager above.' : 'Not shared with anyone else.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default JobTeamPanel;
@@ -0,0 +1,371 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Archive, Plus, FlaskConical, Play, Trash2, Loader, X } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+const SOURCE_LABELS = { UPLOAD: 'Uploaded', AI_SOURCING: 'AI-sourced', MANUAL: 'Manually added', API: 'API' };
+
+const EMPTY_RULE = {
+  name: '',
+  source: '',
+  basis: 'UPDATED_AT',
+  olderThanMonths: 24,
+  neverShortlisted: false,
+  includePrivateDatabases: false,
+  action: 'ANONYMIZE',
+};
+
+const inputClass =
+  'w-full px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500';
+
+// "Uploaded candidates not updated in 24 months, never shortlisted → anonymize"
+const describeRule = (rule) => {
+  const who = rule.source ? `${SOURCE_LABELS[rule.source]} candidates` : 'Candidates';
+  const age =
+    rule.basis === 'CREATED_AT'
+      ? `added more than ${rule.olderThanMonths} months ago`
+      : `not updated in ${rule.olderThanMonths} months`;
+  const extras = [rule.neverShortlisted && 'never shortlisted', rule.includePrivateDatabases && 'incl. private databases']
+    .filter(Boolean)
+    .join(', ');
+  return `${who} ${age}${extras ? `, ${extras}` : ''} → ${rule.action === 'DELETE' ? 'delete' : 'anonymize'}`;
+};
+
+const runLabel = (run) => (run.dryRun ? 'Dry run' : run.trigger === 'SCHEDULED' ? 'Scheduled' : 'Manual');
+
+// Admin retention rules: each rule is reviewed with a dry-run report before
+// it can be enabled; enabled rules are enforced by the daily sweep, and
+// every run (dry or not) is listed in the log.
+const RetentionRulesPanel = () => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_RULE);
+  const [report, setReport] = useState(null);
+
+  const { data: rules = [], isLoading } = useQuery({
+    queryKey: ['retention-rules'],
+    queryFn: async () => {
+      const { data } = await api.get('/admin/retention/rules');
+      return data;
+    },
+    staleTime: 0,
+  });
+
+  const { data: runLog } = useQuery({
+    queryKey: ['retention-runs'],
+    queryFn: async () => {
+      const { data } = await api.get('/admin/retention/runs', { params: { limit: 20 } });
+      return data;
+    },
+    staleTime: 0,
+    refetchInterval: (query) => ((query.state.data?.runs || []).some((r) => r.status === 'RUNNING') ? 5000 : false),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['retention-rules'] });
+    queryClient.invalidateQueries({ queryKey: ['retention-runs'] });
+  };
+  const onError = (fallback) => (err) => toast.error(err.response?.data?.message || fallback);
+
+  const createMutation = useMutation({
+    mutationFn: () => api.post('/admin/retention/rules', { ...form, source: form.source || null }),
+    onSuccess: () => {
+      toast.success('Rule created. Run a dry run to review it before enabling.');
+      setForm(EMPTY_RULE);
+      setShowForm(false);
+      refresh();
+    },
+    onError: onError('Failed to create rule'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ id, enabled }) => api.patch(`/admin/retention/rules/${id}`, { enabled }),
+    onSuccess: refresh,
+    onError: onError('Failed to update rule'),
+  });
+
+  const dryRunMutation = useMutation({
+    mutationFn: (rule) => api.post(`/admin/retention/rules/${rule._id}/dry-run`),
+    onSuccess: ({ data }) => {
+      setReport(data);
+      refresh();
+    },
+    onError: onError('Dry run failed'),
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (id) => api.post(`/admin/retention/rules/${id}/run`),
+    onSuccess: () => {
+      toast.success('Retention run started');
+      refresh();
+    },
+    onError: onError('Failed to start run'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/admin/retention/rules/${id}`),
+    onSuccess: refresh,
+    onError: onError('Failed to delete rule'),
+  });
+
+  const handleRun = (rule) => {
+    const matched = rule.lastDryRunId?.matched;
+    const verb = rule.action === 'DELETE' ? 'permanently delete' : 'anonymize';
+    const count = matched != null ? `about ${matched}` : 'the matching';
+    if (window.confirm(`This will ${verb} ${count} candidate record(s) and their resume files now. Continue?`)) {
+      runMutation.mutate(rule._id);
+    }
+  };
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value }));
+
+  const runs = runLog?.runs || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-900 rounded-2xl p-6 shadow-xl border border-slate-200 dark:border-transparent">
+        <div className="flex items-start justify-between gap-4 mb-5">
+          <div>
+            <h3 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+              <Archive className="w-5 h-5 text-indigo-600" />
+              Retention Rules
+            </h3>
+            <p className="text-sm text-slate-400 mt-1">
+              Enabled rules run daily. Review a dry run before enabling a rule or after changing it.
+            </p>
+          </div>
+          <button
+            onClick={() => setShowForm((v) => !v)}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold cursor-pointer whitespace-nowrap"
+          >
+            {showForm ? <X size={16} /> : <Plus size={16} />}
+            {showForm ? 'Cancel' : 'New rule'}
+          </button>
+        </div>
+
+        {showForm && (
+          <div className="mb-6 rounded-xl border border-slate-200 dark:border-slate-800 p-4 space-y-3">
+            <input value={form.name} onChange={setField('name')} placeholder="Rule name" className={inputClass} />
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <select value={form.source} onChange={setField('source')} className={inputClass}>
+                <option value="">Any source</option>
+                {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select value={form.basis} onChange={setField('basis')} className={inputClass}>
+                <option value="UPDATED_AT">Not updated in</option>
+                <option value="CREATED_AT">Added more than</option>
+              </select>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  min={1}
+                  max={240}
+                  value={form.olderThanMonths}
+                  onChange={setField('olderThanMonths')}
+                  className={inputClass}
+                />
+                <span className="text-sm text-slate-500">months</span>
+              </div>
+              <select value={form.action} onChange={setField('action')} className={inputClass}>
+                <option value="ANONYMIZE">Anonymize</option>
+                <option value="DELETE">Delete</option>
+              </select>
+            </div>
+            <div className="flex flex-wrap items-center gap-5 text-sm text-slate-600 dark:text-slate-300">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={form.neverShortlisted} onChange={setField('neverShortlisted')} />
+                Only candidates never shortlisted
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={form.includePrivateDatabases}
+                  onChange={setField('includePrivateDatabases')}
+                />
+                Include private databases
+              </label>
+              <button
+                onClick={() => createMutation.mutate()}
+                disabled={!form.name.trim() || createMutation.isPending}
+                className="ml-auto px-4 py-2 rounded-xl bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-sm font-semibold cursor-pointer"
+              >
+                Save rule
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader className="animate-spin text-indigo-500" size={20} />
+          </div>
+        ) : rules.length === 0 ? (
+          <p className="text-sm text-slate-400 italic">No retention rules yet</p>
+        ) : (
+          <div className="divide-y divide-slate-100 dark:divide-slate-800">
+            {rules.map((rule) => (
+              <div key={rule._id} className="py-4 flex flex-col md:flex-row md:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-slate-900 dark:text-slate-100">{rule.name}</p>
+                  <p className="text-sm text-slate-500 dark:text-slate-400">{describeRule(rule)}</p>
+                  <p className="text-xs text-slate-400 mt-1">
+                    {rule.hasCurrentDryRun && rule.lastDryRunId
+                      ? `Dry run ${new Date(rule.lastDryRunId.createdAt).toLocaleDateString()}: ${rule.lastDryRunId.matched} match(es)`
+                      : 'Needs a dry run'}
+                    {rule.lastRunId &&
+                      ` · Last enforced ${new Date(rule.lastRunId.createdAt).toLocaleDateString()} (${rule.lastRunId.processed} removed)`}
+                  </p>
+                </div>
+                <label
+                  className={`flex items-center gap-2 text-sm ${rule.hasCurrentDryRun ? 'cursor-pointer text-slate-700 dark:text-slate-200' : 'opacity-50 text-slate-400'}`}
+                  title={rule.hasCurrentDryRun ? '' : 'Run a dry run first'}
+                >
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    disabled={!rule.hasCurrentDryRun || toggleMutation.isPending}
+                    onChange={(e) => toggleMutation.mutate({ id: rule._id, enabled: e.target.checked })}
+                  />
+                  Enabled
+                </label>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => dryRunMutation.mutate(rule)}
+                    disabled={dryRunMutation.isPending}
+                    title="Dry run"
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-semibold text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 disabled:opacity-50 cursor-pointer"
+                  >
+                    {dryRunMutation.isPending && dryRunMutation.variables?._id === rule._id ? (
+                      <Loader size={14} className="animate-spin" />
+                    ) : (
+                      <FlaskConical size={14} />
+                    )}
+                    Dry run
+                  </button>
+                  <button
+                    onClick={() => handleRun(rule)}
+                    disabled={!rule.hasCurrentDryRun || runMutation.isPending}
+                    title={rule.hasCurrentDryRun ? 'Enforce now' : 'Run a dry run first'}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-semibold text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/20 disabled:opacity-40 cursor-pointer"
+                  >
+                    <Play size={14} />
+                    Run now
+                  </button>
+                  <button
+                    onClick={() => window.confirm(`Delete rule "${rule.name}"?`) && deleteMutation.mutate(rule._id)}
+                    title="Delete rule"
+                    className="p-1.5 text-slate-400 hover:text-rose-500 cursor-pointer"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {report && (
+          <div className="mt-4 rounded-xl border border-indigo-200 dark:border-indigo-500/30 bg-indigo-50/50 dark:bg-indigo-900/10 p-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-semibold text-slate-800 dark:text-slate-100">
+                Dry run: “{report.ruleName}” would {report.action === 'DELETE' ? 'delete' : 'anonymize'}{' '}
+                {report.matched} record(s) (cutoff {new Date(report.cutoff).toLocaleDateString()})
+              </p>
+              <button onClick={() => setReport(null)} className="p-1 text-slate-400 hover:text-slate-600 cursor-pointer">
+                <X size={14} />
+              </button>
+            </div>
+            {report.sample?.length > 0 && (
+              <table className="w-full text-xs text-slate-600 dark:text-slate-300">
+                <thead className="text-left text-slate-400">
+                  <tr>
+                    <th className="py-1">Name</th>
+                    <th className="py-1">Source</th>
+                    <th className="py-1">Stage</th>
+                    <th className="py-1">Added</th>
+                    <th className="py-1">Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.sample.map((c) => (
+                    <tr key={c.candidateId}>
+                      <td className="py-1">{c.fullName || 'Unnamed'}</td>
+                      <td className="py-1">{c.source}</td>
+                      <td className="py-1">{c.pipelineStage}</td>
+                      <td className="py-1">{new Date(c.createdAt).toLocaleDateString()}</td>
+                      <td className="py-1">{new Date(c.updatedAt).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {report.matched > (report.sample?.length || 0) && (
+              <p className="text-xs text-slate-400 mt-2">Showing the oldest {report.sample.length} of {report.matched}</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white dark:bg-slate-900/80 rounded-2xl shadow-xl border border-slate-200 dark:border-slate-800">
+        <div className="p-6 border-b border-slate-200 dark:border-slate-800">
+          <h3 className="text-lg font-semibold text-slate-900 dark:text-slate-100">Run log</h3>
+        </div>
+        {runs.length === 0 ? (
+          <p className="p-6 text-sm text-slate-400 italic">No runs yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                <tr>
+                  <th className="px-6 py-3">Date</th>
+                  <th className="px-6 py-3">Rule</th>
+                  <th className="px-6 py-3">Run</th>
+                  <th className="px-6 py-3">Matched</th>
+                  <th className="px-6 py-3">Removed</th>
+                  <th className="px-6 py-3">Files</th>
+                  <th className="px-6 py-3">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+                {runs.map((run) => (
+                  <tr key={run._id}>
+                    <td className="px-6 py-3 whitespace-nowrap">{new Date(run.createdAt).toLocaleString()}</td>
+                    <td className="px-6 py-3">{run.ruleName}</td>
+                    <td className="px-6 py-3">{runLabel(run)}</td>
+                    <td className="px-6 py-3">{run.matched}</td>
+                    <td className="px-6 py-3">
+                      {run.dryRun ? '—' : run.processed}
+                      {run.capped && <span className="ml-1 text-xs text-amber-600">(capped)</span>}
+                    </td>
+                    <td className="px-6 py-3">{run.dryRun ? '—' : run.filesDeleted}</td>
+                    <td className="px-6 py-3" title={run.error || ''}>
+                      <span
+                        className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
+                          run.status === 'COMPLETED'
+                            ? 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/30 dark:text-emerald-300'
+                            : run.status === 'FAILED'
+                              ? 'bg-rose-100 text-rose-700 dark:bg-rose-900/30 dark:text-rose-300'
+                              : 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300'
+                        }`}
+                      >
+                        {run.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RetentionRulesPanel;
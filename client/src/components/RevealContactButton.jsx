@@ -0,0 +1,60 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Eye, Loader } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Unmasks a candidate's email and phone for the current user. The first
+// reveal costs credits; after that the candidate stays unmasked for them.
+const RevealContactButton = ({ candidateId, onRevealed, className = '' }) => {
+  const queryClient = useQueryClient();
+
+  const { data: config } = useQuery({
+    queryKey: ['contact-reveal-config'],
+    queryFn: async () => {
+      const { data } = await api.get('/candidates/reveal/config');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const revealMutation = useMutation({
+    mutationFn: () => api.post(`/candidates/${candidateId}/reveal`),
+    onSuccess: ({ data }) => {
+      if (data.creditsCharged > 0) {
+        toast.success(`Contact revealed (${data.creditsCharged} credit${data.creditsCharged === 1 ? '' : 's'} used)`);
+        queryClient.invalidateQueries({ queryKey: ['credits'] });
+        queryClient.invalidateQueries({ queryKey: ['candidate-activity', candidateId] });
+      }
+      if (onRevealed) onRevealed({ email: data.email, phone: data.phone });
+    },
+    onError: (err) => {
+      if (err.response?.status === 402) {
+        const { required, available } = err.response.data || {};
+        window.dispatchEvent(new CustomEvent('hirextra:insufficient-credits', {
+          detail: { required, available: available ?? 0, action: 'reveal' },
+        }));
+        return;
+      }
+      toast.error(err.response?.data?.message || 'Failed to reveal contact details');
+    },
+  });
+
+  const cost = config?.creditsPerReveal;
+
+  return (
+    <button
+      onClick={(e) => {
+        e.stopPropagation();
+        revealMutation.mutate();
+      }}
+      disabled={!candidateId || revealMutation.isPending}
+      title={cost > 0 ? `Reveal email and phone for ${cost} credit${cost === 1 ? '' : 's'}` : 'Reveal email and phone'}
+      className={`flex items-center gap-1 px-2 py-1 rounded-lg border border-indigo-200 dark:border-indigo-800 text-indigo-600 dark:text-indigo-400 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 disabled:opacity-50 text-xs font-semibold cursor-pointer transition-colors ${className}`}
+    >
+      {revealMutation.isPending ? <Loader size={12} className="animate-spin" /> : <Eye size={12} />}
+      Reveal{cost > 0 ? ` · ${cost} cr` : ''}
+    </button>
+  );
+};
+
+export default RevealContactButton;
@@ -0,0 +1,228 @@
+import { useState, useRef, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Bookmark, Bell, BellOff, Trash2, Plus, Loader, RefreshCw } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Where the search page kept saved searches before they moved to the server
+const LEGACY_STORAGE_KEY = 'hirextra_saved_searches';
+
+// Legacy entries shaped as { name, filters } for POST /saved-searches/import
+const readLegacySavedSearches = () => {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
+    if (!Array.isArray(legacy)) return [];
+    return legacy
+      .filter((entry) => entry && typeof entry === 'object')
+      .map((entry, index) => ({
+        name: entry.name || `Saved search ${index + 1}`,
+        filters: { q: entry.q ?? entry.query ?? entry.searchInput ?? '', ...(entry.filters || {}) },
+      }));
+  } catch {
+    return [];
+  }
+};
+
+const formatSince = (date) => {
+  if (!date) return '';
+  const hours = (Date.now() - new Date(date).getTime()) / (60 * 60 * 1000);
+  if (hours < 1) return 'in the last hour';
+  if (hours < 36) return 'since yesterday';
+  return `since ${new Date(date).toLocaleDateString()}`;
+};
+
+// Server-side saved searches with new-match alerts.
+// `currentFilters` is the saved-search filters payload for what is on screen;
+// `onApply(savedSearch)` restores a saved search into the search page.
+const SavedSearchesMenu = ({ currentFilters, canSave, onApply }) => {
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const menuRef = useRef(null);
+  const legacyImportStarted = useRef(false);
+
+  const { data: savedSearches = [], isLoading } = useQuery({
+    queryKey: ['saved-searches'],
+    queryFn: async () => {
+      const { data } = await api.get('/saved-searches');
+      return data;
+    },
+    staleTime: 60 * 1000,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['saved-searches'] });
+
+  // One-time move of browser-only saved searches to the server. The local copy
+  // is dropped once the server has them; a failed import retries next visit.
+  useEffect(() => {
+    if (legacyImportStarted.current || localStorage.getItem(LEGACY_STORAGE_KEY) === null) return;
+    legacyImportStarted.current = true;
+    const searches = readLegacySavedSearches();
+    if (searches.length === 0) {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      return;
+    }
+    api
+      .post('/saved-searches/import', { searches })
+      .then(({ data }) => {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        if (data.imported > 0) {
+          queryClient.invalidateQueries({ queryKey: ['saved-searches'] });
+          toast.success(`Moved ${data.imported} saved search${data.imported === 1 ? '' : 'es'} to your account`);
+        }
+      })
+      .catch(() => {});
+  }, [queryClient]);
+
+  const createMutation = useMutation({
+    mutationFn: (payload) => api.post('/saved-searches', payload),
+    onSuccess: () => {
+      setName('');
+      invalidate();
+      toast.success('Search saved — we will email you new matches');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to save search'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...payload }) => api.patch(`/saved-searches/${id}`, payload),
+    onSuccess: invalidate,
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to update saved search'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/saved-searches/${id}`),
+    onSuccess: invalidate,
+    onError: () => toast.error('Failed to delete saved search'),
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (id) => api.post(`/saved-searches/${id}/run`),
+    onSuccess: ({ data }) => {
+      invalidate();
+      toast.success(`${data.run.newCount} new candidate${data.run.newCount === 1 ? '' : 's'}`);
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to run saved search'),
+  });
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const totalNew = savedSearches.reduce((sum, s) => sum + (s.lastNewCount || 0), 0);
+
+  const handleSave = () => {
+    if (!name.trim()) return toast.error('Give this search a name');
+    createMutation.mutate({ name: name.trim(), filters: currentFilters });
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        title="Saved searches"
+        className="relative ml-1 p-2 rounded-xl transition-all border border-transparent text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 hover:text-slate-800 dark:hover:text-slate-200 cursor-pointer"
+      >
+        <Bookmark size={16} />
+        {totalNew > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[18px] h-[18px] px-1 rounded-full bg-indigo-600 text-white text-[10px] font-bold flex items-center justify-center">
+            {totalNew > 99 ? '99+' : totalNew}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-50 overflow-hidden">
+          <div className="p-3 border-b border-slate-100 dark:border-slate-800">
+            <div className="flex items-center gap-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+                disabled={!canSave}
+                placeholder={canSave ? 'Name this search…' : 'Apply filters to save a search'}
+                className="flex-1 px-3 py-1.5 bg-slate-100/50 dark:bg-slate-800/50 border border-slate-200 dark:border-slate-700 rounded-lg text-xs text-slate-800 dark:text-slate-200 placeholder-slate-400 outline-none focus:border-indigo-500"
+              />
+              <button
+                onClick={handleSave}
+                disabled={!canSave || createMutation.isPending}
+                className="p-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white cursor-pointer"
+                title="Save current search"
+              >
+                {createMutation.isPending ? <Loader size={14} className="animate-spin" /> : <Plus size={14} />}
+              </button>
+            </div>
+          </div>
+
+          <div className="max-h-80 overflow-y-auto">
+            {isLoading ? (
+              <div className="flex justify-center p-4">
+                <Loader size={16} className="animate-spin text-indigo-500" />
+              </div>
+            ) : savedSearches.length === 0 ? (
+              <p className="p-4 text-xs text-slate-500 dark:text-slate-400 text-center">No saved searches yet</p>
+            ) : (
+              savedSearches.map((search) => (
+                <div
+                  key={search._id}
+                  className="group flex items-center gap-2 px-3 py-2 hover:bg-slate-50 dark:hover:bg-slate-800/60 border-b border-slate-100 dark:border-slate-800 last:border-b-0"
+                >
+                  <button
+                    onClick={() => {
+                      onApply(search);
+                      setOpen(false);
+                    }}
+                    className="flex-1 min-w-0 text-left cursor-pointer"
+                  >
+                    <p className="text-sm font-medium text-slate-800 dark:text-slate-200 truncate">{search.name}</p>
+                    <p className="text-[11px] text-slate-500 dark:text-slate-400">
+                      {search.lastRunAt ? (
+                        <>
+                          <span className={search.lastNewCount > 0 ? 'text-indigo-600 dark:text-indigo-400 font-semibold' : ''}>
+                            {search.lastNewCount} new
+                          </span>{' '}
+                          {formatSince(search.lastRunAt)}
+                        </>
+                      ) : (
+                        'Not run yet'
+                      )}
+                    </p>
+                  </button>
+                  <button
+                    onClick={() => runMutation.mutate(search._id)}
+                    title="Check for new matches now"
+                    className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer"
+                  >
+                    <RefreshCw size={13} className={runMutation.isPending && runMutation.variables === search._id ? 'animate-spin' : ''} />
+                  </button>
+                  <button
+                    onClick={() => updateMutation.mutate({ id: search._id, alertsEnabled: !search.alertsEnabled })}
+                    title={search.alertsEnabled ? 'Email alerts on' : 'Email alerts off'}
+                    className={`p-1 cursor-pointer ${search.alertsEnabled ? 'text-indigo-600 dark:text-indigo-400' : 'text-slate-400'}`}
+                  >
+                    {search.alertsEnabled ? <Bell size={13} /> : <BellOff size={13} />}
+                  </button>
+                  <button
+                    onClick={() => deleteMutation.mutate(search._id)}
+                    title="Delete saved search"
+                    className="p-1 text-slate-400 hover:text-rose-600 cursor-pointer"
+                  >
+                    <Trash2 size={13} />
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearchesMenu;
@@ -0,0 +1,316 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { BarChart3, Loader, Search, SearchX, Timer, Users } from 'lucide-react';
+import api from '../api/axios';
+
+const ENDPOINT_LABELS = {
+  CANDIDATE_SEARCH: 'Candidate search',
+  INTERNAL_DB: 'Internal DB',
+  AI_SOURCE: 'AI sourcing',
+};
+const RANGE_OPTIONS = [7, 30, 90];
+// Bar colours for the top users in the daily volume chart; everyone else is grey
+const USER_COLORS = ['bg-indigo-500', 'bg-emerald-500', 'bg-amber-500', 'bg-sky-500', 'bg-rose-500'];
+const OTHER_COLOR = 'bg-slate-300 dark:bg-slate-600';
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`);
+
+const Card = ({ icon, label, value, hint }) => (
+  <div className="bg-white dark:bg-slate-900 rounded-2xl p-4 shadow border border-slate-200 dark:border-transparent">
+    <p className="text-xs font-semibold uppercase tracking-wider text-slate-400 flex items-center gap-1.5">
+      {icon}
+      {label}
+    </p>
+    <p className="text-2xl font-bold text-slate-900 dark:text-white mt-1">{value}</p>
+    {hint && <p className="text-xs text-slate-400 mt-0.5">{hint}</p>}
+  </div>
+);
+
+const Section = ({ title, children }) => (
+  <div className="bg-white dark:bg-slate-900/80 rounded-2xl shadow-xl border border-slate-200 dark:border-slate-800">
+    <h3 className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 text-lg font-semibold text-slate-900 dark:text-slate-100">
+      {title}
+    </h3>
+    {children}
+  </div>
+);
+
+const QueryTable = ({ rows, empty }) =>
+  rows.length === 0 ? (
+    <p className="p-6 text-sm text-slate-400 italic">{empty}</p>
+  ) : (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+          <tr>
+            <th className="px-6 py-3">Query</th>
+            <th className="px-6 py-3">Source</th>
+            <th className="px-6 py-3 text-right">Searches</th>
+            <th className="px-6 py-3 text-right">Users</th>
+            <th className="px-6 py-3 text-right">Avg results</th>
+            <th className="px-6 py-3 text-right">Avg latency</th>
+            <th className="px-6 py-3">Last</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+          {rows.map((row) => (
+            <tr key={`${row.endpoint}:${row.query}`}>
+              <td className="px-6 py-3 max-w-sm truncate" title={row.query}>
+                {row.query}
+              </td>
+              <td className="px-6 py-3 whitespace-nowrap">{ENDPOINT_LABELS[row.endpoint]}</td>
+              <td className="px-6 py-3 text-right font-semibold">{row.count}</td>
+              <td className="px-6 py-3 text-right">{row.users}</td>
+              <td className="px-6 py-3 text-right">{row.avgResults}</td>
+              <td className="px-6 py-3 text-right">{formatMs(row.avgLatencyMs)}</td>
+              <td className="px-6 py-3 whitespace-nowrap">{new Date(row.lastSearchedAt).toLocaleDateString()}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+// Stacked daily bars: one segment per top user plus "everyone else"
+const VolumeChart = ({ daily, users }) => {
+  const max = Math.max(1, ...daily.map((day) => day.searches));
+  return (
+    <div className="p-6">
+      <div className="flex items-end gap-0.5 h-40">
+        {daily.map((day) => {
+          const userTotal = Object.values(day.byUser).reduce((sum, n) => sum + n, 0);
+          return (
+            <div
+              key={day.date}
+              title={`${day.date}: ${day.searches} searches, ${day.zeroResults} with no results`}
+              className="flex-1 h-full flex flex-col-reverse min-w-[3px]"
+            >
+              {users.map((user, i) =>
+                day.byUser[user.userId] ? (
+                  <div
+                    key={user.userId}
+                    className={USER_COLORS[i]}
+                    style={{ height: `${(day.byUser[user.userId] / max) * 100}%` }}
+                  />
+                ) : null
+              )}
+              {day.searches > userTotal && (
+                <div className={OTHER_COLOR} style={{ height: `${((day.searches - userTotal) / max) * 100}%` }} />
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[11px] text-slate-400 mt-1">
+        <span>{daily[0]?.date}</span>
+        <span>peak {max}/day</span>
+        <span>{daily[daily.length - 1]?.date}</span>
+      </div>
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-slate-500 dark:text-slate-400">
+        {users.map((user, i) => (
+          <span key={user.userId} className="flex items-center gap-1.5">
+            <span className={`w-2.5 h-2.5 rounded-sm ${USER_COLORS[i]}`} />
+            {user.name}
+          </span>
+        ))}
+        <span className="flex items-center gap-1.5">
+          <span className={`w-2.5 h-2.5 rounded-sm ${OTHER_COLOR}`} />
+          Everyone else
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Admin view of the search log: volume, top and zero-result queries, the
+// slowest calls and who searches most. Later pages of a candidate search are
+// not counted as new searches.
+const SearchAnalyticsPanel = () => {
+  const [days, setDays] = useState(30);
+  const [endpoint, setEndpoint] = useState('');
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: ['search-analytics', days, endpoint],
+    queryFn: async () => {
+      const { data } = await api.get('/admin/search-analytics', {
+        params: { days, endpoint: endpoint || undefined },
+      });
+      return data;
+    },
+    staleTime: 60 * 1000,
+  });
+
+  const totals = data?.totals;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-900 rounded-2xl p-6 shadow-xl border border-slate-200 dark:border-transparent flex flex-col md:flex-row md:items-center gap-4">
+        <div className="flex-1">
+          <h3 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+            <BarChart3 className="w-5 h-5 text-indigo-600" />
+            Search Analytics
+          </h3>
+          <p className="text-sm text-slate-400 mt-1">
+            Candidate searches, internal DB matches and AI sourcing runs with their results, latency and credits.
+          </p>
+        </div>
+        <select
+          value={endpoint}
+          onChange={(e) => setEndpoint(e.target.value)}
+          className="px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+        >
+          <option value="">All searches</option>
+          {Object.entries(ENDPOINT_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-1 bg-slate-100/80 dark:bg-slate-800/70 p-1 rounded-xl">
+          {RANGE_OPTIONS.map((option) => (
+            <button
+              key={option}
+              onClick={() => setDays(option)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-semibold cursor-pointer ${
+                days === option
+                  ? 'bg-white dark:bg-slate-900 text-indigo-600 dark:text-white shadow'
+                  : 'text-slate-500 dark:text-slate-400'
+              }`}
+            >
+              {option}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader className="animate-spin text-indigo-500" size={24} />
+        </div>
+      ) : isError || !data ? (
+        <p className="text-sm text-rose-500">Could not load search analytics</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Card
+              icon={<Search size={13} />}
+              label="Searches"
+              value={totals.searches.toLocaleString()}
+              hint={`${totals.calls.toLocaleString()} calls incl. pages · ${totals.failed} failed`}
+            />
+            <Card
+              icon={<SearchX size={13} />}
+              label="Zero results"
+              value={totals.zeroResults.toLocaleString()}
+              hint={totals.searches ? `${Math.round((totals.zeroResults / totals.searches) * 100)}% of searches` : null}
+            />
+            <Card
+              icon={<Timer size={13} />}
+              label="Avg latency"
+              value={formatMs(totals.avgLatencyMs)}
+              hint={`${totals.slow} slower than ${formatMs(data.slowThresholdMs)}`}
+            />
+            <Card
+              icon={<Users size={13} />}
+              label="Active users"
+              value={totals.users}
+              hint={`${totals.creditsCharged.toLocaleString()} credits charged`}
+            />
+          </div>
+
+          <Section title="Search volume by day">
+            <VolumeChart daily={data.daily} users={data.volumeUsers} />
+          </Section>
+
+          <Section title="Top queries">
+            <QueryTable rows={data.topQueries} empty="No searches in this period" />
+          </Section>
+
+          <Section title="Zero-result queries">
+            <QueryTable rows={data.zeroResultQueries} empty="Every search returned results" />
+          </Section>
+
+          <Section title="Slowest searches">
+            {data.slowQueries.length === 0 ? (
+              <p className="p-6 text-sm text-slate-400 italic">No searches in this period</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                    <tr>
+                      <th className="px-6 py-3">Query</th>
+                      <th className="px-6 py-3">Source</th>
+                      <th className="px-6 py-3">User</th>
+                      <th className="px-6 py-3 text-right">Latency</th>
+                      <th className="px-6 py-3 text-right">Results</th>
+                      <th className="px-6 py-3">When</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+                    {data.slowQueries.map((row) => (
+                      <tr key={row._id}>
+                        <td className="px-6 py-3 max-w-sm truncate" title={row.query}>
+                          {row.query || '—'}
+                          {row.page > 1 && <span className="ml-1 text-xs text-slate-400">(page {row.page})</span>}
+                          {row.status !== 'OK' && (
+                            <span className="ml-1 text-xs font-semibold text-rose-500">{row.status}</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap">
+                          {ENDPOINT_LABELS[row.endpoint]}
+                          {row.mode && row.mode !== 'keyword' ? ` · ${row.mode}` : ''}
+                        </td>
+                        <td className="px-6 py-3 whitespace-nowrap">{row.user.name}</td>
+                        <td className="px-6 py-3 text-right font-semibold">{formatMs(row.latencyMs)}</td>
+                        <td className="px-6 py-3 text-right">{row.resultCount}</td>
+                        <td className="px-6 py-3 whitespace-nowrap">{new Date(row.createdAt).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Section>
+
+          <Section title="Searches per user">
+            {data.users.length === 0 ? (
+              <p className="p-6 text-sm text-slate-400 italic">No searches in this period</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                    <tr>
+                      <th className="px-6 py-3">User</th>
+                      <th className="px-6 py-3 text-right">Searches</th>
+                      <th className="px-6 py-3 text-right">Zero results</th>
+                      <th className="px-6 py-3 text-right">Credits</th>
+                      <th className="px-6 py-3 text-right">Avg latency</th>
+                      <th className="px-6 py-3">Last search</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+                    {data.users.map((user) => (
+                      <tr key={user.userId || 'unknown'}>
+                        <td className="px-6 py-3">
+                          <p className="font-medium">{user.name}</p>
+                          {user.email && <p className="text-xs text-slate-400">{user.email}</p>}
+                        </td>
+                        <td className="px-6 py-3 text-right font-semibold">{user.searches}</td>
+                        <td className="px-6 py-3 text-right">{user.zeroResults}</td>
+                        <td className="px-6 py-3 text-right">{user.creditsCharged}</td>
+                        <td className="px-6 py-3 text-right">{formatMs(user.avgLatencyMs)}</td>
+                        <td className="px-6 py-3 whitespace-nowrap">{new Date(user.lastSearchedAt).toLocaleDateString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchAnalyticsPanel;
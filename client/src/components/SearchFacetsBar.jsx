@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { SlidersHorizontal, ChevronDown, ChevronUp, Loader } from 'lucide-react';
+import api from '../api/axios';
+
+const FACET_LABELS = {
+  country: 'Country',
+  locality: 'Locality',
+  company: 'Company',
+  jobTitle: 'Job Title',
+  skills: 'Skills',
+};
+
+// Clickable facet buckets for the current search. Facets are only fetched
+// while the bar is expanded so plain searches do not pay for the aggregation.
+const SearchFacetsBar = ({ queryFilters, enabled, onSelect }) => {
+  const [open, setOpen] = useState(false);
+
+  const { data, isFetching, isError } = useQuery({
+    queryKey: ['candidate-facets', queryFilters],
+    queryFn: async () => {
+      const params = new URLSearchParams(
+        Object.entries(queryFilters).filter(
+          ([, v]) => v !== '' && v !== false && v !== undefined && v !== null,
+        ),
+      );
+      const { data } = await api.get(`/candidates/facets?${params}`);
+      return data;
+    },
+    enabled: enabled && open,
+    staleTime: 60 * 1000,
+    refetchOnWindowFocus: false,
+  });
+
+  if (!enabled) return null;
+
+  return (
+    <div className="px-2 md:px-4 py-1.5 border-t border-slate-100 dark:border-slate-800/60">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        className="flex items-center gap-1.5 text-xs font-medium text-slate-500 dark:text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 cursor-pointer"
+      >
+        <SlidersHorizontal size={13} />
+        Refine results
+        {open ? <ChevronUp size={13} /> : <ChevronDown size={13} />}
+        {open && isFetching && <Loader size={12} className="animate-spin text-indigo-500" />}
+      </button>
+
+      {open && (
+        <div className="mt-2 pb-1 flex gap-4 overflow-x-auto">
+          {isError && (
+            <p className="text-xs text-rose-500">Could not load facets for this search.</p>
+          )}
+          {data &&
+            Object.entries(data.facets || {}).map(([field, buckets]) =>
+              buckets.length === 0 ? null : (
+                <div key={field} className="min-w-[180px] max-w-[240px] shrink-0">
+                  <p className="text-[10px] uppercase tracking-wide font-semibold text-slate-400 dark:text-slate-500 mb-1">
+                    {FACET_LABELS[field] || field}
+                  </p>
+                  <div className="flex flex-wrap gap-1">
+                    {buckets.map((bucket) => (
+                      <button
+                        key={bucket.value}
+                        onClick={() => onSelect(field, bucket.value)}
+                        title={`Filter by ${bucket.value}`}
+                        className="flex items-center gap-1 max-w-full px-2 py-0.5 rounded-full bg-slate-100 dark:bg-slate-800 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 border border-slate-200 dark:border-slate-700 hover:border-indigo-300 text-[11px] text-slate-700 dark:text-slate-300 cursor-pointer"
+                      >
+                        <span className="truncate">{bucket.value}</span>
+                        <span className="text-indigo-600 dark:text-indigo-400 font-semibold">
+                          {bucket.count.toLocaleString()}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ),
+            )}
+          {data?.sampled && (
+            <p className="self-end text-[10px] text-slate-400 whitespace-nowrap">
+              Based on the newest {data.sampleSize.toLocaleString()} matches
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchFacetsBar;
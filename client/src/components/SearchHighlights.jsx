@@ -0,0 +1,67 @@
+const FIELD_LABELS = {
+  fullName: 'Name',
+  jobTitle: 'Title',
+  company: 'Company',
+  location: 'Location',
+  locality: 'Location',
+  country: 'Country',
+  skills: 'Skills',
+  summary: 'Summary',
+  resume: 'Resume',
+};
+
+// Snippet text with the server-provided match ranges wrapped in <mark>
+const MarkedSnippet = ({ snippet, matches = [] }) => {
+  const parts = [];
+  let cursor = 0;
+  [...matches]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start < cursor) return;
+      if (start > cursor) parts.push(snippet.slice(cursor, start));
+      parts.push(
+        <mark key={start} className="bg-amber-100 dark:bg-amber-500/30 text-inherit rounded px-0.5">
+          {snippet.slice(start, end)}
+        </mark>
+      );
+      cursor = end;
+    });
+  if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+  return <>{parts}</>;
+};
+
+// Why a candidate came back for a keyword search: the fields that matched
+// and highlighted snippets from skills, summary and the parsed resume.
+// `fuzzy` marks a typo-tolerant match (similar spelling, not the exact words).
+const SearchHighlights = ({ matchedFields = [], highlights = [], max = 2, fuzzy = false }) => {
+  if (matchedFields.length === 0 && highlights.length === 0) return null;
+  const labels = [...new Set(matchedFields.map((field) => FIELD_LABELS[field] || field))];
+  const snippets = highlights.filter((h) => h.field !== 'skills').slice(0, max);
+  const skills = highlights.find((h) => h.field === 'skills');
+
+  return (
+    <div className="mt-2 space-y-1 text-xs text-slate-500 dark:text-slate-400">
+      {labels.length > 0 && (
+        <p>
+          <span className="font-semibold text-slate-600 dark:text-slate-300">
+            {fuzzy ? 'Similar spelling:' : 'Matched:'}
+          </span>{' '}
+          {labels.join(', ')}
+        </p>
+      )}
+      {skills && (
+        <p className="truncate" title={skills.snippet}>
+          <MarkedSnippet snippet={skills.snippet} matches={skills.matches} />
+        </p>
+      )}
+      {snippets.map((h) => (
+        <p key={h.field} className="line-clamp-2 leading-snug">
+          <span className="font-semibold text-slate-600 dark:text-slate-300">{FIELD_LABELS[h.field]}:</span>{' '}
+          <MarkedSnippet snippet={h.snippet} matches={h.matches} />
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default SearchHighlights;
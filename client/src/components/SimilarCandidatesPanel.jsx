@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { Users, Loader, MapPin, ChevronRight } from 'lucide-react';
+import api from '../api/axios';
+
+const CATEGORY_STYLES = {
+  PERFECT: 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400',
+  STRONG: 'bg-indigo-100 dark:bg-indigo-900/30 text-indigo-700 dark:text-indigo-400',
+  GOOD: 'bg-sky-100 dark:bg-sky-900/30 text-sky-700 dark:text-sky-400',
+  PARTIAL: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400',
+};
+
+// "More like this": candidates from the global DB and the user's private DBs
+// ranked against this profile's title, skills, experience and location.
+// Runs on demand because each lookup costs a search credit.
+const SimilarCandidatesPanel = ({ candidateId, onOpen, enabled = true }) => {
+  const queryClient = useQueryClient();
+  const [requested, setRequested] = useState(false);
+
+  const { data, isFetching, isError, error } = useQuery({
+    queryKey: ['similar-candidates', candidateId],
+    queryFn: async () => {
+      try {
+        const { data } = await api.get(`/candidates/${candidateId}/similar`);
+        queryClient.invalidateQueries({ queryKey: ['credits'] });
+        return data;
+      } catch (err) {
+        if (err.response?.status === 402) {
+          const { required, available } = err.response.data || {};
+          window.dispatchEvent(new CustomEvent('hirextra:insufficient-credits', {
+            detail: { required, available: available ?? 0, action: 'search' },
+          }));
+        }
+        throw err;
+      }
+    },
+    enabled: Boolean(candidateId) && enabled && requested,
+    staleTime: 5 * 60 * 1000,
+    retry: false,
+  });
+
+  const candidates = data?.candidates || [];
+
+  return (
+    <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-4 md:p-6 shadow-sm">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-bold text-slate-800 dark:text-slate-200 uppercase tracking-wider flex items-center gap-2">
+          <span className="bg-indigo-100 dark:bg-indigo-900/30 p-1.5 rounded-lg">
+            <Users className="text-indigo-600 dark:text-indigo-400" size={16} />
+          </span>
+          Similar Candidates
+        </h3>
+        {!data && (
+          <button
+            onClick={() => setRequested(true)}
+            disabled={!enabled || isFetching}
+            title="Search for profiles like this one (1 credit)"
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+          >
+            {isFetching ? <Loader size={13} className="animate-spin" /> : <Users size={13} />}
+            Find similar
+          </button>
+        )}
+      </div>
+
+      {isError && (
+        <p className="mt-4 text-sm text-rose-500">
+          {error?.response?.data?.message || 'Could not find similar candidates'}
+        </p>
+      )}
+
+      {data && (
+        <div className="mt-4 space-y-2">
+          <p className="text-xs text-slate-500 dark:text-slate-400">
+            Matched on {[data.requirements?.jobTitle, ...(data.requirements?.requiredSkills || []).slice(0, 4)]
+              .filter(Boolean)
+              .join(', ')}
+            {data.requirements?.location && data.requirements.location !== 'Unspecified'
+              ? ` in ${data.requirements.location}`
+              : ''}
+          </p>
+          {candidates.length === 0 ? (
+            <p className="text-sm text-slate-400 italic">No similar candidates found</p>
+          ) : (
+            candidates.map((c) => (
+              <button
+                key={c._id}
+                onClick={() => onOpen?.(c)}
+                className="w-full text-left flex items-start gap-3 p-3 rounded-xl border border-slate-100 dark:border-slate-800 hover:border-indigo-200 dark:hover:border-indigo-800 hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors cursor-pointer"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold text-sm text-slate-800 dark:text-slate-100 truncate">{c.fullName}</span>
+                    <span
+                      className={`shrink-0 px-1.5 py-0.5 rounded text-[10px] font-bold ${CATEGORY_STYLES[c.matchCategory] || 'bg-slate-100 dark:bg-slate-800 text-slate-500'}`}
+                    >
+                      {c.matchScore}%
+                    </span>
+                    {c.privateDbId && (
+                      <span className="shrink-0 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-400">
+                        My DB
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-slate-500 dark:text-slate-400 truncate">
+                    {[c.jobTitle, c.company].filter(Boolean).join(' · ')}
+                  </p>
+                  {(c.locality || c.location) && (
+                    <p className="text-[11px] text-slate-400 flex items-center gap-1 mt-0.5">
+                      <MapPin size={10} />
+                      {c.locality || c.location}
+                    </p>
+                  )}
+                  {c.matchedSkills?.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-1.5">
+                      {c.matchedSkills.slice(0, 6).map((skill) => (
+                        <span
+                          key={skill}
+                          className="px-1.5 py-0.5 rounded bg-indigo-50 dark:bg-indigo-900/20 text-indigo-700 dark:text-indigo-300 text-[10px] font-medium"
+                        >
+                          {skill}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <ChevronRight size={16} className="shrink-0 mt-1 text-slate-300 dark:text-slate-600" />
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimilarCandidatesPanel;
@@ -32,6 +32,7 @@ import {
   Users,
 } from 'lucide-react';
 import api from '../api/axios';
+import AddToJobMenu from './AddToJobMenu';
 import toast from 'react-hot-toast';
 
 // ── Snippet extraction helpers ──────────────────────────────────────────────
@@ -1215,9 +1216,9 @@ export default function SourcingAgentModal({ isOpen = true, onClose = () => {},
         location: candidate.location,
       });
       toast.success(`Stage: ${stage}`, { duration: 1500 });
-    } catch {
+    } catch (err) {
       setStageMap(m => ({ ...m, [linkedInUrl]: prev }));
-      toast.error('Failed to update stage');
+      toast.error(err.response?.status === 403 ? err.response.data?.error : 'Failed to update stage');
     }
   };
 
@@ -1234,8 +1235,8 @@ export default function SourcingAgentModal({ isOpen = true, onClose = () => {},
         recruiterName: '',
       });
       setOutreachMessage(data?.message || '');
-    } catch {
-      toast.error('Failed to generate message');
+    } catch (err) {
+      toast.error(err.response?.status === 403 ? err.response.data?.error : 'Failed to generate message');
     } finally {
       setOutreachLoading(false);
     }
@@ -2275,6 +2276,19 @@ export default function SourcingAgentModal({ isOpen = true, onClose = () => {},
                             >
                               <MessageSquare size={12} /> Outreach
                             </button>
+                            {linkedInUrl && (
+                              <>
+                                <span className="text-slate-700 text-xs">·</span>
+                                <AddToJobMenu
+                                  source="SOURCING"
+                                  compact
+                                  resolveCandidateIds={async () => {
+                                    const id = candidate.savedCandidateId || (await handleSaveCandidate(candidate, { silent: true }));
+                                    return id ? [id] : [];
+                                  }}
+                                />
+                              </>
+                            )}
                           </div>
 
                           {/* Right: contact */}
@@ -0,0 +1,210 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Ban, Plus, Search, Trash2, Loader, ChevronLeft, ChevronRight } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+
+const KEY_TYPE_LABELS = { email: 'Email', phone: 'Phone', linkedin: 'LinkedIn' };
+const SOURCE_LABELS = { DO_NOT_CONTACT: 'Candidate flag', MANUAL: 'Added by admin' };
+
+const EMPTY_ENTRY = { email: '', phone: '', linkedinUrl: '', reason: '' };
+
+const inputClass =
+  'w-full px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500';
+
+// Admin view of the global suppression list. Entries are normalized emails,
+// phone numbers and LinkedIn profiles that must never be contacted; they are
+// kept when the candidate record is deleted, so a re-import stays blocked.
+const SuppressionListPanel = () => {
+  const queryClient = useQueryClient();
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [search, setSearch] = useState('');
+  const [keyType, setKeyType] = useState('');
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['suppressions', search, keyType, page],
+    queryFn: async () => {
+      const { data } = await api.get('/admin/suppressions', {
+        params: { q: search || undefined, keyType: keyType || undefined, page, limit: 20 },
+      });
+      return data;
+    },
+    staleTime: 0,
+  });
+
+  const addMutation = useMutation({
+    mutationFn: () => api.post('/admin/suppressions', entry),
+    onSuccess: ({ data }) => {
+      toast.success(data.message);
+      setEntry(EMPTY_ENTRY);
+      setPage(1);
+      queryClient.invalidateQueries({ queryKey: ['suppressions'] });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to add entry'),
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (id) => api.delete(`/admin/suppressions/${id}`),
+    onSuccess: () => {
+      toast.success('Removed from the suppression list');
+      queryClient.invalidateQueries({ queryKey: ['suppressions'] });
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to remove entry'),
+  });
+
+  const setField = (field) => (e) => setEntry((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleRemove = (id) => {
+    if (!window.confirm('Remove this entry? The person can be contacted again.')) return;
+    removeMutation.mutate(id);
+  };
+
+  const hasKey = [entry.email, entry.phone, entry.linkedinUrl].some((v) => v.trim());
+  const entries = data?.entries || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-slate-900 rounded-2xl p-6 shadow-xl border border-slate-200 dark:border-transparent">
+        <h3 className="text-xl font-semibold text-slate-900 dark:text-white flex items-center gap-2">
+          <Ban className="w-5 h-5 text-rose-600" />
+          Suppression List
+        </h3>
+        <p className="text-sm text-slate-400 mt-1 mb-5">
+          People who asked not to be contacted. Matching candidates are blocked from sequencing, calls, enrichment and
+          exports, even after their records are deleted.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input value={entry.email} onChange={setField('email')} placeholder="Email" className={inputClass} />
+          <input value={entry.phone} onChange={setField('phone')} placeholder="Phone" className={inputClass} />
+          <input
+            value={entry.linkedinUrl}
+            onChange={setField('linkedinUrl')}
+            placeholder="LinkedIn profile URL"
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-col md:flex-row gap-3 mt-3">
+          <input
+            value={entry.reason}
+            onChange={setField('reason')}
+            placeholder="Reason (required)"
+            maxLength={500}
+            className={inputClass}
+          />
+          <button
+            onClick={() => addMutation.mutate()}
+            disabled={!hasKey || !entry.reason.trim() || addMutation.isPending}
+            className="flex items-center justify-center gap-2 px-5 py-2 rounded-xl bg-rose-600 hover:bg-rose-700 disabled:opacity-50 text-white text-sm font-semibold cursor-pointer whitespace-nowrap"
+          >
+            {addMutation.isPending ? <Loader size={16} className="animate-spin" /> : <Plus size={16} />}
+            Add to list
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-slate-900/80 rounded-2xl shadow-xl border border-slate-200 dark:border-slate-800">
+        <div className="p-6 border-b border-slate-200 dark:border-slate-800 flex flex-col md:flex-row md:items-center gap-3">
+          <h3 className="flex-1 text-lg font-semibold text-slate-900 dark:text-slate-100">
+            Entries{data ? ` (${data.total})` : ''}
+          </h3>
+          <div className="relative">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" />
+            <input
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setPage(1);
+              }}
+              placeholder="Search"
+              className="pl-8 pr-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500"
+            />
+          </div>
+          <select
+            value={keyType}
+            onChange={(e) => {
+              setKeyType(e.target.value);
+              setPage(1);
+            }}
+            className="px-3 py-2 text-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+          >
+            <option value="">All types</option>
+            {Object.entries(KEY_TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader className="animate-spin text-indigo-500" size={20} />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="p-6 text-sm text-slate-400 italic">No entries</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-xs uppercase tracking-wider text-slate-500 dark:text-slate-400">
+                <tr>
+                  <th className="px-6 py-3">Type</th>
+                  <th className="px-6 py-3">Value</th>
+                  <th className="px-6 py-3">Reason</th>
+                  <th className="px-6 py-3">Source</th>
+                  <th className="px-6 py-3">Added</th>
+                  <th className="px-6 py-3" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800 text-slate-700 dark:text-slate-300">
+                {entries.map((e) => (
+                  <tr key={e._id}>
+                    <td className="px-6 py-3">{KEY_TYPE_LABELS[e.keyType]}</td>
+                    <td className="px-6 py-3 font-mono text-xs">{e.key}</td>
+                    <td className="px-6 py-3">{e.reason || '—'}</td>
+                    <td className="px-6 py-3">{SOURCE_LABELS[e.source]}</td>
+                    <td className="px-6 py-3 whitespace-nowrap">
+                      {new Date(e.createdAt).toLocaleDateString()}
+                      {e.addedByName ? ` · ${e.addedByName}` : ''}
+                    </td>
+                    <td className="px-6 py-3 text-right">
+                      <button
+                        onClick={() => handleRemove(e._id)}
+                        disabled={removeMutation.isPending}
+                        title="Remove"
+                        className="p-1.5 text-slate-400 hover:text-rose-600 disabled:opacity-50 cursor-pointer"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {data?.pages > 1 && (
+          <div className="flex items-center justify-end gap-2 px-6 py-3 border-t border-slate-200 dark:border-slate-800 text-sm text-slate-500">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+              className="p-1 disabled:opacity-40 cursor-pointer"
+            >
+              <ChevronLeft size={16} />
+            </button>
+            {page} / {data.pages}
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= data.pages}
+              className="p-1 disabled:opacity-40 cursor-pointer"
+            >
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SuppressionListPanel;
@@ -0,0 +1,32 @@
+import { useMemo } from 'react';
+import useTags from './useTags';
+import { tagColorClass } from './tagColors';
+
+// Colored chips for a candidate's tag ids. Ids of tags the user can't see
+// (someone else's personal tags) are skipped.
+const TagChips = ({ tagIds = [], max = Infinity, className = '' }) => {
+  const { data } = useTags();
+  const tagsById = useMemo(() => new Map((data?.tags || []).map((tag) => [tag._id, tag])), [data?.tags]);
+
+  const tags = (tagIds || []).map((id) => tagsById.get(String(id))).filter(Boolean);
+  if (tags.length === 0) return null;
+  const shown = tags.slice(0, max);
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {shown.map((tag) => (
+        <span
+          key={tag._id}
+          className={`inline-flex items-center px-1.5 py-0.5 rounded-md border text-[10px] font-semibold ${tagColorClass(tag.color)}`}
+        >
+          {tag.name}
+        </span>
+      ))}
+      {tags.length > shown.length && (
+        <span className="text-[10px] text-slate-400 self-center">+{tags.length - shown.length}</span>
+      )}
+    </div>
+  );
+};
+
+export default TagChips;
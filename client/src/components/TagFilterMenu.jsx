@@ -0,0 +1,95 @@
+import { useState, useRef, useEffect } from 'react';
+import { Tag as TagIcon, Check, Settings2 } from 'lucide-react';
+import useTags from './useTags';
+import { tagColorClass } from './tagColors';
+import TagManager from './TagManager';
+
+// Tag filter for the search bar. `value` is a comma-separated list of tag
+// ids (the tags= search param); candidates with any of them match.
+const TagFilterMenu = ({ value, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [managing, setManaging] = useState(false);
+  const menuRef = useRef(null);
+  const { data } = useTags();
+  const tags = data?.tags || [];
+  const selected = String(value || '').split(',').filter(Boolean);
+
+  const toggle = (id) => {
+    const next = selected.includes(id) ? selected.filter((t) => t !== id) : [...selected, id];
+    onChange(next.join(','));
+  };
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        title="Filter by tag"
+        className={`relative p-1.5 md:p-2 rounded-xl transition-all border h-9 w-9 md:h-auto md:w-auto flex items-center justify-center ${
+          selected.length > 0
+            ? 'bg-indigo-600 text-white border-indigo-600 shadow-md shadow-indigo-200 dark:shadow-none'
+            : 'bg-transparent text-slate-500 dark:text-slate-400 border-transparent hover:bg-slate-100 dark:hover:bg-slate-800 hover:text-slate-800 dark:hover:text-slate-200'
+        }`}
+      >
+        <TagIcon size={14} className="md:w-4 md:h-4" />
+        {selected.length > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-rose-500 text-white text-[10px] font-bold flex items-center justify-center">
+            {selected.length}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-60 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl shadow-xl z-50 overflow-hidden">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-slate-100 dark:border-slate-800">
+            <p className="text-xs font-semibold text-slate-700 dark:text-slate-200">Filter by tag</p>
+            {selected.length > 0 && (
+              <button onClick={() => onChange('')} className="text-[11px] text-indigo-600 hover:underline cursor-pointer">
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="max-h-64 overflow-y-auto py-1">
+            {tags.length === 0 ? (
+              <p className="px-3 py-3 text-xs text-slate-500 dark:text-slate-400 text-center">No tags yet</p>
+            ) : (
+              tags.map((tag) => (
+                <button
+                  key={tag._id}
+                  onClick={() => toggle(tag._id)}
+                  className="w-full flex items-center gap-2 px-3 py-1.5 text-left hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer"
+                >
+                  <span className={`flex-1 min-w-0 truncate inline-flex px-1.5 py-0.5 rounded-md border text-[11px] font-semibold ${tagColorClass(tag.color)}`}>
+                    {tag.name}
+                  </span>
+                  {tag.scope === 'ORG' && <span className="text-[10px] text-slate-400">org</span>}
+                  {selected.includes(tag._id) && <Check size={13} className="text-indigo-600" />}
+                </button>
+              ))
+            )}
+          </div>
+          <button
+            onClick={() => setManaging(true)}
+            className="w-full flex items-center gap-1.5 px-3 py-2 border-t border-slate-100 dark:border-slate-800 text-xs text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer"
+          >
+            <Settings2 size={13} />
+            Manage tags
+          </button>
+        </div>
+      )}
+
+      {managing && <TagManager onClose={() => setManaging(false)} />}
+    </div>
+  );
+};
+
+export default TagFilterMenu;
@@ -0,0 +1,257 @@
+import { useState, useContext } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { X, Plus, Trash2, Pencil, Check, Merge, Loader } from 'lucide-react';
+import api from '../api/axios';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../context/AuthContext';
+import { TAG_COLOR_CLASSES, tagColorClass } from './tagColors';
+
+const COLORS = Object.keys(TAG_COLOR_CLASSES);
+
+const isAdminRole = (role) => role === 'ADMIN' || role === 'SUPER_ADMIN';
+
+const ColorPicker = ({ value, onChange }) => (
+  <div className="flex gap-1">
+    {COLORS.map((color) => (
+      <button
+        key={color}
+        onClick={() => onChange(color)}
+        title={color}
+        className={`w-4 h-4 rounded-full border cursor-pointer ${tagColorClass(color)} ${
+          value === color ? 'ring-2 ring-offset-1 ring-indigo-500 dark:ring-offset-slate-900' : ''
+        }`}
+      />
+    ))}
+  </div>
+);
+
+// Tag manager: create, rename, recolor, merge and delete tags. Merge and
+// delete rewrite every candidate carrying the tag. Personal tags are managed
+// by their owner, organization tags by admins.
+const TagManager = ({ onClose }) => {
+  const { user } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const canManageOrg = isAdminRole(user?.role);
+
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('slate');
+  const [newScope, setNewScope] = useState('USER');
+  const [editing, setEditing] = useState(null); // { id, name, color }
+  const [merging, setMerging] = useState(null); // { id, targetId }
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['tags', 'counts'],
+    queryFn: async () => {
+      const { data } = await api.get('/tags', { params: { withCounts: true } });
+      return data;
+    },
+    staleTime: 0,
+  });
+  const tags = data?.tags || [];
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['tags'] });
+    queryClient.invalidateQueries({ queryKey: ['candidates'] });
+  };
+  const onError = (fallback) => (err) => toast.error(err.response?.data?.message || fallback);
+
+  const createMutation = useMutation({
+    mutationFn: () => api.post('/tags', { name: newName.trim(), color: newColor, scope: newScope }),
+    onSuccess: () => {
+      setNewName('');
+      invalidate();
+    },
+    onError: onError('Failed to create tag'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, ...payload }) => api.patch(`/tags/${id}`, payload),
+    onSuccess: () => {
+      setEditing(null);
+      invalidate();
+    },
+    onError: onError('Failed to update tag'),
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: ({ id, targetId }) => api.post(`/tags/${id}/merge`, { targetId }),
+    onSuccess: ({ data }) => {
+      setMerging(null);
+      invalidate();
+      toast.success(`${data.message} (${data.candidatesUpdated} candidates)`);
+    },
+    onError: onError('Failed to merge tags'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => api.delete(`/tags/${id}`),
+    onSuccess: ({ data }) => {
+      invalidate();
+      toast.success(`Tag deleted (removed from ${data.candidatesUpdated} candidates)`);
+    },
+    onError: onError('Failed to delete tag'),
+  });
+
+  const canManage = (tag) => (tag.scope === 'ORG' ? canManageOrg : String(tag.ownerId) === String(user?._id));
+
+  const handleCreate = () => {
+    if (!newName.trim()) return toast.error('Give the tag a name');
+    createMutation.mutate();
+  };
+
+  const handleDelete = (tag) => {
+    const count = tag.candidateCount ? ` It will be removed from ${tag.candidateCount} candidates.` : '';
+    if (window.confirm(`Delete tag "${tag.name}"?${count}`)) deleteMutation.mutate(tag._id);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] bg-black/50 backdrop-blur-sm flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-xl max-h-[85vh] flex flex-col bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-2xl shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-5 py-3 border-b border-slate-100 dark:border-slate-800">
+          <h3 className="text-sm font-bold text-slate-800 dark:text-slate-100">Tags</h3>
+          <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-700 dark:hover:text-slate-200 cursor-pointer">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="px-5 py-3 border-b border-slate-100 dark:border-slate-800 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+              placeholder="New tag name"
+              maxLength={60}
+              className="flex-1 px-3 py-1.5 text-sm rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-800 dark:text-slate-200 outline-none focus:border-indigo-500"
+            />
+            {canManageOrg && (
+              <select
+                value={newScope}
+                onChange={(e) => setNewScope(e.target.value)}
+                className="px-2 py-1.5 text-xs rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+              >
+                <option value="USER">Only me</option>
+                <option value="ORG">Organization</option>
+              </select>
+            )}
+            <button
+              onClick={handleCreate}
+              disabled={createMutation.isPending}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+            >
+              {createMutation.isPending ? <Loader size={13} className="animate-spin" /> : <Plus size={13} />}
+              Add
+            </button>
+          </div>
+          <ColorPicker value={newColor} onChange={setNewColor} />
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-5 py-2">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Loader size={18} className="animate-spin text-indigo-500" />
+            </div>
+          ) : tags.length === 0 ? (
+            <p className="py-8 text-center text-xs text-slate-500 dark:text-slate-400">No tags yet</p>
+          ) : (
+            <div className="divide-y divide-slate-100 dark:divide-slate-800">
+              {tags.map((tag) => (
+                <div key={tag._id} className="py-2 space-y-2">
+                  <div className="flex items-center gap-2">
+                    {editing?.id === tag._id ? (
+                      <input
+                        value={editing.name}
+                        onChange={(e) => setEditing((v) => ({ ...v, name: e.target.value }))}
+                        maxLength={60}
+                        className="flex-1 px-2 py-1 text-xs rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 outline-none focus:border-indigo-500"
+                      />
+                    ) : (
+                      <span className="flex-1 min-w-0">
+                        <span className={`inline-flex max-w-full truncate px-1.5 py-0.5 rounded-md border text-[11px] font-semibold ${tagColorClass(tag.color)}`}>
+                          {tag.name}
+                        </span>
+                      </span>
+                    )}
+                    <span className="text-[11px] text-slate-400 whitespace-nowrap">
+                      {tag.scope === 'ORG' ? 'Org' : 'Personal'}
+                      {typeof tag.candidateCount === 'number' ? ` · ${tag.candidateCount}` : ''}
+                    </span>
+                    {canManage(tag) &&
+                      (editing?.id === tag._id ? (
+                        <button
+                          onClick={() => updateMutation.mutate({ id: tag._id, name: editing.name, color: editing.color })}
+                          title="Save"
+                          className="p-1 text-emerald-600 cursor-pointer"
+                        >
+                          <Check size={14} />
+                        </button>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => setEditing({ id: tag._id, name: tag.name, color: tag.color })}
+                            title="Rename / recolor"
+                            className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer"
+                          >
+                            <Pencil size={14} />
+                          </button>
+                          <button
+                            onClick={() => setMerging(merging?.id === tag._id ? null : { id: tag._id, targetId: '' })}
+                            title="Merge into another tag"
+                            className="p-1 text-slate-400 hover:text-indigo-600 cursor-pointer"
+                          >
+                            <Merge size={14} />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(tag)}
+                            title="Delete"
+                            className="p-1 text-slate-400 hover:text-rose-500 cursor-pointer"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </>
+                      ))}
+                  </div>
+
+                  {editing?.id === tag._id && (
+                    <ColorPicker value={editing.color} onChange={(color) => setEditing((v) => ({ ...v, color }))} />
+                  )}
+
+                  {merging?.id === tag._id && (
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={merging.targetId}
+                        onChange={(e) => setMerging((v) => ({ ...v, targetId: e.target.value }))}
+                        className="flex-1 px-2 py-1 text-xs rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200"
+                      >
+                        <option value="">Merge into…</option>
+                        {tags
+                          .filter((t) => t._id !== tag._id && t.scope === tag.scope && canManage(t))
+                          .map((t) => (
+                            <option key={t._id} value={t._id}>
+                              {t.name}
+                            </option>
+                          ))}
+                      </select>
+                      <button
+                        onClick={() => mergeMutation.mutate(merging)}
+                        disabled={!merging.targetId || mergeMutation.isPending}
+                        className="px-2.5 py-1 rounded-md bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white text-xs font-semibold cursor-pointer"
+                      >
+                        Merge
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,15 @@
+import { useQuery } from '@tanstack/react-query';
+import api from '../api/axios';
+
+// Export templates visible to the user plus the column catalog.
+const useExportTemplates = () =>
+  useQuery({
+    queryKey: ['export-templates'],
+    queryFn: async () => {
+      const { data } = await api.get('/export-templates');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+export default useExportTemplates;
@@ -0,0 +1,15 @@
+import { useQuery } from '@tanstack/react-query';
+import api from '../api/axios';
+
+// Candidate tags visible to the user ({ tags, colors }).
+const useTags = () =>
+  useQuery({
+    queryKey: ['tags'],
+    queryFn: async () => {
+      const { data } = await api.get('/tags');
+      return data;
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+
+export default useTags;
@@ -2,6 +2,10 @@ import React, { useState, useEffect, useRef } from "react";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import api from "../api/axios";
 import FileUploader from "../components/FileUploader";
+import DataRequestsPanel from "../components/DataRequestsPanel";
+import RetentionRulesPanel from "../components/RetentionRulesPanel";
+import SuppressionListPanel from "../components/SuppressionListPanel";
+import SearchAnalyticsPanel from "../components/SearchAnalyticsPanel";
 import {
 	FileText,
 	CloudUpload,
@@ -624,6 +628,50 @@ const AdminDashboard = () => {
 					}`}>
 									History
 								</button>
+
+								<button
+									onClick={() => setActiveTab("privacy")}
+									className={`px-6 py-2.5 rounded-lg text-sm font-semibold cursor-pointer transition-all shadow-sm
+          ${
+						activeTab === "privacy"
+							? "bg-white dark:bg-slate-900 text-indigo-600 dark:text-white shadow-md"
+							: "text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-white hover:bg-slate-200/50 dark:hover:bg-slate-700/60 shadow-none"
+					}`}>
+									Data Requests
+								</button>
+
+								<button
+									onClick={() => setActiveTab("retention")}
+									className={`px-6 py-2.5 rounded-lg text-sm font-semibold cursor-pointer transition-all shadow-sm
+          ${
+						activeTab === "retention"
+							? "bg-white dark:bg-slate-900 text-indigo-600 dark:text-white shadow-md"
+							: "text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-white hover:bg-slate-200/50 dark:hover:bg-slate-700/60 shadow-none"
+					}`}>
+									Retention
+								</button>
+
+								<button
+									onClick={() => setActiveTab("suppression")}
+									className={`px-6 py-2.5 rounded-lg text-sm font-semibold cursor-pointer transition-all shadow-sm
+          ${
+						activeTab === "suppression"
+							? "bg-white dark:bg-slate-900 text-indigo-600 dark:text-white shadow-md"
+							: "text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-white hover:bg-slate-200/50 dark:hover:bg-slate-700/60 shadow-none"
+					}`}>
+									Suppression
+								</button>
+
+								<button
+									onClick={() => setActiveTab("search-analytics")}
+									className={`px-6 py-2.5 rounded-lg text-sm font-semibold cursor-pointer transition-all shadow-sm
+          ${
+						activeTab === "search-analytics"
+							? "bg-white dark:bg-slate-900 text-indigo-600 dark:text-white shadow-md"
+							: "text-slate-500 dark:text-slate-400 hover:text-slate-800 dark:hover:text-white hover:bg-slate-200/50 dark:hover:bg-slate-700/60 shadow-none"
+					}`}>
+									Search Analytics
+								</button>
 							</div>
 
 							{/* <button
@@ -916,6 +964,18 @@ const AdminDashboard = () => {
 						</div>
 					)}
 
+					{/* DATA REQUESTS TAB (GDPR / DPDP) */}
+					{activeTab === "privacy" && <DataRequestsPanel />}
+
+					{/* RETENTION TAB */}
+					{activeTab === "retention" && <RetentionRulesPanel />}
+
+					{/* SUPPRESSION LIST TAB */}
+					{activeTab === "suppression" && <SuppressionListPanel />}
+
+					{/* SEARCH ANALYTICS TAB */}
+					{activeTab === "search-analytics" && <SearchAnalyticsPanel />}
+
 					{/* HISTORY TAB */}
 					{activeTab === "history" && (
 						<div className="space-y-8">
@@ -226,7 +226,7 @@ const UPIIcon = () => (
 // Popup shown automatically when any action fails with 402 Insufficient Credits
 const InsufficientCreditsModal = ({ onClose, onBuy, required = 0, available = 0, action = '' }) => {
 	const need = required - available;
-	const actionLabel = { search: 'Search (1 credit)', enrich: 'Enrich Contact (3 credits)', source: 'AI Sourcing (5 credits)' }[action] || 'this action';
+	const actionLabel = { search: 'Search (1 credit)', enrich: 'Enrich Contact (3 credits)', source: 'AI Sourcing (5 credits)', reveal: 'Contact Reveal' }[action] || 'this action';
 	return (
 		<div className="fixed inset-0 z-50 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4">
 			<div className="bg-white dark:bg-slate-900 rounded-2xl w-full max-w-sm shadow-2xl border border-slate-200 dark:border-slate-800 overflow-hidden">
@@ -1,8 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useContext } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import api from '../api/axios';
 import toast from 'react-hot-toast';
-import { Plus, Briefcase, MapPin, Building, X, Loader, Trash2, Edit2, ChevronDown } from 'lucide-react';
+import { Plus, Briefcase, MapPin, Building, X, Loader, Trash2, Edit2, ChevronDown, Sparkles, Users } from 'lucide-react';
+import JobDetailModal from '../components/JobDetailModal';
+import { AuthContext } from '../context/AuthContext';
 
 const STATUS_OPTS = ['OPEN', 'ON_HOLD', 'CLOSED'];
 const PRIORITY_OPTS = ['LOW', 'MEDIUM', 'HIGH'];
@@ -19,6 +21,8 @@ const PRIORITY_STYLES = {
   LOW:    'bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400 border border-slate-200 dark:border-slate-700',
 };
 
+const ROLE_LABELS = { OWNER: 'Owner', RECRUITER: 'Recruiter', VIEWER: 'Viewer' };
+
 const EMPTY_FORM = { title: '', client: '', location: '', skills: '', description: '', status: 'OPEN', priority: 'MEDIUM' };
 
 const JobFormModal = ({ initial, onSave, onClose, isSaving }) => {
@@ -88,8 +92,10 @@ const JobFormModal = ({ initial, onSave, onClose, isSaving }) => {
 
 const Jobs = () => {
   const queryClient = useQueryClient();
+  const { user } = useContext(AuthContext);
   const [showForm, setShowForm] = useState(false);
   const [editingJob, setEditingJob] = useState(null);
+  const [viewingJob, setViewingJob] = useState(null); // { job, tab }
   const [statusFilter, setStatusFilter] = useState('');
 
   const { data: jobs = [], isLoading } = useQuery({
@@ -109,7 +115,12 @@ const Jobs = () => {
 
   const updateMutation = useMutation({
     mutationFn: ({ id, form }) => api.patch(`/jobs/${id}`, form),
-    onSuccess: () => { queryClient.invalidateQueries({ queryKey: ['jobs'] }); toast.success('Job updated'); setEditingJob(null); },
+    onSuccess: (_, { id }) => {
+      queryClient.invalidateQueries({ queryKey: ['jobs'] });
+      queryClient.invalidateQueries({ queryKey: ['job-recommendations', id] });
+      toast.success('Job updated');
+      setEditingJob(null);
+    },
     onError: () => toast.error('Failed to update job'),
   });
 
@@ -177,13 +188,18 @@ const Jobs = () => {
             {jobs.map(job => (
               <div key={job._id} className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl p-5 shadow-sm hover:shadow-md transition-shadow flex flex-col gap-3">
                 <div className="flex items-start justify-between gap-2">
-                  <h3 className="font-bold text-slate-900 dark:text-white text-base leading-tight">{job.title}</h3>
+                  <button onClick={() => setViewingJob({ job })} className="text-left font-bold text-slate-900 dark:text-white text-base leading-tight hover:text-indigo-600 dark:hover:text-indigo-400 transition cursor-pointer">{job.title}</button>
                   <span className={`shrink-0 text-[11px] font-bold px-2 py-0.5 rounded-full ${STATUS_STYLES[job.status]}`}>{job.status}</span>
                 </div>
 
                 <div className="space-y-1.5 text-sm text-slate-600 dark:text-slate-400">
                   {job.client && <p className="flex items-center gap-1.5"><Building size={13} className="text-slate-400 shrink-0"/>{job.client}</p>}
                   {job.location && <p className="flex items-center gap-1.5"><MapPin size={13} className="text-slate-400 shrink-0"/>{job.location}</p>}
+                  {job.createdBy?._id !== user?._id && job.createdBy?.name && (
+                    <p className="flex items-center gap-1.5 text-xs text-slate-500 dark:text-slate-400">
+                      <Users size={13} className="text-slate-400 shrink-0"/>Shared by {job.createdBy.name} · {ROLE_LABELS[job.myRole]}
+                    </p>
+                  )}
                   {job.skills && (
                     <div className="flex flex-wrap gap-1 mt-1">
                       {job.skills.split(',').map(s => s.trim()).filter(Boolean).slice(0, 6).map(skill => (
@@ -201,17 +217,34 @@ const Jobs = () => {
                   <span className={`text-[11px] font-semibold px-2 py-0.5 rounded-full ${PRIORITY_STYLES[job.priority]}`}>{job.priority}</span>
                   <div className="flex items-center gap-1">
                     <button
-                      onClick={() => setEditingJob(job)}
+                      onClick={() => setViewingJob({ job })}
                       className="p-1.5 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition cursor-pointer"
-                      title="Edit">
-                      <Edit2 size={14}/>
+                      title="Recommended candidates">
+                      <Sparkles size={14}/>
                     </button>
                     <button
-                      onClick={() => { if (window.confirm('Delete this job?')) deleteMutation.mutate(job._id); }}
-                      className="p-1.5 rounded-lg text-slate-400 hover:text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-500/10 transition cursor-pointer"
-                      title="Delete">
-                      <Trash2 size={14}/>
+                      onClick={() => setViewingJob({ job, tab: 'team' })}
+                      className="flex items-center gap-1 p-1.5 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition cursor-pointer"
+                      title={job.myRole === 'OWNER' ? 'Share with teammates' : 'Team'}>
+                      <Users size={14}/>
+                      {job.collaborators?.length > 0 && <span className="text-[11px] font-semibold">{job.collaborators.length + 1}</span>}
                     </button>
+                    {job.myRole !== 'VIEWER' && (
+                      <button
+                        onClick={() => setEditingJob(job)}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition cursor-pointer"
+                        title="Edit">
+                        <Edit2 size={14}/>
+                      </button>
+                    )}
+                    {job.myRole === 'OWNER' && (
+                      <button
+                        onClick={() => { if (window.confirm('Delete this job?')) deleteMutation.mutate(job._id); }}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-rose-500 hover:bg-rose-50 dark:hover:bg-rose-500/10 transition cursor-pointer"
+                        title="Delete">
+                        <Trash2 size={14}/>
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -236,6 +269,13 @@ const Jobs = () => {
           isSaving={updateMutation.isPending}
         />
       )}
+      {viewingJob && (
+        <JobDetailModal
+          job={viewingJob.job}
+          initialTab={viewingJob.tab}
+          onClose={() => setViewingJob(null)}
+        />
+      )}
     </div>
   );
 };
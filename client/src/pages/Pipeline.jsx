@@ -1,29 +1,159 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import api from '../api/axios';
 import toast from 'react-hot-toast';
-import { Loader, User, Briefcase, MapPin, Mail, Phone, ChevronRight, RefreshCw } from 'lucide-react';
+import {
+  Loader, User, Users, Briefcase, MapPin, Mail, Phone, ChevronLeft, ChevronRight, RefreshCw, History, Trash2, ListPlus,
+} from 'lucide-react';
 
 const STAGES = [
-  { key: 'DISCOVERED',       label: 'Discovered',        color: 'bg-slate-500',   light: 'bg-slate-100 dark:bg-slate-800/60',   border: 'border-slate-300 dark:border-slate-700',   badge: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' },
-  { key: 'CONTACT_ENRICHED', label: 'Contact Enriched',  color: 'bg-blue-500',    light: 'bg-blue-50 dark:bg-blue-900/20',      border: 'border-blue-200 dark:border-blue-700/50',  badge: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
-  { key: 'SEQUENCED',        label: 'Sequenced',         color: 'bg-violet-500',  light: 'bg-violet-50 dark:bg-violet-900/20',  border: 'border-violet-200 dark:border-violet-700/50', badge: 'bg-violet-100 text-violet-700 dark:bg-violet-900/40 dark:text-violet-300' },
-  { key: 'CALL_QUEUED',      label: 'Call Queued',       color: 'bg-amber-500',   light: 'bg-amber-50 dark:bg-amber-900/20',    border: 'border-amber-200 dark:border-amber-700/50',  badge: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
-  { key: 'SHORTLISTED',      label: 'Shortlisted',       color: 'bg-emerald-500', light: 'bg-emerald-50 dark:bg-emerald-900/20',border: 'border-emerald-200 dark:border-emerald-700/50', badge: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300' },
+  { key: 'SOURCED',      label: 'Sourced',      color: 'bg-slate-500',   light: 'bg-slate-100 dark:bg-slate-800/60',    border: 'border-slate-300 dark:border-slate-700',        badge: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' },
+  { key: 'CONTACTED',    label: 'Contacted',    color: 'bg-blue-500',    light: 'bg-blue-50 dark:bg-blue-900/20',       border: 'border-blue-200 dark:border-blue-700/50',       badge: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
+  { key: 'SCREENING',    label: 'Screening',    color: 'bg-violet-500',  light: 'bg-violet-50 dark:bg-violet-900/20',   border: 'border-violet-200 dark:border-violet-700/50',   badge: 'bg-violet-100 text-violet-700 dark:bg-violet-900/40 dark:text-violet-300' },
+  { key: 'SHORTLISTED',  label: 'Shortlisted',  color: 'bg-emerald-500', light: 'bg-emerald-50 dark:bg-emerald-900/20', border: 'border-emerald-200 dark:border-emerald-700/50', badge: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300' },
+  { key: 'INTERVIEWING', label: 'Interviewing', color: 'bg-amber-500',   light: 'bg-amber-50 dark:bg-amber-900/20',     border: 'border-amber-200 dark:border-amber-700/50',     badge: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+  { key: 'OFFERED',      label: 'Offered',      color: 'bg-sky-500',     light: 'bg-sky-50 dark:bg-sky-900/20',         border: 'border-sky-200 dark:border-sky-700/50',         badge: 'bg-sky-100 text-sky-700 dark:bg-sky-900/40 dark:text-sky-300' },
+  { key: 'HIRED',        label: 'Hired',        color: 'bg-green-600',   light: 'bg-green-50 dark:bg-green-900/20',     border: 'border-green-200 dark:border-green-700/50',     badge: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+  { key: 'REJECTED',     label: 'Rejected',     color: 'bg-rose-500',    light: 'bg-rose-50 dark:bg-rose-900/20',       border: 'border-rose-200 dark:border-rose-700/50',       badge: 'bg-rose-100 text-rose-700 dark:bg-rose-900/40 dark:text-rose-300' },
+];
+
+// Sourcing stages every candidate carries (Candidate.pipelineStage), across all jobs
+const GLOBAL_STAGES = [
+  { key: 'DISCOVERED',       label: 'Discovered',       color: 'bg-slate-500',   light: 'bg-slate-100 dark:bg-slate-800/60',    border: 'border-slate-300 dark:border-slate-700',        badge: 'bg-slate-100 text-slate-600 dark:bg-slate-700 dark:text-slate-300' },
+  { key: 'CONTACT_ENRICHED', label: 'Contact Enriched', color: 'bg-blue-500',    light: 'bg-blue-50 dark:bg-blue-900/20',       border: 'border-blue-200 dark:border-blue-700/50',       badge: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300' },
+  { key: 'SEQUENCED',        label: 'Sequenced',        color: 'bg-violet-500',  light: 'bg-violet-50 dark:bg-violet-900/20',   border: 'border-violet-200 dark:border-violet-700/50',   badge: 'bg-violet-100 text-violet-700 dark:bg-violet-900/40 dark:text-violet-300' },
+  { key: 'CALL_QUEUED',      label: 'Call Queued',      color: 'bg-amber-500',   light: 'bg-amber-50 dark:bg-amber-900/20',     border: 'border-amber-200 dark:border-amber-700/50',     badge: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+  { key: 'SHORTLISTED',      label: 'Shortlisted',      color: 'bg-emerald-500', light: 'bg-emerald-50 dark:bg-emerald-900/20', border: 'border-emerald-200 dark:border-emerald-700/50', badge: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-900/40 dark:text-emerald-300' },
 ];
 
 const stageIndex = (key) => STAGES.findIndex(s => s.key === key);
+const stageLabel = (key) => STAGES.find(s => s.key === key)?.label || key;
+const globalStageLabel = (key) => GLOBAL_STAGES.find(s => s.key === key)?.label || key;
+
+const JOB_STORAGE_KEY = 'hirextra_pipelineJob';
+// Job selector value for the global board
+const ALL_CANDIDATES = 'all';
+const GLOBAL_BOARD_LIMIT = 1000;
 
-const fetchByStage = async (stage) => {
-  const { data } = await api.get('/candidates/search', {
-    params: { pipelineStage: stage, limit: 200, sortBy: 'updatedAt', sortOrder: 'desc' },
+const daysSince = (date) => Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 86400000));
+
+// Stage moves for one application, fetched when the card's history is opened
+const StageHistory = ({ applicationId }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['application', applicationId],
+    queryFn: async () => {
+      const { data } = await api.get(`/applications/${applicationId}`);
+      return data;
+    },
+    staleTime: 30 * 1000,
   });
-  return data.candidates || [];
+
+  if (isLoading) return <div className="flex justify-center py-2"><Loader size={14} className="animate-spin text-slate-400"/></div>;
+  const history = [...(data?.stageHistory || [])].reverse();
+  return (
+    <ul className="mt-2 space-y-1 border-t border-slate-100 dark:border-slate-800 pt-2">
+      {history.map((entry, i) => (
+        <li key={i} className="text-[11px] text-slate-500 dark:text-slate-400">
+          <span className="font-semibold text-slate-700 dark:text-slate-300">
+            {entry.from ? `${stageLabel(entry.from)} → ${stageLabel(entry.to)}` : `Added as ${stageLabel(entry.to)}`}
+          </span>
+          {' · '}{new Date(entry.changedAt).toLocaleDateString()}
+          {entry.changedBy?.name && ` · ${entry.changedBy.name}`}
+          {entry.note && <span className="block italic">{entry.note}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const PipelineCard = ({ application, onMove, onRemove, isBusy, readOnly }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const { candidate } = application;
+  const stageIdx = stageIndex(application.stage);
+  // Moving forward skips REJECTED; it is reached with the stage picker
+  const prev = stageIdx > 0 && application.stage !== 'REJECTED' ? STAGES[stageIdx - 1] : null;
+  const next = stageIdx < STAGES.length - 2 ? STAGES[stageIdx + 1] : null;
+
+  return (
+    <div
+      draggable={!readOnly}
+      onDragStart={e => e.dataTransfer.setData('text/plain', application._id)}
+      className={`bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-xl p-3 shadow-sm hover:shadow-md transition-shadow group ${readOnly ? '' : 'cursor-grab active:cursor-grabbing'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex-1 min-w-0">
+          <p className="font-semibold text-slate-900 dark:text-white text-sm truncate">{candidate.fullName || 'Unknown'}</p>
+          {candidate.jobTitle && (
+            <p className="text-xs text-slate-500 dark:text-slate-400 truncate flex items-center gap-1 mt-0.5">
+              <Briefcase size={10} className="shrink-0"/>{candidate.jobTitle}
+            </p>
+          )}
+          {(candidate.locality || candidate.location) && (
+            <p className="text-xs text-slate-400 dark:text-slate-500 truncate flex items-center gap-1">
+              <MapPin size={10} className="shrink-0"/>{candidate.locality || candidate.location}
+            </p>
+          )}
+        </div>
+        <div className="shrink-0 flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition">
+          {prev && !readOnly && (
+            <button
+              onClick={() => onMove(application, prev.key)}
+              disabled={isBusy}
+              title={`Back to ${prev.label}`}
+              className="p-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 cursor-pointer disabled:opacity-50">
+              <ChevronLeft size={14}/>
+            </button>
+          )}
+          {next && !readOnly && (
+            <button
+              onClick={() => onMove(application, next.key)}
+              disabled={isBusy}
+              title={`Move to ${next.label}`}
+              className="p-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 cursor-pointer disabled:opacity-50">
+              {isBusy ? <Loader size={14} className="animate-spin"/> : <ChevronRight size={14}/>}
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="mt-2 flex items-center gap-2">
+        {candidate.email && <Mail size={11} className="text-emerald-500 shrink-0" title={candidate.email}/>}
+        {candidate.phone && <Phone size={11} className="text-blue-500 shrink-0" title={candidate.phone}/>}
+        {candidate.linkedinUrl && (
+          <a href={candidate.linkedinUrl} target="_blank" rel="noreferrer" className="text-[10px] text-indigo-500 hover:underline truncate" onClick={e => e.stopPropagation()}>LinkedIn</a>
+        )}
+        <span className="ml-auto text-[10px] text-slate-400" title={`In ${stageLabel(application.stage)} since ${new Date(application.stageChangedAt).toLocaleDateString()}`}>
+          {daysSince(application.stageChangedAt)}d
+        </span>
+      </div>
+      <div className="mt-2 flex items-center gap-2 text-[10px] text-slate-400">
+        <span className="truncate flex items-center gap-1"><User size={10} className="shrink-0"/>{application.owner?.name || 'Unassigned'}</span>
+        <select
+          value={application.stage}
+          onChange={e => onMove(application, e.target.value)}
+          disabled={isBusy || readOnly}
+          className="ml-auto px-1 py-0.5 rounded border border-slate-200 dark:border-slate-700 bg-transparent text-[10px] text-slate-500 dark:text-slate-300 cursor-pointer">
+          {STAGES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+        </select>
+        <button onClick={() => setShowHistory(v => !v)} title="Stage history" className="p-0.5 hover:text-indigo-500 cursor-pointer">
+          <History size={12}/>
+        </button>
+        {!readOnly && (
+          <button onClick={() => onRemove(application)} disabled={isBusy} title="Remove from job" className="p-0.5 hover:text-rose-500 cursor-pointer disabled:opacity-50">
+            <Trash2 size={12}/>
+          </button>
+        )}
+      </div>
+      {showHistory && <StageHistory applicationId={application._id}/>}
+    </div>
+  );
 };
 
-const PipelineCard = ({ candidate, stage, onAdvance, isAdvancing }) => {
-  const stageIdx = stageIndex(stage.key);
-  const isLast = stageIdx === STAGES.length - 1;
+// A card on the global board: the candidate's sourcing stage, not a job stage.
+// Stages are set by LinkedIn URL (POST /ai-source/candidate-stage), so records
+// without one can't be moved from here.
+const GlobalPipelineCard = ({ candidate, onAdvance, isBusy }) => {
+  const stageIdx = GLOBAL_STAGES.findIndex(s => s.key === (candidate.pipelineStage || 'DISCOVERED'));
+  const next = stageIdx >= 0 && stageIdx < GLOBAL_STAGES.length - 1 ? GLOBAL_STAGES[stageIdx + 1] : null;
+
   return (
     <div className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-xl p-3 shadow-sm hover:shadow-md transition-shadow group">
       <div className="flex items-start justify-between gap-2">
@@ -40,13 +170,13 @@ const PipelineCard = ({ candidate, stage, onAdvance, isAdvancing }) => {
             </p>
           )}
         </div>
-        {!isLast && (
+        {next && candidate.linkedinUrl && (
           <button
-            onClick={() => onAdvance(candidate._id, STAGES[stageIdx + 1].key)}
-            disabled={isAdvancing}
-            title={`Move to ${STAGES[stageIdx + 1].label}`}
+            onClick={() => onAdvance(candidate, next.key)}
+            disabled={isBusy}
+            title={`Move to ${next.label}`}
             className="shrink-0 p-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-indigo-100 dark:hover:bg-indigo-500/20 text-slate-400 hover:text-indigo-600 dark:hover:text-indigo-400 transition opacity-0 group-hover:opacity-100 cursor-pointer disabled:opacity-50">
-            {isAdvancing ? <Loader size={14} className="animate-spin"/> : <ChevronRight size={14}/>}
+            {isBusy ? <Loader size={14} className="animate-spin"/> : <ChevronRight size={14}/>}
           </button>
         )}
       </div>
@@ -63,99 +193,273 @@ const PipelineCard = ({ candidate, stage, onAdvance, isAdvancing }) => {
 
 const Pipeline = () => {
   const queryClient = useQueryClient();
-  const [advancingId, setAdvancingId] = useState(null);
-
-  // Fetch all stages in parallel
-  const queries = STAGES.map(stage =>
-    useQuery({
-      queryKey: ['pipeline', stage.key],
-      queryFn: () => fetchByStage(stage.key),
-      staleTime: 60 * 1000,
-    })
-  );
+  const [busyId, setBusyId] = useState(null);
+  const [dragOverStage, setDragOverStage] = useState(null);
+  const [jobId, setJobId] = useState(() => localStorage.getItem(JOB_STORAGE_KEY) || '');
+
+  useEffect(() => {
+    if (jobId) localStorage.setItem(JOB_STORAGE_KEY, jobId);
+  }, [jobId]);
+
+  const { data: jobs = [], isLoading: jobsLoading } = useQuery({
+    queryKey: ['jobs', ''],
+    queryFn: async () => {
+      const { data } = await api.get('/jobs');
+      return data;
+    },
+    staleTime: 30 * 1000,
+  });
+
+  const showAll = jobId === ALL_CANDIDATES;
+  // A remembered job that was deleted (or belongs to someone else) is dropped
+  const selectedJob = jobs.find(j => j._id === jobId) || null;
+  // Viewers of a shared job see the board but cannot change it
+  const readOnly = selectedJob?.myRole === 'VIEWER';
+
+  const { data: board, isLoading, isError } = useQuery({
+    queryKey: ['job-applications', jobId],
+    queryFn: async () => {
+      const { data } = await api.get(`/jobs/${jobId}/applications`);
+      return data;
+    },
+    enabled: Boolean(selectedJob),
+    staleTime: 60 * 1000,
+  });
+
+  const { data: shortlists = [] } = useQuery({
+    queryKey: ['shortlists'],
+    queryFn: async () => {
+      const { data } = await api.get('/shortlists');
+      return data;
+    },
+    enabled: Boolean(selectedJob) && !readOnly,
+    staleTime: 60 * 1000,
+  });
+
+  // The global board is one candidate search across all sourcing stages
+  const { data: globalCandidates = [], isLoading: globalLoading, isError: globalError } = useQuery({
+    queryKey: ['pipeline', 'all'],
+    queryFn: async () => {
+      const { data } = await api.get('/candidates/search', {
+        params: { pipelineStage: GLOBAL_STAGES.map(s => s.key).join(','), limit: GLOBAL_BOARD_LIMIT },
+      });
+      return data.candidates || [];
+    },
+    enabled: showAll,
+    staleTime: 60 * 1000,
+  });
+
+  const refreshBoard = () => queryClient.invalidateQueries({ queryKey: showAll ? ['pipeline'] : ['job-applications', jobId] });
+
+  const moveMutation = useMutation({
+    mutationFn: ({ application, stage }) => api.patch(`/applications/${application._id}`, { stage }),
+    onSuccess: (_, { application, stage }) => {
+      refreshBoard();
+      queryClient.invalidateQueries({ queryKey: ['application', application._id] });
+      toast.success(`Moved to ${stageLabel(stage)}`);
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to update stage'),
+    onSettled: () => setBusyId(null),
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: (application) => api.delete(`/applications/${application._id}`),
+    onSuccess: () => {
+      refreshBoard();
+      toast.success('Removed from job');
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to remove'),
+    onSettled: () => setBusyId(null),
+  });
+
+  const addShortlistMutation = useMutation({
+    mutationFn: (shortlistId) => api.post(`/jobs/${jobId}/applications`, { shortlistId }),
+    onSuccess: ({ data }) => {
+      refreshBoard();
+      toast.success(`Added ${data.added} candidate${data.added === 1 ? '' : 's'}${data.alreadyOnJob ? ` (${data.alreadyOnJob} already on this job)` : ''}`);
+    },
+    onError: (err) => toast.error(err.response?.data?.message || 'Failed to add shortlist'),
+  });
 
   const advanceMutation = useMutation({
-    mutationFn: ({ candidateId, newStage }) =>
-      api.post('/ai-source/candidate-stage', { candidateId, stage: newStage }),
-    onSuccess: (_, { newStage }) => {
-      // Invalidate current and next stage
-      STAGES.forEach(s => queryClient.invalidateQueries({ queryKey: ['pipeline', s.key] }));
-      toast.success(`Moved to ${STAGES.find(s => s.key === newStage)?.label}`);
+    mutationFn: ({ candidate, stage }) =>
+      api.post('/ai-source/candidate-stage', { linkedinUrl: candidate.linkedinUrl, stage }),
+    onSuccess: (_, { stage }) => {
+      queryClient.invalidateQueries({ queryKey: ['pipeline'] });
+      toast.success(`Moved to ${globalStageLabel(stage)}`);
     },
-    onError: () => toast.error('Failed to update stage'),
-    onSettled: () => setAdvancingId(null),
+    onError: (err) => toast.error(err.response?.data?.error || 'Failed to update stage'),
+    onSettled: () => setBusyId(null),
   });
 
-  const handleAdvance = useCallback((candidateId, newStage) => {
-    setAdvancingId(candidateId);
-    advanceMutation.mutate({ candidateId, newStage });
+  const handleAdvance = useCallback((candidate, stage) => {
+    setBusyId(candidate._id);
+    advanceMutation.mutate({ candidate, stage });
   }, [advanceMutation]);
 
-  const totalCandidates = queries.reduce((sum, q) => sum + (q.data?.length || 0), 0);
-  const isLoading = queries.some(q => q.isLoading);
+  const handleMove = useCallback((application, stage) => {
+    if (stage === application.stage) return;
+    setBusyId(application._id);
+    moveMutation.mutate({ application, stage });
+  }, [moveMutation]);
+
+  const handleRemove = useCallback((application) => {
+    if (!window.confirm(`Remove ${application.candidate.fullName || 'this candidate'} from ${selectedJob?.title}?`)) return;
+    setBusyId(application._id);
+    removeMutation.mutate(application);
+  }, [removeMutation, selectedJob]);
+
+  const handleDrop = (e, stage) => {
+    e.preventDefault();
+    setDragOverStage(null);
+    if (readOnly) return;
+    const application = board?.applications.find(a => a._id === e.dataTransfer.getData('text/plain'));
+    if (application) handleMove(application, stage);
+  };
+
+  const applications = board?.applications || [];
+  const byStage = STAGES.reduce((acc, s) => ({ ...acc, [s.key]: [] }), {});
+  applications.forEach(a => byStage[a.stage]?.push(a));
+  const byGlobalStage = GLOBAL_STAGES.reduce((acc, s) => ({ ...acc, [s.key]: [] }), {});
+  globalCandidates.forEach(c => byGlobalStage[c.pipelineStage || 'DISCOVERED']?.push(c));
+
+  const boardStages = showAll ? GLOBAL_STAGES : STAGES;
+  const boardLoading = showAll ? globalLoading : isLoading;
 
   return (
     <div className="flex flex-col h-full overflow-hidden">
       {/* Header */}
-      <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900/80 flex items-center justify-between shrink-0">
+      <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900/80 flex flex-wrap items-center justify-between gap-3 shrink-0">
         <div>
           <h2 className="text-xl font-bold text-slate-900 dark:text-white">Candidate Pipeline</h2>
           <p className="text-sm text-slate-500 dark:text-slate-400 mt-0.5">
-            {totalCandidates} candidates across {STAGES.length} stages
+            {showAll
+              ? `${globalCandidates.length} candidates across ${GLOBAL_STAGES.length} sourcing stages`
+              : selectedJob
+                ? `${applications.length} candidates across ${STAGES.length} stages`
+                : 'Choose a job to see its pipeline'}
           </p>
         </div>
-        <button
-          onClick={() => STAGES.forEach(s => queryClient.invalidateQueries({ queryKey: ['pipeline', s.key] }))}
-          className="p-2 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition cursor-pointer"
-          title="Refresh">
-          <RefreshCw size={18}/>
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setJobId(ALL_CANDIDATES)}
+            title="Every candidate by sourcing stage, across all jobs"
+            className={`flex items-center gap-1.5 px-3 py-2 text-sm rounded-lg border transition cursor-pointer ${
+              showAll
+                ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-500/10 text-indigo-600 dark:text-indigo-400 font-semibold'
+                : 'border-slate-200 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800'
+            }`}>
+            <Users size={14}/>
+            All candidates
+          </button>
+          <select
+            value={selectedJob ? jobId : ''}
+            onChange={e => setJobId(e.target.value)}
+            disabled={jobsLoading}
+            className="px-3 py-2 text-sm rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-slate-700 dark:text-slate-200 max-w-xs">
+            <option value="">{jobs.length > 0 ? 'Select a job…' : 'No jobs yet'}</option>
+            {jobs.map(j => (
+              <option key={j._id} value={j._id}>
+                {[j.title, j.client].filter(Boolean).join(' — ')}{j.status !== 'OPEN' ? ` (${j.status.replace('_', ' ').toLowerCase()})` : ''}{j.myRole === 'VIEWER' ? ' · view only' : ''}
+              </option>
+            ))}
+          </select>
+          {selectedJob && !readOnly && (
+            <label className="flex items-center gap-1.5 px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 text-sm text-slate-600 dark:text-slate-300" title="Add everyone on a shortlist to this job">
+              {addShortlistMutation.isPending ? <Loader size={14} className="animate-spin"/> : <ListPlus size={14}/>}
+              <select
+                value=""
+                onChange={e => e.target.value && addShortlistMutation.mutate(e.target.value)}
+                disabled={addShortlistMutation.isPending || shortlists.length === 0}
+                className="bg-transparent outline-none cursor-pointer">
+                <option value="">{shortlists.length > 0 ? 'Add from shortlist…' : 'No shortlists'}</option>
+                {shortlists.map(s => <option key={s._id} value={s._id}>{s.name}</option>)}
+              </select>
+            </label>
+          )}
+          <button
+            onClick={refreshBoard}
+            disabled={!selectedJob && !showAll}
+            className="p-2 rounded-lg text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-500/10 transition cursor-pointer disabled:opacity-50"
+            title="Refresh">
+            <RefreshCw size={18}/>
+          </button>
+        </div>
       </div>
 
       {/* Kanban Board */}
-      <div className="flex-1 overflow-x-auto overflow-y-hidden">
-        <div className="flex gap-4 p-4 h-full min-w-max">
-          {STAGES.map((stage, idx) => {
-            const { data: candidates = [], isLoading: loading } = queries[idx];
-            return (
-              <div key={stage.key} className={`flex flex-col w-72 rounded-2xl border ${stage.border} ${stage.light} overflow-hidden`}>
-                {/* Column header */}
-                <div className="px-4 py-3 flex items-center justify-between shrink-0 border-b border-inherit">
-                  <div className="flex items-center gap-2">
-                    <div className={`w-2.5 h-2.5 rounded-full ${stage.color}`}/>
-                    <span className="font-semibold text-sm text-slate-800 dark:text-slate-200">{stage.label}</span>
+      {!selectedJob && !showAll ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-center p-8">
+          <Briefcase size={36} className="text-slate-300 dark:text-slate-600 mb-3"/>
+          <p className="text-sm text-slate-500 dark:text-slate-400">
+            Each job has its own pipeline. Pick one above, then add candidates from search, sourcing results or a shortlist.
+            Or open All candidates for everyone by sourcing stage.
+          </p>
+        </div>
+      ) : (showAll ? globalError : isError) ? (
+        <div className="flex-1 flex items-center justify-center text-sm text-rose-500">
+          {showAll ? 'Could not load the candidate pipeline' : "Could not load this job's pipeline"}
+        </div>
+      ) : (
+        <div className="flex-1 overflow-x-auto overflow-y-hidden">
+          <div className="flex gap-4 p-4 h-full min-w-max">
+            {boardStages.map(stage => {
+              const candidates = showAll ? byGlobalStage[stage.key] : byStage[stage.key];
+              return (
+                <div
+                  key={stage.key}
+                  onDragOver={showAll ? undefined : e => { e.preventDefault(); setDragOverStage(stage.key); }}
+                  onDragLeave={showAll ? undefined : () => setDragOverStage(s => (s === stage.key ? null : s))}
+                  onDrop={showAll ? undefined : e => handleDrop(e, stage.key)}
+                  className={`flex flex-col w-72 rounded-2xl border ${stage.border} ${stage.light} overflow-hidden ${dragOverStage === stage.key ? 'ring-2 ring-indigo-400' : ''}`}>
+                  {/* Column header */}
+                  <div className="px-4 py-3 flex items-center justify-between shrink-0 border-b border-inherit">
+                    <div className="flex items-center gap-2">
+                      <div className={`w-2.5 h-2.5 rounded-full ${stage.color}`}/>
+                      <span className="font-semibold text-sm text-slate-800 dark:text-slate-200">{stage.label}</span>
+                    </div>
+                    <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${stage.badge}`}>
+                      {boardLoading ? '…' : candidates.length}
+                    </span>
                   </div>
-                  <span className={`text-xs font-bold px-2 py-0.5 rounded-full ${stage.badge}`}>
-                    {loading ? '…' : candidates.length}
-                  </span>
-                </div>
 
-                {/* Cards */}
-                <div className="flex-1 overflow-y-auto p-3 space-y-2.5 [&::-webkit-scrollbar]:w-1 [&::-webkit-scrollbar-thumb]:bg-slate-300 dark:[&::-webkit-scrollbar-thumb]:bg-slate-700 [scrollbar-width:thin]">
-                  {loading ? (
-                    <div className="flex justify-center pt-8"><Loader size={20} className="animate-spin text-slate-400"/></div>
-                  ) : candidates.length === 0 ? (
-                    <div className="flex flex-col items-center justify-center pt-8 text-center">
-                      <User size={28} className="text-slate-300 dark:text-slate-600 mb-2"/>
-                      <p className="text-xs text-slate-400 dark:text-slate-500">No candidates here</p>
-                    </div>
-                  ) : (
-                    candidates.map(c => (
-                      <PipelineCard
-                        key={c._id}
-                        candidate={c}
-                        stage={stage}
-                        onAdvance={handleAdvance}
-                        isAdvancing={advancingId === c._id}
-                      />
-                    ))
-                  )}
+                  {/* Cards */}
+                  <div className="flex-1 overflow-y-auto p-3 space-y-2.5 [&::-webkit-scrollbar]:w-1 [&::-webkit-scrollbar-thumb]:bg-slate-300 dark:[&::-webkit-scrollbar-thumb]:bg-slate-700 [scrollbar-width:thin]">
+                    {boardLoading ? (
+                      <div className="flex justify-center pt-8"><Loader size={20} className="animate-spin text-slate-400"/></div>
+                    ) : candidates.length === 0 ? (
+                      <div className="flex flex-col items-center justify-center pt-8 text-center">
+                        <User size={28} className="text-slate-300 dark:text-slate-600 mb-2"/>
+                        <p className="text-xs text-slate-400 dark:text-slate-500">No candidates here</p>
+                      </div>
+                    ) : showAll ? (
+                      candidates.map(c => (
+                        <GlobalPipelineCard
+                          key={c._id}
+                          candidate={c}
+                          onAdvance={handleAdvance}
+                          isBusy={busyId === c._id}
+                        />
+                      ))
+                    ) : (
+                      candidates.map(a => (
+                        <PipelineCard
+                          key={a._id}
+                          application={a}
+                          onMove={handleMove}
+                          onRemove={handleRemove}
+                          isBusy={busyId === a._id}
+                          readOnly={readOnly}
+                        />
+                      ))
+                    )}
+                  </div>
                 </div>
-              </div>
-            );
-          })}
+              );
+            })}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
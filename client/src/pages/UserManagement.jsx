@@ -553,11 +553,14 @@ const [userToDelete, setUserToDelete] = useState(null);
 									SIGNUP_BONUS:    'bg-violet-50 dark:bg-violet-500/10 text-violet-600 dark:text-violet-400',
 									SEARCH:          'bg-blue-50 dark:bg-blue-500/10 text-blue-600 dark:text-blue-400',
 									ENRICH:          'bg-amber-50 dark:bg-amber-500/10 text-amber-600 dark:text-amber-400',
+									REVEAL:          'bg-orange-50 dark:bg-orange-500/10 text-orange-600 dark:text-orange-400',
 									AI_SOURCE:       'bg-rose-50 dark:bg-rose-500/10 text-rose-600 dark:text-rose-400',
+									EXPORT:          'bg-cyan-50 dark:bg-cyan-500/10 text-cyan-600 dark:text-cyan-400',
 								};
 								const reasonLabel = {
 									ADMIN_ADD: 'Admin Add', MOCK_PURCHASE: 'Purchase', STRIPE_PURCHASE: 'Stripe',
-									SIGNUP_BONUS: 'Signup', SEARCH: 'Search', ENRICH: 'Enrich', AI_SOURCE: 'AI Source',
+									SIGNUP_BONUS: 'Signup', SEARCH: 'Search', ENRICH: 'Enrich', REVEAL: 'Reveal', AI_SOURCE: 'AI Source',
+									EXPORT: 'Export',
 								};
 								const when = new Date(tx.createdAt).toLocaleString('en-GB', {
 									day: 'numeric', month: 'short', year: 'numeric',
@@ -37,10 +37,26 @@ import {
 	RefreshCw,
 	Sparkles,
 	Database,
+	Columns,
 } from "lucide-react";
 import toast from "react-hot-toast";
 import FilterImage from "../assets/filtering.svg";
 import GetContactButton from "../components/GetContactButton";
+import RevealContactButton from "../components/RevealContactButton";
+import SavedSearchesMenu from "../components/SavedSearchesMenu";
+import SearchFacetsBar from "../components/SearchFacetsBar";
+import ExportMatchesMenu from "../components/ExportMatchesMenu";
+import CandidateActivityTimeline from "../components/CandidateActivityTimeline";
+import CandidateNotesThread from "../components/CandidateNotesThread";
+import CandidateAttachments from "../components/CandidateAttachments";
+import CandidateConsent from "../components/CandidateConsent";
+import SimilarCandidatesPanel from "../components/SimilarCandidatesPanel";
+import SearchHighlights from "../components/SearchHighlights";
+import TagFilterMenu from "../components/TagFilterMenu";
+import BulkTagMenu from "../components/BulkTagMenu";
+import TagChips from "../components/TagChips";
+import CandidateComparisonModal from "../components/CandidateComparisonModal";
+import AddToJobMenu from "../components/AddToJobMenu";
 
 const PAGE_SIZE = 50; // Smaller page size to return first results faster
 const DEFAULT_SEARCH_FILTERS = Object.freeze({
@@ -51,6 +67,7 @@ const DEFAULT_SEARCH_FILTERS = Object.freeze({
 	hasEmail: false,
 	hasPhone: false,
 	hasLinkedin: false,
+	tags: "",
 });
 
 const normalizeAiSearchText = (value, maxLen = 160) =>
@@ -347,6 +364,11 @@ const UserSearch = ({ focusAiSearch = false }) => {
 	const [appliedSearchInput, setAppliedSearchInput] = useState(searchInput);
 	const [appliedFilters, setAppliedFilters] = useState(filters);
 
+	// Result ranking: keyword order, or keyword hits re-ranked by meaning
+	const [searchMode, setSearchMode] = useState(
+		() => localStorage.getItem("hirextra_searchMode") || "keyword",
+	);
+
 	// Track if search has been explicitly applied (or restored from storage)
 	const [isSearchApplied, setIsSearchApplied] = useState(() => {
 		const hasFilters = Object.values(filters).some((v) => v && v !== false && v !== "");
@@ -404,18 +426,21 @@ const UserSearch = ({ focusAiSearch = false }) => {
 		localStorage.setItem("hirextra_filters", JSON.stringify(filters));
 	}, [filters]);
 
+	useEffect(() => {
+		localStorage.setItem("hirextra_searchMode", searchMode);
+	}, [searchMode]);
+
 	// --- PRE-FETCHING LOGIC ---
 	// Satisfies: "filtering should happen backend right from typing... but display after entering search"
 	const debouncedSearchInput = useDebounce(searchInput, 500);
 
-	const [savedSearches, setSavedSearches] = useState(() => {
-		try { return JSON.parse(localStorage.getItem('hirextra_saved_searches') || '[]'); }
-		catch { return []; }
-	});
-	const [showSavedSearches, setShowSavedSearches] = useState(false);
 	const [showShortlistModal, setShowShortlistModal] = useState(false);
+	const [showCompareModal, setShowCompareModal] = useState(false);
 	const [shortlistName, setShortlistName] = useState('');
 	const [isCreatingShortlist, setIsCreatingShortlist] = useState(false);
+
+	// Column template for exports ("" = the user's default layout)
+	const [exportTemplateId, setExportTemplateId] = useState("");
 	const debouncedFilters = useDebounce(filters, 500);
 	const debouncedLocationForApi = useMemo(
 		() => normalizeLocationFilterForApi(debouncedFilters.location),
@@ -430,10 +455,11 @@ const UserSearch = ({ focusAiSearch = false }) => {
 			locality: debouncedLocationForApi,
 			jobTitle: debouncedFilters.jobTitle,
 			skills: debouncedFilters.skills,
-			minExperience: debouncedFilters.experience,
+			minExp: debouncedFilters.experience,
 			hasEmail: debouncedFilters.hasEmail,
 			hasPhone: debouncedFilters.hasPhone,
 			hasLinkedin: debouncedFilters.hasLinkedin,
+			tags: debouncedFilters.tags,
 		}],
 		queryFn: async ({ pageParam = 1 }) => {
 			const params = new URLSearchParams({
@@ -445,10 +471,11 @@ const UserSearch = ({ focusAiSearch = false }) => {
 						locality: debouncedLocationForApi,
 						jobTitle: debouncedFilters.jobTitle,
 						skills: debouncedFilters.skills,
-						minExperience: debouncedFilters.experience,
+						minExp: debouncedFilters.experience,
 						hasEmail: debouncedFilters.hasEmail,
 						hasPhone: debouncedFilters.hasPhone,
 						hasLinkedin: debouncedFilters.hasLinkedin,
+						tags: debouncedFilters.tags,
 					}).filter(
 						([_, v]) => v !== "" && v !== false && v !== undefined && v !== null
 					)
@@ -567,10 +594,11 @@ const UserSearch = ({ focusAiSearch = false }) => {
 			locality: appliedLocationForApi,
 			jobTitle: appliedFilters.jobTitle,
 			skills: appliedFilters.skills,
-			minExperience: appliedFilters.experience,
+			minExp: appliedFilters.experience,
 			hasEmail: appliedFilters.hasEmail,
 			hasPhone: appliedFilters.hasPhone,
 			hasLinkedin: appliedFilters.hasLinkedin,
+			tags: appliedFilters.tags,
 			...(appliedDbSource === 'my-db' && appliedPrivateDbId
 				? { privateDbId: appliedPrivateDbId }
 				: appliedDbSource === 'my-db'
@@ -582,7 +610,7 @@ const UserSearch = ({ focusAiSearch = false }) => {
 		[appliedSearchInput, appliedFilters, appliedLocationForApi, appliedDbSource, appliedPrivateDbId],
 	);
 
-	const queryKey = useMemo(() => ["candidates", queryFilters], [queryFilters]);
+	const queryKey = useMemo(() => ["candidates", queryFilters, searchMode], [queryFilters, searchMode]);
 
 	const { ref: loadMoreRef, inView } = useInView({
 		threshold: 0,
@@ -612,6 +640,7 @@ const UserSearch = ({ focusAiSearch = false }) => {
 							v !== "" && v !== false && v !== undefined && v !== null,
 					),
 				),
+				...(searchMode !== "keyword" && { mode: searchMode }),
 			});
 
 			const response = await api.get(`/candidates/search?${params}`);
@@ -658,28 +687,15 @@ const UserSearch = ({ focusAiSearch = false }) => {
 
 	const candidates = useMemo(() => {
 		if (!data?.pages) return [];
-		let allCandidates = data.pages.flatMap((page) => page.candidates || []);
-
-		// Client-side filtering for experience to ensure accuracy
-		if (appliedFilters.experience) {
-			const minExp = parseInt(appliedFilters.experience, 10);
-			if (!isNaN(minExp)) {
-				allCandidates = allCandidates.filter((c) => {
-					const expStr = String(c.experience || "");
-					const match = expStr.match(/(\d+)/);
-					const exp = match ? parseInt(match[1], 10) : 0;
-					return exp >= minExp;
-				});
-			}
-		}
-
-		return allCandidates;
-	}, [data?.pages, appliedFilters.experience]);
+		return data.pages.flatMap((page) => page.candidates || []);
+	}, [data?.pages]);
 
 	const totalCount = useMemo(() => {
 		return data?.pages?.[0]?.totalCount || 0;
 	}, [data?.pages]);
 
+	const didYouMean = data?.pages?.[0]?.didYouMean || null;
+
 	const handleFilterChange = useCallback((key, value) => {
 		setFilters((prev) => {
 			if (prev[key] === value) return prev;
@@ -706,6 +722,96 @@ const UserSearch = ({ focusAiSearch = false }) => {
 		setIsSearchApplied(false);
 	}, []);
 
+	// Saved-search payload for what is currently applied (mirrors queryFilters)
+	const savedSearchFilters = useMemo(
+		() => ({
+			q: appliedSearchInput,
+			location: appliedFilters.location,
+			locality: appliedLocationForApi,
+			jobTitle: appliedFilters.jobTitle,
+			skills: appliedFilters.skills,
+			experience: appliedFilters.experience,
+			hasEmail: appliedFilters.hasEmail,
+			hasPhone: appliedFilters.hasPhone,
+			hasLinkedin: appliedFilters.hasLinkedin,
+			tags: appliedFilters.tags,
+			privateDbId: appliedDbSource === 'my-db' && appliedPrivateDbId ? appliedPrivateDbId : null,
+			privateDbOnly: appliedDbSource === 'my-db' && !appliedPrivateDbId,
+			includePrivate: appliedDbSource === 'all',
+		}),
+		[appliedSearchInput, appliedFilters, appliedLocationForApi, appliedDbSource, appliedPrivateDbId],
+	);
+
+	const handleApplySavedSearch = useCallback((savedSearch) => {
+		const saved = savedSearch.filters || {};
+		const nextFilters = {
+			...DEFAULT_SEARCH_FILTERS,
+			location: saved.location || saved.locality || "",
+			jobTitle: saved.jobTitle || "",
+			skills: saved.skills || "",
+			experience: saved.experience || "",
+			hasEmail: !!saved.hasEmail,
+			hasPhone: !!saved.hasPhone,
+			hasLinkedin: !!saved.hasLinkedin,
+			tags: saved.tags || "",
+		};
+		const nextSource = saved.privateDbId || saved.privateDbOnly
+			? 'my-db'
+			: saved.includePrivate ? 'all' : 'peoplefinder';
+		const nextPrivateDbId = saved.privateDbId || '';
+
+		setSearchInput(saved.q || "");
+		setFilters(nextFilters);
+		setDbSource(nextSource);
+		setSelectedPrivateDbId(nextPrivateDbId);
+		setAppliedSearchInput(saved.q || "");
+		setAppliedFilters(nextFilters);
+		setAppliedDbSource(nextSource);
+		setAppliedPrivateDbId(nextPrivateDbId);
+		setSelectedIds(new Set());
+		setIsSearchApplied(true);
+	}, []);
+
+	// Facet click: narrow the applied search by the clicked bucket and rerun it.
+	// Company/country have no dedicated filter box, so they become field-scoped
+	// terms in the keyword query (company:"Acme", location:"India").
+	const handleFacetSelect = useCallback((field, value) => {
+		const quoted = `"${String(value).replace(/"/g, "")}"`;
+		let nextSearch = appliedSearchInput;
+		const nextFilters = { ...appliedFilters };
+
+		if (field === "locality") {
+			nextFilters.location = value;
+		} else if (field === "jobTitle") {
+			nextFilters.jobTitle = value;
+		} else if (field === "skills") {
+			const current = String(appliedFilters.skills || "")
+				.split(",")
+				.map((s) => s.trim())
+				.filter(Boolean);
+			if (!current.some((s) => s.toLowerCase() === String(value).toLowerCase())) current.push(value);
+			nextFilters.skills = current.join(", ");
+		} else {
+			const prefix = field === "company" ? "company" : "location";
+			nextSearch = [appliedSearchInput.trim(), `${prefix}:${quoted}`].filter(Boolean).join(" AND ");
+		}
+
+		setSearchInput(nextSearch);
+		setFilters(nextFilters);
+		setAppliedSearchInput(nextSearch);
+		setAppliedFilters(nextFilters);
+		setSelectedIds(new Set());
+		setIsSearchApplied(true);
+	}, [appliedSearchInput, appliedFilters]);
+
+	// "Did you mean": re-run the search with the suggested spelling
+	const handleDidYouMean = useCallback((suggestion) => {
+		setSearchInput(suggestion);
+		setAppliedSearchInput(suggestion);
+		setSelectedIds(new Set());
+		setIsSearchApplied(true);
+	}, []);
+
 	// Bulk delete mutation
 	const bulkDeleteMutation = useMutation({
 		mutationFn: async (ids) => {
@@ -864,6 +970,7 @@ const UserSearch = ({ focusAiSearch = false }) => {
 				"/candidates/export",
 				{
 					ids: Array.from(selectedIds),
+					templateId: exportTemplateId || undefined,
 				},
 				{
 					responseType: "blob",
@@ -884,12 +991,20 @@ const UserSearch = ({ focusAiSearch = false }) => {
 			link.remove();
 			window.URL.revokeObjectURL(url);
 
+			const excluded = Number(response.headers["x-excluded-do-not-contact"] || 0);
+			if (excluded > 0) {
+				toast(`${excluded} do-not-contact candidate(s) left out of the export`, { icon: "🚫" });
+			}
 			toast.success("Export completed successfully");
 		} catch (error) {
 			console.error("Export error:", error);
-			toast.error("Export failed");
+			toast.error(
+				error.response?.status === 403
+					? "The selected candidates are marked do not contact"
+					: "Export failed",
+			);
 		}
-	}, [selectedIds]);
+	}, [selectedIds, exportTemplateId]);
 
 	const handleDownload = useCallback(async (candidateId, e) => {
 		e?.stopPropagation();
@@ -941,7 +1056,10 @@ const UserSearch = ({ focusAiSearch = false }) => {
 
 	// Effect to notify user of errors without hiding data
 	useEffect(() => {
-		if (status === "error" && error?.response?.status !== 402) {
+		if (status === "error" && error?.response?.data?.error === "INVALID_QUERY") {
+			// Boolean query syntax error — show the parser message pointing at the bad token
+			toast.error(error.response.data.message, { id: "search-error" });
+		} else if (status === "error" && error?.response?.status !== 402) {
 			toast.error("Try Again...", {
 				id: "search-error", // Prevent duplicates
 			});
@@ -1057,6 +1175,7 @@ const UserSearch = ({ focusAiSearch = false }) => {
 								<input
 									ref={searchInputRef}
 									placeholder="Search..."
+									title={'Supports AND / OR / NOT, (parentheses), "quoted phrases" and title: skills: company: location: email: name: prefixes'}
 									className="w-full pl-7 pr-6 py-1.5 md:pl-9 md:pr-8 md:py-2 bg-slate-100/50 dark:bg-slate-800/50 border border-slate-200 dark:border-slate-700 hover:border-indigo-300 dark:hover:border-indigo-700 focus:border-indigo-500 focus:ring-2 focus:ring-indigo-500/20 rounded-xl text-xs md:text-sm text-slate-800 dark:text-slate-200 placeholder-slate-400 outline-none transition-all h-9 md:h-auto shadow-sm"
 									value={searchInput}
 									onChange={handleSearchChange}
@@ -1190,6 +1309,23 @@ const UserSearch = ({ focusAiSearch = false }) => {
 									}`}>
 									<Linkedin size={14} className="md:w-4 md:h-4" />
 								</button>
+
+								{/* Tag Filter */}
+								<TagFilterMenu
+									value={filters.tags}
+									onChange={(value) => handleFilterChange("tags", value)}
+								/>
+
+								{/* Ranking mode */}
+								<select
+									value={searchMode}
+									onChange={(e) => setSearchMode(e.target.value)}
+									title="Ranking: keyword order, or keyword matches re-ranked by meaning"
+									className="h-9 md:h-auto px-2 py-1.5 md:py-2 text-xs font-medium rounded-xl border border-transparent bg-transparent text-slate-500 dark:text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+									<option value="keyword">Keyword</option>
+									<option value="hybrid">Hybrid</option>
+									<option value="semantic">Semantic</option>
+								</select>
 							</div>
 
 							{/* Mobile Showing Count (Row 2, Col 3) */}
@@ -1222,6 +1358,21 @@ const UserSearch = ({ focusAiSearch = false }) => {
 							>
 								Clear
 							</button>
+
+							{/* Saved Searches (server-side, with new-match alerts) */}
+							<SavedSearchesMenu
+								currentFilters={savedSearchFilters}
+								canSave={isSearchApplied}
+								onApply={handleApplySavedSearch}
+							/>
+
+							{/* Export everything matching the applied search */}
+							<ExportMatchesMenu
+								queryFilters={queryFilters}
+								canExport={isSearchApplied}
+								templateId={exportTemplateId}
+								onTemplateChange={setExportTemplateId}
+							/>
 						</div>
 
 						{/* Count Display */}
@@ -1255,6 +1406,32 @@ const UserSearch = ({ focusAiSearch = false }) => {
 						</div>
 					</div>
 
+					{/* Facet buckets for the applied search */}
+					<SearchFacetsBar
+						queryFilters={queryFilters}
+						enabled={isSearchApplied}
+						onSelect={handleFacetSelect}
+					/>
+
+					{/* Spelling suggestion from the typo-tolerant name/company fallback */}
+					{isSearchApplied && didYouMean && (
+						<div className="px-2 sm:px-4 py-2 text-sm text-slate-600 dark:text-slate-400 border-t border-slate-100 dark:border-slate-800">
+							Did you mean{" "}
+							<button
+								onClick={() => handleDidYouMean(didYouMean)}
+								className="font-semibold italic text-indigo-600 dark:text-indigo-400 hover:underline cursor-pointer">
+								{didYouMean}
+							</button>
+							?
+							{data?.pages?.[0]?.fuzzyCount > 0 && (
+								<span className="ml-2 text-xs text-slate-400">
+									{data.pages[0].fuzzyCount} result
+									{data.pages[0].fuzzyCount > 1 ? "s" : ""} matched by similar spelling
+								</span>
+							)}
+						</div>
+					)}
+
 					{/* Bulk Actions Bar */}
 					{selectedIds.size > 0 && (
 						<div className="flex items-center justify-between px-2 sm:px-4 py-2.5 bg-indigo-50 dark:bg-indigo-900/30 border-t border-indigo-100 dark:border-indigo-500/30 animate-in fade-in duration-200">
@@ -1276,6 +1453,20 @@ const UserSearch = ({ focusAiSearch = false }) => {
 									<Download size={16} />
 									<span className="hidden sm:inline">Export</span>
 								</button>
+								<button
+									onClick={() => setShowCompareModal(true)}
+									disabled={selectedIds.size < 2 || selectedIds.size > 5}
+									title={
+										selectedIds.size < 2 || selectedIds.size > 5
+											? "Select 2–5 candidates to compare"
+											: "Compare the selected candidates against a job"
+									}
+									className="flex items-center gap-1.5 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg text-xs font-semibold transition-colors shadow-sm shadow-indigo-200 disabled:opacity-50 cursor-pointer disabled:cursor-not-allowed">
+									<Columns size={16} />
+									<span className="hidden sm:inline">Compare</span>
+								</button>
+								<BulkTagMenu candidateIds={Array.from(selectedIds)} />
+								<AddToJobMenu candidateIds={Array.from(selectedIds)} source="SEARCH" />
 								{user?.role === "ADMIN" && (
 									<button
 										onClick={handleBulkDelete}
@@ -1481,11 +1672,22 @@ const UserSearch = ({ focusAiSearch = false }) => {
 					</div>
 				)}
 
+				{showCompareModal && (
+					<CandidateComparisonModal
+						candidateIds={Array.from(selectedIds)}
+						onClose={() => setShowCompareModal(false)}
+					/>
+				)}
+
 				{selectedProfile && (
 					<ProfileModal
 						profile={selectedProfile}
 						onClose={() => setSelectedProfile(null)}
 						onDownload={handleDownload}
+						onOpenProfile={handleQuickView}
+						onContactRevealed={(contact) =>
+							setSelectedProfile((prev) => prev && { ...prev, ...contact, contactMasked: false })
+						}
 					/>
 				)}
 			</div>
@@ -1508,6 +1710,10 @@ const CandidateRow = React.memo(
 		showSourceBadge,
 	}) => {
 		const val = (v) => (v && v.trim() !== "" ? v : "-");
+		// Contact details unlocked from this row, until the next search returns them unmasked
+		const [revealedContact, setRevealedContact] = useState(null);
+		const contact = revealedContact || candidate;
+		const contactMasked = !revealedContact && candidate.contactMasked;
 		const isPrivate = !!candidate.privateDbId;
 		const privateDbName = isPrivate ? (privateDbsMap?.get(candidate.privateDbId) || 'My DB') : null;
 		const sourceBadge = isPrivate
@@ -1556,6 +1762,7 @@ const CandidateRow = React.memo(
 										{sourceBadge.label}
 									</span>
 								)}
+								<TagChips tagIds={candidate.tags} max={3} className="mt-1" />
 							</div>
 						</div>
 						<div className="flex justify-end gap-0 -mr-2">
@@ -1590,6 +1797,7 @@ const CandidateRow = React.memo(
 							{sourceBadge.label}
 						</span>
 					)}
+					<TagChips tagIds={candidate.tags} max={3} className="mt-1" />
 				</td>
 
 				{/* Job Title (Desktop) */}
@@ -1611,6 +1819,11 @@ const CandidateRow = React.memo(
 								: "-"}
 						</p>
 					</div>
+					<SearchHighlights
+						matchedFields={candidate.matchedFields}
+						highlights={candidate.highlights}
+						fuzzy={candidate.fuzzyMatch}
+					/>
 				</td>
 
 				{/* Company Name */}
@@ -1631,33 +1844,35 @@ const CandidateRow = React.memo(
 				<td className="w-40 px-3 py-4 align-top hidden sm:table-cell">
 					<div className="flex gap-1 flex-wrap items-center">
 						{/* Phone Icon */}
-						{candidate.phone && (
+						{contact.phone && (
 							<div className="relative group/icon">
 								<button
+									disabled={contactMasked}
 									onClick={() =>
-										window.open(`tel:${candidate.phone}`, "_blank")
+										window.open(`tel:${contact.phone}`, "_blank")
 									}
 									className="p-1 text-slate-500 dark:text-slate-400 hover:text-indigo-500 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 hover:scale-110 rounded-lg transition-all duration-200">
 									<Phone size={16} />
 								</button>
 								<div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 px-2 py-1 bg-gray-800 text-white text-xs rounded opacity-0 group-hover/icon:opacity-100 transition-opacity pointer-events-none whitespace-nowrap z-50 shadow-lg">
-									{candidate.phone}
+									{contact.phone}
 								</div>
 							</div>
 						)}
 
 						{/* Email Icon */}
-						{candidate.email && (
+						{contact.email && (
 							<div className="relative group/icon">
 								<button
+									disabled={contactMasked}
 									onClick={() =>
-										window.open(`mailto:${candidate.email}`, "_blank")
+										window.open(`mailto:${contact.email}`, "_blank")
 									}
 									className="p-1 text-slate-500 dark:text-slate-400 hover:text-indigo-500 dark:hover:text-indigo-400 hover:bg-slate-100 dark:hover:bg-slate-800 hover:scale-110 rounded-lg transition-all duration-200">
 									<Mail size={16} />
 								</button>
 								<div className="absolute top-full left-1/2 transform -translate-x-1/2 mt-2 px-2 py-1 bg-gray-800 text-white text-xs rounded opacity-0 group-hover/icon:opacity-100 transition-opacity pointer-events-none whitespace-nowrap z-50 shadow-lg">
-									{candidate.email}
+									{contact.email}
 								</div>
 							</div>
 						)}
@@ -1702,8 +1917,14 @@ const CandidateRow = React.memo(
 						)}
 					</div>
 
+					{contactMasked && (
+						<div className="mt-2">
+							<RevealContactButton candidateId={candidate._id} onRevealed={setRevealedContact} />
+						</div>
+					)}
+
 					{/* Get Contact Button - Separate */}
-					{!candidate.email && !candidate.phone && (
+					{!contact.email && !contact.phone && (
 						<div className="mt-2">
 							<GetContactButton candidateId={candidate._id} candidate={candidate} />
 						</div>
@@ -1821,46 +2042,12 @@ const getEducationItems = (profile) => {
 };
 
 // Professional Personal Card Design Modal
-const ProfileModal = React.memo(({ profile, onClose, onDownload }) => {
+const ProfileModal = React.memo(({ profile, onClose, onDownload, onOpenProfile, onContactRevealed }) => {
 	const parserData = profile?.parsedResume?.raw?.ResumeParserData || {};
 	const skillItems = getProfileSkillItems(profile);
 	const educationItems = getEducationItems(profile);
 	const workedPeriod = parserData?.WorkedPeriod || {};
 
-	// Notes & Tags state
-	const [notes, setNotes] = React.useState(profile?.recruiterNotes || '');
-	const [tags, setTags] = React.useState(profile?.internalTags || '');
-	const [tagInput, setTagInput] = React.useState('');
-	const [notesSaving, setNotesSaving] = React.useState(false);
-	const tagList = tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [];
-
-	const saveNotes = async () => {
-		setNotesSaving(true);
-		try {
-			await api.patch(`/candidates/${profile._id}/notes`, { recruiterNotes: notes, internalTags: tags });
-			toast.success('Notes saved');
-		} catch {
-			toast.error('Failed to save notes');
-		} finally {
-			setNotesSaving(false);
-		}
-	};
-
-	const addTag = (val) => {
-		const trimmed = val.trim().replace(/,/g, '');
-		if (!trimmed) return;
-		const existing = tags ? tags.split(',').map(t => t.trim()).filter(Boolean) : [];
-		if (!existing.includes(trimmed)) {
-			setTags([...existing, trimmed].join(', '));
-		}
-		setTagInput('');
-	};
-
-	const removeTag = (tag) => {
-		const updated = tagList.filter(t => t !== tag).join(', ');
-		setTags(updated);
-	};
-
 	const profileMetrics = [
 		{ label: "Total Experience", value: workedPeriod?.TotalExperienceInYear ? `${workedPeriod.TotalExperienceInYear} years` : "" },
 		{ label: "Average Stay", value: parserData?.AverageStay ? `${parserData.AverageStay} months` : "" },
@@ -1903,6 +2090,7 @@ const ProfileModal = React.memo(({ profile, onClose, onDownload }) => {
 									</div>
 								)}
 							</div>
+							<TagChips tagIds={profile.tags} className="mt-3" />
 							{profile._loadingDetails && (
 								<div className="mt-3 inline-flex items-center gap-2 text-sm text-indigo-600 dark:text-indigo-400">
 									<Loader className="animate-spin" size={16} />
@@ -1940,7 +2128,7 @@ const ProfileModal = React.memo(({ profile, onClose, onDownload }) => {
 													Email
 												</p>
 												<a
-													href={`mailto:${profile.email}`}
+													href={profile.contactMasked ? undefined : `mailto:${profile.email}`}
 													className="text-indigo-600 dark:text-indigo-400 hover:text-indigo-800 dark:hover:text-indigo-300 break-all font-medium">
 													{profile.email}
 												</a>
@@ -1958,13 +2146,25 @@ const ProfileModal = React.memo(({ profile, onClose, onDownload }) => {
 													Phone
 												</p>
 												<a
-													href={`tel:${profile.phone}`}
+													href={profile.contactMasked ? undefined : `tel:${profile.phone}`}
 													className="text-slate-700 dark:text-slate-300 hover:text-indigo-600 dark:hover:text-indigo-400 font-medium">
 													{profile.phone}
 												</a>
 											</div>
 										</div>
 									)}
+									{profile.contactMasked && (
+										<div className="flex items-center justify-between gap-2 p-3 rounded-xl bg-slate-50 dark:bg-slate-800/60 border border-slate-200 dark:border-slate-700">
+											<p className="text-xs text-slate-500 dark:text-slate-400">
+												Contact details are hidden until revealed.
+											</p>
+											<RevealContactButton
+												candidateId={profile._id}
+												onRevealed={onContactRevealed}
+												className="shrink-0"
+											/>
+										</div>
+									)}
 									{(profile.locality || profile.location) && (
 										<div className="flex items-start gap-3">
 											<MapPin
@@ -2086,6 +2286,38 @@ const ProfileModal = React.memo(({ profile, onClose, onDownload }) => {
 									</button>
 								</div>
 							</div>
+
+							{/* "More like this" across the global and own private DBs */}
+							<SimilarCandidatesPanel
+								key={profile._id}
+								candidateId={profile._id}
+								onOpen={onOpenProfile}
+								enabled={!profile._loadingDetails}
+							/>
+
+							{/* Recruiter notes thread */}
+							<CandidateNotesThread
+								candidateId={profile._id}
+								enabled={!profile._loadingDetails}
+							/>
+
+							{/* Consent record and do-not-contact flag */}
+							<CandidateConsent
+								candidateId={profile._id}
+								enabled={!profile._loadingDetails}
+							/>
+
+							{/* Resume versions, cover letters and other files */}
+							<CandidateAttachments
+								candidateId={profile._id}
+								enabled={!profile._loadingDetails}
+							/>
+
+							{/* Activity timeline: views, edits, enrichment, exports, stage moves */}
+							<CandidateActivityTimeline
+								candidateId={profile._id}
+								enabled={!profile._loadingDetails}
+							/>
 						</div>
 					</div>
 				</div>
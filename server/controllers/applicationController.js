@@ -0,0 +1,112 @@
+import { APPLICATION_STAGES } from '../models/Application.js';
+import { loadAccessibleJob } from '../utils/jobAccessService.js';
+import {
+  addCandidatesToJob,
+  listJobApplications,
+  loadAccessibleApplication,
+  updateApplication,
+  removeApplication,
+} from '../utils/applicationService.js';
+
+const sendError = (res, error) => {
+  if (error.code === 'DO_NOT_CONTACT') {
+    return res.status(403).json({ message: error.message, code: error.code, reason: error.reason });
+  }
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * GET /api/jobs/:id/applications?stage=
+ * The job's kanban: every application with its candidate and owner.
+ */
+export const getJobApplications = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user);
+    const stage = req.query.stage ? String(req.query.stage).toUpperCase() : undefined;
+    if (stage && !APPLICATION_STAGES.includes(stage)) {
+      return res.status(400).json({ message: `stage must be one of ${APPLICATION_STAGES.join(', ')}` });
+    }
+    const applications = await listJobApplications(job, req.user, { stage });
+    const { _id, title, client, location, status, myRole } = job;
+    res.json({ job: { _id, title, client, location, status, myRole }, stages: APPLICATION_STAGES, applications });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * POST /api/jobs/:id/applications
+ * Body: { candidateIds, source: 'SEARCH' | 'SOURCING' | 'RECOMMENDED', stage? } or { shortlistId, stage? }
+ */
+export const addJobApplications = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user, 'RECRUITER');
+    const { candidateIds, shortlistId, source, stage } = req.body || {};
+    const result = await addCandidatesToJob({
+      job,
+      user: req.user,
+      candidateIds,
+      shortlistId,
+      source: source ? String(source).toUpperCase() : undefined,
+      stage: stage ? String(stage).toUpperCase() : undefined,
+    });
+    res.status(result.added > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * GET /api/applications/:id
+ * One application with its full stage history.
+ */
+export const getApplication = async (req, res) => {
+  try {
+    const { application } = await loadAccessibleApplication(req.params.id, req.user);
+    await application.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'stageHistory.changedBy', select: 'name email' },
+    ]);
+    res.json(application);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * PATCH /api/applications/:id
+ * Body: { stage?, owner?, note? } — move stage and/or reassign the owner.
+ */
+export const patchApplication = async (req, res) => {
+  try {
+    const { application, job } = await loadAccessibleApplication(req.params.id, req.user, 'RECRUITER');
+    const { stage, owner, note } = req.body || {};
+    const updated = await updateApplication({
+      application,
+      job,
+      user: req.user,
+      stage: stage !== undefined ? String(stage).toUpperCase() : undefined,
+      owner,
+      note,
+    });
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * DELETE /api/applications/:id
+ * Take the candidate off the job (the stage history goes with it; the
+ * candidate's timeline keeps a record).
+ */
+export const deleteApplication = async (req, res) => {
+  try {
+    const { application, job } = await loadAccessibleApplication(req.params.id, req.user, 'RECRUITER');
+    await removeApplication({ application, job, user: req.user });
+    res.json({ message: 'Removed from job' });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
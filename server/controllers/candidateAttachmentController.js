@@ -0,0 +1,200 @@
+import multer from 'multer';
+import { ATTACHMENT_KINDS } from '../models/Candidate.js';
+import importQueue, { reparseCandidateAttachment } from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import {
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_EXTENSIONS,
+  fileExtension,
+  isParseable,
+  listCandidateAttachments,
+  findCandidateAttachment,
+  addCandidateAttachment,
+  setPrimaryAttachment,
+  removeCandidateAttachment,
+  getAttachmentDownloadUrl,
+  setAttachmentParseState,
+} from '../utils/attachmentService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+import { findVisibleCandidate } from '../utils/candidateAccessService.js';
+
+const KIND_LABELS = { RESUME: 'resume', COVER_LETTER: 'cover letter', ASSESSMENT: 'assessment', OTHER: 'file' };
+
+// Files follow the candidate: the global DB plus the user's own private DBs
+const canSeeCandidate = async (req) => Boolean(await findVisibleCandidate(req.params.id, req.user));
+const candidateNotFound = (res) => res.status(404).json({ message: 'Candidate not found' });
+
+// ── Multer: in-memory storage, 20 MB limit ─────────────────────────────────
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES },
+  fileFilter: (_req, file, cb) => {
+    if (ATTACHMENT_EXTENSIONS.includes(fileExtension(file.originalname))) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Allowed file types: ${ATTACHMENT_EXTENSIONS.join(', ').toUpperCase()}`));
+    }
+  },
+});
+
+// Multer errors (size, type) come back as 400s instead of the default handler's 500.
+export const uploadAttachmentMiddleware = (req, res, next) =>
+  upload.single('file')(req, res, (err) => (err ? res.status(400).json({ message: err.message }) : next()));
+
+/**
+ * GET /api/candidates/:id/attachments
+ */
+export const getAttachments = async (req, res) => {
+  try {
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+    const attachments = await listCandidateAttachments(req.params.id);
+    if (!attachments) return res.status(404).json({ message: 'Candidate not found' });
+    res.json({ attachments, kinds: ATTACHMENT_KINDS });
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/:id/attachments  (multipart: file, kind?, primary?)
+ */
+export const uploadAttachment = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: 'Choose a file to upload' });
+    const kind = req.body.kind || 'RESUME';
+    if (!ATTACHMENT_KINDS.includes(kind)) return res.status(400).json({ message: 'Unknown attachment kind' });
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+
+    const attachment = await addCandidateAttachment({
+      candidateId: req.params.id,
+      file: req.file,
+      kind,
+      makePrimary: String(req.body.primary) === 'true',
+      user: req.user,
+    });
+    recordCandidateActivity({
+      candidateId: req.params.id,
+      actor: req.user,
+      type: 'ATTACHMENT_ADDED',
+      summary: `Uploaded ${KIND_LABELS[kind]} ${attachment.fileName} (v${attachment.version})`,
+      details: { attachmentId: attachment._id, kind },
+    });
+    res.status(201).json(attachment);
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /api/candidates/:id/attachments/:attachmentId  { isPrimary: true }
+ */
+export const updateAttachment = async (req, res) => {
+  try {
+    if (req.body?.isPrimary !== true) return res.status(400).json({ message: 'Only isPrimary: true is supported' });
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+    const attachment = await findCandidateAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    const updated = await setPrimaryAttachment(req.params.id, attachment);
+    res.json(updated);
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/candidates/:id/attachments/:attachmentId
+ * Uploaders can remove their own files; admins can remove any.
+ */
+export const deleteAttachment = async (req, res) => {
+  try {
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+    const attachment = await findCandidateAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+    if (!isAdmin(req.user) && String(attachment.uploadedBy) !== String(req.user._id)) {
+      return res.status(403).json({ message: 'You can only remove files you uploaded' });
+    }
+
+    await removeCandidateAttachment(req.params.id, attachment);
+    recordCandidateActivity({
+      candidateId: req.params.id,
+      actor: req.user,
+      type: 'ATTACHMENT_REMOVED',
+      summary: `Removed ${KIND_LABELS[attachment.kind]} ${attachment.fileName} (v${attachment.version})`,
+      details: { attachmentId: attachment._id, kind: attachment.kind },
+    });
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/candidates/:id/attachments/:attachmentId/download
+ * Short-lived presigned S3 link.
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+    const attachment = await findCandidateAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+
+    const downloadUrl = await getAttachmentDownloadUrl(attachment);
+    recordCandidateActivity({
+      candidateId: req.params.id,
+      actor: req.user,
+      type: 'DOWNLOADED',
+      summary: `Downloaded ${attachment.fileName}`,
+      details: { attachmentId: attachment._id },
+    });
+    res.json({ downloadUrl, fileName: attachment.fileName });
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/:id/attachments/:attachmentId/reparse
+ * Re-run RChilli on a stored resume version and apply it to the profile.
+ * Queued on the import worker when Redis is available.
+ */
+export const reparseAttachment = async (req, res) => {
+  try {
+    if (!(await canSeeCandidate(req))) return candidateNotFound(res);
+    const attachment = await findCandidateAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ message: 'Attachment not found' });
+    if (!isParseable(attachment)) {
+      return res.status(400).json({ message: 'Only PDF, DOC, DOCX and TXT files can be parsed' });
+    }
+    if (attachment.parseStatus === 'QUEUED') {
+      return res.status(409).json({ message: 'This file is already being parsed' });
+    }
+
+    await setAttachmentParseState(req.params.id, attachment._id, { parseStatus: 'QUEUED', parseError: null });
+    const data = { candidateId: String(req.params.id), attachmentId: String(attachment._id) };
+
+    if (importQueue) {
+      await importQueue.add('attachment-reparse', data);
+    } else {
+      reparseCandidateAttachment(data).catch((err) => logger.error(`Attachment re-parse failed: ${err.message}`));
+    }
+
+    recordCandidateActivity({
+      candidateId: req.params.id,
+      actor: req.user,
+      type: 'REPARSED',
+      summary: `Requested a re-parse of ${attachment.fileName} (v${attachment.version})`,
+      details: { attachmentId: attachment._id },
+    });
+    res.status(202).json({ message: 'Re-parse started', queued: Boolean(importQueue) });
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
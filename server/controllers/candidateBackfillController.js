@@ -0,0 +1,104 @@
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import { backfillCandidateGeo } from '../utils/geoService.js';
+import { backfillExperienceYears } from '../utils/experienceService.js';
+import { backfillCandidateTags } from '../utils/tagService.js';
+import { backfillCandidateEmbeddings } from '../utils/embeddingService.js';
+import { backfillFuzzyKeys } from '../utils/fuzzySearchService.js';
+
+// Queue a derived-field backfill on the import worker when Redis is
+// available, otherwise run it in the background of this process.
+const startBackfill = async (res, { jobName, label, run, data }) => {
+  if (importQueue) {
+    await importQueue.add(jobName, data);
+    return res.status(202).json({ message: `${label} queued`, queued: true });
+  }
+
+  run(data).catch((err) => logger.error(`Background ${label.toLowerCase()} failed:`, err?.message || err));
+  res.status(202).json({ message: `${label} started`, queued: false });
+};
+
+/**
+ * POST /api/candidates/geo/backfill
+ * Body: { onlyMissing?: boolean } — geocode existing records for radius search.
+ */
+export const backfillGeoPoints = async (req, res) => {
+  try {
+    await startBackfill(res, {
+      jobName: 'geo-backfill',
+      label: 'Geo backfill',
+      run: backfillCandidateGeo,
+      data: { onlyMissing: req.body?.onlyMissing !== false },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/experience/backfill
+ * Body: { onlyMissing?: boolean } — parse experienceYears for existing records.
+ */
+export const backfillExperience = async (req, res) => {
+  try {
+    await startBackfill(res, {
+      jobName: 'experience-backfill',
+      label: 'Experience backfill',
+      run: backfillExperienceYears,
+      data: { onlyMissing: req.body?.onlyMissing !== false },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/tags/backfill
+ * Body: { onlyMissing?: boolean } — turn legacy internalTags text into org tags.
+ */
+export const backfillTags = async (req, res) => {
+  try {
+    await startBackfill(res, {
+      jobName: 'tags-backfill',
+      label: 'Tag backfill',
+      run: backfillCandidateTags,
+      data: { onlyMissing: req.body?.onlyMissing !== false },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/embeddings/backfill
+ * Body: { onlyMissing?: boolean } — embed existing records for semantic search.
+ */
+export const backfillEmbeddings = async (req, res) => {
+  try {
+    await startBackfill(res, {
+      jobName: 'embedding-backfill',
+      label: 'Embedding backfill',
+      run: backfillCandidateEmbeddings,
+      data: { onlyMissing: req.body?.onlyMissing !== false },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/fuzzy/backfill
+ * Body: { onlyMissing?: boolean } — phonetic name/company keys for typo-tolerant search.
+ */
+export const backfillFuzzySearchKeys = async (req, res) => {
+  try {
+    await startBackfill(res, {
+      jobName: 'fuzzy-backfill',
+      label: 'Fuzzy key backfill',
+      run: backfillFuzzyKeys,
+      data: { onlyMissing: req.body?.onlyMissing !== false },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -9,7 +9,6 @@ import { checkRChilliCredits } from "../utils/rchilliService.js";
 import { checkCredits, deductCredits } from "../utils/creditService.js";
 import fs from "fs";
 import DeleteLog from "../models/DeleteLog.js";
-import PrivateDatabase from "../models/PrivateDatabase.js";
 import csv from "csv-parser";
 import path from "path";
 import os from "os";
@@ -43,6 +42,19 @@ import {
 	sanitizeUpdateValue,
 } from "../utils/enrichmentService.js";
 import { detectDelimiter, parseCsvLineWithDelimiter } from "../utils/delimiterDetector.js";
+import { buildCandidateSearchQuery, withoutTextSearch } from "../utils/candidateSearchQuery.js";
+import { logSearch, candidateSearchSummary, searchErrorStatus } from "../utils/searchAnalyticsService.js";
+import { toExportRow, toCsvLine, columnsNeedTagNames } from "../utils/candidateExportColumns.js";
+import { loadTagNameMap, attachTagNames, setCandidateTagsFromText } from "../utils/tagService.js";
+import { resolveTemplateColumns } from "../utils/exportTemplateService.js";
+import { recordCandidateActivity, getCandidateActivityPage } from "../utils/activityService.js";
+import { addCandidateNote, validateNoteBody } from "../utils/noteService.js";
+import { contactBlockReasons } from "../utils/consentService.js";
+import { maskContacts, hasRevealedContact, maskEmail, maskPhone } from "../utils/contactRevealService.js";
+import { SEARCH_MODES, semanticQueryText, rerankBySimilarity } from "../utils/embeddingService.js";
+import { attachSearchHighlights } from "../utils/searchHighlighter.js";
+import { FUZZY_MIN_HITS, findFuzzyCandidates } from "../utils/fuzzySearchService.js";
+import { findVisibleCandidate } from "../utils/candidateAccessService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -1436,30 +1448,25 @@ export const getJobStatus = async (req, res) => {
 };
 
 // --- SEARCH (Updated for Soft Delete) ---
+// How many keyword hits semantic/hybrid search re-ranks; results past the
+// pool are not paged.
+const SEMANTIC_RERANK_POOL = Math.max(20, Number(process.env.SEMANTIC_RERANK_POOL || 300));
+
 export const searchCandidates = async (req, res) => {
+    const startedAt = Date.now();
     try {
         res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
         res.setHeader("Pragma", "no-cache");
         res.setHeader("Expires", "0");
         res.setHeader("Surrogate-Control", "no-store");
         
-        const {
-            q,
-            locality,
-            location,
-            jobTitle,
-            skills,
-            hasEmail,
-            hasPhone,
-            hasLinkedin,
-            page = 1,
-            limit = 20,
-            lastCreatedAt,
-            lastId,
-            privateDbId,
-            includePrivate,
-            privateDbOnly,
-        } = req.query;
+        // Filter params (q, locality, jobTitle, skills, toggles, private DB scope)
+        // are interpreted by buildCandidateSearchQuery.
+        const { page = 1, limit = 20 } = req.query;
+        // mode=semantic|hybrid re-ranks the best keyword hits by embedding similarity
+        const searchMode = SEARCH_MODES.includes(req.query.mode) ? req.query.mode : "keyword";
+        const semanticText = searchMode === "keyword" ? "" : semanticQueryText(req.query.q);
+        const rerank = Boolean(semanticText);
 
         // Allow larger limits (up to 5000) to support "View All"
         // Handle case-insensitive 'all' and trim whitespace
@@ -1475,262 +1482,30 @@ export const searchCandidates = async (req, res) => {
             await checkCredits(req.user._id, req.user.role, 1, req.user.creditFree);
         }
 
-        let query = { isDeleted: false };
-
-        // Private DB filtering:
-        // - privateDbId=<id>  → search only within that private DB
-        // - includePrivate=true → search both global + user's private DBs
-        // - default → global only (privateDbId must be null)
-        if (privateDbId) {
-            query.privateDbId = privateDbId;
-        } else if (privateDbOnly === 'true') {
-            const isAdmin = req.user.role === 'ADMIN' || req.user.role === 'SUPER_ADMIN';
-            if (isAdmin) {
-                // Admins see candidates from all private databases across all users
-                query.privateDbId = { $ne: null };
-            } else {
-                // Regular users see only their own private databases
-                const userDbs = await PrivateDatabase.find(
-                    { owner: req.user._id, isDeleted: { $ne: true } },
-                    { _id: 1 }
-                ).lean();
-                const userDbIds = userDbs.map((db) => db._id);
-                query.privateDbId = { $in: userDbIds };
-            }
-        } else if (includePrivate === 'true') {
-            // no filter: returns both global and private candidates visible to this user
-        } else {
-            query.privateDbId = null; // global PeopleFinder DB only
-        }
-        const andConditions = [];
-        let locationHintIndex = null;
-        let useTextSearch = false;
-        let keywordRegexFallbackClause = null;
-        const parseCsvFilter = (value, maxItems = 20) => {
-            if (value === undefined || value === null) return [];
-
-            const raw = Array.isArray(value) ? value.join(",") : String(value);
-            return raw
-                .split(",")
-                .map((item) => item.trim())
-                .filter(Boolean)
-                .slice(0, maxItems);
-        };
-        const parseLocationTerms = (localityValue, locationValue) => {
-            const localityTerms = parseCsvFilter(localityValue, 30);
-            const locationTerms = parseCsvFilter(locationValue, 30);
-            const merged = localityTerms.length > 0 ? localityTerms : locationTerms;
-
-            const dedup = new Set();
-            const normalized = [];
-
-            for (const rawTerm of merged) {
-                const term = String(rawTerm).trim().slice(0, 64);
-                if (term.length < 2) continue; // Avoid 1-char broad scans like "P"
-
-                const key = term.toLowerCase();
-                if (dedup.has(key)) continue;
-                dedup.add(key);
-                normalized.push(term);
-            }
-
-            return normalized;
-        };
-        const toTitleCaseLocation = (value) =>
-            String(value)
-                .toLowerCase()
-                .replace(/\b[a-z]/g, (m) => m.toUpperCase());
-
-        // 1. Keyword Search
-        let searchQ = q;
-        if (searchQ && typeof searchQ !== 'string' && !Array.isArray(searchQ)) searchQ = String(searchQ);
-        if (Array.isArray(searchQ)) searchQ = searchQ.join(' ');
-
-        if (searchQ && searchQ.trim()) {
-            const safeQ = searchQ.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const searchFields = ["fullName", "jobTitle", "skills", "company", "location", "locality"];
-
-            const isEmail = safeQ.includes('@');
-            const isPhone = /^[0-9+\-\s()]+$/.test(safeQ) && safeQ.replace(/\D/g, '').length > 5;
-
-            if (isEmail) {
-                andConditions.push({ email: new RegExp(`^${safeQ}`, "i") });
-            } else if (isPhone) {
-                andConditions.push({ phone: new RegExp(safeQ.replace(/\s+/g, ''), "i") });
-            } else {
-                const normalizedQ = String(searchQ || "").trim().replace(/\s+/g, " ");
-                const hasCommaSeparatedTerms = normalizedQ.includes(",");
-
-                if (hasCommaSeparatedTerms) {
-                    const terms = parseCsvFilter(normalizedQ, 20)
-                        .map((term) => String(term).trim().slice(0, 64))
-                        .filter(Boolean);
-
-                    const escapedTerms = terms.map((term) =>
-                        term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
-                    );
-                    const keywordPattern = escapedTerms.join("|");
-                    const keywordRegex = new RegExp(keywordPattern, "i");
-
-                    keywordRegexFallbackClause = {
-                        $or: searchFields.map((field) => ({ [field]: keywordRegex })),
-                    };
-
-                    const textSearch = terms
-                        .join(" ")
-                        .replace(/[^a-zA-Z0-9\s]/g, " ")
-                        .replace(/\s+/g, " ")
-                        .trim();
-
-                    if (textSearch.length >= 2) {
-                        andConditions.push({ $text: { $search: textSearch } });
-                        useTextSearch = true;
-                    } else {
-                        andConditions.push(keywordRegexFallbackClause);
-                    }
-                } else {
-                    const phrase = normalizedQ;
-                    const safePhrase = phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-                    const phraseRegex = new RegExp(safePhrase, "i");
-                    keywordRegexFallbackClause = {
-                        $or: searchFields.map((field) => ({ [field]: phraseRegex })),
-                    };
-
-                    const textPhrase = phrase
-                        .replace(/"/g, " ")
-                        .replace(/[^a-zA-Z0-9\s]/g, " ")
-                        .replace(/\s+/g, " ")
-                        .trim();
-
-                    if (textPhrase.length >= 2) {
-                        andConditions.push({ $text: { $search: `"${textPhrase}"` } });
-                        useTextSearch = true;
-                    } else {
-                        andConditions.push(keywordRegexFallbackClause);
-                    }
-                }
-            }
-        }
-
-        // 2. LOCATION FILTER
-        try {
-            const locationTerms = parseLocationTerms(locality, location);
-            if (locationTerms.length > 0) {
-                const hasLocalityInput = parseCsvFilter(locality, 1).length > 0;
-                const primaryLocationField = hasLocalityInput ? "locality" : "location";
-                locationHintIndex = hasLocalityInput
-                    ? "locality_1_createdAt_-1"
-                    : "location_1_createdAt_-1";
-                const prefixClauses = [];
-                const seenPrefixes = new Set();
-
-                for (const term of locationTerms) {
-                    const variants = [
-                        term,
-                        term.toLowerCase(),
-                        term.toUpperCase(),
-                        toTitleCaseLocation(term),
-                    ];
-
-                    for (const variant of variants) {
-                        const cleanVariant = String(variant).trim();
-                        if (!cleanVariant || seenPrefixes.has(cleanVariant)) continue;
-                        seenPrefixes.add(cleanVariant);
-                        const safeVariant = cleanVariant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                        prefixClauses.push({
-                            [primaryLocationField]: { $regex: `^${safeVariant}` }
-                        });
-                    }
-                }
-
-                if (prefixClauses.length === 1) {
-                    andConditions.push(prefixClauses[0]);
-                } else if (prefixClauses.length > 1) {
-                    andConditions.push({ $or: prefixClauses });
-                }
-            }
-        } catch (error) {
-            console.error("Location filter error:", error);
-            // Continue without location filter
-        }
-
-        // 3. JOB TITLE FILTER
-        try {
-            if (jobTitle) {
-                let titleStr = jobTitle;
-                if (Array.isArray(titleStr)) titleStr = titleStr.join(',');
-                titleStr = String(titleStr).trim();
-                
-                if (titleStr) {
-                    const titles = titleStr.split(',').map(t => t.trim()).filter(Boolean);
-                    if (titles.length > 0) {
-                        const escapedTitles = titles.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-                        const titlePattern = escapedTitles.join('|');
-                        andConditions.push({ 
-                            jobTitle: { $regex: titlePattern, $options: 'i' } 
-                        });
-                    }
-                }
-            }
-        } catch (error) {
-            console.error("Job title filter error:", error);
-        }
-
-        // 4. SKILLS FILTER
-        try {
-            if (skills) {
-                let skillsStr = skills;
-                if (Array.isArray(skillsStr)) skillsStr = skillsStr.join(',');
-                skillsStr = String(skillsStr).trim();
-                
-                if (skillsStr) {
-                    const skillList = skillsStr.split(',').map(s => s.trim()).filter(Boolean);
-                    if (skillList.length > 0) {
-                        const escapedSkills = skillList.map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-                        const skillPattern = escapedSkills.join('|');
-                        andConditions.push({ 
-                            skills: { $regex: skillPattern, $options: 'i' } 
-                        });
-                    }
-                }
-            }
-        } catch (error) {
-            console.error("Skills filter error:", error);
-        }
-
-        // 5. Toggles
-        if (hasEmail === "true") {
-            andConditions.push({ email: { $exists: true, $ne: "" } });
-        }
-        if (hasPhone === "true") {
-            andConditions.push({ phone: { $exists: true, $ne: "" } });
-        }
-        if (hasLinkedin === "true") {
-            andConditions.push({ linkedinUrl: { $exists: true, $ne: "" } });
-        }
-
-        // Add all conditions to $and if any exist
-        if (andConditions.length > 0) {
-            query.$and = andConditions;
-        }
+        const { query, useTextSearch, keywordRegexFallbackClause, locationHintIndex } =
+            await buildCandidateSearchQuery(req.query, req.user, { anyTerm: rerank });
 
         // FIX: Don't use seek pagination with complex regex queries
         // Use simple skip/limit pagination for reliability
         let candidates;
         let totalCount = 0;
         let hasMore = false;
+        const baseSelect =
+            "fullName jobTitle skills company experience phone email linkedinUrl locality location country industry summary parseStatus parseWarnings createdAt score privateDbId tags";
 
         try {
-            const baseSelect =
-                "fullName jobTitle skills company experience phone email linkedinUrl locality location country industry summary parseStatus parseWarnings createdAt score privateDbId";
             const buildFindQuery = ({ withHint = true, customQuery = query } = {}) => {
-                let findQuery = Candidate.find(customQuery)
-                    .select(baseSelect)
-                    .sort({ createdAt: -1 })
-                    .skip(skip)
-                    .limit(limitNum + 1)
-                    .lean()
-                    .maxTimeMS(20000);
+                let findQuery = Candidate.find(customQuery).select(baseSelect);
+                if (rerank) {
+                    // Fetch the top SEMANTIC_RERANK_POOL keyword hits once; pages are cut from the re-ranked pool
+                    findQuery = customQuery === query && useTextSearch
+                        ? findQuery.select({ textScore: { $meta: "textScore" } }).sort({ textScore: { $meta: "textScore" } })
+                        : findQuery.sort({ createdAt: -1 });
+                    findQuery = findQuery.limit(SEMANTIC_RERANK_POOL);
+                } else {
+                    findQuery = findQuery.sort({ createdAt: -1 }).skip(skip).limit(limitNum + 1);
+                }
+                findQuery = findQuery.lean().maxTimeMS(20000);
 
                 if (withHint && locationHintIndex) {
                     findQuery = findQuery.hint(locationHintIndex);
@@ -1753,14 +1528,9 @@ export const searchCandidates = async (req, res) => {
                     throw dbError;
                 }
 
-                let fallbackQuery = query;
-                if (textIndexMissing && keywordRegexFallbackClause) {
-                    const andWithoutText = (query.$and || []).filter((c) => !(c && c.$text));
-                    fallbackQuery = {
-                        ...query,
-                        $and: [...andWithoutText, keywordRegexFallbackClause],
-                    };
-                }
+                const fallbackQuery = textIndexMissing
+                    ? withoutTextSearch({ query, keywordRegexFallbackClause })
+                    : query;
 
                 candidates = await buildFindQuery({
                     withHint: false,
@@ -1768,6 +1538,17 @@ export const searchCandidates = async (req, res) => {
                 });
             }
 
+            if (rerank) {
+                try {
+                    candidates = await rerankBySimilarity(semanticText, candidates, { mode: searchMode });
+                } catch (rerankError) {
+                    // Keep the keyword order rather than failing the search (e.g. embedding API down)
+                    logger.warn(`Semantic re-rank failed, returning keyword order: ${rerankError.message}`);
+                    candidates.forEach((c) => delete c.textScore);
+                }
+                candidates = candidates.slice(skip, skip + limitNum + 1);
+            }
+
             hasMore = candidates.length > limitNum;
             if (hasMore) {
                 candidates.pop();
@@ -1787,25 +1568,82 @@ export const searchCandidates = async (req, res) => {
         }
 
         // Deduct 1 credit after successful page-1 search
-        if (pageNum === 1 && req.user.role !== 'ADMIN' && !req.user.creditFree) {
-            deductCredits(req.user._id, 1, 'SEARCH', 'Internal DB search').catch(() => {});
+        const creditsCharged = pageNum === 1 && req.user.role !== 'ADMIN' && !req.user.creditFree ? 1 : 0;
+        if (creditsCharged > 0) {
+            deductCredits(req.user._id, creditsCharged, 'SEARCH', 'Internal DB search').catch(() => {});
+        }
+
+        // Which fields matched, with highlighted skills/summary/resume snippets
+        await attachSearchHighlights(candidates, req.query, { anyTerm: rerank });
+
+        // Few keyword hits: add typo-tolerant name/company matches ("Srinivas Reddi",
+        // "Accentur") after them, with a "did you mean" spelling. Page 1 only.
+        let didYouMean = null;
+        let fuzzyCount = 0;
+        if (!rerank && pageNum === 1 && !hasMore && candidates.length < FUZZY_MIN_HITS && String(req.query.fuzzy) !== "false") {
+            try {
+                const fuzzy = await findFuzzyCandidates(req.query, req.user, {
+                    select: baseSelect,
+                    excludeIds: candidates.map((c) => c._id),
+                    limit: limitNum - candidates.length,
+                });
+                candidates.push(...fuzzy.candidates);
+                fuzzyCount = fuzzy.candidates.length;
+                didYouMean = fuzzy.didYouMean;
+                totalCount = candidates.length;
+            } catch (fuzzyError) {
+                logger.warn(`Fuzzy search fallback failed: ${fuzzyError.message}`);
+            }
         }
 
+        // Email/phone stay masked until revealed (admins and credit-free users see them)
+        await maskContacts(candidates, req.user);
+
+        logSearch({
+            user: req.user,
+            endpoint: "CANDIDATE_SEARCH",
+            ...candidateSearchSummary(req.query),
+            mode: rerank ? searchMode : fuzzyCount > 0 ? "fuzzy" : "keyword",
+            page: pageNum,
+            resultCount: candidates.length,
+            startedAt,
+            creditsCharged,
+        });
+
         res.json({
             candidates,
             hasMore,
             totalPages: 0,
             currentPage: pageNum,
             totalCount,
+            searchMode: rerank ? searchMode : "keyword",
+            fuzzyCount,
+            didYouMean,
         });
 
     } catch (err) {
         console.error("Search Error:", err);
         console.error("Error stack:", err.stack);
 
+        logSearch({
+            user: req.user,
+            endpoint: "CANDIDATE_SEARCH",
+            ...candidateSearchSummary(req.query),
+            page: Math.max(1, Number(req.query.page) || 1),
+            startedAt,
+            status: searchErrorStatus(err),
+            error: err,
+        });
+
         if (err.status === 402) {
             return res.status(402).json({ message: err.message, required: err.required, available: err.available });
         }
+        if (err.code === 'INVALID_QUERY') {
+            return res.status(400).json({ message: err.message, error: err.code, token: err.token, position: err.position });
+        }
+        if (err.code === 'PRIVATE_DB_NOT_FOUND') {
+            return res.status(404).json({ message: err.message, error: err.code });
+        }
 
         // Send a proper error response
         res.status(500).json({
@@ -1816,6 +1654,95 @@ export const searchCandidates = async (req, res) => {
     }
 };
 
+// --- SEARCH FACETS ---
+// Top-N buckets for the current search filters. On the multi-million-row
+// global DB only the newest FACET_SAMPLE_CAP matches are aggregated, so the
+// counts are exact below the cap and a recency sample above it (`sampled`).
+const FACET_FIELDS = ["country", "locality", "company", "jobTitle", "skills"];
+const FACET_SAMPLE_CAP = Number(process.env.FACET_SAMPLE_CAP || 50000);
+const FACET_MAX_BUCKETS = 25;
+
+const buildFacetBranch = (field, bucketLimit) => {
+	const stages = [];
+	if (field === "skills") {
+		// skills is a comma-separated string: count each skill separately
+		stages.push(
+			{ $project: { value: { $slice: [{ $split: [{ $ifNull: ["$skills", ""] }, ","] }, 30] } } },
+			{ $unwind: "$value" },
+		);
+	} else {
+		stages.push({ $project: { value: { $ifNull: [`$${field}`, ""] } } });
+	}
+	stages.push(
+		{ $project: { value: { $trim: { input: { $toString: "$value" } } } } },
+		{ $match: { value: { $nin: ["", "N/A", "n/a", "null", "undefined"] } } },
+		{ $group: { _id: { $toLower: "$value" }, value: { $first: "$value" }, count: { $sum: 1 } } },
+		{ $sort: { count: -1, _id: 1 } },
+		{ $limit: bucketLimit },
+		{ $project: { _id: 0, value: 1, count: 1 } },
+	);
+	return stages;
+};
+
+export const getSearchFacets = async (req, res) => {
+	try {
+		const bucketLimit = Math.min(Math.max(Number(req.query.facetLimit) || 10, 1), FACET_MAX_BUCKETS);
+		const requested = String(req.query.facets || "")
+			.split(",")
+			.map((f) => f.trim())
+			.filter((f) => FACET_FIELDS.includes(f));
+		const fields = requested.length > 0 ? requested : FACET_FIELDS;
+
+		const searchQuery = await buildCandidateSearchQuery(req.query, req.user);
+
+		const runAggregation = (matchQuery) => {
+			const facetStage = { total: [{ $count: "n" }] };
+			for (const field of fields) facetStage[field] = buildFacetBranch(field, bucketLimit);
+
+			return Candidate.aggregate([
+				{ $match: matchQuery },
+				{ $sort: { createdAt: -1 } },
+				{ $limit: FACET_SAMPLE_CAP },
+				{ $project: { country: 1, locality: 1, company: 1, jobTitle: 1, skills: 1 } },
+				{ $facet: facetStage },
+			])
+				.allowDiskUse(true)
+				.option({ maxTimeMS: 20000 });
+		};
+
+		let result;
+		try {
+			result = await runAggregation(searchQuery.query);
+		} catch (dbError) {
+			const textIndexMissing =
+				searchQuery.useTextSearch &&
+				/text index|required for \$text|index not found for text query/i.test(String(dbError?.message || ""));
+			if (!textIndexMissing) throw dbError;
+			result = await runAggregation(withoutTextSearch(searchQuery));
+		}
+
+		const [facetResult = {}] = result;
+		const sampleSize = facetResult.total?.[0]?.n || 0;
+		const facets = {};
+		for (const field of fields) facets[field] = facetResult[field] || [];
+
+		res.json({
+			facets,
+			sampleSize,
+			sampled: sampleSize >= FACET_SAMPLE_CAP,
+		});
+	} catch (error) {
+		if (error.code === "INVALID_QUERY") {
+			return res.status(400).json({ message: error.message, error: error.code, token: error.token, position: error.position });
+		}
+		if (error.code === "PRIVATE_DB_NOT_FOUND") {
+			return res.status(404).json({ message: error.message, error: error.code });
+		}
+		logger.error("Facet aggregation failed:", error);
+		res.status(500).json({ message: "Failed to load facets", error: error.message });
+	}
+};
+
 // --- GET SINGLE CANDIDATE (DETAIL VIEW) ---
 export const getCandidateById = async (req, res) => {
 	try {
@@ -1824,7 +1751,7 @@ export const getCandidateById = async (req, res) => {
 			isDeleted: false,
 		})
 			.select(
-				"fullName jobTitle skills company experience phone email linkedinUrl locality location country industry summary availability candidateStatus internalTags recruiterNotes parseStatus parseWarnings createdAt sourceFile parsedResume",
+				"fullName jobTitle skills company experience phone email linkedinUrl locality location country industry summary availability candidateStatus internalTags tags recruiterNotes parseStatus parseWarnings createdAt sourceFile parsedResume",
 			)
 			.lean();
 
@@ -1832,6 +1759,16 @@ export const getCandidateById = async (req, res) => {
 			return res.status(404).json({ message: "Candidate not found" });
 		}
 
+		// Opening the modal repeatedly shouldn't flood the timeline
+		recordCandidateActivity({
+			candidateId: candidate._id,
+			actor: req.user,
+			type: "VIEWED",
+			summary: "Viewed profile",
+			dedupeWithinMs: 30 * 60 * 1000,
+		});
+
+		await maskContacts([candidate], req.user);
 		return res.json(candidate);
 	} catch (error) {
 		if (error?.name === "CastError") {
@@ -1842,64 +1779,76 @@ export const getCandidateById = async (req, res) => {
 	}
 };
 
+// --- CANDIDATE ACTIVITY TIMELINE ---
+/**
+ * GET /api/candidates/:id/activity?page=&limit=&type=
+ * Newest-first timeline of views, edits, enrichment, exports and stage moves.
+ */
+export const getCandidateActivity = async (req, res) => {
+	try {
+		// Same visibility as search: global DB plus the user's own private DBs
+		const candidate = await findVisibleCandidate(req.params.id, req.user);
+		if (!candidate) {
+			return res.status(404).json({ message: "Candidate not found" });
+		}
+
+		const result = await getCandidateActivityPage(candidate._id, req.query);
+		return res.json(result);
+	} catch (error) {
+		if (error?.name === "CastError") {
+			return res.status(400).json({ message: "Invalid candidate id" });
+		}
+		logger.error("Get candidate activity failed:", error);
+		return res.status(500).json({ message: "Failed to fetch candidate activity" });
+	}
+};
+
 // --- EXPORT SELECTED CANDIDATES TO CSV ---
 export const exportCandidates = async (req, res) => {
 	try {
-		const { ids } = req.body; // Array of candidate IDs
+		const { ids, templateId } = req.body; // Array of candidate IDs, optional export template
 
 		if (!ids || !Array.isArray(ids) || ids.length === 0) {
 			return res.status(400).json({ message: "No candidate IDs provided" });
 		}
 
 		// Fetch candidates
-		const candidates = await Candidate.find({
+		const found = await Candidate.find({
 			_id: { $in: ids },
 			isDeleted: false,
 		})
 			.select("-sourceFile -uploadJobId -__v")
 			.lean();
 
-		if (candidates.length === 0) {
+		if (found.length === 0) {
 			return res.status(404).json({ message: "No candidates found" });
 		}
 
-		// Convert to CSV
-		const csvHeaders = [
-			"Full Name",
-			"Job Title",
-			"Skills",
-			"Company Name",
-			"Experience",
-			"Phone",
-			"Email",
-			"LinkedIn URL",
-			"Location",
-			"Industry",
-			"Summary",
-		];
-
-		const csvRows = candidates
+		// Do-not-contact and suppressed candidates are left out of exports
+		const blocked = await contactBlockReasons(found);
+		const candidates = found.filter((_, index) => !blocked[index]);
+		if (candidates.length === 0) {
+			return res.status(403).json({
+				message: "The selected candidates are marked do not contact and cannot be exported",
+				code: "DO_NOT_CONTACT",
+			});
+		}
+
+		// Convert to CSV using the chosen (or the user's default) column template
+		const { columns } = await resolveTemplateColumns({ templateId, user: req.user });
+		if (columnsNeedTagNames(columns)) {
+			attachTagNames(candidates, await loadTagNameMap(req.user));
+		}
+		const cleanRows = candidates
 			.map((c) => cleanAndValidateCandidate(c)) // ETL: Clean & Validate
 			.filter((res) => res.valid) // Remove invalid rows (Garbage data)
-			.map((res) => res.data) // Extract cleaned data
-			.map((candidate) => [
-				candidate.fullName || "",
-				candidate.jobTitle || "",
-				candidate.skills || "",
-				candidate.company || "",
-				candidate.experience || "",
-				candidate.phone || "",
-				candidate.email || "",
-				candidate.linkedinUrl || "",
-				candidate.location || candidate.locality || candidate.country || "",
-				candidate.industry || "",
-				candidate.summary || "",
-			]);
-
-		const csvContent = [csvHeaders, ...csvRows]
-			.map((row) =>
-				row.map((field) => `"${String(field).replace(/"/g, '""')}"`).join(","),
-			)
+			.map((res) => res.data);
+		// Unrevealed contacts are exported masked, same as in search
+		await maskContacts(cleanRows, req.user);
+		const csvRows = cleanRows.map((row) => toExportRow(row, columns));
+
+		const csvContent = [columns.map((col) => col.header), ...csvRows]
+			.map(toCsvLine)
 			.join("\n");
 
 		const today = new Date();
@@ -1913,9 +1862,19 @@ export const exportCandidates = async (req, res) => {
 			"Content-Disposition",
 			`attachment; filename="candidates_export_${dateString}.csv"`,
 		);
-		res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+		res.setHeader("X-Excluded-Do-Not-Contact", String(found.length - candidates.length));
+		res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, X-Excluded-Do-Not-Contact");
 		res.send(csvContent);
+
+		recordCandidateActivity({
+			candidateIds: candidates.map((c) => c._id),
+			actor: req.user,
+			type: "EXPORTED",
+			summary: "Exported to CSV",
+			details: { format: "CSV", batchSize: candidates.length },
+		});
 	} catch (err) {
+		if (err.status === 404) return res.status(404).json({ message: err.message });
 		console.error("Export Error:", err);
 		res.status(500).json({ message: "Export failed" });
 	}
@@ -1937,7 +1896,10 @@ const verifyAdminPassword = async (userId, password) => {
 // --- SOFT DELETE ROW ---
 export const softDeleteCandidate = async (req, res) => {
 	try {
-		await Candidate.findByIdAndUpdate(req.params.id, { isDeleted: true });
+		const candidate = await Candidate.findByIdAndUpdate(req.params.id, { isDeleted: true });
+		if (candidate) {
+			recordCandidateActivity({ candidateId: candidate._id, actor: req.user, type: "DELETED", summary: "Moved to trash" });
+		}
 		res.json({ message: "Moved to trash" });
 	} catch (error) {
 		res.status(500).json({ message: error.message });
@@ -1947,7 +1909,10 @@ export const softDeleteCandidate = async (req, res) => {
 // --- UNDO DELETE ---
 export const undoDeleteCandidate = async (req, res) => {
 	try {
-		await Candidate.findByIdAndUpdate(req.params.id, { isDeleted: false });
+		const candidate = await Candidate.findByIdAndUpdate(req.params.id, { isDeleted: false });
+		if (candidate) {
+			recordCandidateActivity({ candidateId: candidate._id, actor: req.user, type: "RESTORED", summary: "Restored from trash" });
+		}
 		res.json({ message: "Restored" });
 	} catch (error) {
 		res.status(500).json({ message: error.message });
@@ -2060,6 +2025,7 @@ export const downloadProfile = async (req, res) => {
 				: "";
 		const toArray = (v) => (Array.isArray(v) ? v : v ? [v] : []);
 		const parserData = candidate?.parsedResume?.raw?.ResumeParserData || {};
+		const contactsMasked = !(await hasRevealedContact(req.user, candidate._id));
 
 		const normalizeMultiline = (v) =>
 			String(v || "")
@@ -2113,7 +2079,7 @@ export const downloadProfile = async (req, res) => {
 				...toArray(parserData.Email).map((e) => ({ value: cleanInline(e?.EmailAddress || e?.Email) })),
 			].filter((x) => x.value),
 			(x) => x.value.toLowerCase(),
-		).map((x) => x.value);
+		).map((x) => (contactsMasked ? maskEmail(x.value) : x.value));
 
 		const uniquePhones = dedupeBy(
 			[
@@ -2121,7 +2087,7 @@ export const downloadProfile = async (req, res) => {
 				...toArray(parserData.PhoneNumber).map((p) => ({ value: cleanInline(p?.FormattedNumber || p?.Number) })),
 			].filter((x) => x.value),
 			(x) => normalizePhone(x.value),
-		).map((x) => x.value);
+		).map((x) => (contactsMasked ? maskPhone(x.value) : x.value));
 
 		const linkedinLinks = dedupeBy(
 			[
@@ -2908,6 +2874,13 @@ export const downloadProfile = async (req, res) => {
 		// Expose both headers to the client-side script
 		res.setHeader("Access-Control-Expose-Headers", "Content-Disposition, X-Filename");
 		res.send(buffer);
+
+		recordCandidateActivity({
+			candidateId: candidate._id,
+			actor: req.user,
+			type: "DOWNLOADED",
+			summary: "Downloaded profile (DOCX)",
+		});
 	} catch (error) {
 		console.error(error);
 		res.status(500).json({ message: "Error generating resume" });
@@ -2970,7 +2943,7 @@ const mapEnrichmentQueueCandidate = (candidateDoc) => {
 };
 
 const enrichCandidateSelect =
-	"fullName jobTitle company email phone linkedinUrl location locality country skills summary industry experience availability candidateStatus internalTags recruiterNotes sourceFile parsedResume parseStatus enrichment updatedAt createdAt isDeleted";
+	"fullName jobTitle company email phone linkedinUrl location locality country skills summary industry experience availability candidateStatus internalTags recruiterNotes sourceFile parsedResume parseStatus enrichment consent doNotContact updatedAt createdAt isDeleted";
 const MANUAL_ENRICH_UPDATE_FIELDS = new Set(getAllowedEnrichmentFields());
 const VERIFICATION_STATUSES = new Set([
 	"NEEDS_REVIEW",
@@ -3211,8 +3184,19 @@ export const runCandidateEnrichment = async (req, res) => {
 		}
 
 		const results = [];
+		// Enrichment calls outside providers about the person, so do-not-contact
+		// and suppressed candidates are skipped
+		const blocked = await contactBlockReasons(candidates);
 
-		for (const candidate of candidates) {
+		for (const [index, candidate] of candidates.entries()) {
+			if (blocked[index]) {
+				results.push({
+					candidateId: String(candidate._id),
+					status: "SKIPPED",
+					error: blocked[index],
+				});
+				continue;
+			}
 			try {
 				const enrichmentResult = await enrichCandidateProfile(candidate);
 				const metaBefore = enrichmentResult.metaBefore;
@@ -3258,6 +3242,13 @@ export const runCandidateEnrichment = async (req, res) => {
 						},
 					});
 				}
+				recordCandidateActivity({
+					candidateId: candidate._id,
+					actor: req.user,
+					type: "ENRICHED",
+					summary: `Enrichment run (${enrichmentResult.provider || "unknown provider"}): ${enrichmentResult.suggestions.length} suggestion(s)`,
+					details: { provider: enrichmentResult.provider, suggestions: enrichmentResult.suggestions.length },
+				});
 
 				results.push({
 					candidateId: String(candidate._id),
@@ -3275,13 +3266,15 @@ export const runCandidateEnrichment = async (req, res) => {
 		}
 
 		const successCount = results.filter((r) => r.status === "ENRICHED").length;
-		const failedCount = results.length - successCount;
+		const skippedCount = results.filter((r) => r.status === "SKIPPED").length;
+		const failedCount = results.length - successCount - skippedCount;
 
 		return res.json({
-			message: `Enrichment completed for ${successCount}/${results.length} candidates`,
+			message: `Enrichment completed for ${successCount}/${results.length} candidates${skippedCount ? ` (${skippedCount} skipped: do not contact)` : ""}`,
 			processed: results.length,
 			successCount,
 			failedCount,
+			skippedCount,
 			results,
 		});
 	} catch (error) {
@@ -3458,6 +3451,13 @@ export const reviewCandidateEnrichment = async (req, res) => {
 				selectionCount: Array.isArray(selectedFields) ? selectedFields.length : 0,
 			},
 		});
+		recordCandidateActivity({
+			candidateId: candidate._id,
+			actor: req.user,
+			type: "ENRICHMENT_REVIEWED",
+			summary: `Enrichment suggestions ${normalizedAction === "REJECT" ? "rejected" : "applied"}`,
+			details: { action: normalizedAction, fields: appliedChanges.map((change) => change.field) },
+		});
 
 		const actionLabel = {
 			APPROVE: "approved",
@@ -3578,6 +3578,13 @@ export const saveCandidateEnrichmentManual = async (req, res) => {
 					editCount: editChanges.length,
 				},
 			});
+			recordCandidateActivity({
+				candidateId: candidate._id,
+				actor: req.user,
+				type: "EDITED",
+				summary: `Edited ${editChanges.map((change) => change.field).join(", ")}`,
+				details: { fields: editChanges.map((change) => change.field) },
+			});
 		}
 
 		if (verificationChanged) {
@@ -3597,6 +3604,13 @@ export const saveCandidateEnrichmentManual = async (req, res) => {
 				],
 				metadata: null,
 			});
+			recordCandidateActivity({
+				candidateId: candidate._id,
+				actor: req.user,
+				type: "VERIFIED",
+				summary: `Verification set to ${normalizedVerification}`,
+				details: { from: previousVerification || null, to: normalizedVerification },
+			});
 		}
 
 		return res.json({
@@ -4039,18 +4053,40 @@ export const syncJobStatus = async (req, res) => {
 };
 
 // --- UPDATE NOTES & TAGS ---
+// Legacy endpoint: `recruiterNotes` no longer overwrites the notes, it adds a
+// note to the candidate's thread (see candidateNoteController), and
+// `internalTags` text is applied as tags (see setCandidateTagsFromText).
 export const updateCandidateNotes = async (req, res) => {
   try {
     const { id } = req.params;
     const { recruiterNotes, internalTags } = req.body;
-    const update = {};
-    if (recruiterNotes !== undefined) update.recruiterNotes = String(recruiterNotes || '');
-    if (internalTags !== undefined) update.internalTags = String(internalTags || '');
-    const candidate = await Candidate.findByIdAndUpdate(id, update, { new: true })
-      .select('recruiterNotes internalTags');
-    if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
-    res.json(candidate);
+    const visible = await findVisibleCandidate(id, req.user, '_id tags');
+    if (!visible) return res.status(404).json({ message: 'Candidate not found' });
+
+    let note = null;
+    if (recruiterNotes !== undefined && String(recruiterNotes || '').trim()) {
+      const invalid = validateNoteBody(recruiterNotes);
+      if (invalid) return res.status(400).json({ message: invalid });
+      note = await addCandidateNote({ candidateId: id, author: req.user, body: recruiterNotes });
+    }
+    if (internalTags !== undefined) {
+      await setCandidateTagsFromText(visible, internalTags, req.user);
+    }
+
+    const candidate = await Candidate.findById(id).select('recruiterNotes internalTags tags');
+    if (note || internalTags !== undefined) {
+      recordCandidateActivity({
+        candidateId: candidate._id,
+        actor: req.user,
+        type: 'NOTES_UPDATED',
+        summary: note ? 'Added a note' : 'Updated tags',
+        details: note ? { noteId: note._id } : { fields: ['tags'] },
+      });
+    }
+    res.json(note ? { ...candidate.toObject(), note } : candidate);
   } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    if (error.status === 400) return res.status(400).json({ message: error.message });
     res.status(500).json({ message: error.message });
   }
 };
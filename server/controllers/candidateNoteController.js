@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import Candidate from '../models/Candidate.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import {
+  canEditNote,
+  canDeleteNote,
+  validateNoteBody,
+  listCandidateNotes,
+  findCandidateNote,
+  addCandidateNote,
+  updateCandidateNote,
+  deleteCandidateNote,
+  searchMentionableUsers,
+} from '../utils/noteService.js';
+
+const candidateExists = (id) => mongoose.Types.ObjectId.isValid(id) && Candidate.exists({ _id: id, isDeleted: false });
+
+/**
+ * GET /api/candidates/:id/notes
+ * The notes thread, pinned notes first, then newest.
+ */
+export const getCandidateNotes = async (req, res) => {
+  try {
+    if (!(await candidateExists(req.params.id))) return res.status(404).json({ message: 'Candidate not found' });
+    const notes = await listCandidateNotes(req.params.id);
+    res.json({ notes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/:id/notes  { body, pinned? }
+ */
+export const createCandidateNote = async (req, res) => {
+  try {
+    const { body, pinned } = req.body || {};
+    const invalid = validateNoteBody(body);
+    if (invalid) return res.status(400).json({ message: invalid });
+    if (!(await candidateExists(req.params.id))) return res.status(404).json({ message: 'Candidate not found' });
+
+    const note = await addCandidateNote({ candidateId: req.params.id, author: req.user, body, pinned });
+    recordCandidateActivity({
+      candidateId: req.params.id,
+      actor: req.user,
+      type: 'NOTES_UPDATED',
+      summary: 'Added a note',
+      details: { noteId: note._id },
+    });
+    res.status(201).json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /api/candidates/:id/notes/:noteId  { body?, pinned? }
+ * Only the author can change the text; anyone can pin or unpin.
+ */
+export const updateNote = async (req, res) => {
+  try {
+    const { body, pinned } = req.body || {};
+    if (body === undefined && pinned === undefined) return res.status(400).json({ message: 'Nothing to update' });
+    const note = await findCandidateNote(req.params.id, req.params.noteId);
+    if (!note) return res.status(404).json({ message: 'Note not found' });
+
+    if (body !== undefined) {
+      if (!canEditNote(note, req.user)) return res.status(403).json({ message: 'Only the author can edit this note' });
+      const invalid = validateNoteBody(body);
+      if (invalid) return res.status(400).json({ message: invalid });
+    }
+
+    await updateCandidateNote(note, { body, pinned }, req.user);
+    recordCandidateActivity({
+      candidateId: note.candidateId,
+      actor: req.user,
+      type: 'NOTES_UPDATED',
+      summary: body !== undefined ? 'Edited a note' : note.pinned ? 'Pinned a note' : 'Unpinned a note',
+      details: { noteId: note._id },
+    });
+    res.json(note);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/candidates/:id/notes/:noteId
+ * Authors can delete their own notes; admins can delete any.
+ */
+export const deleteNote = async (req, res) => {
+  try {
+    const note = await findCandidateNote(req.params.id, req.params.noteId);
+    if (!note) return res.status(404).json({ message: 'Note not found' });
+    if (!canDeleteNote(note, req.user)) return res.status(403).json({ message: 'You can only delete your own notes' });
+
+    await deleteCandidateNote(note);
+    recordCandidateActivity({
+      candidateId: note.candidateId,
+      actor: req.user,
+      type: 'NOTES_UPDATED',
+      summary: 'Deleted a note',
+      details: { noteId: note._id },
+    });
+    res.json({ message: 'Note deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/candidates/notes/mentionable?q=
+ * Teammates matching q, for the @mention picker.
+ */
+export const getMentionableUsers = async (req, res) => {
+  try {
+    const users = await searchMentionableUsers(req.query.q);
+    res.json(users.map((u) => ({ _id: u._id, name: u.name, email: u.email })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,59 @@
+import logger from '../utils/logger.js';
+import { compareCandidates, buildComparisonDocx } from '../utils/candidateComparisonService.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+
+const sendError = (res, error, fallback) => {
+  if (error?.name === 'CastError') {
+    return res.status(400).json({ message: 'Invalid candidate or job id' });
+  }
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  logger.error(`${fallback}: ${error.message}`);
+  return res.status(500).json({ message: fallback });
+};
+
+/**
+ * POST /api/candidates/compare
+ * Body: { candidateIds: [2–5 ids], jobId | jobDescription | parsedRequirements }
+ * Side-by-side match of the selected candidates against one job: matched and
+ * missing skills per tier, plus experience, location and availability fit.
+ */
+export const compareSelectedCandidates = async (req, res) => {
+  try {
+    res.json(await compareCandidates(req.body || {}, req.user));
+  } catch (error) {
+    sendError(res, error, 'Failed to compare candidates');
+  }
+};
+
+/**
+ * POST /api/candidates/compare/export
+ * Same body as /compare (pass back `parsedRequirements` to skip re-parsing);
+ * responds with the comparison table as a DOCX.
+ */
+export const exportComparison = async (req, res) => {
+  try {
+    const comparison = await compareCandidates(req.body || {}, req.user);
+    const buffer = await buildComparisonDocx(comparison);
+
+    const title = (comparison.requirements.jobTitle || 'Candidates').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const today = new Date();
+    const day = String(today.getDate()).padStart(2, '0');
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const fileName = `Comparison_${title || 'Candidates'}_${day}-${month}-${today.getFullYear()}.docx`;
+
+    res.setHeader('X-Filename', fileName);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Filename');
+    res.send(buffer);
+
+    recordCandidateActivity({
+      candidateIds: comparison.candidates.map((c) => c._id),
+      actor: req.user,
+      type: 'DOWNLOADED',
+      summary: `Downloaded comparison (DOCX): ${comparison.source.label}`,
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to export comparison');
+  }
+};
@@ -0,0 +1,219 @@
+import mongoose from 'mongoose';
+import Candidate, { CONSENT_STATUSES, LAWFUL_BASES } from '../models/Candidate.js';
+import SuppressionEntry, { SUPPRESSION_KEY_TYPES } from '../models/SuppressionEntry.js';
+import logger from '../utils/logger.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import {
+  contactBlockReason,
+  contactKeysFor,
+  addSuppressionEntries,
+  removeCandidateSuppressions,
+} from '../utils/consentService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const CONSENT_SELECT = 'fullName email phone linkedinUrl consent doNotContact';
+
+// Validate the consent fields present in `body` into a $set on `consent.*`.
+const pickConsentFields = (body = {}) => {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+  const fields = {};
+
+  if (has('status')) {
+    const status = String(body.status || '').toUpperCase();
+    if (!CONSENT_STATUSES.includes(status)) throw badRequest(`status must be one of ${CONSENT_STATUSES.join(', ')}`);
+    fields['consent.status'] = status;
+  }
+  if (has('source')) fields['consent.source'] = String(body.source || '').trim().slice(0, 200);
+  if (has('date')) {
+    const date = body.date ? new Date(body.date) : null;
+    if (date && Number.isNaN(date.getTime())) throw badRequest('date is not a valid date');
+    fields['consent.date'] = date;
+  }
+  if (has('lawfulBasis')) {
+    const basis = body.lawfulBasis ? String(body.lawfulBasis).toUpperCase() : null;
+    if (basis && !LAWFUL_BASES.includes(basis)) throw badRequest(`lawfulBasis must be one of ${LAWFUL_BASES.join(', ')}`);
+    fields['consent.lawfulBasis'] = basis;
+  }
+  return fields;
+};
+
+const serializeConsent = async (candidate) => ({
+  candidateId: candidate._id,
+  consent: candidate.consent || { status: 'UNKNOWN' },
+  doNotContact: candidate.doNotContact || { flag: false },
+  contactBlockedReason: await contactBlockReason(candidate),
+});
+
+/**
+ * GET /api/candidates/:id/consent
+ */
+export const getCandidateConsent = async (req, res) => {
+  try {
+    const candidate = await Candidate.findOne({ _id: req.params.id, isDeleted: false }).select(CONSENT_SELECT).lean();
+    if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
+    res.json(await serializeConsent(candidate));
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /api/candidates/:id/consent
+ * Body: { status?, source?, date?, lawfulBasis?, doNotContact?: boolean, reason? }
+ * Anyone can flag a candidate do-not-contact (which also puts their contact
+ * details on the suppression list); only admins can clear the flag.
+ */
+export const updateCandidateConsent = async (req, res) => {
+  try {
+    const candidate = await Candidate.findOne({ _id: req.params.id, isDeleted: false }).select(CONSENT_SELECT).lean();
+    if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
+
+    const $set = pickConsentFields(req.body);
+    if (Object.keys($set).length > 0) {
+      $set['consent.updatedBy'] = req.user._id;
+    }
+
+    const wasFlagged = Boolean(candidate.doNotContact?.flag);
+    const flag = typeof req.body?.doNotContact === 'boolean' ? req.body.doNotContact : wasFlagged;
+    const reason = String(req.body?.reason ?? candidate.doNotContact?.reason ?? '').trim().slice(0, 500);
+    if (flag && !wasFlagged && !reason) {
+      return res.status(400).json({ message: 'A reason is required to mark a candidate do not contact' });
+    }
+    if (!flag && wasFlagged && !isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only admins can clear the do-not-contact flag' });
+    }
+    if (flag !== wasFlagged) {
+      Object.assign($set, {
+        'doNotContact.flag': flag,
+        'doNotContact.reason': flag ? reason : '',
+        'doNotContact.setAt': flag ? new Date() : null,
+        'doNotContact.setBy': flag ? req.user._id : null,
+      });
+    } else if (flag && typeof req.body?.reason === 'string') {
+      $set['doNotContact.reason'] = reason;
+    }
+
+    if (Object.keys($set).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const updated = await Candidate.findByIdAndUpdate(candidate._id, { $set }, { new: true }).select(CONSENT_SELECT).lean();
+
+    if (flag && !wasFlagged) {
+      await addSuppressionEntries({
+        person: candidate,
+        reason,
+        source: 'DO_NOT_CONTACT',
+        candidateId: candidate._id,
+        user: req.user,
+      });
+    } else if (!flag && wasFlagged) {
+      await removeCandidateSuppressions(candidate._id);
+    }
+
+    const changes = [];
+    if ($set['consent.status']) changes.push(`consent ${$set['consent.status'].toLowerCase()}`);
+    if (flag !== wasFlagged) changes.push(flag ? 'marked do not contact' : 'do-not-contact cleared');
+    recordCandidateActivity({
+      candidateId: candidate._id,
+      actor: req.user,
+      type: 'CONSENT_UPDATED',
+      summary: changes.length > 0 ? `Contact preferences: ${changes.join(', ')}` : 'Consent details updated',
+      details: {
+        status: updated?.consent?.status,
+        lawfulBasis: updated?.consent?.lawfulBasis,
+        doNotContact: flag,
+        reason: flag ? reason : '',
+      },
+    });
+
+    res.json(await serializeConsent(updated));
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/admin/suppressions?q=&keyType=&page=1&limit=20
+ */
+export const getSuppressions = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    const filter = {};
+    if (req.query.keyType) {
+      if (!SUPPRESSION_KEY_TYPES.includes(req.query.keyType)) {
+        return res.status(400).json({ message: `keyType must be one of ${SUPPRESSION_KEY_TYPES.join(', ')}` });
+      }
+      filter.keyType = req.query.keyType;
+    }
+    const q = String(req.query.q || '').trim().toLowerCase();
+    if (q) filter.key = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+
+    const [entries, total] = await Promise.all([
+      SuppressionEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      SuppressionEntry.countDocuments(filter),
+    ]);
+    res.json({ entries, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/suppressions
+ * Body: { email?, phone?, linkedinUrl?, reason }
+ * For people who asked not to be contacted but may not be in the database.
+ */
+export const addSuppression = async (req, res) => {
+  try {
+    const person = {
+      email: String(req.body?.email || '').trim(),
+      phone: String(req.body?.phone || '').trim(),
+      linkedinUrl: String(req.body?.linkedinUrl || '').trim(),
+    };
+    if (contactKeysFor(person).length === 0) {
+      return res.status(400).json({ message: 'Enter a valid email, phone number or LinkedIn profile URL' });
+    }
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ message: 'A reason is required' });
+
+    const added = await addSuppressionEntries({ person, reason, source: 'MANUAL', user: req.user });
+    logger.info(`Suppression list: ${added} key(s) added by ${req.user.email}`);
+    res.status(201).json({ added, message: added > 0 ? 'Added to the suppression list' : 'Already on the suppression list' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/admin/suppressions/:id
+ * Entries created by a candidate's do-not-contact flag are removed by
+ * clearing the flag on the candidate instead.
+ */
+export const removeSuppression = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+    const entry = await SuppressionEntry.findById(req.params.id).lean();
+    if (!entry) return res.status(404).json({ message: 'Entry not found' });
+    if (entry.source === 'DO_NOT_CONTACT' && entry.candidateId && (await Candidate.exists({ _id: entry.candidateId, 'doNotContact.flag': true }))) {
+      return res.status(409).json({ message: 'This entry belongs to a candidate marked do not contact; clear the flag on the candidate instead' });
+    }
+
+    await SuppressionEntry.deleteOne({ _id: entry._id });
+    logger.info(`Suppression entry ${entry.keyType} removed by ${req.user.email}`);
+    res.json({ message: 'Removed from the suppression list' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,65 @@
+import logger from '../utils/logger.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import { assertContactable } from '../utils/consentService.js';
+import { findVisibleCandidate } from '../utils/candidateAccessService.js';
+import { chargeContactReveal, hasFullContactAccess, CONTACT_REVEAL_CREDITS } from '../utils/contactRevealService.js';
+
+/**
+ * POST /api/candidates/:id/reveal
+ * Unmask a candidate's email and phone for the current user. The first
+ * reveal costs CONTACT_REVEAL_CREDITS; after that the candidate stays
+ * unmasked for this user in search, the profile view and exports.
+ */
+export const revealCandidateContact = async (req, res) => {
+  try {
+    const candidate = await findVisibleCandidate(
+      req.params.id,
+      req.user,
+      'fullName email phone linkedinUrl consent doNotContact'
+    );
+    if (!candidate) return res.status(404).json({ message: 'Candidate not found' });
+    if (!candidate.email && !candidate.phone) {
+      return res.status(404).json({ message: 'No contact details on file for this candidate' });
+    }
+    if (!hasFullContactAccess(req.user)) await assertContactable(candidate);
+
+    const { creditsCharged, alreadyRevealed } = await chargeContactReveal({
+      user: req.user,
+      candidateId: candidate._id,
+      description: `Contact reveal: ${candidate.fullName || candidate._id}`,
+    });
+
+    if (!alreadyRevealed) {
+      recordCandidateActivity({
+        candidateId: candidate._id,
+        actor: req.user,
+        type: 'CONTACT_REVEALED',
+        summary: `Contact details revealed (${creditsCharged} credit${creditsCharged === 1 ? '' : 's'})`,
+        details: { source: 'reveal', creditsCharged },
+      });
+    }
+
+    res.json({
+      candidateId: candidate._id,
+      email: candidate.email || null,
+      phone: candidate.phone || null,
+      creditsCharged,
+      alreadyRevealed,
+    });
+  } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json({ message: error.message, required: error.required, available: error.available });
+    }
+    if (error.code === 'DO_NOT_CONTACT') return res.status(403).json({ message: error.message, code: error.code });
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    logger.error(`Contact reveal failed for ${req.params.id}: ${error.message}`);
+    res.status(500).json({ message: 'Failed to reveal contact details' });
+  }
+};
+
+/**
+ * GET /api/candidates/reveal/config
+ */
+export const getContactRevealConfig = (req, res) => {
+  res.json({ creditsPerReveal: CONTACT_REVEAL_CREDITS, fullAccess: hasFullContactAccess(req.user) });
+};
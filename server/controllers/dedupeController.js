@@ -0,0 +1,78 @@
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import { findDuplicateGroups, mergeCandidates, backfillDedupeKeys } from '../utils/dedupeService.js';
+
+/**
+ * GET /api/candidates/duplicates?type=email|linkedin|phone|nameCompany&privateDbId=&page=&limit=
+ * Review queue of candidate groups that share a normalized identity key.
+ */
+export const getDuplicateGroups = async (req, res) => {
+  try {
+    const { type = 'email', privateDbId, page, limit } = req.query;
+    const result = await findDuplicateGroups({ type, privateDbId, page, limit });
+    res.json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    logger.error('Duplicate review queue failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/duplicates/merge
+ * Body: { survivorId, duplicateIds: [], fieldOverrides?: { field: candidateId }, dryRun?: boolean }
+ */
+export const mergeDuplicates = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds, fieldOverrides, dryRun } = req.body || {};
+    if (!survivorId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ message: 'survivorId and a non-empty duplicateIds array are required' });
+    }
+
+    const result = await mergeCandidates({
+      survivorId,
+      duplicateIds,
+      fieldOverrides: fieldOverrides && typeof fieldOverrides === 'object' ? fieldOverrides : {},
+      mergedBy: req.user._id,
+      dryRun: dryRun === true,
+    });
+    if (!result.dryRun) {
+      recordCandidateActivity({
+        candidateId: result.survivorId,
+        actor: req.user,
+        type: 'MERGED',
+        summary: `Merged ${result.mergedFrom.length} duplicate record(s) into this profile`,
+        details: { mergedFrom: result.mergedFrom, fields: Object.keys(result.changes) },
+      });
+    }
+    res.json(result);
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ message: error.message });
+    logger.error('Candidate merge failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/duplicates/backfill
+ * Body: { onlyMissing?: boolean } — recompute dedupe keys for existing records.
+ * Runs on the import worker when Redis is available, otherwise in the background.
+ */
+export const backfillDuplicateKeys = async (req, res) => {
+  try {
+    const onlyMissing = req.body?.onlyMissing !== false;
+
+    if (importQueue) {
+      await importQueue.add('dedupe-backfill', { onlyMissing });
+      return res.status(202).json({ message: 'Dedupe key backfill queued', queued: true });
+    }
+
+    backfillDedupeKeys({ onlyMissing }).catch((err) =>
+      logger.error('Background dedupe key backfill failed:', err?.message || err)
+    );
+    res.status(202).json({ message: 'Dedupe key backfill started', queued: false });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
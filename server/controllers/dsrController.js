@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+import DataSubjectRequest from '../models/DataSubjectRequest.js';
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import { getPresignedUrl } from '../utils/s3Service.js';
+import {
+  DSR_TYPES,
+  ERASE_MODES,
+  normalizeSubject,
+  hasSubjectKey,
+  hashSubjectKeys,
+  maskSubject,
+  locateSubject,
+  summarizeLocated,
+  runDataSubjectRequest,
+} from '../utils/dsrService.js';
+
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 60;
+
+const pickSubject = (body = {}) => ({
+  email: String(body.email || '').trim() || null,
+  phone: String(body.phone || '').trim() || null,
+  linkedinUrl: String(body.linkedinUrl || '').trim() || null,
+});
+
+const serializeRequest = (request) => ({
+  _id: request._id,
+  type: request.type,
+  mode: request.mode,
+  reference: request.reference,
+  subject: request.subjectMasked,
+  requestedByName: request.requestedByName,
+  status: request.status,
+  summary: request.summary,
+  sharedFiles: request.sharedFiles,
+  fileName: request.fileName,
+  fileSize: request.fileSize,
+  error: request.error,
+  createdAt: request.createdAt,
+  completedAt: request.completedAt,
+});
+
+const enqueueRequest = async (requestId) => {
+  if (importQueue) {
+    await importQueue.add('data-subject-request', { requestId: String(requestId) });
+  } else {
+    runDataSubjectRequest(requestId).catch((err) => logger.error('Background DSR failed:', err?.message || err));
+  }
+};
+
+/**
+ * POST /api/admin/dsr/preview
+ * Body: { email?, phone?, linkedinUrl? }
+ * Counts of what an export or erasure would cover, plus the matched
+ * candidate records so the admin can check it is the right person.
+ */
+export const previewDataSubject = async (req, res) => {
+  try {
+    const subject = pickSubject(req.body);
+    if (!hasSubjectKey(normalizeSubject(subject))) {
+      return res.status(400).json({ message: 'Enter a valid email, phone number or LinkedIn profile URL' });
+    }
+
+    const located = await locateSubject(subject);
+    res.json({
+      summary: summarizeLocated(located),
+      sharedFiles: located.sharedFiles,
+      candidates: located.candidates.map((c) => ({
+        _id: c._id,
+        fullName: c.fullName,
+        jobTitle: c.jobTitle,
+        company: c.company,
+        isDeleted: c.isDeleted,
+        privateDbId: c.privateDbId,
+      })),
+    });
+  } catch (error) {
+    logger.error('DSR preview failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/dsr
+ * Body: { type: 'EXPORT'|'ERASE', mode?: 'DELETE'|'ANONYMIZE', reference?, email?, phone?, linkedinUrl? }
+ * Records the request and runs it in the background.
+ */
+export const createDataSubjectRequest = async (req, res) => {
+  try {
+    const type = String(req.body?.type || '').toUpperCase();
+    if (!DSR_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of ${DSR_TYPES.join(', ')}` });
+    }
+    const mode = type === 'ERASE' ? String(req.body?.mode || 'DELETE').toUpperCase() : null;
+    if (type === 'ERASE' && !ERASE_MODES.includes(mode)) {
+      return res.status(400).json({ message: `mode must be one of ${ERASE_MODES.join(', ')}` });
+    }
+
+    const subject = pickSubject(req.body);
+    const keys = normalizeSubject(subject);
+    if (!hasSubjectKey(keys)) {
+      return res.status(400).json({ message: 'Enter a valid email, phone number or LinkedIn profile URL' });
+    }
+
+    const request = await DataSubjectRequest.create({
+      type,
+      mode,
+      reference: String(req.body?.reference || '').trim().slice(0, 200),
+      subject,
+      subjectMasked: maskSubject(subject),
+      subjectHashes: hashSubjectKeys(keys),
+      requestedBy: req.user._id,
+      requestedByName: req.user.name || req.user.email || '',
+    });
+
+    await enqueueRequest(request._id);
+
+    logger.info(`DSR ${request._id} (${type}${mode ? `/${mode}` : ''}) requested by ${req.user.email}`);
+    res.status(202).json(serializeRequest(request));
+  } catch (error) {
+    logger.error('Create DSR failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/admin/dsr?page=1&limit=20
+ */
+export const getDataSubjectRequests = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+
+    const [requests, total] = await Promise.all([
+      DataSubjectRequest.find({})
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DataSubjectRequest.countDocuments({}),
+    ]);
+    res.json({ requests: requests.map(serializeRequest), total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/admin/dsr/:id
+ * Completed exports include a short-lived presigned `downloadUrl`.
+ */
+export const getDataSubjectRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    const request = await DataSubjectRequest.findById(req.params.id).lean();
+    if (!request) return res.status(404).json({ message: 'Request not found' });
+
+    const payload = serializeRequest(request);
+    if (request.status === 'COMPLETED' && request.s3Key) {
+      payload.downloadUrl = await getPresignedUrl(request.s3Key, DOWNLOAD_URL_TTL_SECONDS, {
+        downloadName: request.fileName,
+      });
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/dsr/:id/retry
+ * Runs a failed request again. It still holds its identifiers and the
+ * candidates it found, so an erasure picks up where it stopped.
+ */
+export const retryDataSubjectRequest = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+    const request = await DataSubjectRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'FAILED' },
+      { $set: { status: 'QUEUED', error: null, completedAt: null } },
+      { new: true }
+    ).lean();
+    if (!request) {
+      const exists = await DataSubjectRequest.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: 'Only failed requests can be retried' })
+        : res.status(404).json({ message: 'Request not found' });
+    }
+
+    await enqueueRequest(request._id);
+    logger.info(`DSR ${request._id} retried by ${req.user.email}`);
+    res.status(202).json(serializeRequest(request));
+  } catch (error) {
+    logger.error('Retry DSR failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -3,9 +3,26 @@ import EnrichedContact from '../models/EnrichedContact.js';
 import contactEnrichmentService from '../utils/contactEnrichmentService.js';
 import logger from '../utils/logger.js';
 import { checkCredits, deductCredits } from '../utils/creditService.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import { contactBlockReason } from '../utils/consentService.js';
+import { chargeContactReveal, recordContactReveals } from '../utils/contactRevealService.js';
 
 const PERSISTENT_CONTACT_EXPIRY = new Date('2999-12-31T00:00:00.000Z');
 
+// Contact details already on file count as a reveal for users who see
+// masked contacts: charged once per candidate, unmasked for them afterwards.
+const chargeStoredContact = (user, candidateId) =>
+  chargeContactReveal({ user, candidateId, description: 'Contact reveal (enrichment)' });
+
+const recordContactReveal = (candidateIds, user, source) =>
+  recordCandidateActivity({
+    candidateIds,
+    actor: user,
+    type: 'CONTACT_REVEALED',
+    summary: `Contact details revealed (${source || 'unknown source'})`,
+    details: { source },
+  });
+
 /**
  * Enrich single candidate with email/phone
  * GET /api/enrich-contact/:candidateId
@@ -24,6 +41,12 @@ export const enrichContact = async (req, res) => {
       });
     }
 
+    const blockedReason = await contactBlockReason(candidate);
+    if (blockedReason) {
+      const message = `Contact enrichment is not allowed for this candidate. ${blockedReason}.`;
+      return res.status(403).json({ success: false, error: message, message, code: 'DO_NOT_CONTACT' });
+    }
+
     // Check cache first (30-day TTL handled by MongoDB)
     let enrichedContact = await EnrichedContact.findOne({
       candidateId,
@@ -36,6 +59,8 @@ export const enrichContact = async (req, res) => {
       // Only serve cache when it has real contact data AND no force refresh requested
       if (hasCachedContact && !forceRefresh) {
         logger.info(`Cache hit for candidate ${candidateId}`);
+        await chargeStoredContact(req.user, candidate._id);
+        recordContactReveal([candidateId], req.user, enrichedContact.source);
         return res.json({
           success: true,
           data: {
@@ -61,6 +86,8 @@ export const enrichContact = async (req, res) => {
     // email + phone already populated. No API call needed.
     if (!forceRefresh && (candidate.email || candidate.phone)) {
       logger.info(`Contact resolved from candidate document for ${candidateId} (PDL/import data)`);
+      await chargeStoredContact(req.user, candidate._id);
+      recordContactReveal([candidateId], req.user, 'internal_pdl');
       return res.json({
         success: true,
         data: {
@@ -93,6 +120,8 @@ export const enrichContact = async (req, res) => {
 
       if (pdlMatch && (pdlMatch.email || pdlMatch.phone)) {
         logger.info(`PDL local lookup hit for ${candidateId} (linkedinUrl match)`);
+        await chargeStoredContact(req.user, candidate._id);
+        recordContactReveal([candidateId], req.user, 'internal_pdl');
         // Cache the result so future requests skip this lookup too
         await EnrichedContact.updateOne(
           { candidateId },
@@ -179,7 +208,9 @@ export const enrichContact = async (req, res) => {
       );
 
       if (!req.user?.creditFree) await deductCredits(req.user?._id, 3, 'ENRICH', 'Contact enrichment').catch(() => {});
+      await recordContactReveals(req.user, [candidate._id]);
       logger.info(`Enrichment successful for ${candidateId}: ${result.source}`);
+      recordContactReveal([candidateId], req.user, result.source);
     } else {
       await EnrichedContact.updateOne(
         { candidateId },
@@ -261,6 +292,17 @@ export const enrichContactBulk = async (req, res) => {
             };
           }
 
+          const blockedReason = await contactBlockReason(candidate);
+          if (blockedReason) {
+            failureCount++;
+            return {
+              candidateId: cid,
+              success: false,
+              error: blockedReason,
+              code: 'DO_NOT_CONTACT',
+            };
+          }
+
           // Check cache first
           let enrichedContact = await EnrichedContact.findOne({
             candidateId: cid,
@@ -268,6 +310,7 @@ export const enrichContactBulk = async (req, res) => {
           }).lean();
 
           if (enrichedContact) {
+            await chargeStoredContact(req.user, candidate._id);
             successCount++;
             return {
               candidateId: cid,
@@ -298,6 +341,7 @@ export const enrichContactBulk = async (req, res) => {
               },
               { upsert: true }
             );
+            await recordContactReveals(req.user, [candidate._id]);
 
             successCount++;
             return {
@@ -328,6 +372,11 @@ export const enrichContactBulk = async (req, res) => {
 
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
+      recordContactReveal(
+        batchResults.filter((r) => r.success).map((r) => r.candidateId),
+        req.user,
+        'bulk'
+      );
 
       // Small delay between batches to avoid rate limits
       if (i + batchSize < candidateIds.length) {
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+import ExportJob from '../models/ExportJob.js';
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import { reserveCredits, addCredits } from '../utils/creditService.js';
+import { getPresignedUrl } from '../utils/s3Service.js';
+import { pickSearchFilters } from '../utils/candidateSearchQuery.js';
+import { resolveTemplateColumns } from '../utils/exportTemplateService.js';
+import {
+  EXPORT_FORMATS,
+  EXPORT_CREDITS_PER_ROW,
+  maxRowsForFormat,
+  countExportMatches,
+  runExportJob,
+} from '../utils/exportService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+import { canAccessPrivateDb } from '../utils/candidateAccessService.js';
+
+const MAX_ACTIVE_EXPORTS_PER_USER = 3;
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 60;
+
+const serializeJob = (job) => ({
+  _id: job._id,
+  format: job.format,
+  status: job.status,
+  filters: job.filters,
+  templateId: job.templateId,
+  estimatedRows: job.estimatedRows,
+  exportedRows: job.exportedRows,
+  suppressedRows: job.suppressedRows,
+  creditsCharged: job.creditsCharged,
+  fileName: job.fileName,
+  fileSize: job.fileSize,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+});
+
+/**
+ * POST /api/candidates/export-jobs
+ * Body: { filters: <search query params>, format?: 'CSV'|'XLSX'|'JSONL', limit?: number, templateId?: string }
+ * Exports every candidate matching the filters (up to the format's row cap).
+ * Credits for the matched rows are reserved up front; the worker refunds any
+ * that the exported rows did not use.
+ */
+export const createExportJob = async (req, res) => {
+  try {
+    const format = String(req.body?.format || 'CSV').toUpperCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const activeCount = await ExportJob.countDocuments({
+      userId: req.user._id,
+      status: { $in: ['QUEUED', 'PROCESSING'] },
+    });
+    if (activeCount >= MAX_ACTIVE_EXPORTS_PER_USER) {
+      return res.status(429).json({ message: `You can run up to ${MAX_ACTIVE_EXPORTS_PER_USER} exports at a time` });
+    }
+
+    const { template, columns } = await resolveTemplateColumns({ templateId: req.body?.templateId, user: req.user });
+    const filters = pickSearchFilters(req.body?.filters || {});
+    if (filters.privateDbId && !(await canAccessPrivateDb(filters.privateDbId, req.user))) {
+      return res.status(404).json({ message: 'Private database not found' });
+    }
+    const requestedLimit = Number(req.body?.limit) || Infinity;
+    const cap = Math.max(1, Math.min(requestedLimit, maxRowsForFormat(format)));
+
+    const { count } = await countExportMatches(filters, req.user, cap);
+    if (count === 0) return res.status(400).json({ message: 'No candidates match these filters' });
+
+    const creditsPerRow = isAdmin(req.user) || req.user.creditFree ? 0 : EXPORT_CREDITS_PER_ROW;
+    const creditsReserved = count * creditsPerRow;
+    if (creditsReserved > 0) {
+      await reserveCredits(req.user._id, creditsReserved, 'EXPORT', `Reserved for an export of up to ${count} candidates (${format})`);
+    }
+
+    let job = null;
+    try {
+      job = await ExportJob.create({
+        userId: req.user._id,
+        format,
+        filters,
+        templateId: template?._id || null,
+        columns: columns.map(({ key, header }) => ({ key, header })),
+        // Newer matches may appear before the worker runs; never export (or bill) more than was reserved
+        maxRows: count,
+        estimatedRows: count,
+        creditsPerRow,
+        creditsReserved,
+      });
+      if (importQueue) await importQueue.add('candidate-export', { exportJobId: String(job._id) });
+    } catch (error) {
+      // The export will never run: hand the reservation back
+      if (job) {
+        await ExportJob.updateOne(
+          { _id: job._id },
+          { $set: { status: 'FAILED', error: 'Could not queue the export', completedAt: new Date() } }
+        );
+      }
+      if (creditsReserved > 0) {
+        await addCredits(req.user._id, creditsReserved, 'EXPORT', `Refund of an export that could not be queued (${format})`);
+      }
+      throw error;
+    }
+
+    if (!importQueue) {
+      runExportJob(job._id).catch((err) => logger.error('Background export failed:', err?.message || err));
+    }
+
+    res.status(202).json({ exportJob: serializeJob(job), capped: count >= cap && cap < requestedLimit });
+  } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json({ message: error.message, required: error.required, available: error.available });
+    }
+    if (error.status === 404) return res.status(404).json({ message: error.message });
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ message: error.message, error: error.code, token: error.token, position: error.position });
+    }
+    logger.error('Create export job failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/candidates/export-jobs — the current user's recent exports.
+ */
+export const getExportJobs = async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/candidates/export-jobs/:id
+ * Job status; completed jobs include a short-lived presigned `downloadUrl`.
+ */
+export const getExportJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    const filter = { _id: req.params.id };
+    if (!isAdmin(req.user)) filter.userId = req.user._id;
+
+    const job = await ExportJob.findOne(filter).lean();
+    if (!job) return res.status(404).json({ message: 'Export not found' });
+
+    const payload = serializeJob(job);
+    if (job.status === 'COMPLETED' && job.s3Key) {
+      payload.downloadUrl = await getPresignedUrl(job.s3Key, DOWNLOAD_URL_TTL_SECONDS, { downloadName: job.fileName });
+      payload.downloadUrlExpiresAt = new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000);
+    }
+    res.json(payload);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import ExportTemplate from '../models/ExportTemplate.js';
+import { EXPORT_COLUMNS, isExportColumnKey } from '../utils/candidateExportColumns.js';
+import { visibleTemplatesFilter } from '../utils/exportTemplateService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+const MAX_TEMPLATES_PER_USER = 30;
+const MAX_COLUMNS = 60;
+
+// Validate a template column list; returns { columns } or { error }.
+const sanitizeColumns = (raw) => {
+  if (!Array.isArray(raw) || raw.length === 0) return { error: 'Pick at least one column' };
+  if (raw.length > MAX_COLUMNS) return { error: `A template can have up to ${MAX_COLUMNS} columns` };
+
+  const seen = new Set();
+  const columns = [];
+  for (const item of raw) {
+    const key = typeof item === 'string' ? item : item?.key;
+    if (!isExportColumnKey(key)) return { error: `Unknown export column: ${key}` };
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const header = typeof item === 'object' && item.header ? String(item.header).trim().slice(0, 120) : undefined;
+    columns.push(header ? { key, header } : { key });
+  }
+  return { columns };
+};
+
+// USER templates are edited by their owner; ORG templates by admins.
+const editableFilter = (user, id) => ({
+  _id: id,
+  isDeleted: false,
+  ...(isAdmin(user) ? { $or: [{ scope: 'ORG' }, { scope: 'USER', ownerId: user._id }] } : { scope: 'USER', ownerId: user._id }),
+});
+
+// Only one default per owner (USER) or for the whole org (ORG).
+const clearOtherDefaults = (template) =>
+  ExportTemplate.updateMany(
+    {
+      _id: { $ne: template._id },
+      scope: template.scope,
+      ...(template.scope === 'USER' ? { ownerId: template.ownerId } : {}),
+      isDefault: true,
+    },
+    { $set: { isDefault: false } }
+  );
+
+/**
+ * GET /api/export-templates
+ * Templates visible to the user plus the column catalog for the editor.
+ */
+export const getExportTemplates = async (req, res) => {
+  try {
+    const templates = await ExportTemplate.find(visibleTemplatesFilter(req.user))
+      .sort({ scope: 1, name: 1 })
+      .lean();
+    res.json({
+      templates,
+      columns: EXPORT_COLUMNS.map(({ key, header }) => ({ key, header })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const createExportTemplate = async (req, res) => {
+  try {
+    const { name, scope = 'USER', columns: rawColumns, isDefault } = req.body || {};
+    if (!name?.trim()) return res.status(400).json({ message: 'Template name is required' });
+    if (!['USER', 'ORG'].includes(scope)) return res.status(400).json({ message: 'scope must be USER or ORG' });
+    if (scope === 'ORG' && !isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only admins can create organization templates' });
+    }
+
+    const { columns, error } = sanitizeColumns(rawColumns);
+    if (error) return res.status(400).json({ message: error });
+
+    if (scope === 'USER') {
+      const count = await ExportTemplate.countDocuments({ scope: 'USER', ownerId: req.user._id, isDeleted: false });
+      if (count >= MAX_TEMPLATES_PER_USER) {
+        return res.status(400).json({ message: `You can keep up to ${MAX_TEMPLATES_PER_USER} export templates` });
+      }
+    }
+
+    const template = await ExportTemplate.create({
+      name: name.trim(),
+      scope,
+      ownerId: req.user._id,
+      columns,
+      isDefault: isDefault === true,
+    });
+    if (template.isDefault) await clearOtherDefaults(template);
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const updateExportTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export template not found' });
+    }
+    const { name, columns: rawColumns, isDefault } = req.body || {};
+    const update = {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Template name is required' });
+      update.name = String(name).trim();
+    }
+    if (rawColumns !== undefined) {
+      const { columns, error } = sanitizeColumns(rawColumns);
+      if (error) return res.status(400).json({ message: error });
+      update.columns = columns;
+    }
+    if (isDefault !== undefined) update.isDefault = isDefault === true;
+
+    const template = await ExportTemplate.findOneAndUpdate(
+      editableFilter(req.user, req.params.id),
+      { $set: update },
+      { new: true }
+    );
+    if (!template) return res.status(404).json({ message: 'Export template not found' });
+    if (template.isDefault) await clearOtherDefaults(template);
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const deleteExportTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Export template not found' });
+    }
+    const template = await ExportTemplate.findOneAndUpdate(
+      editableFilter(req.user, req.params.id),
+      { $set: { isDeleted: true, isDefault: false } }
+    );
+    if (!template) return res.status(404).json({ message: 'Export template not found' });
+    res.json({ message: 'Export template deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import Job, { JOB_ROLES } from '../models/Job.js';
+import User from '../models/User.js';
+import logger from '../utils/logger.js';
+import { sendJobCollaboratorEmail } from '../utils/emailService.js';
+import { loadAccessibleJob } from '../utils/jobAccessService.js';
+import { searchMentionableUsers } from '../utils/noteService.js';
+
+const sendError = (res, error) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+const parseRole = (value) => {
+  const role = String(value || 'RECRUITER').toUpperCase();
+  return JOB_ROLES.includes(role) ? role : null;
+};
+
+// The creator plus everyone the job is shared with
+const loadTeam = async (jobId) => {
+  const job = await Job.findById(jobId)
+    .select('createdBy collaborators')
+    .populate('createdBy', 'name email')
+    .populate('collaborators.user', 'name email')
+    .populate('collaborators.addedBy', 'name')
+    .lean();
+  return {
+    owner: job.createdBy,
+    collaborators: job.collaborators.filter((c) => c.user),
+  };
+};
+
+// Email the new collaborator. Fire-and-forget: mail problems never fail the request.
+const notifyCollaborator = (collaborator, job, inviter, role) => {
+  sendJobCollaboratorEmail(collaborator.email, collaborator.name, {
+    inviterName: inviter.name || inviter.email || 'A teammate',
+    jobTitle: job.title,
+    client: job.client,
+    role,
+  }).catch((err) => logger.warn(`Failed to send job collaborator email: ${err.message}`));
+};
+
+/**
+ * GET /api/jobs/teammates?q=
+ * Active users matching q, for the collaborator picker.
+ */
+export const getTeammates = async (req, res) => {
+  try {
+    const users = await searchMentionableUsers(req.query.q);
+    res.json(
+      users
+        .filter((u) => String(u._id) !== String(req.user._id))
+        .map((u) => ({ _id: u._id, name: u.name, email: u.email }))
+    );
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/jobs/:id/collaborators
+ */
+export const getCollaborators = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user);
+    res.json({ myRole: job.myRole, roles: JOB_ROLES, ...(await loadTeam(job._id)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * POST /api/jobs/:id/collaborators
+ * Body: { userId, role? } — owners only. The new collaborator is emailed.
+ */
+export const addCollaborator = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user, 'OWNER');
+    const { userId } = req.body || {};
+    const role = parseRole(req.body?.role);
+    if (!role) return res.status(400).json({ message: `role must be one of ${JOB_ROLES.join(', ')}` });
+
+    const collaborator = mongoose.Types.ObjectId.isValid(String(userId))
+      ? await User.findOne({ _id: userId, status: 'active', isLocked: { $ne: true } }).select('name email').lean()
+      : null;
+    if (!collaborator) return res.status(404).json({ message: 'User not found' });
+    if (String(collaborator._id) === String(job.createdBy)) {
+      return res.status(400).json({ message: 'The job creator is already its owner' });
+    }
+
+    // The filter makes a concurrent add of the same user a no-op
+    const result = await Job.updateOne(
+      { _id: job._id, 'collaborators.user': { $ne: collaborator._id } },
+      { $push: { collaborators: { user: collaborator._id, role, addedBy: req.user._id, addedAt: new Date() } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: `${collaborator.name || collaborator.email} is already on this job` });
+    }
+
+    notifyCollaborator(collaborator, job, req.user, role);
+    res.status(201).json(await loadTeam(job._id));
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * PATCH /api/jobs/:id/collaborators/:userId
+ * Body: { role } — owners only.
+ */
+export const updateCollaborator = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user, 'OWNER');
+    const role = parseRole(req.body?.role);
+    if (!role) return res.status(400).json({ message: `role must be one of ${JOB_ROLES.join(', ')}` });
+
+    const result = await Job.updateOne(
+      { _id: job._id, 'collaborators.user': req.params.userId },
+      { $set: { 'collaborators.$.role': role } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Collaborator not found' });
+    res.json(await loadTeam(job._id));
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid user id' });
+    sendError(res, error);
+  }
+};
+
+/**
+ * DELETE /api/jobs/:id/collaborators/:userId
+ * Owners can remove anyone; any collaborator can remove themselves.
+ */
+export const removeCollaborator = async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user._id);
+    const job = await loadAccessibleJob(req.params.id, req.user, leaving ? 'VIEWER' : 'OWNER');
+
+    const result = await Job.updateOne(
+      { _id: job._id },
+      { $pull: { collaborators: { user: req.params.userId } } }
+    );
+    if (result.modifiedCount === 0) return res.status(404).json({ message: 'Collaborator not found' });
+    res.json(leaving ? { message: 'You left this job' } : await loadTeam(job._id));
+  } catch (error) {
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid user id' });
+    sendError(res, error);
+  }
+};
@@ -1,12 +1,53 @@
 import Job from '../models/Job.js';
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import aiSourcingService from '../utils/aiSourcingService.js';
+import { accessibleJobsFilter, jobRoleFor, loadAccessibleJob } from '../utils/jobAccessService.js';
+import {
+  REQUIREMENT_FIELDS,
+  refreshJobRecommendations,
+  listJobRecommendations,
+} from '../utils/jobRecommendationService.js';
 
+const JOB_FIELDS = ['title', 'client', 'location', 'skills', 'description', 'status', 'priority'];
+
+// Matching internals stay out of job lists; the recommendations endpoint serves them
+const LIST_EXCLUDE = '-recommendations -parsedRequirements';
+
+const pickJobFields = (body = {}) =>
+  Object.fromEntries(JOB_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const TEAM_POPULATE = [
+  { path: 'createdBy', select: 'name email' },
+  { path: 'collaborators.user', select: 'name email' },
+];
+
+const sendError = (res, error) => {
+  if (error.status) return res.status(error.status).json({ message: error.message });
+  res.status(500).json({ message: error.message });
+};
+
+// Re-parse and re-match on the import worker when Redis is available,
+// otherwise in the background of this process
+const queueRecommendationRefresh = async (jobId) => {
+  if (importQueue) {
+    await importQueue.add('job-recommendations', { jobId: String(jobId) });
+    return;
+  }
+  refreshJobRecommendations(jobId).catch((err) => logger.error(`Job recommendations refresh failed: ${err.message}`));
+};
+
+/**
+ * GET /api/jobs?status=
+ * Jobs the user created or collaborates on, each with the user's `myRole`.
+ */
 export const getJobs = async (req, res) => {
   try {
     const { status } = req.query;
-    const filter = { createdBy: req.user._id, isDeleted: false };
+    const filter = accessibleJobsFilter(req.user);
     if (status) filter.status = status;
-    const jobs = await Job.find(filter).sort({ createdAt: -1 });
-    res.json(jobs);
+    const jobs = await Job.find(filter).select(LIST_EXCLUDE).populate(TEAM_POPULATE).sort({ createdAt: -1 }).lean();
+    res.json(jobs.map((job) => ({ ...job, myRole: jobRoleFor(job, req.user) })));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -20,36 +61,91 @@ export const createJob = async (req, res) => {
       title, client, location, skills, description, status, priority,
       createdBy: req.user._id,
     });
-    res.status(201).json(job);
+    await queueRecommendationRefresh(job._id);
+    await job.populate(TEAM_POPULATE);
+    const { recommendations, parsedRequirements, ...created } = job.toObject();
+    res.status(201).json({ ...created, myRole: 'OWNER' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
+/**
+ * PATCH /api/jobs/:id — recruiters and owners.
+ */
 export const updateJob = async (req, res) => {
   try {
-    const job = await Job.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user._id, isDeleted: false },
-      req.body,
-      { new: true }
+    const current = await loadAccessibleJob(req.params.id, req.user, 'RECRUITER');
+
+    const updates = pickJobFields(req.body);
+    if (updates.title !== undefined && !String(updates.title).trim()) {
+      return res.status(400).json({ message: 'Job title is required' });
+    }
+    const requirementsChanged = REQUIREMENT_FIELDS.some(
+      (field) => updates[field] !== undefined && String(updates[field] || '') !== String(current[field] || '')
     );
-    if (!job) return res.status(404).json({ message: 'Job not found' });
-    res.json(job);
+    if (requirementsChanged) {
+      Object.assign(updates, { parsedRequirements: null, requirementsParsedAt: null, recommendationStatus: 'PENDING' });
+    }
+
+    const job = await Job.findByIdAndUpdate(current._id, { $set: updates }, { new: true, runValidators: true })
+      .select(LIST_EXCLUDE)
+      .populate(TEAM_POPULATE)
+      .lean();
+    if (requirementsChanged) await queueRecommendationRefresh(job._id);
+
+    res.json({ ...job, myRole: current.myRole });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
   }
 };
 
+/**
+ * DELETE /api/jobs/:id — owners only.
+ */
 export const deleteJob = async (req, res) => {
   try {
-    const job = await Job.findOneAndUpdate(
-      { _id: req.params.id, createdBy: req.user._id },
-      { isDeleted: true },
-      { new: true }
-    );
-    if (!job) return res.status(404).json({ message: 'Job not found' });
+    const job = await loadAccessibleJob(req.params.id, req.user, 'OWNER');
+    await Job.updateOne({ _id: job._id }, { $set: { isDeleted: true } });
     res.json({ message: 'Job deleted' });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    sendError(res, error);
+  }
+};
+
+/**
+ * GET /api/jobs/:id/recommendations
+ * The job's parsed requirements and its stored best matches from the global
+ * DB and the owner's private DBs.
+ */
+export const getJobRecommendations = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user);
+    const candidates = await listJobRecommendations(job, req.user);
+    res.json({
+      jobId: job._id,
+      status: job.recommendationStatus,
+      error: job.recommendationError,
+      refreshedAt: job.recommendationsRefreshedAt,
+      requirements: job.parsedRequirements ? aiSourcingService.toStructuredRequirements(job.parsedRequirements) : null,
+      candidates,
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * POST /api/jobs/:id/recommendations/refresh
+ * Rerun the match now instead of waiting for the next import.
+ */
+export const refreshRecommendations = async (req, res) => {
+  try {
+    const job = await loadAccessibleJob(req.params.id, req.user, 'RECRUITER');
+    await Job.updateOne({ _id: job._id }, { $set: { recommendationStatus: 'PENDING' } });
+    await queueRecommendationRefresh(job._id);
+    res.status(202).json({ message: 'Refresh started', queued: Boolean(importQueue) });
+  } catch (error) {
+    sendError(res, error);
   }
 };
@@ -2,6 +2,7 @@ import multer from 'multer';
 import PrivateDatabase from '../models/PrivateDatabase.js';
 import Candidate from '../models/Candidate.js';
 import logger from '../utils/logger.js';
+import { buildExperienceRangeClause } from '../utils/candidateSearchQuery.js';
 
 // ── Multer: in-memory storage, 20 MB limit ─────────────────────────────────
 const upload = multer({
@@ -387,7 +388,7 @@ export const searchPrivateDb = async (req, res) => {
     const db = await PrivateDatabase.findOne({ _id: req.params.id, owner: req.user._id, isDeleted: false });
     if (!db) return res.status(404).json({ message: 'Database not found' });
 
-    const { q, page = 1, limit = 50 } = req.query;
+    const { q, minExp, maxExp, page = 1, limit = 50 } = req.query;
     const pageNum = Math.max(1, Number(page));
     const limitNum = Math.min(200, Number(limit) || 50);
     const skip = (pageNum - 1) * limitNum;
@@ -406,9 +407,12 @@ export const searchPrivateDb = async (req, res) => {
       ];
     }
 
+    const experienceClause = buildExperienceRangeClause(minExp, maxExp);
+    if (experienceClause) Object.assign(baseQuery, experienceClause);
+
     const [candidates, totalCount] = await Promise.all([
       Candidate.find(baseQuery)
-        .select('fullName jobTitle company location email phone skills experience linkedinUrl parseStatus createdAt')
+        .select('fullName jobTitle company location email phone skills experience experienceYears linkedinUrl parseStatus createdAt')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum)
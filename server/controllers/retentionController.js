@@ -0,0 +1,231 @@
+import mongoose from 'mongoose';
+import RetentionRule from '../models/RetentionRule.js';
+import RetentionRun from '../models/RetentionRun.js';
+import importQueue from '../utils/queue.js';
+import logger from '../utils/logger.js';
+import {
+  RETENTION_SOURCES,
+  RETENTION_ACTIONS,
+  RETENTION_BASES,
+  RULE_CRITERIA_FIELDS,
+  hasCurrentDryRun,
+  isRuleRunning,
+  runRetentionRule,
+  runRetentionRuleById,
+} from '../utils/retentionService.js';
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Validate the rule fields present in `body`; with `partial` false the
+// required ones must be there too.
+const pickRuleFields = (body = {}, partial = false) => {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body, field);
+  const fields = {};
+
+  if (has('name') || !partial) {
+    const name = String(body.name || '').trim();
+    if (!name) throw badRequest('Rule name is required');
+    fields.name = name.slice(0, 120);
+  }
+  if (has('source')) {
+    const source = body.source ? String(body.source).toUpperCase() : null;
+    if (source && !RETENTION_SOURCES.includes(source)) {
+      throw badRequest(`source must be one of ${RETENTION_SOURCES.join(', ')}`);
+    }
+    fields.source = source;
+  }
+  if (has('basis')) {
+    const basis = String(body.basis).toUpperCase();
+    if (!RETENTION_BASES.includes(basis)) throw badRequest(`basis must be one of ${RETENTION_BASES.join(', ')}`);
+    fields.basis = basis;
+  }
+  if (has('olderThanMonths') || !partial) {
+    const months = Number(body.olderThanMonths);
+    if (!Number.isInteger(months) || months < 1 || months > 240) {
+      throw badRequest('olderThanMonths must be a whole number between 1 and 240');
+    }
+    fields.olderThanMonths = months;
+  }
+  if (has('action')) {
+    const action = String(body.action).toUpperCase();
+    if (!RETENTION_ACTIONS.includes(action)) throw badRequest(`action must be one of ${RETENTION_ACTIONS.join(', ')}`);
+    fields.action = action;
+  }
+  if (has('neverShortlisted')) fields.neverShortlisted = Boolean(body.neverShortlisted);
+  if (has('includePrivateDatabases')) fields.includePrivateDatabases = Boolean(body.includePrivateDatabases);
+  return fields;
+};
+
+const findRule = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? RetentionRule.findOne({ _id: id, isDeleted: false }) : null;
+
+/**
+ * GET /api/admin/retention/rules
+ */
+export const getRetentionRules = async (req, res) => {
+  try {
+    const rules = await RetentionRule.find({ isDeleted: false })
+      .sort({ createdAt: -1 })
+      .populate('lastDryRunId', 'matched createdAt')
+      .populate('lastRunId', 'status processed createdAt')
+      .lean();
+    res.json(rules.map((rule) => ({ ...rule, hasCurrentDryRun: hasCurrentDryRun(rule) })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/retention/rules
+ * Body: { name, olderThanMonths, source?, basis?, neverShortlisted?, includePrivateDatabases?, action? }
+ * New rules start disabled; run a dry run before enabling.
+ */
+export const createRetentionRule = async (req, res) => {
+  try {
+    const rule = await RetentionRule.create({ ...pickRuleFields(req.body), createdBy: req.user._id });
+    res.status(201).json({ ...rule.toObject(), hasCurrentDryRun: false });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /api/admin/retention/rules/:id
+ * Changing what the rule matches (or does) switches it off until a new dry
+ * run; `enabled: true` is refused without a current dry run.
+ */
+export const updateRetentionRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Retention rule not found' });
+
+    const fields = pickRuleFields(req.body, true);
+    const criteriaChanged = RULE_CRITERIA_FIELDS.some(
+      (field) => field in fields && String(fields[field]) !== String(rule[field])
+    );
+    Object.assign(rule, fields);
+    if (criteriaChanged) {
+      rule.ruleChangedAt = new Date();
+      rule.enabled = false;
+    }
+
+    if (typeof req.body?.enabled === 'boolean') {
+      if (req.body.enabled && !hasCurrentDryRun(rule)) {
+        return res.status(409).json({ message: 'Run a dry run of this rule before enabling it' });
+      }
+      rule.enabled = req.body.enabled;
+    }
+
+    await rule.save();
+    res.json({ ...rule.toObject(), hasCurrentDryRun: hasCurrentDryRun(rule) });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
+/**
+ * DELETE /api/admin/retention/rules/:id — run logs are kept.
+ */
+export const deleteRetentionRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Retention rule not found' });
+
+    rule.isDeleted = true;
+    rule.enabled = false;
+    await rule.save();
+    res.json({ message: 'Retention rule deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/retention/rules/:id/dry-run
+ * Report of what the rule would remove right now. Nothing is changed.
+ */
+export const dryRunRetentionRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Retention rule not found' });
+
+    const run = await runRetentionRule(rule.toObject(), { dryRun: true, user: req.user });
+    if (run.status === 'FAILED') return res.status(500).json({ message: run.error, run });
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/admin/retention/rules/:id/run
+ * Enforce the rule now instead of waiting for the daily sweep.
+ */
+export const runRetentionRuleNow = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Retention rule not found' });
+    if (!hasCurrentDryRun(rule)) {
+      return res.status(409).json({ message: 'Run a dry run of this rule before enforcing it' });
+    }
+    if (await isRuleRunning(rule._id)) {
+      return res.status(409).json({ message: 'This rule is already running' });
+    }
+
+    const data = { ruleId: String(rule._id), userId: String(req.user._id) };
+    if (importQueue) {
+      await importQueue.add('retention-run', data);
+    } else {
+      runRetentionRuleById(data).catch((err) => logger.error('Background retention run failed:', err?.message || err));
+    }
+    logger.info(`Retention rule "${rule.name}" enforcement started by ${req.user.email}`);
+    res.status(202).json({ message: 'Retention run started' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/admin/retention/runs?ruleId=&page=1&limit=20
+ * Run log, newest first. Removed candidate ids are only in the detail view.
+ */
+export const getRetentionRuns = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    const filter = {};
+    if (req.query.ruleId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.ruleId)) return res.status(400).json({ message: 'Invalid rule id' });
+      filter.ruleId = req.query.ruleId;
+    }
+
+    const [runs, total] = await Promise.all([
+      RetentionRun.find(filter)
+        .select('-candidateIds')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RetentionRun.countDocuments(filter),
+    ]);
+    res.json({ runs, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * GET /api/admin/retention/runs/:id
+ */
+export const getRetentionRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Run not found' });
+    }
+    const run = await RetentionRun.findById(req.params.id).lean();
+    if (!run) return res.status(404).json({ message: 'Run not found' });
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import SavedSearch from '../models/SavedSearch.js';
+import SavedSearchRun from '../models/SavedSearchRun.js';
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import { runSavedSearch } from '../utils/savedSearchService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+const MAX_SAVED_SEARCHES_PER_USER = 50;
+const TEXT_FILTERS = ['q', 'locality', 'location', 'jobTitle', 'skills', 'near', 'experience', 'tags'];
+const BOOLEAN_FILTERS = ['hasEmail', 'hasPhone', 'hasLinkedin', 'includePrivate', 'privateDbOnly'];
+
+// Keep only known filter keys; returns { filters } or { error }.
+const sanitizeFilters = async (raw = {}, user) => {
+  const filters = {};
+  for (const key of TEXT_FILTERS) {
+    if (raw[key] !== undefined && raw[key] !== null) filters[key] = String(raw[key]).trim().slice(0, 500);
+  }
+  for (const key of BOOLEAN_FILTERS) {
+    if (raw[key] !== undefined) filters[key] = raw[key] === true || raw[key] === 'true';
+  }
+  if (raw.radiusKm !== undefined) {
+    const radius = Number(raw.radiusKm);
+    filters.radiusKm = raw.radiusKm === null || raw.radiusKm === '' || !Number.isFinite(radius) ? null : radius;
+  }
+
+  if (raw.privateDbId) {
+    if (!mongoose.Types.ObjectId.isValid(raw.privateDbId)) return { error: 'Invalid private database id' };
+    const dbFilter = { _id: raw.privateDbId, isDeleted: { $ne: true } };
+    if (!isAdmin(user)) dbFilter.owner = user._id;
+    const db = await PrivateDatabase.exists(dbFilter);
+    if (!db) return { error: 'Private database not found' };
+    filters.privateDbId = raw.privateDbId;
+  } else if (raw.privateDbId === null || raw.privateDbId === '') {
+    filters.privateDbId = null;
+  }
+
+  return { filters };
+};
+
+export const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user._id, isDeleted: false })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(searches);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const createSavedSearch = async (req, res) => {
+  try {
+    const { name, filters: rawFilters, alertsEnabled, frequency } = req.body || {};
+    if (!name?.trim()) return res.status(400).json({ message: 'Saved search name is required' });
+    if (frequency && !['DAILY', 'WEEKLY'].includes(frequency)) {
+      return res.status(400).json({ message: 'frequency must be DAILY or WEEKLY' });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id, isDeleted: false });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return res.status(400).json({ message: `You can keep up to ${MAX_SAVED_SEARCHES_PER_USER} saved searches` });
+    }
+
+    const { filters, error } = await sanitizeFilters(rawFilters, req.user);
+    if (error) return res.status(400).json({ message: error });
+
+    const search = await SavedSearch.create({
+      userId: req.user._id,
+      name: name.trim(),
+      filters,
+      alertsEnabled: alertsEnabled !== false,
+      frequency: frequency || 'DAILY',
+      // First alert covers candidates added from now on
+      lastRunAt: new Date(),
+      nextRunAt: new Date(Date.now() + (frequency === 'WEEKLY' ? 7 : 1) * 24 * 60 * 60 * 1000),
+    });
+    res.status(201).json(search);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/saved-searches/import
+ * Body: { searches: [{ name, filters }] } — one-time move of the searches the
+ * search page used to keep in localStorage. They come in with alerts off;
+ * invalid entries and names the user already has are skipped.
+ */
+export const importSavedSearches = async (req, res) => {
+  try {
+    const entries = req.body?.searches;
+    if (!Array.isArray(entries)) return res.status(400).json({ message: 'searches must be an array' });
+
+    const existing = await SavedSearch.find({ userId: req.user._id, isDeleted: false }).select('name').lean();
+    const names = new Set(existing.map((s) => s.name.toLowerCase()));
+    let room = MAX_SAVED_SEARCHES_PER_USER - existing.length;
+
+    const docs = [];
+    for (const entry of entries.slice(0, MAX_SAVED_SEARCHES_PER_USER)) {
+      if (room <= 0) break;
+      const name = String(entry?.name || '').trim().slice(0, 120);
+      if (!name || names.has(name.toLowerCase())) continue;
+      const { filters, error } = await sanitizeFilters(entry.filters || {}, req.user);
+      if (error) continue;
+
+      docs.push({ userId: req.user._id, name, filters, alertsEnabled: false, lastRunAt: new Date() });
+      names.add(name.toLowerCase());
+      room -= 1;
+    }
+    if (docs.length > 0) await SavedSearch.insertMany(docs);
+    res.status(201).json({ imported: docs.length, skipped: entries.length - docs.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { name, filters: rawFilters, alertsEnabled, frequency } = req.body || {};
+    const update = {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ message: 'Saved search name is required' });
+      update.name = String(name).trim();
+    }
+    if (frequency !== undefined) {
+      if (!['DAILY', 'WEEKLY'].includes(frequency)) {
+        return res.status(400).json({ message: 'frequency must be DAILY or WEEKLY' });
+      }
+      update.frequency = frequency;
+    }
+    if (alertsEnabled !== undefined) update.alertsEnabled = alertsEnabled === true;
+    if (rawFilters !== undefined) {
+      const { filters, error } = await sanitizeFilters(rawFilters, req.user);
+      if (error) return res.status(400).json({ message: error });
+      update.filters = filters;
+    }
+
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, isDeleted: false },
+      { $set: update },
+      { new: true }
+    );
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    res.json(search);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { isDeleted: true, alertsEnabled: false }
+    );
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Run now: counts candidates added since the last alert and records the run (no email; the alert schedule is unchanged).
+export const runSavedSearchNow = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id, isDeleted: false }).lean();
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+
+    const { run, candidates } = await runSavedSearch(search, { trigger: 'MANUAL', user: req.user });
+    if (run.status === 'FAILED') return res.status(400).json({ message: run.error, run });
+    res.json({ run, candidates });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const getSavedSearchRuns = async (req, res) => {
+  try {
+    const search = await SavedSearch.exists({ _id: req.params.id, userId: req.user._id });
+    if (!search) return res.status(404).json({ message: 'Saved search not found' });
+
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const runs = await SavedSearchRun.find({ savedSearchId: req.params.id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = runs.length > limit;
+    if (hasMore) runs.pop();
+    res.json({ runs, hasMore, currentPage: page });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
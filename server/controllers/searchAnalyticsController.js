@@ -0,0 +1,25 @@
+import logger from '../utils/logger.js';
+import { searchAnalyticsReport } from '../utils/searchAnalyticsService.js';
+
+const ENDPOINTS = ['CANDIDATE_SEARCH', 'INTERNAL_DB', 'AI_SOURCE'];
+
+/**
+ * GET /api/admin/search-analytics?days=30&endpoint=CANDIDATE_SEARCH&limit=20
+ * Top queries, zero-result queries, slow queries and per-user search volume
+ * from the search log.
+ */
+export const getSearchAnalytics = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 180);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const endpoint = req.query.endpoint ? String(req.query.endpoint).toUpperCase() : null;
+    if (endpoint && !ENDPOINTS.includes(endpoint)) {
+      return res.status(400).json({ message: `endpoint must be one of ${ENDPOINTS.join(', ')}` });
+    }
+
+    res.json(await searchAnalyticsReport({ days, endpoint, limit }));
+  } catch (error) {
+    logger.error(`Search analytics failed: ${error.message}`);
+    res.status(500).json({ message: 'Failed to load search analytics' });
+  }
+};
@@ -1,5 +1,6 @@
 import Shortlist from '../models/Shortlist.js';
 import Candidate from '../models/Candidate.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
 
 const PUBLIC_CANDIDATE_FIELDS = 'fullName jobTitle company location locality skills experience education summary linkedinUrl';
 
@@ -21,6 +22,13 @@ export const createShortlist = async (req, res) => {
     if (!Array.isArray(candidateIds) || candidateIds.length === 0)
       return res.status(400).json({ message: 'Select at least one candidate' });
     const list = await Shortlist.create({ name, candidateIds, createdBy: req.user._id });
+    recordCandidateActivity({
+      candidateIds: list.candidateIds,
+      actor: req.user,
+      type: 'SHORTLISTED',
+      summary: `Added to shortlist "${list.name}"`,
+      details: { shortlistId: list._id },
+    });
     res.status(201).json(list);
   } catch (error) {
     res.status(500).json({ message: error.message });
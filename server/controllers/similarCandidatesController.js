@@ -0,0 +1,90 @@
+import Candidate from '../models/Candidate.js';
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import logger from '../utils/logger.js';
+import { checkCredits, deductCredits } from '../utils/creditService.js';
+import { matchInternalCandidates, requirementsFromCandidate } from '../utils/internalDbSearch.js';
+import { maskContacts } from '../utils/contactRevealService.js';
+
+const SEED_SELECT = 'fullName jobTitle skills experience experienceYears locality location';
+
+// Fields returned for each similar candidate (plus the match details)
+const pickResult = (c) => ({
+  _id: c._id,
+  fullName: c.fullName,
+  jobTitle: c.jobTitle,
+  company: c.company,
+  skills: c.skills,
+  experience: c.experience,
+  locality: c.locality,
+  location: c.location,
+  country: c.country,
+  email: c.email,
+  phone: c.phone,
+  linkedinUrl: c.linkedinUrl,
+  privateDbId: c.privateDbId,
+  matchScore: c.matchScore,
+  matchCategory: c.matchCategory,
+  matchedSkills: c.matchedSkills,
+  missingSkills: c.missingSkills,
+  locationMatch: c.locationMatch,
+  experienceMatch: c.experienceMatch,
+});
+
+/**
+ * GET /api/candidates/:id/similar?limit=10&minScore=40
+ * "More like this": turns the seed candidate into a requirement object and
+ * runs the internal DB match pipeline over the global DB and the user's
+ * private DBs. Costs one search credit, like an internal DB search.
+ */
+export const getSimilarCandidates = async (req, res) => {
+  try {
+    const seed = await Candidate.findOne({ _id: req.params.id, isDeleted: false }).select(SEED_SELECT).lean();
+    if (!seed) return res.status(404).json({ message: 'Candidate not found' });
+
+    const parsed = requirementsFromCandidate(seed);
+    if (parsed.required_skills.length === 0) {
+      return res.status(400).json({ message: 'This profile has no job title or skills to match on' });
+    }
+
+    await checkCredits(req.user._id, req.user.role, 1, req.user.creditFree);
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    const minScore = Math.min(Math.max(Number(req.query.minScore) || 40, 0), 100);
+    const ownDbs = await PrivateDatabase.find({ owner: req.user._id, isDeleted: { $ne: true } }).select('_id').lean();
+
+    const { rawCandidates, scored } = await matchInternalCandidates(parsed, {
+      scope: { privateDbId: { $in: [null, ...ownDbs.map((db) => db._id)] }, _id: { $ne: seed._id } },
+      minScore,
+      excludeDisqualified: true,
+    });
+
+    const candidates = scored.slice(0, limit).map(pickResult);
+    await maskContacts(candidates, req.user);
+
+    if (req.user.role !== 'ADMIN' && !req.user.creditFree) {
+      deductCredits(req.user._id, 1, 'SEARCH', `Similar candidates: ${seed.fullName || seed._id}`).catch(() => {});
+    }
+
+    res.json({
+      seedId: seed._id,
+      requirements: {
+        jobTitle: seed.jobTitle || null,
+        requiredSkills: parsed.required_skills,
+        preferredSkills: parsed.preferred_skills,
+        experienceYears: parsed.experience_years,
+        maxExperienceYears: parsed.max_experience_years,
+        location: parsed.location,
+      },
+      totalPreFiltered: rawCandidates.length,
+      totalScored: scored.length,
+      candidates,
+    });
+  } catch (error) {
+    if (error.status === 402) {
+      return res.status(402).json({ message: error.message, required: error.required, available: error.available });
+    }
+    if (error?.name === 'CastError') return res.status(400).json({ message: 'Invalid candidate id' });
+    logger.error(`Similar candidates failed for ${req.params.id}: ${error.message}`);
+    res.status(500).json({ message: 'Failed to find similar candidates' });
+  }
+};
@@ -1,4 +1,5 @@
 import mammoth from 'mammoth';
+import mongoose from 'mongoose';
 import { createRequire } from 'module';
 import aiSourcingService from '../utils/aiSourcingService.js';
 // import cseService from '../utils/cseService.js';   // commented out — using HarvestAPI only
@@ -11,7 +12,7 @@ import {
   formatCandidates,
   mergeOsintData,
 } from '../utils/candidateExtraction.js';
-import { mergeCandidateWithAi } from '../utils/candidateProfileNormalizer.js';
+import { mergeCandidateWithAi, extractExperienceYears } from '../utils/candidateProfileNormalizer.js';
 import { aiEnrichCandidates } from '../utils/aiCandidateExtraction.js';
 import contactEnrichmentService from '../utils/contactEnrichmentService.js';
 import githubService from '../utils/githubService.js';
@@ -20,8 +21,23 @@ import Candidate from '../models/Candidate.js';
 import CandidatePool from '../models/CandidatePool.js';
 import SourcingSession from '../models/SourcingSession.js';
 import { scoreCandidates, bucketByMatchCategory, locationMatches } from '../utils/matchScorer.js';
+import { matchInternalCandidates } from '../utils/internalDbSearch.js';
 import { saveToPool, searchPool } from '../utils/candidatePoolService.js';
 import { checkCredits, deductCredits } from '../utils/creditService.js';
+import { logSearch, requirementsSearchSummary, searchErrorStatus } from '../utils/searchAnalyticsService.js';
+import {
+  SOURCING_EXPORT_COLUMNS,
+  exportSelectForColumns,
+  toExportRow,
+  toCsvLine,
+  columnsNeedTagNames,
+} from '../utils/candidateExportColumns.js';
+import { loadTagNameMap, attachTagNames } from '../utils/tagService.js';
+import { resolveTemplateColumns } from '../utils/exportTemplateService.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import { addCandidateNote, validateNoteBody } from '../utils/noteService.js';
+import { OUTREACH_STAGES, assertContactable, contactBlockReasons } from '../utils/consentService.js';
+import { maskContacts, recordContactReveals } from '../utils/contactRevealService.js';
 
 const require = createRequire(import.meta.url);
 
@@ -46,6 +62,9 @@ function clampNumber(value, min, max, fallback) {
 
 function stageToStatus(stage) {
   const normalized = String(stage || '').toUpperCase();
+  if (normalized === 'CONTACT_ENRICHED') {
+    return { pipelineStage: 'CONTACT_ENRICHED', sequenceStatus: 'NOT_STARTED', callStatus: 'NOT_SCHEDULED' };
+  }
   if (normalized === 'SEQUENCED') {
     return { pipelineStage: 'SEQUENCED', sequenceStatus: 'QUEUED', callStatus: 'NOT_SCHEDULED' };
   }
@@ -170,6 +189,8 @@ function deriveCandidatePayload(candidate, parsed, userId) {
     phone: contactPhone,
     skills: candidateSkills,
     experience: candidateExperience,
+    experienceYears:
+      typeof candidate.experienceYears === 'number' && candidate.experienceYears > 0 ? candidate.experienceYears : null,
     summary: candidate.about || '',
     createdBy: userId,
     source: 'AI_SOURCING',
@@ -228,6 +249,7 @@ async function persistSourcedCandidates(candidates, parsed, userId) {
 
       if (payload.skills) update.$set.skills = payload.skills;
       if (payload.experience) update.$set.experience = payload.experience;
+      if (payload.experienceYears != null) update.$set.experienceYears = payload.experienceYears;
       if (payload.email) update.$set.email = payload.email;
       if (payload.phone) update.$set.phone = payload.phone;
       if (payload.enrichmentMetadata) update.$set.enrichmentMetadata = payload.enrichmentMetadata;
@@ -318,6 +340,7 @@ export const sourceCandidates = async (req, res) => {
 
   const userId = req.user?._id;
   const startedAt = Date.now();
+  const logSourcing = (entry) => logSearch({ user: req.user, endpoint: 'AI_SOURCE', startedAt, ...entry });
 
   try {
     await checkCredits(userId, req.user?.role, 5, req.user?.creditFree);
@@ -450,6 +473,7 @@ export const sourceCandidates = async (req, res) => {
       candidates = deduplicateCandidates(candidates);
 
       if (candidates.length === 0) {
+        logSourcing({ ...requirementsSearchSummary(structured), resultCount: 0 });
         return res.status(200).json({
           success: true, parseOnly: false,
           message: 'No candidate profiles found for this requirement set.',
@@ -491,6 +515,7 @@ export const sourceCandidates = async (req, res) => {
     } else {
       // ── No source available ───────────────────────────────────────────────
       targetCountries = aiSourcingService.determineTargetCountries(structured.location, structured.remote);
+      logSourcing({ ...requirementsSearchSummary(structured), mode: 'parse-only', resultCount: 0 });
       return res.status(200).json({
         success: true, parseOnly: true,
         message: 'Requirements extracted. Add APIFY_API_KEY to run candidate discovery.',
@@ -526,10 +551,13 @@ export const sourceCandidates = async (req, res) => {
 
     if (enrichContacts) {
       const enrichCount = Math.min(candidates.length, enrichTopNSafe);
+      // People on the suppression list are not looked up
+      const blocked = await contactBlockReasons(candidates.slice(0, enrichCount));
       for (let i = 0; i < enrichCount; i += 1) {
         try {
           const candidate = candidates[i];
           if (candidate.contact?.email) continue; // already has email, skip
+          if (blocked[i]) continue;
           const enriched = await contactEnrichmentService.enrichCandidate({
             linkedInUrl: candidate.linkedInUrl,
             name: candidate.name,
@@ -565,6 +593,11 @@ export const sourceCandidates = async (req, res) => {
       const persisted = await persistSourcedCandidates(candidates, parsed, userId);
       savedCount = persisted.savedCount;
       savedIds = persisted.savedIds;
+      // Contacts found by this (paid) run stay unmasked for the recruiter who ran it
+      const withContact = candidates
+        .filter((c) => (c.contact?.email || c.contact?.phone) && savedIds.get(c.linkedInUrl))
+        .map((c) => savedIds.get(c.linkedInUrl));
+      await recordContactReveals(req.user, withContact);
     }
 
     for (const candidate of candidates) {
@@ -601,6 +634,12 @@ export const sourceCandidates = async (req, res) => {
     }
 
     if (!req.user?.creditFree) await deductCredits(userId, 5, 'AI_SOURCE', 'AI talent sourcing').catch(() => {});
+    logSourcing({
+      ...requirementsSearchSummary(structured),
+      mode: dataSource,
+      resultCount: formatted.length,
+      creditsCharged: req.user?.creditFree ? 0 : 5,
+    });
 
     return res.status(200).json({
       success: true,
@@ -645,6 +684,11 @@ export const sourceCandidates = async (req, res) => {
       },
     });
   } catch (error) {
+    logSourcing({
+      ...requirementsSearchSummary(parsedRequirements, jobDescription),
+      status: searchErrorStatus(error),
+      error,
+    });
     if (error.status === 402) {
       return res.status(402).json({ message: error.message, required: error.required, available: error.available });
     }
@@ -683,6 +727,13 @@ export const updateCandidateStage = async (req, res) => {
     }
 
     const stageStatus = stageToStatus(stage);
+    if (OUTREACH_STAGES.includes(stageStatus.pipelineStage)) {
+      const existing = await Candidate.findOne({ linkedinUrl: resolvedLinkedin })
+        .select('email phone linkedinUrl consent doNotContact')
+        .lean();
+      await assertContactable(existing, { linkedinUrl: resolvedLinkedin });
+    }
+
     const update = {
       $set: {
         source: 'AI_SOURCING',
@@ -712,6 +763,14 @@ export const updateCandidateStage = async (req, res) => {
       setDefaultsOnInsert: true,
     }).lean();
 
+    recordCandidateActivity({
+      candidateId: doc?._id,
+      actor: req.user,
+      type: stageStatus.pipelineStage === 'SHORTLISTED' ? 'SHORTLISTED' : 'STAGE_CHANGED',
+      summary: `Pipeline stage set to ${stageStatus.pipelineStage}`,
+      details: { stage, pipelineStage: stageStatus.pipelineStage },
+    });
+
     return res.status(200).json({
       success: true,
       candidateId: doc?._id,
@@ -720,6 +779,9 @@ export const updateCandidateStage = async (req, res) => {
       callStatus: doc?.callStatus || stageStatus.callStatus,
     });
   } catch (error) {
+    if (error.code === 'DO_NOT_CONTACT') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
     logger.error(`Failed to update candidate stage: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -814,6 +876,8 @@ export const saveSourcingResult = async (req, res) => {
     pipelineStage,
     sequenceStatus,
     callStatus,
+    totalExperience,
+    experienceYears,
   } = req.body || {};
 
   try {
@@ -854,6 +918,10 @@ export const saveSourcingResult = async (req, res) => {
 
     if (resolvedEmail) update.$set.email = resolvedEmail;
     if (resolvedPhone) update.$set.phone = resolvedPhone;
+    if (totalExperience) update.$set.experience = String(totalExperience).trim();
+    if (experienceYears != null && experienceYears !== '') {
+      update.$set.experienceYears = extractExperienceYears(experienceYears);
+    }
     if (resolvedSource || resolvedConfidence) {
       update.$set.enrichmentMetadata = {
         source: resolvedSource || 'unknown',
@@ -977,63 +1045,56 @@ export const getSourcingStats = async (req, res) => {
   }
 };
 
-function convertToCSV(candidates) {
-  const headers = [
-    'Name',
-    'Current Title',
-    'Company',
-    'Location',
-    'Source Country',
-    'LinkedIn URL',
-    'Email',
-    'Phone',
-    'Enrichment Source',
-    'Pipeline Stage',
-    'Saved At',
-  ];
-
-  const rows = candidates.map((c) => [
-    `"${String(c.fullName || c.name || '').replace(/"/g, '""')}"`,
-    `"${String(c.jobTitle || c.title || '').replace(/"/g, '""')}"`,
-    `"${String(c.company || '').replace(/"/g, '""')}"`,
-    `"${String(c.location || '').replace(/"/g, '""')}"`,
-    `"${String(c.sourceCountry || c.foundIn || '').replace(/"/g, '""')}"`,
-    `"${String(c.linkedinUrl || c.linkedInUrl || '').replace(/"/g, '""')}"`,
-    `"${String(c.email || c.contact?.email || '').replace(/"/g, '""')}"`,
-    `"${String(c.phone || c.contact?.phone || '').replace(/"/g, '""')}"`,
-    `"${String(c.enrichmentMetadata?.source || c.enrichmentSource || '').replace(/"/g, '""')}"`,
-    `"${String(c.pipelineStage || '').replace(/"/g, '""')}"`,
-    `"${String(c.createdAt || '').substring(0, 10)}"`,
-  ]);
-
-  return [headers.join(','), ...rows.map((row) => row.join(','))].join('\n');
+function convertToCSV(candidates, columns) {
+  const rows = candidates.map((c) => toCsvLine(toExportRow(c, columns)));
+  return [toCsvLine(columns.map((col) => col.header)), ...rows].join('\n');
 }
 
 /**
- * GET /api/ai-source/export/csv
+ * GET /api/ai-source/export/csv?templateId=
+ * Without a template (or user default) the classic sourcing layout is used.
  */
 export const exportSourcedCandidatesCSV = async (req, res) => {
   const userId = req.user?._id;
 
   try {
-    const candidates = await Candidate.find({
+    const { columns } = await resolveTemplateColumns({
+      templateId: req.query.templateId,
+      user: req.user,
+      fallback: SOURCING_EXPORT_COLUMNS,
+    });
+    const sourced = await Candidate.find({
       createdBy: userId,
       source: 'AI_SOURCING',
       isDeleted: false,
     })
-      .select(
-        'fullName jobTitle company location sourceCountry email phone linkedinUrl enrichmentMetadata pipelineStage createdAt'
-      )
+      .select(`${exportSelectForColumns(columns)} consent doNotContact`)
       .lean();
+    // Do-not-contact and suppressed candidates are left out of exports
+    const blocked = await contactBlockReasons(sourced);
+    const candidates = sourced.filter((_, index) => !blocked[index]);
+    if (columnsNeedTagNames(columns)) attachTagNames(candidates, await loadTagNameMap(req.user));
+    await maskContacts(candidates, req.user);
 
-    const csvContent = convertToCSV(candidates);
+    const csvContent = convertToCSV(candidates, columns);
     const timestamp = new Date().toISOString().split('T')[0];
     const filename = `sourced-candidates-${timestamp}.csv`;
 
+    recordCandidateActivity({
+      candidateIds: candidates.map((c) => c._id),
+      actor: req.user,
+      type: 'EXPORTED',
+      summary: 'Exported with sourced candidates (CSV)',
+      details: { format: 'CSV', batchSize: candidates.length },
+    });
+
     res.setHeader('Content-Type', 'text/csv;charset=utf-8;');
     res.setHeader('Content-Disposition', `attachment;filename="${filename}"`);
     return res.status(200).send(csvContent);
   } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
     logger.error(`Failed to export sourced candidates CSV: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -1045,9 +1106,10 @@ export const exportSourcedCandidatesCSV = async (req, res) => {
 
 /**
  * POST /api/ai-source/export/csv
+ * Body: { candidates: [...], templateId?: string }
  */
 export const exportCandidatesAsCSV = async (req, res) => {
-  const { candidates } = req.body || {};
+  const { candidates, templateId } = req.body || {};
 
   try {
     if (!Array.isArray(candidates) || candidates.length === 0) {
@@ -1057,7 +1119,9 @@ export const exportCandidatesAsCSV = async (req, res) => {
       });
     }
 
-    const csvContent = convertToCSV(candidates);
+    const { columns } = await resolveTemplateColumns({ templateId, user: req.user, fallback: SOURCING_EXPORT_COLUMNS });
+    const blocked = await contactBlockReasons(candidates);
+    const csvContent = convertToCSV(candidates.filter((_, index) => !blocked[index]), columns);
     const timestamp = new Date().toISOString().split('T')[0];
     const filename = `sourced-candidates-${timestamp}.csv`;
 
@@ -1065,6 +1129,9 @@ export const exportCandidatesAsCSV = async (req, res) => {
     res.setHeader('Content-Disposition', `attachment;filename="${filename}"`);
     return res.status(200).send(csvContent);
   } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
     logger.error(`Failed to export provided candidates CSV: ${error.message}`);
     return res.status(500).json({
       success: false,
@@ -1115,68 +1182,17 @@ export const searchInternalDb = async (req, res) => {
     const requiredSkills  = parsed.required_skills   || [];
     const preferredSkills = parsed.preferred_skills  || [];
     const reqLocation     = String(parsed.location || '');
-    const hasLocation     = Boolean(reqLocation && !/unspecified|not specified/i.test(reqLocation));
 
-    const maxResultsSafe = Math.max(Number(maxResults) || 5, 1);
+    const maxResultsSafe = clampNumber(maxResults, 1, 200, 5);
     const minScoreSafe   = Math.min(Math.max(Number(minScore)   || 25, 0), 100);
 
-    // ── 2. Build pre-filter using $text index ────────────────────────────
-    // Internal DB stores skills as a comma-separated string e.g. "React, Node.js, Python"
-    // jobTitle e.g. "Senior React Developer", locality e.g. "Hyderabad"
-    //
-    // CandidateTextIndex covers: fullName, jobTitle, skills, company, location, locality, summary
-    // We quote each term so MongoDB treats "Node.js" as a phrase, not split tokens.
-    //
-    // IMPORTANT: $text cannot be combined with .sort(createdAt) — use textScore sort instead.
-    const coreSkills = [...new Set([...mustHaveSkills, ...requiredSkills])].slice(0, 6);
-    const textTerms  = [
-      ...coreSkills,
-      ...(hasLocation ? [reqLocation.split(',')[0].trim()] : []),
-    ].filter(Boolean);
-
-    const PRE_FETCH_LIMIT = 2000;
-    const SELECT_FIELDS   = 'fullName jobTitle skills experience location locality country email phone linkedinUrl company industry education summary availability candidateStatus createdAt';
-
-    let rawCandidates;
-
-    if (textTerms.length > 0) {
-      // Quoted phrases → exact token match ("Node.js" stays "Node.js", not split)
-      const textSearch = textTerms.map(t => `"${t}"`).join(' ');
-      const preFilter  = {
-        isDeleted:   false,
-        privateDbId: null,
-        $text:       { $search: textSearch },
-      };
-      rawCandidates = await Candidate
-        .find(preFilter, { _textScore: { $meta: 'textScore' } })
-        .select(SELECT_FIELDS)
-        .sort({ _textScore: { $meta: 'textScore' } })   // required when using $text
-        .limit(PRE_FETCH_LIMIT)
-        .lean()
-        .maxTimeMS(30000);
-    } else {
-      // No skills/location — return most recent candidates for scoring
-      rawCandidates = await Candidate
-        .find({ isDeleted: false, privateDbId: null })
-        .select(SELECT_FIELDS)
-        .sort({ createdAt: -1 })
-        .limit(PRE_FETCH_LIMIT)
-        .lean()
-        .maxTimeMS(30000);
-    }
-
-    // ── 3. Score & rank ───────────────────────────────────────────────────
-    let scored = scoreCandidates(rawCandidates, parsed, {
+    // ── 2–3. Pre-filter on the $text index, then score & rank ───────────
+    const { rawCandidates, scored } = await matchInternalCandidates(parsed, {
+      scope: { privateDbId: null },
       minScore: minScoreSafe,
       excludeDisqualified: true,
     });
 
-    if (hasLocation) {
-      scored = scored.filter((candidate) =>
-        locationMatches(candidate.location || candidate.locality || '', reqLocation)
-      );
-    }
-
     // ── 4. Bucket and trim ────────────────────────────────────────────────
     const allBucketed = bucketByMatchCategory(scored);
 
@@ -1200,7 +1216,18 @@ export const searchInternalDb = async (req, res) => {
       weak:     (allBucketed.weak     || []).length,
     };
 
+    // `candidates` holds the same objects as the buckets, so this masks both
+    await maskContacts(Object.values(allBucketed).flat(), req.user);
+
     if (!req.user?.creditFree) await deductCredits(req.user?._id, 1, 'SEARCH', 'Internal DB search').catch(() => {});
+    logSearch({
+      user: req.user,
+      endpoint: 'INTERNAL_DB',
+      ...requirementsSearchSummary(structured),
+      resultCount: orderedCandidates.length,
+      startedAt,
+      creditsCharged: req.user?.creditFree ? 0 : 1,
+    });
 
     return res.status(200).json({
       success: true,
@@ -1223,6 +1250,14 @@ export const searchInternalDb = async (req, res) => {
       },
     });
   } catch (error) {
+    logSearch({
+      user: req.user,
+      endpoint: 'INTERNAL_DB',
+      ...requirementsSearchSummary(req.body?.parsedRequirements, req.body?.jobDescription),
+      startedAt,
+      status: searchErrorStatus(error),
+      error,
+    });
     if (error.status === 402) {
       return res.status(402).json({ message: error.message, required: error.required, available: error.available });
     }
@@ -1285,29 +1320,38 @@ export const getSessionById = async (req, res) => {
 
 /**
  * POST /api/ai-source/notes
- * Save recruiter notes for a candidate (upsert by linkedinUrl).
+ * Add a recruiter note to a candidate's notes thread (matched by linkedinUrl).
  */
 export const updateCandidateNotes = async (req, res) => {
-  const userId = req.user?._id;
   const { linkedinUrl, linkedInUrl, notes } = req.body || {};
   const resolvedLinkedin = linkedinUrl || linkedInUrl;
 
   if (!resolvedLinkedin) {
     return res.status(400).json({ success: false, error: 'linkedinUrl is required' });
   }
+  const invalid = validateNoteBody(notes);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
 
   try {
-    const doc = await Candidate.findOneAndUpdate(
-      { linkedinUrl: resolvedLinkedin },
-      { $set: { recruiterNotes: String(notes || '') } },
-      { upsert: false, new: true }
-    ).lean();
+    const candidate = await Candidate.findOne({ linkedinUrl: resolvedLinkedin }).select('_id').lean();
 
-    if (!doc) {
+    if (!candidate) {
       return res.status(404).json({ success: false, error: 'Candidate not found' });
     }
 
-    return res.status(200).json({ success: true, recruiterNotes: doc.recruiterNotes });
+    const note = await addCandidateNote({ candidateId: candidate._id, author: req.user, body: notes });
+    recordCandidateActivity({
+      candidateId: candidate._id,
+      actor: req.user,
+      type: 'NOTES_UPDATED',
+      summary: 'Added a note',
+      details: { noteId: note._id },
+    });
+    const updated = await Candidate.findById(candidate._id).select('recruiterNotes').lean();
+
+    return res.status(200).json({ success: true, note, recruiterNotes: updated?.recruiterNotes || '' });
   } catch (error) {
     logger.error(`Failed to update candidate notes: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Failed to save notes', message: error.message });
@@ -1326,6 +1370,13 @@ export const generateOutreachMessage = async (req, res) => {
   }
 
   try {
+    // Sourcing results carry `savedCandidateId`; search results carry `_id`
+    const savedId = candidate.savedCandidateId || candidate.candidateId || candidate._id;
+    const saved = savedId && mongoose.Types.ObjectId.isValid(savedId)
+      ? await Candidate.findById(savedId).select('email phone linkedinUrl consent doNotContact').lean()
+      : null;
+    await assertContactable(saved, candidate);
+
     const name = candidate.fullName || candidate.name || 'there';
     const title = candidate.jobTitle || candidate.title || '';
     const company = candidate.company || '';
@@ -1363,6 +1414,9 @@ Write a concise, friendly LinkedIn message (max 150 words).
     const message = response.choices?.[0]?.message?.content?.trim() || '';
     return res.status(200).json({ success: true, message });
   } catch (error) {
+    if (error.code === 'DO_NOT_CONTACT') {
+      return res.status(403).json({ success: false, error: error.message, code: error.code });
+    }
     logger.error(`Failed to generate outreach message: ${error.message}`);
     return res.status(500).json({ success: false, error: 'Failed to generate message', message: error.message });
   }
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import Tag, { TAG_COLORS } from '../models/Tag.js';
+import Candidate from '../models/Candidate.js';
+import logger from '../utils/logger.js';
+import { recordCandidateActivity } from '../utils/activityService.js';
+import {
+  MAX_BULK_TAG_CANDIDATES,
+  MAX_TAGS_PER_USER,
+  visibleTagsFilter,
+  canManageTag,
+  resolveVisibleTagIds,
+  applyTagsToCandidates,
+  mergeTags,
+  deleteTag as deleteTagEverywhere,
+} from '../utils/tagService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+const findManageableTag = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const tag = await Tag.findById(id);
+  return tag && canManageTag(tag, user) ? tag : null;
+};
+
+/**
+ * GET /api/tags?withCounts=true
+ * Tags visible to the user; withCounts adds how many candidates carry each.
+ */
+export const getTags = async (req, res) => {
+  try {
+    const tags = await Tag.find(visibleTagsFilter(req.user)).sort({ scope: 1, normalizedName: 1 }).lean();
+
+    if (String(req.query.withCounts) === 'true') {
+      const counts = await Promise.all(
+        tags.map((tag) => Candidate.countDocuments({ tags: tag._id, isDeleted: false }).maxTimeMS(10000).catch(() => null))
+      );
+      tags.forEach((tag, i) => {
+        tag.candidateCount = counts[i];
+      });
+    }
+
+    res.json({ tags, colors: TAG_COLORS });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const createTag = async (req, res) => {
+  try {
+    const { name, color, scope = 'USER' } = req.body || {};
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return res.status(400).json({ message: 'Tag name is required' });
+    if (trimmed.length > 60) return res.status(400).json({ message: 'Tag names can be up to 60 characters' });
+    if (!['USER', 'ORG'].includes(scope)) return res.status(400).json({ message: 'scope must be USER or ORG' });
+    if (scope === 'ORG' && !isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only admins can create organization tags' });
+    }
+    if (color && !TAG_COLORS.includes(color)) return res.status(400).json({ message: 'Unknown tag color' });
+
+    const ownerId = scope === 'USER' ? req.user._id : null;
+    if (scope === 'USER') {
+      const count = await Tag.countDocuments({ scope: 'USER', ownerId });
+      if (count >= MAX_TAGS_PER_USER) {
+        return res.status(400).json({ message: `You can keep up to ${MAX_TAGS_PER_USER} personal tags` });
+      }
+    }
+
+    const existing = await Tag.findOne({ scope, ownerId, normalizedName: trimmed.toLowerCase() });
+    if (existing) return res.status(409).json({ message: 'A tag with this name already exists', tag: existing });
+
+    const tag = await Tag.create({ name: trimmed, color, scope, ownerId, createdBy: req.user._id });
+    res.status(201).json(tag);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * PATCH /api/tags/:id — rename or recolor. Candidates reference tags by id,
+ * so a rename needs no candidate rewrite. Renaming onto an existing name is
+ * rejected; use merge instead.
+ */
+export const updateTag = async (req, res) => {
+  try {
+    const tag = await findManageableTag(req.params.id, req.user);
+    if (!tag) return res.status(404).json({ message: 'Tag not found' });
+
+    const { name, color } = req.body || {};
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed) return res.status(400).json({ message: 'Tag name is required' });
+      if (trimmed.length > 60) return res.status(400).json({ message: 'Tag names can be up to 60 characters' });
+      const clash = await Tag.exists({
+        _id: { $ne: tag._id },
+        scope: tag.scope,
+        ownerId: tag.ownerId,
+        normalizedName: trimmed.toLowerCase(),
+      });
+      if (clash) return res.status(409).json({ message: 'Another tag already has this name — merge them instead' });
+      tag.name = trimmed;
+    }
+    if (color !== undefined) {
+      if (!TAG_COLORS.includes(color)) return res.status(400).json({ message: 'Unknown tag color' });
+      tag.color = color;
+    }
+
+    await tag.save();
+    res.json(tag);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/tags/:id/merge
+ * Body: { targetId } — moves every candidate from this tag to the target
+ * and deletes this tag. Both tags must be manageable by the caller.
+ */
+export const mergeTag = async (req, res) => {
+  try {
+    const { targetId } = req.body || {};
+    if (String(targetId) === String(req.params.id)) {
+      return res.status(400).json({ message: 'Pick a different tag to merge into' });
+    }
+    const [source, target] = await Promise.all([
+      findManageableTag(req.params.id, req.user),
+      findManageableTag(targetId, req.user),
+    ]);
+    if (!source || !target) return res.status(404).json({ message: 'Tag not found' });
+    // A private tag folded into an org tag would publish its assignments, and vice versa
+    if (source.scope !== target.scope) {
+      return res.status(400).json({ message: 'Only tags of the same scope can be merged' });
+    }
+
+    const candidatesUpdated = await mergeTags(source, target);
+    res.json({ message: `Merged "${source.name}" into "${target.name}"`, candidatesUpdated, tag: target });
+  } catch (error) {
+    logger.error('Tag merge failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+export const deleteTag = async (req, res) => {
+  try {
+    const tag = await findManageableTag(req.params.id, req.user);
+    if (!tag) return res.status(404).json({ message: 'Tag not found' });
+
+    const candidatesUpdated = await deleteTagEverywhere(tag);
+    res.json({ message: 'Tag deleted', candidatesUpdated });
+  } catch (error) {
+    logger.error('Tag delete failed:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Shared body for bulk tag/untag.
+const bulkTag = async (req, res, remove) => {
+  try {
+    const { candidateIds, tagIds } = req.body || {};
+    if (!Array.isArray(candidateIds) || candidateIds.length === 0) {
+      return res.status(400).json({ message: 'Select at least one candidate' });
+    }
+    if (candidateIds.length > MAX_BULK_TAG_CANDIDATES) {
+      return res.status(400).json({ message: `You can tag up to ${MAX_BULK_TAG_CANDIDATES} candidates at a time` });
+    }
+
+    const visibleTagIds = await resolveVisibleTagIds(tagIds, req.user);
+    if (visibleTagIds.length === 0) return res.status(400).json({ message: 'Pick at least one tag' });
+
+    const { modified, candidateIds: taggedIds } = await applyTagsToCandidates({
+      candidateIds,
+      tagIds: visibleTagIds,
+      user: req.user,
+      remove,
+    });
+    if (taggedIds.length === 0) return res.status(404).json({ message: 'No matching candidates found' });
+
+    const tagNames = (await Tag.find({ _id: { $in: visibleTagIds } }).select('name').lean()).map((t) => t.name);
+    recordCandidateActivity({
+      candidateIds: taggedIds,
+      actor: req.user,
+      type: 'TAGS_UPDATED',
+      summary: `${remove ? 'Removed' : 'Added'} tag${tagNames.length === 1 ? '' : 's'}: ${tagNames.join(', ')}`,
+      details: { action: remove ? 'REMOVE' : 'ADD', tagIds: visibleTagIds },
+    });
+
+    res.json({ modified });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * POST /api/candidates/tags/add    Body: { candidateIds: [], tagIds: [] }
+ * POST /api/candidates/tags/remove Body: { candidateIds: [], tagIds: [] }
+ */
+export const bulkAddTags = (req, res) => bulkTag(req, res, false);
+export const bulkRemoveTags = (req, res) => bulkTag(req, res, true);
@@ -53,8 +53,11 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Roles are ADMIN and USER (see the User model)
+export const isAdmin = (user) => user?.role === 'ADMIN';
+
 export const adminOnly = (req, res, next) => {
-  if (req.user && (req.user.role === 'ADMIN' || req.user.role === 'SUPER_ADMIN')) {
+  if (isAdmin(req.user)) {
     next();
   } else {
     res.status(403).json({ message: 'Access denied. Admin only.' });
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Hiring stages of one candidate on one job. Candidate.pipelineStage stays the
+// sourcing/outreach status; per-requisition progress lives here.
+export const APPLICATION_STAGES = [
+  'SOURCED',
+  'CONTACTED',
+  'SCREENING',
+  'SHORTLISTED',
+  'INTERVIEWING',
+  'OFFERED',
+  'HIRED',
+  'REJECTED',
+];
+
+// Where the candidate was added to the job from
+export const APPLICATION_SOURCES = ['SEARCH', 'SOURCING', 'SHORTLIST', 'RECOMMENDED', 'MANUAL'];
+
+const stageChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null }, // null for the stage the application was created in
+    to: { type: String, enum: APPLICATION_STAGES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 500, default: '' },
+  },
+  { _id: false }
+);
+
+// A candidate × job pair: its own stage, owner and stage history, so one
+// person can be SHORTLISTED for one requisition and REJECTED for another.
+const applicationSchema = new mongoose.Schema(
+  {
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    stage: { type: String, enum: APPLICATION_STAGES, default: 'SOURCED' },
+    // Recruiter working this application
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    source: { type: String, enum: APPLICATION_SOURCES, default: 'MANUAL' },
+    shortlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shortlist', default: null },
+    stageChangedAt: { type: Date, default: Date.now },
+    stageHistory: { type: [stageChangeSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+applicationSchema.index({ jobId: 1, candidateId: 1 }, { unique: true });
+applicationSchema.index({ jobId: 1, stage: 1, stageChangedAt: -1 });
+applicationSchema.index({ candidateId: 1 });
+applicationSchema.index({ owner: 1, stage: 1 });
+
+export default mongoose.model('Application', applicationSchema);
@@ -1,4 +1,38 @@
 import mongoose from 'mongoose';
+import { computeDedupeKeys, dedupeKeyPathsForFields } from '../utils/dedupeKeys.js';
+import { computeFuzzyKeys, fuzzyKeyPathsForFields } from '../utils/fuzzyKeys.js';
+import { geocodeCandidate } from '../utils/gazetteer.js';
+import { experienceYearsFromText } from '../utils/candidateProfileNormalizer.js';
+
+export const ATTACHMENT_KINDS = ['RESUME', 'COVER_LETTER', 'ASSESSMENT', 'OTHER'];
+export const CONSENT_STATUSES = ['UNKNOWN', 'GRANTED', 'DENIED', 'WITHDRAWN'];
+export const LAWFUL_BASES = ['CONSENT', 'LEGITIMATE_INTEREST', 'CONTRACT', 'LEGAL_OBLIGATION'];
+
+// A file kept with the candidate in S3: resume versions, cover letters,
+// assessment PDFs. `version` counts up per kind; one attachment per kind is
+// primary (for resumes, the version the profile was parsed from).
+const attachmentSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ATTACHMENT_KINDS, default: 'RESUME' },
+    fileName: { type: String, required: true },
+    s3Key: { type: String, required: true },
+    contentType: { type: String, default: 'application/octet-stream' },
+    size: { type: Number, default: 0 },
+    version: { type: Number, default: 1 },
+    isPrimary: { type: Boolean, default: false },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    uploadedByName: { type: String, default: '' },
+    uploadedAt: { type: Date, default: Date.now },
+    parseStatus: {
+      type: String,
+      enum: ['NOT_PARSED', 'QUEUED', 'PARSED', 'PARTIAL', 'FAILED'],
+      default: 'NOT_PARSED',
+    },
+    parsedAt: { type: Date, default: null },
+    parseError: { type: String, default: null },
+  },
+  { _id: true }
+);
 
 const candidateSchema = new mongoose.Schema(
   {
@@ -9,6 +43,9 @@ const candidateSchema = new mongoose.Schema(
     jobTitle: { type: String },
     skills: { type: String },
     experience: { type: String },
+    // Numeric years parsed from `experience`, maintained by the hooks below;
+    // null when the text carries no number ("Not specified").
+    experienceYears: { type: Number, default: null },
 
     // -------------------------
     // Location filtering
@@ -16,6 +53,13 @@ const candidateSchema = new mongoose.Schema(
     country: { type: String }, // Part of compound index
     locality: { type: String }, // Part of compound index
     location: { type: String },
+    // City-level GeoJSON point resolved from the fields above by the offline
+    // gazetteer (utils/gazetteer.js); absent when the city is not recognised.
+    geoPoint: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }, // [lon, lat]
+    },
+    geoCity: { type: String, default: null }, // "Pune, IN"
 
     // -------------------------
     // Contact / metadata
@@ -71,7 +115,8 @@ const candidateSchema = new mongoose.Schema(
       enum: ['ACTIVE', 'PASSIVE', 'NOT_AVAILABLE'],
       default: 'ACTIVE'
     },
-    internalTags: { type: String, default: '' },
+    internalTags: { type: String, default: '' }, // Legacy free text, read-only: tag edits go to `tags`
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
     recruiterNotes: { type: String, default: '' },
     parsedResume: { type: mongoose.Schema.Types.Mixed },
     parseStatus: { type: String, enum: ['PARSED', 'PARTIAL', 'FAILED'], default: 'PARSED' },
@@ -110,6 +155,7 @@ const candidateSchema = new mongoose.Schema(
     // Upload & lifecycle
     // -------------------------
     sourceFile: { type: String }, // Not indexed
+    attachments: { type: [attachmentSchema], default: [] },
     uploadJobId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'UploadJob',
@@ -127,7 +173,63 @@ const candidateSchema = new mongoose.Schema(
       ref: 'User',
     },
 
+    // -------------------------
+    // Consent & do-not-contact
+    // -------------------------
+    // Enforced on outreach, enrichment and exports (see utils/consentService.js)
+    consent: {
+      status: { type: String, enum: CONSENT_STATUSES, default: 'UNKNOWN' },
+      source: { type: String, default: '' }, // where consent was captured ("Application form", "Email reply")
+      date: { type: Date, default: null },
+      lawfulBasis: { type: String, enum: [...LAWFUL_BASES, null], default: null },
+      updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    },
+    doNotContact: {
+      flag: { type: Boolean, default: false },
+      reason: { type: String, default: '' },
+      setAt: { type: Date, default: null },
+      setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    },
+
     isDeleted: { type: Boolean, default: false },
+    // Set when a data-subject erasure anonymized this record (utils/dsrService.js)
+    erasedAt: { type: Date, default: null },
+
+    // -------------------------
+    // Dedupe & merge provenance
+    // -------------------------
+    // Normalized identity keys, maintained by the hooks below (see utils/dedupeKeys.js)
+    dedupeKeys: {
+      email: { type: String, default: null },
+      linkedin: { type: String, default: null },
+      phone: { type: String, default: null },
+      nameCompany: { type: String, default: null },
+    },
+    // Phonetic keys of name and company words for typo-tolerant search,
+    // maintained by the hooks below (see utils/fuzzyKeys.js)
+    fuzzyKeys: {
+      name: { type: [String], default: undefined },
+      company: { type: [String], default: undefined },
+    },
+    // Set on records that were merged into another candidate (they are also soft-deleted)
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Candidate',
+      default: null,
+    },
+    mergeHistory: [
+      {
+        _id: false,
+        mergedAt: { type: Date, default: Date.now },
+        mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        mergedFrom: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }],
+        matchedOn: [String],
+        // field -> candidateId whose value won
+        fieldSources: { type: mongoose.Schema.Types.Mixed, default: {} },
+        // previous values of fields that the merge overwrote on the survivor
+        previousValues: { type: mongoose.Schema.Types.Mixed, default: {} },
+      },
+    ],
   },
   {
     timestamps: true, // creates createdAt + updatedAt
@@ -219,4 +321,178 @@ candidateSchema.index(
   { partialFilterExpression: { isDeleted: false }, background: true, name: "CandidateEnrichmentQueueIdx" }
 );
 
+// 13. Dedupe keys (review queue grouping + lookup on import)
+// Partial: only records that actually carry the key are indexed.
+for (const keyType of ['email', 'linkedin', 'phone', 'nameCompany']) {
+  candidateSchema.index(
+    { privateDbId: 1, [`dedupeKeys.${keyType}`]: 1 },
+    {
+      partialFilterExpression: { [`dedupeKeys.${keyType}`]: { $type: 'string' }, isDeleted: false },
+      background: true,
+      name: `CandidateDedupe_${keyType}`,
+    }
+  );
+}
+
+// 14. Radius search (near=<city>&radiusKm=)
+// 2dsphere indexes are sparse: candidates without a geoPoint are not indexed.
+candidateSchema.index(
+  { geoPoint: '2dsphere' },
+  { partialFilterExpression: { isDeleted: false }, background: true, name: 'CandidateGeoPointIdx' }
+);
+
+// 15. Filter: Experience range (minExp/maxExp)
+candidateSchema.index(
+  { experienceYears: 1, createdAt: -1 },
+  { partialFilterExpression: { isDeleted: false, experienceYears: { $type: 'number' } }, background: true, name: 'CandidateExperienceYearsIdx' }
+);
+
+// 16. Filter: Tags (tags=<id>,<id>)
+// Not partial: tag merge/delete rewrites must also reach deleted records.
+candidateSchema.index({ tags: 1 }, { background: true, name: 'CandidateTagsIdx' });
+
+// 17. Data-subject requests: locate a person by identity key across every
+// record, including deleted and merged ones that still hold their data.
+for (const keyType of ['email', 'linkedin', 'phone']) {
+  candidateSchema.index(
+    { [`dedupeKeys.${keyType}`]: 1 },
+    {
+      partialFilterExpression: { [`dedupeKeys.${keyType}`]: { $type: 'string' } },
+      background: true,
+      name: `CandidateDsr_${keyType}`,
+    }
+  );
+}
+
+// 18. Retention sweeps (utils/retentionService.js): a source's records past a
+// last-updated or created cutoff. Not partial: deleted records still hold data.
+candidateSchema.index({ source: 1, updatedAt: 1 }, { background: true, name: 'CandidateRetention_updatedAt' });
+candidateSchema.index({ source: 1, createdAt: 1 }, { background: true, name: 'CandidateRetention_createdAt' });
+
+// 19. Fuzzy name/company search fallback (multikey on the phonetic keys)
+candidateSchema.index(
+  { 'fuzzyKeys.name': 1 },
+  { partialFilterExpression: { isDeleted: false }, background: true, name: 'CandidateFuzzyName' }
+);
+candidateSchema.index(
+  { 'fuzzyKeys.company': 1 },
+  { partialFilterExpression: { isDeleted: false }, background: true, name: 'CandidateFuzzyCompany' }
+);
+
+//
+// =====================================================
+// DERIVED FIELD MAINTENANCE
+// =====================================================
+//
+
+// Every stored field computed from other candidate fields: dedupe keys, the
+// geo point, parsed experience years and fuzzy keys. `forDoc` derives the
+// value from a whole record; `forUpdate` derives only the paths an update's
+// written fields affect. A derived value the caller writes explicitly wins.
+const DERIVED_FIELDS = [
+  {
+    path: 'dedupeKeys',
+    sources: ['email', 'linkedinUrl', 'phone', 'fullName', 'company'],
+    forDoc: (doc) => ({ dedupeKeys: computeDedupeKeys(doc) }),
+    forUpdate: dedupeKeyPathsForFields,
+  },
+  {
+    path: 'geoPoint',
+    sources: ['locality', 'location', 'country'],
+    forDoc: (doc) => {
+      const geo = geocodeCandidate(doc);
+      return { geoPoint: geo ? geo.geoPoint : undefined, geoCity: geo ? geo.geoCity : null };
+    },
+    // Only locality/location re-resolve the point; a country-only update
+    // keeps the existing one. An unresolved place clears it.
+    forUpdate: (fields) => {
+      if (!('locality' in fields) && !('location' in fields)) return {};
+      return geocodeCandidate(fields) || { geoPoint: undefined, geoCity: null };
+    },
+  },
+  {
+    path: 'experienceYears',
+    sources: ['experience'],
+    forDoc: (doc) => ({ experienceYears: experienceYearsFromText(doc.experience) }),
+    forUpdate: (fields) => ('experience' in fields
+      ? { experienceYears: experienceYearsFromText(fields.experience) }
+      : {}),
+  },
+  {
+    path: 'fuzzyKeys',
+    sources: ['fullName', 'company'],
+    forDoc: (doc) => ({ fuzzyKeys: computeFuzzyKeys(doc) }),
+    forUpdate: fuzzyKeyPathsForFields,
+  },
+];
+
+const writesPath = (fields, path) =>
+  Object.keys(fields).some((key) => key === path || key.startsWith(`${path}.`));
+
+candidateSchema.pre('save', function (next) {
+  for (const derived of DERIVED_FIELDS) {
+    if (this.isModified(derived.path)) continue;
+    if (this.isNew || derived.sources.some((field) => this.isModified(field))) {
+      Object.assign(this, derived.forDoc(this));
+    }
+  }
+  next();
+});
+
+// Bulk CSV/NDJSON imports go through insertMany with plain objects.
+candidateSchema.pre('insertMany', function (next, docs) {
+  const list = Array.isArray(docs) ? docs : [docs];
+  for (const doc of list) {
+    if (!doc || typeof doc !== 'object') continue;
+    for (const derived of DERIVED_FIELDS) {
+      if (doc[derived.path] == null) Object.assign(doc, derived.forDoc(doc));
+    }
+  }
+  next();
+});
+
+// Upserts (resume parsing, AI sourcing saves, stage updates) use
+// findOneAndUpdate/updateOne. Plain keys count as $set. Fields only written
+// on insert produce derived paths only on insert; a path whose inputs are
+// split across $set and $setOnInsert is also written on insert.
+function applyDerivedFieldsToUpdate(next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const setFields = { ...(update.$set || {}) };
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith('$')) setFields[key] = value;
+  }
+  const insertFields = update.$setOnInsert || {};
+  const upsert = Boolean(this.getOptions()?.upsert);
+
+  const $set = {};
+  const $unset = {};
+  const $setOnInsert = {};
+  for (const derived of DERIVED_FIELDS) {
+    if (writesPath(setFields, derived.path)) continue;
+
+    const setPaths = derived.forUpdate(setFields);
+    for (const [path, value] of Object.entries(setPaths)) {
+      if (value === undefined) $unset[path] = '';
+      else $set[path] = value;
+    }
+
+    if (!upsert || writesPath(insertFields, derived.path)) continue;
+    const insertPaths = derived.forUpdate({ ...insertFields, ...setFields });
+    for (const [path, value] of Object.entries(insertPaths)) {
+      if (!(path in setPaths) && value !== undefined) $setOnInsert[path] = value;
+    }
+  }
+
+  if (Object.keys($set).length > 0) update.$set = { ...(update.$set || {}), ...$set };
+  if (Object.keys($unset).length > 0) update.$unset = { ...(update.$unset || {}), ...$unset };
+  if (Object.keys($setOnInsert).length > 0) update.$setOnInsert = { ...insertFields, ...$setOnInsert };
+  this.setUpdate(update);
+  next();
+}
+
+candidateSchema.pre('findOneAndUpdate', applyDerivedFieldsToUpdate);
+candidateSchema.pre('updateOne', applyDerivedFieldsToUpdate);
+
 export default mongoose.model('Candidate', candidateSchema);
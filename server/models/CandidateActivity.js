@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+export const CANDIDATE_ACTIVITY_TYPES = [
+  'VIEWED',
+  'DOWNLOADED',
+  'STAGE_CHANGED',
+  'NOTES_UPDATED',
+  'TAGS_UPDATED',
+  'ENRICHED',
+  'ENRICHMENT_REVIEWED',
+  'EDITED',
+  'VERIFIED',
+  'CONTACT_REVEALED',
+  'CONSENT_UPDATED',
+  'ATTACHMENT_ADDED',
+  'ATTACHMENT_REMOVED',
+  'REPARSED',
+  'EXPORTED',
+  'SHORTLISTED',
+  'ADDED_TO_JOB',
+  'REMOVED_FROM_JOB',
+  'MERGED',
+  'DELETED',
+  'RESTORED',
+];
+
+// One entry in a candidate's activity timeline. `actorName` is a snapshot so
+// the timeline still reads correctly after a user is renamed or removed.
+const candidateActivitySchema = new mongoose.Schema(
+  {
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    type: { type: String, enum: CANDIDATE_ACTIVITY_TYPES, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorName: { type: String, default: '' },
+    summary: { type: String, default: '' },
+    details: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+candidateActivitySchema.index({ candidateId: 1, createdAt: -1 });
+candidateActivitySchema.index({ actorId: 1, createdAt: -1 });
+
+export default mongoose.model('CandidateActivity', candidateActivitySchema);
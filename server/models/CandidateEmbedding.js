@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Vector for a candidate's profile text, used to re-rank keyword hits in
+// semantic/hybrid search. Kept out of the Candidate document so search
+// queries don't carry the vector. One per candidate: switching provider or
+// model replaces it on the next backfill or search.
+const candidateEmbeddingSchema = new mongoose.Schema(
+  {
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    // Provider id, e.g. "local-hash:v1:256" or "openai:text-embedding-3-small:1536"
+    model: { type: String, required: true },
+    dimensions: { type: Number, required: true },
+    vector: { type: [Number], required: true },
+    // Hash of the text that was embedded, to spot profiles edited since
+    textHash: { type: String, required: true },
+  },
+  { timestamps: { createdAt: false, updatedAt: true } }
+);
+
+candidateEmbeddingSchema.index({ candidateId: 1 }, { unique: true });
+candidateEmbeddingSchema.index({ model: 1 });
+
+export default mongoose.model('CandidateEmbedding', candidateEmbeddingSchema);
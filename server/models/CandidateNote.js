@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+export const MAX_NOTE_LENGTH = 5000;
+
+// A recruiter note on a candidate. Notes replace the single overwritable
+// Candidate.recruiterNotes string, which is now a read-only digest rebuilt
+// from the thread (see noteService.syncRecruiterNotes) for exports.
+// Mentions are written inline as @[Name](userId) and resolved into `mentions`.
+const candidateNoteSchema = new mongoose.Schema(
+  {
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Snapshot so the thread still reads correctly after a user is renamed or removed
+    authorName: { type: String, default: '' },
+    body: { type: String, required: true, maxlength: MAX_NOTE_LENGTH },
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    pinned: { type: Boolean, default: false },
+    pinnedAt: { type: Date, default: null },
+    // Previous bodies, oldest first
+    edits: [
+      {
+        _id: false,
+        body: { type: String, default: '' },
+        editedAt: { type: Date, default: Date.now },
+      },
+    ],
+    editedAt: { type: Date, default: null },
+    // Imported from the old recruiterNotes string
+    legacy: { type: Boolean, default: false },
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+candidateNoteSchema.index({ candidateId: 1, isDeleted: 1, pinned: -1, createdAt: -1 });
+candidateNoteSchema.index({ mentions: 1, createdAt: -1 });
+// At most one note imported from recruiterNotes per candidate
+candidateNoteSchema.index({ candidateId: 1 }, { unique: true, partialFilterExpression: { legacy: true } });
+
+export default mongoose.model('CandidateNote', candidateNoteSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// A user unlocked a candidate's email and phone (paid reveal, their own
+// contact enrichment or a paid export). Users without full contact access see masked values
+// everywhere except for candidates they have a reveal for.
+const contactRevealSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    // REVEAL: paid for through /candidates/:id/reveal; ENRICH: came with a paid
+    // enrichment; EXPORT: exported in a search export that was charged per row
+    source: { type: String, enum: ['REVEAL', 'ENRICH', 'EXPORT'], default: 'REVEAL' },
+    creditsCharged: { type: Number, default: 0 },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+contactRevealSchema.index({ userId: 1, candidateId: 1 }, { unique: true });
+contactRevealSchema.index({ candidateId: 1 });
+
+export default mongoose.model('ContactReveal', contactRevealSchema);
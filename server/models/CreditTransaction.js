@@ -18,7 +18,7 @@ const creditTransactionSchema = new mongoose.Schema({
   },
   reason: {
     type: String,
-    enum: ['SEARCH', 'ENRICH', 'AI_SOURCE', 'STRIPE_PURCHASE', 'MOCK_PURCHASE', 'ADMIN_ADD', 'SIGNUP_BONUS'],
+    enum: ['SEARCH', 'ENRICH', 'REVEAL', 'AI_SOURCE', 'EXPORT', 'STRIPE_PURCHASE', 'MOCK_PURCHASE', 'ADMIN_ADD', 'SIGNUP_BONUS'],
     required: true,
   },
   description: { type: String, default: '' },
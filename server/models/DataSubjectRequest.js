@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+// Audit record for a data-subject request (GDPR / DPDP): an export of
+// everything held on a person, or their erasure. The raw identifiers are only
+// kept until the request completes (a failed one keeps them for its retry);
+// afterwards the record keeps masked values and hashes of the normalized keys,
+// so it stays auditable without holding the personal data it was about.
+const dataSubjectRequestSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: ['EXPORT', 'ERASE'], required: true },
+    // ERASE only: DELETE removes the records, ANONYMIZE keeps a stripped skeleton
+    mode: { type: String, enum: ['DELETE', 'ANONYMIZE', null], default: null },
+    reference: { type: String, default: '' }, // ticket / email thread the request came from
+
+    subject: {
+      email: { type: String, default: null },
+      phone: { type: String, default: null },
+      linkedinUrl: { type: String, default: null },
+    },
+    subjectMasked: {
+      email: { type: String, default: null },
+      phone: { type: String, default: null },
+      linkedinUrl: { type: String, default: null },
+    },
+    subjectHashes: [{ type: String }], // sha256 of each normalized identity key
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedByName: { type: String, default: '' },
+
+    status: {
+      type: String,
+      enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+      default: 'QUEUED',
+    },
+
+    // What was found (and, for erasures, removed): collection -> count
+    summary: { type: mongoose.Schema.Types.Mixed, default: {} },
+    candidateIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }],
+    // Bulk import files that also hold this person's row; they contain other
+    // people's data too, so they are reported rather than exported or deleted
+    sharedFiles: [{ type: String }],
+
+    // EXPORT: the ZIP in S3
+    s3Key: { type: String, default: null },
+    fileName: { type: String, default: null },
+    fileSize: { type: Number, default: 0 },
+
+    error: { type: String, default: null },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+dataSubjectRequestSchema.index({ createdAt: -1 });
+dataSubjectRequestSchema.index({ subjectHashes: 1 });
+
+export default mongoose.model('DataSubjectRequest', dataSubjectRequestSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A query-based candidate export ("everything matching this search"),
+// streamed to S3 by the import worker.
+const exportJobSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    format: { type: String, enum: ['CSV', 'XLSX', 'JSONL'], default: 'CSV' },
+    // Same shape as the /api/candidates/search query params (see pickSearchFilters)
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Column layout captured when the job is created, so later template edits don't change it
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExportTemplate', default: null },
+    columns: [{ _id: false, key: String, header: String }],
+    status: {
+      type: String,
+      enum: ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED'],
+      default: 'QUEUED',
+    },
+
+    maxRows: { type: Number, required: true },
+    estimatedRows: { type: Number, default: 0 },
+    exportedRows: { type: Number, default: 0 },
+    // Matches left out because the candidate is do-not-contact or suppressed
+    suppressedRows: { type: Number, default: 0 },
+
+    // Billing: creditsPerRow is 0 for admins and credit-free accounts. The
+    // worst case (maxRows * creditsPerRow) is reserved when the job is created
+    // and whatever the exported rows did not use is refunded.
+    creditsPerRow: { type: Number, default: 0 },
+    creditsReserved: { type: Number, default: 0 },
+    creditsCharged: { type: Number, default: 0 },
+
+    s3Key: { type: String, default: null },
+    fileName: { type: String, default: null },
+    fileSize: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    startedAt: Date,
+    completedAt: Date,
+
+    // Auto-delete the job record after 7 days. Its file under exports/ in S3 is
+    // deleted shortly before by the export cleanup tick (cleanUpExportJobs)
+    expiresAt: { type: Date, default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) },
+  },
+  { timestamps: true }
+);
+
+exportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// A saved export layout: which columns, in what order, under which headers.
+// USER templates belong to their creator; ORG templates are managed by admins
+// and offered to everyone. At most one template per owner (or for the org)
+// is the default applied when an export does not name one.
+const exportTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    scope: { type: String, enum: ['USER', 'ORG'], default: 'USER' },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Keys from utils/candidateExportColumns.js; header overrides the default title
+    columns: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        header: { type: String, trim: true, maxlength: 120 },
+      },
+    ],
+    isDefault: { type: Boolean, default: false },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+exportTemplateSchema.index({ scope: 1, ownerId: 1, isDeleted: 1 });
+
+export default mongoose.model('ExportTemplate', exportTemplateSchema);
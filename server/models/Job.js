@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 
+// Lowest to highest; see utils/jobAccessService.js for what each role may do
+export const JOB_ROLES = ['VIEWER', 'RECRUITER', 'OWNER'];
+
+// A teammate the job is shared with. The creator (createdBy) is always an
+// owner and is not listed here.
+const collaboratorSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: JOB_ROLES, default: 'RECRUITER' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const recommendationSchema = new mongoose.Schema(
+  {
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', required: true },
+    matchScore: { type: Number, default: 0 },
+    matchCategory: { type: String },
+    matchedSkills: { type: [String], default: [] },
+    missingSkills: { type: [String], default: [] },
+    locationMatch: { type: Boolean, default: false },
+    experienceMatch: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
 const jobSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, trim: true },
@@ -18,11 +46,30 @@ const jobSchema = new mongoose.Schema(
       default: 'MEDIUM',
     },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    collaborators: { type: [collaboratorSchema], default: [] },
     isDeleted: { type: Boolean, default: false },
+
+    // JD parser output (internal snake_case form) for title/location/skills/
+    // description; cleared on edit and re-parsed in the background
+    parsedRequirements: { type: mongoose.Schema.Types.Mixed, default: null },
+    requirementsParsedAt: { type: Date, default: null },
+
+    // Best internal-DB matches, refreshed when the job changes or new
+    // candidates are imported (utils/jobRecommendationService.js)
+    recommendations: { type: [recommendationSchema], default: [] },
+    recommendationStatus: {
+      type: String,
+      enum: ['PENDING', 'READY', 'FAILED'],
+      default: 'PENDING',
+    },
+    recommendationError: { type: String, default: null },
+    recommendationsRefreshedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 jobSchema.index({ createdBy: 1, status: 1, createdAt: -1 });
+jobSchema.index({ 'collaborators.user': 1, isDeleted: 1 });
+jobSchema.index({ status: 1, isDeleted: 1, recommendationsRefreshedAt: 1 });
 
 export default mongoose.model('Job', jobSchema);
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Admin-configured retention rule, e.g. "UPLOAD candidates not updated in 24
+// months" or "AI_SOURCING candidates never shortlisted after 6 months".
+// Enforced by the scheduled sweep in utils/retentionService.js.
+const retentionRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // null = candidates from any source
+    source: { type: String, enum: ['UPLOAD', 'AI_SOURCING', 'MANUAL', 'API', null], default: null },
+    // Age is measured from the last update, or from creation
+    basis: { type: String, enum: ['UPDATED_AT', 'CREATED_AT'], default: 'UPDATED_AT' },
+    olderThanMonths: { type: Number, required: true, min: 1, max: 240 },
+    neverShortlisted: { type: Boolean, default: false },
+    includePrivateDatabases: { type: Boolean, default: false },
+    action: { type: String, enum: ['ANONYMIZE', 'DELETE'], default: 'ANONYMIZE' },
+
+    // Scheduled enforcement; can only be switched on after a dry run of the
+    // rule as it currently stands (see ruleChangedAt)
+    enabled: { type: Boolean, default: false },
+    ruleChangedAt: { type: Date, default: Date.now },
+    lastDryRunAt: { type: Date, default: null },
+    lastDryRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'RetentionRun', default: null },
+    lastRunAt: { type: Date, default: null },
+    lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'RetentionRun', default: null },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+retentionRuleSchema.index({ isDeleted: 1, enabled: 1 });
+
+export default mongoose.model('RetentionRule', retentionRuleSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// One evaluation of a retention rule: a dry run (report only) or an
+// enforcement run, scheduled or started by an admin. Enforcement runs keep
+// the ids of the records they removed, not their contents.
+const retentionRunSchema = new mongoose.Schema(
+  {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'RetentionRule', required: true },
+    ruleName: { type: String, default: '' },
+    // Rule settings as they were when the run happened
+    criteria: { type: mongoose.Schema.Types.Mixed, default: {} },
+    action: { type: String, enum: ['ANONYMIZE', 'DELETE'], required: true },
+    dryRun: { type: Boolean, default: false },
+    trigger: { type: String, enum: ['SCHEDULED', 'MANUAL'], default: 'MANUAL' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    status: { type: String, enum: ['RUNNING', 'COMPLETED', 'FAILED'], default: 'RUNNING' },
+
+    cutoff: { type: Date },
+    matched: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    filesDeleted: { type: Number, default: 0 },
+    // Enforcement stops at the per-run cap; the rest is picked up next time
+    capped: { type: Boolean, default: false },
+    // Dry run: what the report showed (a sample, with names for review)
+    sample: [
+      {
+        _id: false,
+        candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' },
+        fullName: String,
+        source: String,
+        pipelineStage: String,
+        createdAt: Date,
+        updatedAt: Date,
+      },
+    ],
+    // Enforcement: ids of the records anonymized or deleted
+    candidateIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }],
+
+    error: { type: String, default: null },
+    durationMs: { type: Number, default: 0 },
+    completedAt: Date,
+  },
+  { timestamps: true }
+);
+
+retentionRunSchema.index({ ruleId: 1, createdAt: -1 });
+retentionRunSchema.index({ createdAt: -1 });
+
+export default mongoose.model('RetentionRun', retentionRunSchema);
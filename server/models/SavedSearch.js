@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Mirrors the /api/candidates/search query params so a saved search can be
+// rerun exactly as the user ran it in UserSearch.
+const savedSearchFiltersSchema = new mongoose.Schema(
+  {
+    q: { type: String, default: '' },
+    locality: { type: String, default: '' },
+    location: { type: String, default: '' },
+    jobTitle: { type: String, default: '' },
+    skills: { type: String, default: '' },
+    near: { type: String, default: '' },
+    radiusKm: { type: Number, default: null },
+    tags: { type: String, default: '' }, // comma-separated Tag ids
+    experience: { type: String, default: '' }, // minimum years (sent as minExp)
+    hasEmail: { type: Boolean, default: false },
+    hasPhone: { type: Boolean, default: false },
+    hasLinkedin: { type: Boolean, default: false },
+    privateDbId: { type: mongoose.Schema.Types.ObjectId, ref: 'PrivateDatabase', default: null },
+    includePrivate: { type: Boolean, default: false },
+    privateDbOnly: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    filters: { type: savedSearchFiltersSchema, default: () => ({}) },
+
+    // New-match alerts
+    alertsEnabled: { type: Boolean, default: true },
+    frequency: { type: String, enum: ['DAILY', 'WEEKLY'], default: 'DAILY' },
+    lastRunAt: { type: Date, default: null },
+    nextRunAt: { type: Date, default: () => new Date() },
+    lastNewCount: { type: Number, default: 0 },
+    lastRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearchRun', default: null },
+
+    isDeleted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// Per-user listing
+savedSearchSchema.index({ userId: 1, isDeleted: 1, createdAt: -1 });
+// Scheduler: due searches
+savedSearchSchema.index({ nextRunAt: 1 }, { partialFilterExpression: { alertsEnabled: true, isDeleted: false } });
+
+export default mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// One execution of a saved search (scheduled alert or manual "run now").
+const savedSearchRunSchema = new mongoose.Schema(
+  {
+    savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    trigger: { type: String, enum: ['SCHEDULED', 'MANUAL'], default: 'SCHEDULED' },
+    status: { type: String, enum: ['SUCCESS', 'FAILED'], default: 'SUCCESS' },
+
+    // Window of candidates considered "new": createdAt in (since, until]
+    since: { type: Date },
+    until: { type: Date },
+    newCount: { type: Number, default: 0 },
+    sampleCandidateIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Candidate' }],
+
+    emailed: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    durationMs: { type: Number, default: 0 },
+
+    // Auto-delete after 90 days
+    expiresAt: { type: Date, default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) },
+  },
+  { timestamps: true }
+);
+
+// TTL index — MongoDB removes expired documents automatically
+savedSearchRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+savedSearchRunSchema.index({ savedSearchId: 1, createdAt: -1 });
+
+export default mongoose.model('SavedSearchRun', savedSearchRunSchema);
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = Math.max(1, Number(process.env.SEARCH_LOG_RETENTION_DAYS || 180));
+
+// One search call: a candidate DB keyword search (every page), an internal
+// DB match or an AI sourcing run. Feeds the admin search analytics.
+const searchLogSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    endpoint: { type: String, enum: ['CANDIDATE_SEARCH', 'INTERNAL_DB', 'AI_SOURCE'], required: true },
+    // What the user searched for, as shown in the dashboard
+    query: { type: String, default: '' },
+    // Lower-cased, whitespace-collapsed `query` that identical searches group on
+    queryKey: { type: String, default: '' },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Candidate search: keyword/semantic/hybrid; AI sourcing: where profiles came from
+    mode: { type: String, default: null },
+    page: { type: Number, default: 1 },
+    resultCount: { type: Number, default: 0 },
+    latencyMs: { type: Number, default: 0 },
+    creditsCharged: { type: Number, default: 0 },
+    status: { type: String, enum: ['OK', 'INSUFFICIENT_CREDITS', 'INVALID_QUERY', 'ERROR'], default: 'OK' },
+    error: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now, expires: RETENTION_DAYS * 24 * 60 * 60 },
+  },
+  { versionKey: false }
+);
+
+searchLogSchema.index({ endpoint: 1, createdAt: -1 });
+searchLogSchema.index({ userId: 1, createdAt: -1 });
+searchLogSchema.index({ queryKey: 1, createdAt: -1 });
+
+export default mongoose.model('SearchLog', searchLogSchema);
@@ -21,5 +21,7 @@ shortlistSchema.pre('save', function (next) {
 
 shortlistSchema.index({ createdBy: 1, createdAt: -1 });
 shortlistSchema.index({ shareToken: 1 });
+// Retention's "never shortlisted" check looks candidates up by membership
+shortlistSchema.index({ candidateIds: 1 });
 
 export default mongoose.model('Shortlist', shortlistSchema);
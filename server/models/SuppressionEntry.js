@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+export const SUPPRESSION_KEY_TYPES = ['email', 'phone', 'linkedin'];
+export const SUPPRESSION_SOURCES = ['DO_NOT_CONTACT', 'MANUAL'];
+
+// Global do-not-contact list. Entries are keyed on the normalized identity
+// (same normalizers as Candidate.dedupeKeys) rather than a candidate id, so
+// they outlive the candidate record and still match a later re-import or
+// a freshly sourced profile of the same person.
+const suppressionEntrySchema = new mongoose.Schema(
+  {
+    keyType: { type: String, enum: SUPPRESSION_KEY_TYPES, required: true },
+    key: { type: String, required: true },
+    reason: { type: String, default: '' },
+    source: { type: String, enum: SUPPRESSION_SOURCES, default: 'MANUAL' },
+    // Candidate that was flagged do-not-contact, when the entry came from one
+    candidateId: { type: mongoose.Schema.Types.ObjectId, ref: 'Candidate', default: null },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    addedByName: { type: String, default: '' },
+  },
+  { timestamps: true }
+);
+
+suppressionEntrySchema.index({ keyType: 1, key: 1 }, { unique: true });
+suppressionEntrySchema.index({ candidateId: 1 }, { partialFilterExpression: { candidateId: { $type: 'objectId' } } });
+suppressionEntrySchema.index({ createdAt: -1 });
+
+export default mongoose.model('SuppressionEntry', suppressionEntrySchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+export const TAG_COLORS = ['slate', 'red', 'orange', 'amber', 'green', 'teal', 'blue', 'indigo', 'violet', 'pink'];
+
+// A candidate tag. Candidates reference tags by id (Candidate.tags), so a
+// rename is a single write here. USER tags are private to their owner;
+// ORG tags (ownerId: null) are shared and managed by admins.
+const tagSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    // Lower-cased name for case-insensitive uniqueness within a scope
+    normalizedName: { type: String, required: true },
+    color: { type: String, enum: TAG_COLORS, default: 'slate' },
+    scope: { type: String, enum: ['USER', 'ORG'], default: 'USER' },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+tagSchema.pre('validate', function (next) {
+  if (this.isModified('name')) this.normalizedName = String(this.name || '').trim().toLowerCase();
+  next();
+});
+
+tagSchema.index({ scope: 1, ownerId: 1, normalizedName: 1 }, { unique: true });
+
+export default mongoose.model('Tag', tagSchema);
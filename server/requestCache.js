@@ -1,3 +1,5 @@
+const CANDIDATE_RECORD_PATH_RE = /^\/api\/candidates\/[a-f0-9]{24}(\/|\?|$)/i;
+
 export const requestCache = (duration = 60) => {
   const cache = new Map();
   const MAX_SIZE = 500;
@@ -9,9 +11,17 @@ export const requestCache = (duration = 60) => {
     }
 
     const requestUrl = req.originalUrl || req.url || "";
+    // Per-candidate reads (details, download, activity) are recorded on the
+    // candidate's activity timeline, so they must always reach the controller
+    if (CANDIDATE_RECORD_PATH_RE.test(requestUrl)) {
+      return next();
+    }
     if (
       requestUrl.includes("/api/candidates/search") ||
-      requestUrl.includes("/api/candidates/enrich")
+      requestUrl.includes("/api/candidates/facets") ||
+      requestUrl.includes("/api/candidates/enrich") ||
+      requestUrl.includes("/api/candidates/duplicates") ||
+      requestUrl.includes("/api/candidates/export-jobs")
     ) {
       return next();
     }
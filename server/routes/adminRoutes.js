@@ -1,5 +1,24 @@
 import express from 'express';
 import { resetDatabase, deleteJob, getUserStats } from '../controllers/adminController.js';
+import {
+  previewDataSubject,
+  createDataSubjectRequest,
+  getDataSubjectRequests,
+  getDataSubjectRequest,
+  retryDataSubjectRequest,
+} from '../controllers/dsrController.js';
+import {
+  getRetentionRules,
+  createRetentionRule,
+  updateRetentionRule,
+  deleteRetentionRule,
+  dryRunRetentionRule,
+  runRetentionRuleNow,
+  getRetentionRuns,
+  getRetentionRun,
+} from '../controllers/retentionController.js';
+import { getSuppressions, addSuppression, removeSuppression } from '../controllers/consentController.js';
+import { getSearchAnalytics } from '../controllers/searchAnalyticsController.js';
 import { protect, adminOnly } from '../middleware/authMiddleware.js';
 import logger from '../utils/logger.js';
 
@@ -20,4 +39,29 @@ router.delete('/jobs/:id', deleteJob);
 // Per-user activity stats
 router.get('/user-stats', getUserStats);
 
+// Data-subject requests (GDPR / DPDP): locate, export and erase a person's data
+router.post('/dsr/preview', previewDataSubject);
+router.post('/dsr', createDataSubjectRequest);
+router.get('/dsr', getDataSubjectRequests);
+router.get('/dsr/:id', getDataSubjectRequest);
+router.post('/dsr/:id/retry', retryDataSubjectRequest);
+
+// Retention rules: dry-run report, enforcement (also run by the daily sweep) and run log
+router.get('/retention/rules', getRetentionRules);
+router.post('/retention/rules', createRetentionRule);
+router.patch('/retention/rules/:id', updateRetentionRule);
+router.delete('/retention/rules/:id', deleteRetentionRule);
+router.post('/retention/rules/:id/dry-run', dryRunRetentionRule);
+router.post('/retention/rules/:id/run', runRetentionRuleNow);
+router.get('/retention/runs', getRetentionRuns);
+router.get('/retention/runs/:id', getRetentionRun);
+
+// Global suppression list: people who must not be contacted, kept even after their records are deleted
+router.get('/suppressions', getSuppressions);
+router.post('/suppressions', addSuppression);
+router.delete('/suppressions/:id', removeSuppression);
+
+// Search analytics: top, zero-result and slow queries, per-user volume (from the search log)
+router.get('/search-analytics', getSearchAnalytics);
+
 export default router;
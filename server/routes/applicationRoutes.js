@@ -0,0 +1,11 @@
+import express from 'express';
+import { getApplication, patchApplication, deleteApplication } from '../controllers/applicationController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/:id', protect, getApplication); // Application with stage history
+router.patch('/:id', protect, patchApplication); // Move stage / reassign owner
+router.delete('/:id', protect, deleteApplication); // Remove the candidate from the job
+
+export default router;
@@ -19,8 +19,40 @@ import {
   checkRChilliStatus,
   getJobDetails,
   syncJobStatus,
-  updateCandidateNotes
+  updateCandidateNotes,
+  getSearchFacets,
+  getCandidateActivity
 } from '../controllers/candidateController.js';
+import { getDuplicateGroups, mergeDuplicates, backfillDuplicateKeys } from '../controllers/dedupeController.js';
+import {
+  backfillGeoPoints,
+  backfillExperience,
+  backfillTags,
+  backfillEmbeddings,
+  backfillFuzzySearchKeys,
+} from '../controllers/candidateBackfillController.js';
+import { bulkAddTags, bulkRemoveTags } from '../controllers/tagController.js';
+import {
+  getCandidateNotes,
+  createCandidateNote,
+  updateNote,
+  deleteNote,
+  getMentionableUsers,
+} from '../controllers/candidateNoteController.js';
+import {
+  uploadAttachmentMiddleware,
+  getAttachments,
+  uploadAttachment,
+  updateAttachment,
+  deleteAttachment,
+  downloadAttachment,
+  reparseAttachment,
+} from '../controllers/candidateAttachmentController.js';
+import { createExportJob, getExportJobs, getExportJob } from '../controllers/exportController.js';
+import { getCandidateConsent, updateCandidateConsent } from '../controllers/consentController.js';
+import { revealCandidateContact, getContactRevealConfig } from '../controllers/contactRevealController.js';
+import { getSimilarCandidates } from '../controllers/similarCandidatesController.js';
+import { compareSelectedCandidates, exportComparison } from '../controllers/comparisonController.js';
 import { protect, adminOnly } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -46,9 +78,42 @@ router.get('/job/:id/status', protect, adminOnly, getJobStatus); // Get job stat
 router.get('/job/:id/details', protect, adminOnly, getJobDetails); // ✅ NEW: Detailed job info with events
 router.get('/rchilli/status', protect, adminOnly, checkRChilliStatus); // ✅ NEW: Check RChilli credits
 router.get('/search', protect, searchCandidates); // All authenticated users can search
+router.get('/facets', protect, getSearchFacets); // Facet buckets for the current search filters
 router.post('/export', protect, exportCandidates); // Export selected candidates
+router.post('/compare', protect, compareSelectedCandidates); // Score 2–5 candidates side by side against a job or JD
+router.post('/compare/export', protect, exportComparison); // Same comparison as a DOCX table
+router.post('/export-jobs', protect, createExportJob); // Export everything matching a search (background job)
+router.get('/export-jobs', protect, getExportJobs); // Current user's recent exports
+router.get('/export-jobs/:id', protect, getExportJob); // Export status + presigned download link
+router.get('/duplicates', protect, adminOnly, getDuplicateGroups); // Dedupe review queue
+router.post('/duplicates/merge', protect, adminOnly, mergeDuplicates); // Merge duplicates into a survivor
+router.post('/duplicates/backfill', protect, adminOnly, backfillDuplicateKeys); // Recompute dedupe keys
+router.post('/geo/backfill', protect, adminOnly, backfillGeoPoints); // Geocode existing candidates for radius search
+router.post('/experience/backfill', protect, adminOnly, backfillExperience); // Parse experienceYears for existing candidates
+router.post('/tags/add', protect, bulkAddTags); // Tag selected candidates
+router.post('/tags/remove', protect, bulkRemoveTags); // Untag selected candidates
+router.post('/tags/backfill', protect, adminOnly, backfillTags); // Convert legacy internalTags text into org tags
+router.post('/embeddings/backfill', protect, adminOnly, backfillEmbeddings); // Embed existing candidates for semantic/hybrid search
+router.post('/fuzzy/backfill', protect, adminOnly, backfillFuzzySearchKeys); // Phonetic name/company keys for typo-tolerant search
+router.get('/notes/mentionable', protect, getMentionableUsers); // Teammates for the note @mention picker
+router.get('/reveal/config', protect, getContactRevealConfig); // Credits per contact reveal for the current user
 router.get('/health', (req, res) => res.json({ status: 'OK', timestamp: new Date() })); // Health check
 router.get('/:id/download', protect, downloadProfile); // Download profile
+router.get('/:id/activity', protect, getCandidateActivity); // Paged activity timeline for the view modal
+router.get('/:id/notes', protect, getCandidateNotes); // Notes thread, pinned first
+router.post('/:id/notes', protect, createCandidateNote); // Add a note (@mentions are emailed)
+router.patch('/:id/notes/:noteId', protect, updateNote); // Edit (author only) or pin/unpin a note
+router.delete('/:id/notes/:noteId', protect, deleteNote); // Delete own note (admins: any)
+router.get('/:id/attachments', protect, getAttachments); // Resume versions, cover letters, assessments
+router.post('/:id/attachments', protect, uploadAttachmentMiddleware, uploadAttachment); // Upload a file to S3
+router.patch('/:id/attachments/:attachmentId', protect, updateAttachment); // Make a version primary
+router.delete('/:id/attachments/:attachmentId', protect, deleteAttachment); // Remove own upload (admins: any)
+router.get('/:id/attachments/:attachmentId/download', protect, downloadAttachment); // Presigned download link
+router.post('/:id/attachments/:attachmentId/reparse', protect, adminOnly, reparseAttachment); // Re-run RChilli on a version
+router.post('/:id/reveal', protect, revealCandidateContact); // Unmask email/phone (charged once per user)
+router.get('/:id/similar', protect, getSimilarCandidates); // "More like this" ranked matches across global + own private DBs
+router.get('/:id/consent', protect, getCandidateConsent); // Consent record + do-not-contact status
+router.patch('/:id/consent', protect, updateCandidateConsent); // Record consent / flag do not contact (admins: clear)
 router.get('/:id', protect, getCandidateById); // Candidate details for view modal
 router.delete('/job/:id', protect, adminOnly, deleteUploadJob); // Delete File Data
 // router.delete('/:id', protect, adminOnly, deleteCandidate);     // Delete Single Row
@@ -56,7 +121,7 @@ router.post('/headers', protect, adminOnly, getFileHeaders);    // Get headers t
 router.delete('/nuke/all', protect, adminOnly, nukeDatabase);
 router.delete('/:id', protect, adminOnly, softDeleteCandidate);
 router.put('/:id/restore', protect, adminOnly, undoDeleteCandidate);
-router.patch('/:id/notes', protect, updateCandidateNotes);
+router.patch('/:id/notes', protect, updateCandidateNotes); // Legacy: recruiterNotes text becomes a new note
 router.post('/:id/resume', protect, adminOnly, resumeUploadJob);
 router.post('/:id/pause', protect, adminOnly, pauseUploadJob);
 router.post('/:id/sync', protect, adminOnly, syncJobStatus);
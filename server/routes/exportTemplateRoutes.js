@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getExportTemplates,
+  createExportTemplate,
+  updateExportTemplate,
+  deleteExportTemplate,
+} from '../controllers/exportTemplateController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, getExportTemplates); // Own + org templates and the column catalog
+router.post('/', protect, createExportTemplate); // ORG scope is admin-only
+router.patch('/:id', protect, updateExportTemplate);
+router.delete('/:id', protect, deleteExportTemplate);
+
+export default router;
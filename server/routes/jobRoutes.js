@@ -1,12 +1,36 @@
 import express from 'express';
-import { getJobs, createJob, updateJob, deleteJob } from '../controllers/jobController.js';
+import {
+  getJobs,
+  createJob,
+  updateJob,
+  deleteJob,
+  getJobRecommendations,
+  refreshRecommendations,
+} from '../controllers/jobController.js';
+import { getJobApplications, addJobApplications } from '../controllers/applicationController.js';
+import {
+  getTeammates,
+  getCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+} from '../controllers/jobCollaboratorController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-router.get('/', protect, getJobs);
+router.get('/', protect, getJobs); // Jobs the user created or collaborates on
+router.get('/teammates', protect, getTeammates); // Collaborator picker
 router.post('/', protect, createJob);
 router.patch('/:id', protect, updateJob);
 router.delete('/:id', protect, deleteJob);
+router.get('/:id/applications', protect, getJobApplications); // Per-job kanban
+router.post('/:id/applications', protect, addJobApplications); // Add candidates from search, sourcing or a shortlist
+router.get('/:id/recommendations', protect, getJobRecommendations); // Best internal-DB matches for the job
+router.post('/:id/recommendations/refresh', protect, refreshRecommendations);
+router.get('/:id/collaborators', protect, getCollaborators);
+router.post('/:id/collaborators', protect, addCollaborator); // Owners only; emails the new collaborator
+router.patch('/:id/collaborators/:userId', protect, updateCollaborator);
+router.delete('/:id/collaborators/:userId', protect, removeCollaborator); // Owners, or a collaborator leaving
 
 export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getSavedSearches,
+  createSavedSearch,
+  importSavedSearches,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearchNow,
+  getSavedSearchRuns,
+} from '../controllers/savedSearchController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, getSavedSearches);
+router.post('/', protect, createSavedSearch);
+router.post('/import', protect, importSavedSearches); // One-time move of browser-only saved searches
+router.patch('/:id', protect, updateSavedSearch);
+router.delete('/:id', protect, deleteSavedSearch);
+router.post('/:id/run', protect, runSavedSearchNow); // Count new matches since last run
+router.get('/:id/runs', protect, getSavedSearchRuns); // Run history
+
+export default router;
@@ -64,7 +64,7 @@ router.get('/stats', protect, getSourcingStats);
 router.get('/sessions', protect, getSourcingSessions);
 router.get('/sessions/:id', protect, getSessionById);
 
-// Save/update recruiter notes for a candidate
+// Add a note to a candidate's notes thread
 router.post('/notes', protect, updateCandidateNotes);
 
 // Generate personalized LinkedIn outreach message
@@ -0,0 +1,13 @@
+import express from 'express';
+import { getTags, createTag, updateTag, mergeTag, deleteTag } from '../controllers/tagController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, getTags); // Own + org tags (withCounts=true for the manager)
+router.post('/', protect, createTag); // ORG scope is admin-only
+router.patch('/:id', protect, updateTag); // Rename / recolor
+router.post('/:id/merge', protect, mergeTag); // Fold into another tag, rewriting candidates
+router.delete('/:id', protect, deleteTag); // Remove from candidates and delete
+
+export default router;
@@ -20,6 +20,7 @@ import connectDB from './config/db.js';
 import logger from './utils/logger.js';
 import { verifySMTP } from './utils/emailService.js';
 import { requestCache } from './requestCache.js';
+import { scheduleRepeatingJob } from './utils/queue.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -31,8 +32,12 @@ import enrichmentRoutes from './routes/enrichmentRoutes.js';
 import sourcingRoutes from './routes/sourcingRoutes.js';
 import privateDbRoutes from './routes/privateDbRoutes.js';
 import jobRoutes from './routes/jobRoutes.js';
+import applicationRoutes from './routes/applicationRoutes.js';
 import shortlistRoutes from './routes/shortlistRoutes.js';
 import creditRoutes from './routes/creditRoutes.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import exportTemplateRoutes from './routes/exportTemplateRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
 import { handleWebhook } from './controllers/creditController.js';
 
 // Define __dirname for ES modules
@@ -243,8 +248,12 @@ app.use('/api/enrich-contact', enrichmentRoutes);
 app.use('/api/ai-source', sourcingRoutes);
 app.use('/api/private-db', privateDbRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/applications', applicationRoutes);
 app.use('/api/shortlists', shortlistRoutes);
 app.use('/api/credits', creditRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/export-templates', exportTemplateRoutes);
+app.use('/api/tags', tagRoutes);
 
 /* ---------------------------------------------------
    GLOBAL ERROR HANDLER
@@ -285,8 +294,26 @@ app.use('*', (req, res) => {
 --------------------------------------------------- */
 const PORT = process.env.PORT || 3000;
 
+// Background sweeps: job name, the env flag that turns it off ("false") and its interval.
+// Saved-search alerts tick hourly and run whichever searches are due; the retention
+// sweep enforces every enabled rule daily; job recommendations pick up new imports; export
+// cleanup refunds stale exports and removes expiring export files.
+const REPEATING_JOBS = [
+  { name: 'saved-search-alerts', flag: 'SAVED_SEARCH_ALERTS', everyMs: Number(process.env.SAVED_SEARCH_TICK_MS || 60 * 60 * 1000) },
+  { name: 'retention-sweep', flag: 'RETENTION_SWEEP', everyMs: Number(process.env.RETENTION_TICK_MS || 24 * 60 * 60 * 1000) },
+  { name: 'job-recommendations-sweep', flag: 'JOB_RECOMMENDATIONS', everyMs: Number(process.env.JOB_RECOMMENDATION_TICK_MS || 30 * 60 * 1000) },
+  { name: 'export-cleanup', flag: 'EXPORT_CLEANUP', everyMs: 60 * 60 * 1000 },
+];
+
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
+  for (const { name, flag, everyMs } of REPEATING_JOBS) {
+    if (process.env[flag] === 'false') {
+      logger.info(`⏸️ ${name} disabled (${flag}=false)`);
+      continue;
+    }
+    scheduleRepeatingJob(name, { every: everyMs }).catch((err) => logger.error(`${name} scheduler failed to start:`, err));
+  }
 });
 
 /* ---------------------------------------------------
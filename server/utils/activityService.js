@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import CandidateActivity from '../models/CandidateActivity.js';
+import logger from './logger.js';
+
+const toIds = (candidateId, candidateIds) =>
+  [...new Set([candidateId, ...(candidateIds || [])].filter(Boolean).map(String))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+/**
+ * Append an entry to one or more candidates' activity timelines.
+ * `actor` is the acting user (req.user) or null for system actions.
+ * With `dedupeWithinMs`, an identical (candidate, actor, type) entry inside
+ * that window suppresses the new one — used for profile views.
+ *
+ * Never throws: the timeline is an audit aid and must not fail the request
+ * that triggered it, so callers don't need to await it.
+ */
+export const recordCandidateActivity = async ({
+  candidateId,
+  candidateIds,
+  actor = null,
+  type,
+  summary = '',
+  details = null,
+  dedupeWithinMs = 0,
+}) => {
+  try {
+    let ids = toIds(candidateId, candidateIds);
+    if (ids.length === 0) return 0;
+
+    if (dedupeWithinMs > 0) {
+      const recent = await CandidateActivity.distinct('candidateId', {
+        candidateId: { $in: ids },
+        type,
+        actorId: actor?._id || null,
+        createdAt: { $gte: new Date(Date.now() - dedupeWithinMs) },
+      });
+      const recentSet = new Set(recent.map(String));
+      ids = ids.filter((id) => !recentSet.has(id));
+      if (ids.length === 0) return 0;
+    }
+
+    const entries = ids.map((id) => ({
+      candidateId: id,
+      type,
+      actorId: actor?._id || null,
+      actorName: actor?.name || actor?.email || '',
+      summary,
+      details,
+    }));
+    await CandidateActivity.insertMany(entries, { ordered: false });
+    return entries.length;
+  } catch (error) {
+    logger.warn(`Failed to record ${type} activity: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * A page of a candidate's timeline, newest first.
+ * Returns { activities, page, limit, total, hasMore }.
+ */
+export const getCandidateActivityPage = async (candidateId, { page = 1, limit = 20, type } = {}) => {
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeLimit = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const filter = { candidateId };
+  if (type) filter.type = { $in: String(type).split(',').map((t) => t.trim().toUpperCase()) };
+
+  const [activities, total] = await Promise.all([
+    CandidateActivity.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    CandidateActivity.countDocuments(filter),
+  ]);
+
+  return { activities, page: safePage, limit: safeLimit, total, hasMore: safePage * safeLimit < total };
+};
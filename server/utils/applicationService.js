@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import Application, { APPLICATION_STAGES, APPLICATION_SOURCES } from '../models/Application.js';
+import Candidate from '../models/Candidate.js';
+import Shortlist from '../models/Shortlist.js';
+import User from '../models/User.js';
+import { recordCandidateActivity } from './activityService.js';
+import { maskContacts } from './contactRevealService.js';
+import { assertContactable } from './consentService.js';
+import { loadAccessibleJob, jobRoleFor, hasJobRole } from './jobAccessService.js';
+import { candidateVisibilityFilter } from './candidateAccessService.js';
+
+// Candidates added per request (a whole shortlist counts as one request)
+const MAX_ADD = 500;
+
+const BOARD_CANDIDATE_FIELDS = 'fullName jobTitle company locality location email phone linkedinUrl privateDbId';
+
+const httpError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+const toObjectIds = (values) =>
+  [...new Set((Array.isArray(values) ? values : []).map(String))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+// Of `ids`, the live candidates the user can see: global DB plus their own
+// private DBs (admins: every private DB)
+const visibleCandidateIds = async (ids, user) => {
+  const filter = { _id: { $in: ids }, isDeleted: false, ...(await candidateVisibilityFilter(user)) };
+  const found = await Candidate.find(filter).select('_id').lean();
+  return found.map((c) => c._id);
+};
+
+/**
+ * Add candidates to a job, either by id (from search or sourcing results) or
+ * every candidate on one of the user's shortlists. Candidates already on the
+ * job keep their application untouched.
+ * Returns { added, alreadyOnJob, notFound }.
+ */
+export const addCandidatesToJob = async ({ job, user, candidateIds, shortlistId, source, stage = 'SOURCED' }) => {
+  if (!APPLICATION_STAGES.includes(stage)) throw httpError(`stage must be one of ${APPLICATION_STAGES.join(', ')}`, 400);
+
+  let requested;
+  let resolvedSource = APPLICATION_SOURCES.includes(source) ? source : 'MANUAL';
+  let shortlist = null;
+  if (shortlistId) {
+    shortlist = mongoose.Types.ObjectId.isValid(String(shortlistId))
+      ? await Shortlist.findOne({ _id: shortlistId, createdBy: user._id, isDeleted: false }).select('name candidateIds').lean()
+      : null;
+    if (!shortlist) throw httpError('Shortlist not found', 404);
+    requested = toObjectIds(shortlist.candidateIds);
+    resolvedSource = 'SHORTLIST';
+  } else {
+    requested = toObjectIds(candidateIds);
+  }
+  if (requested.length === 0) throw httpError('Select at least one candidate', 400);
+  if (requested.length > MAX_ADD) throw httpError(`Add at most ${MAX_ADD} candidates at a time`, 400);
+
+  const visible = await visibleCandidateIds(requested, user);
+  const existing = await Application.find({ jobId: job._id, candidateId: { $in: visible } }).select('candidateId').lean();
+  const existingSet = new Set(existing.map((a) => String(a.candidateId)));
+  const toAdd = visible.filter((id) => !existingSet.has(String(id)));
+
+  const now = new Date();
+  let added = [];
+  if (toAdd.length > 0) {
+    try {
+      added = await Application.insertMany(
+        toAdd.map((candidateId) => ({
+          jobId: job._id,
+          candidateId,
+          stage,
+          owner: user._id,
+          addedBy: user._id,
+          source: resolvedSource,
+          shortlistId: shortlist?._id || null,
+          stageChangedAt: now,
+          stageHistory: [{ from: null, to: stage, changedBy: user._id, changedAt: now }],
+        })),
+        { ordered: false }
+      );
+    } catch (error) {
+      // A concurrent add of the same candidate loses on the unique index
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+      added = error.insertedDocs || [];
+    }
+  }
+
+  if (added.length > 0) {
+    recordCandidateActivity({
+      candidateIds: added.map((a) => a.candidateId),
+      actor: user,
+      type: 'ADDED_TO_JOB',
+      summary: `Added to job "${job.title}"${shortlist ? ` from shortlist "${shortlist.name}"` : ''}`,
+      details: { jobId: job._id, stage, source: resolvedSource },
+    });
+  }
+
+  return {
+    added: added.length,
+    alreadyOnJob: visible.length - added.length,
+    notFound: requested.length - visible.length,
+  };
+};
+
+/**
+ * A job's applications with the candidate and owner filled in, newest stage
+ * change first. A shared job can hold candidates from the private DBs of
+ * whoever added them; `user` only gets the ones they can see (global DB plus
+ * their own private DBs). Contacts are masked like everywhere else.
+ */
+export const listJobApplications = async (job, user, { stage } = {}) => {
+  const filter = { jobId: job._id };
+  if (stage) filter.stage = stage;
+
+  const applications = await Application.find(filter)
+    .sort({ stageChangedAt: -1 })
+    .select('-stageHistory')
+    .populate({ path: 'candidateId', select: BOARD_CANDIDATE_FIELDS, match: await candidateVisibilityFilter(user) })
+    .populate('owner', 'name email')
+    .lean();
+
+  // Applications whose candidate is out of scope or was hard-deleted have nothing to show
+  const rows = applications
+    .filter((a) => a.candidateId)
+    .map(({ candidateId: candidate, ...application }) => ({ ...application, candidate }));
+  await maskContacts(
+    rows.map((row) => row.candidate),
+    user
+  );
+  return rows;
+};
+
+/**
+ * Load one application with its job, if the user holds at least `minRole` on
+ * the job and can see its candidate.
+ */
+export const loadAccessibleApplication = async (applicationId, user, minRole = 'VIEWER') => {
+  if (!mongoose.Types.ObjectId.isValid(String(applicationId))) throw httpError('Application not found', 404);
+  const application = await Application.findById(applicationId);
+  if (!application) throw httpError('Application not found', 404);
+  let job;
+  try {
+    job = await loadAccessibleJob(application.jobId, user, minRole);
+  } catch (error) {
+    if (error.status === 404) throw httpError('Application not found', 404);
+    throw error;
+  }
+  const candidateVisible = await Candidate.exists({ _id: application.candidateId, ...(await candidateVisibilityFilter(user)) });
+  if (!candidateVisible) throw httpError('Application not found', 404);
+  return { application, job };
+};
+
+/**
+ * Move an application to a new stage and/or hand it to another owner. Every
+ * stage change is appended to stageHistory and the candidate's timeline.
+ */
+export const updateApplication = async ({ application, job, user, stage, owner, note }) => {
+  if (stage !== undefined && !APPLICATION_STAGES.includes(stage)) {
+    throw httpError(`stage must be one of ${APPLICATION_STAGES.join(', ')}`, 400);
+  }
+
+  // Same do-not-contact / consent / suppression rules as sourcing outreach
+  if (stage === 'CONTACTED' && application.stage !== 'CONTACTED') {
+    const candidate = await Candidate.findById(application.candidateId)
+      .select('email phone linkedinUrl consent doNotContact')
+      .lean();
+    await assertContactable(candidate);
+  }
+
+  if (owner !== undefined && String(owner) !== String(application.owner)) {
+    const ownerUser = mongoose.Types.ObjectId.isValid(String(owner))
+      ? await User.findOne({ _id: owner, status: 'active', isLocked: { $ne: true } }).select('_id').lean()
+      : null;
+    if (!ownerUser || !hasJobRole(jobRoleFor(job, ownerUser), 'RECRUITER')) {
+      throw httpError('Owner must be an active recruiter or owner on this job', 400);
+    }
+    application.owner = ownerUser._id;
+  }
+
+  const from = application.stage;
+  const stageChanged = stage !== undefined && stage !== from;
+  if (stageChanged) {
+    const now = new Date();
+    application.stage = stage;
+    application.stageChangedAt = now;
+    application.stageHistory.push({
+      from,
+      to: stage,
+      changedBy: user._id,
+      changedAt: now,
+      note: String(note || '').slice(0, 500),
+    });
+  }
+
+  await application.save();
+
+  if (stageChanged) {
+    recordCandidateActivity({
+      candidateId: application.candidateId,
+      actor: user,
+      type: stage === 'SHORTLISTED' ? 'SHORTLISTED' : 'STAGE_CHANGED',
+      summary: `${job.title}: ${from} → ${stage}`,
+      details: { jobId: job._id, applicationId: application._id, from, to: stage },
+    });
+  }
+  return application;
+};
+
+export const removeApplication = async ({ application, job, user }) => {
+  await Application.deleteOne({ _id: application._id });
+  recordCandidateActivity({
+    candidateId: application.candidateId,
+    actor: user,
+    type: 'REMOVED_FROM_JOB',
+    summary: `Removed from job "${job.title}" (was ${application.stage})`,
+    details: { jobId: job._id, stage: application.stage },
+  });
+};
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import path from 'path';
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { uploadToS3, deleteFromS3, getPresignedUrl } from './s3Service.js';
+
+export const MAX_ATTACHMENTS_PER_CANDIDATE = 50;
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+export const PARSEABLE_EXTENSIONS = ['pdf', 'doc', 'docx', 'txt'];
+export const ATTACHMENT_EXTENSIONS = [...PARSEABLE_EXTENSIONS, 'rtf', 'odt', 'png', 'jpg', 'jpeg'];
+
+const DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+export const fileExtension = (fileName) => path.extname(String(fileName || '')).slice(1).toLowerCase();
+
+export const isParseable = (attachment) => PARSEABLE_EXTENSIONS.includes(fileExtension(attachment.fileName));
+
+const attachmentKey = (candidateId, fileName) => {
+  const safeName = String(fileName || 'file').replace(/[^a-zA-Z0-9._-]/g, '_').slice(-120);
+  return `candidates/${candidateId}/attachments/${Date.now()}-${safeName}`;
+};
+
+/**
+ * Candidates imported from a resume file already have that file in S3
+ * (sourceFile). Register it as resume version 1 the first time the list is
+ * read, so the original is managed like any other attachment.
+ */
+const importSourceFile = async (candidate) => {
+  if ((candidate.attachments || []).length > 0) return candidate;
+  if (!PARSEABLE_EXTENSIONS.includes(fileExtension(candidate.sourceFile))) return candidate;
+
+  const attachment = {
+    _id: new mongoose.Types.ObjectId(),
+    kind: 'RESUME',
+    fileName: path.basename(candidate.sourceFile),
+    s3Key: candidate.sourceFile,
+    version: 1,
+    isPrimary: true,
+    uploadedAt: candidate.createdAt || new Date(),
+    parseStatus: candidate.parseStatus || 'PARSED',
+  };
+  const result = await Candidate.updateOne(
+    { _id: candidate._id, 'attachments.0': { $exists: false } },
+    { $push: { attachments: attachment } }
+  );
+  if (result.modifiedCount > 0) candidate.attachments = [attachment];
+  return candidate;
+};
+
+export const listCandidateAttachments = async (candidateId) => {
+  const candidate = await Candidate.findOne({ _id: candidateId, isDeleted: false })
+    .select('attachments sourceFile parseStatus createdAt')
+    .lean();
+  if (!candidate) return null;
+  await importSourceFile(candidate);
+  return [...candidate.attachments].sort(
+    (a, b) => a.kind.localeCompare(b.kind) || Number(b.isPrimary) - Number(a.isPrimary) || b.version - a.version
+  );
+};
+
+export const findCandidateAttachment = async (candidateId, attachmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) return null;
+  const attachments = await listCandidateAttachments(candidateId);
+  return attachments?.find((a) => String(a._id) === String(attachmentId)) || null;
+};
+
+/**
+ * Store an uploaded file and add it to the candidate. The first attachment
+ * of a kind (or one uploaded with `makePrimary`) becomes that kind's primary.
+ */
+export const addCandidateAttachment = async ({ candidateId, file, kind, makePrimary = false, user }) => {
+  const existing = (await listCandidateAttachments(candidateId)) || [];
+  if (existing.length >= MAX_ATTACHMENTS_PER_CANDIDATE) {
+    const err = new Error(`A candidate can hold up to ${MAX_ATTACHMENTS_PER_CANDIDATE} attachments`);
+    err.status = 400;
+    throw err;
+  }
+
+  const sameKind = existing.filter((a) => a.kind === kind);
+  const isPrimary = makePrimary || sameKind.length === 0;
+  const s3Key = attachmentKey(candidateId, file.originalname);
+  await uploadToS3(file.buffer, s3Key, file.mimetype || 'application/octet-stream');
+
+  const attachment = {
+    _id: new mongoose.Types.ObjectId(),
+    kind,
+    fileName: file.originalname,
+    s3Key,
+    contentType: file.mimetype || 'application/octet-stream',
+    size: file.size || file.buffer?.length || 0,
+    version: sameKind.reduce((max, a) => Math.max(max, a.version || 0), 0) + 1,
+    isPrimary,
+    uploadedBy: user?._id || null,
+    uploadedByName: user?.name || user?.email || '',
+    uploadedAt: new Date(),
+  };
+
+  if (isPrimary && sameKind.length > 0) {
+    await Candidate.updateOne(
+      { _id: candidateId },
+      { $set: { 'attachments.$[a].isPrimary': false } },
+      { arrayFilters: [{ 'a.kind': kind }] }
+    );
+  }
+  await Candidate.updateOne({ _id: candidateId }, { $push: { attachments: attachment } });
+  return attachment;
+};
+
+export const setPrimaryAttachment = async (candidateId, attachment) => {
+  await Candidate.updateOne(
+    { _id: candidateId },
+    { $set: { 'attachments.$[a].isPrimary': false, 'attachments.$[p].isPrimary': true } },
+    { arrayFilters: [{ 'a.kind': attachment.kind, 'a._id': { $ne: attachment._id } }, { 'p._id': attachment._id }] }
+  );
+  return { ...attachment, isPrimary: true };
+};
+
+/**
+ * Remove an attachment and its S3 object. The import's sourceFile is left in
+ * S3 (the upload job still references it). If the primary was removed, the
+ * newest remaining version of that kind takes over.
+ */
+export const removeCandidateAttachment = async (candidateId, attachment) => {
+  const candidate = await Candidate.findByIdAndUpdate(
+    candidateId,
+    { $pull: { attachments: { _id: attachment._id } } },
+    { new: true }
+  )
+    .select('attachments sourceFile')
+    .lean();
+
+  if (attachment.s3Key !== candidate?.sourceFile) {
+    deleteFromS3(attachment.s3Key).catch((err) =>
+      logger.warn(`Failed to delete attachment ${attachment.s3Key} from S3: ${err.message}`)
+    );
+  }
+
+  if (attachment.isPrimary && candidate) {
+    const next = candidate.attachments
+      .filter((a) => a.kind === attachment.kind)
+      .sort((a, b) => b.version - a.version)[0];
+    if (next) await setPrimaryAttachment(candidateId, next);
+  }
+};
+
+export const getAttachmentDownloadUrl = (attachment) =>
+  getPresignedUrl(attachment.s3Key, DOWNLOAD_URL_TTL_SECONDS, { downloadName: attachment.fileName });
+
+export const setAttachmentParseState = (candidateId, attachmentId, fields) =>
+  Candidate.updateOne(
+    { _id: candidateId, 'attachments._id': attachmentId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`attachments.$.${key}`, value])) }
+  );
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import Candidate from '../models/Candidate.js';
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+/**
+ * Candidate filter for what `user` may see: the global DB plus their own
+ * private DBs. Empty for admins, who see every private DB.
+ */
+export const candidateVisibilityFilter = async (user) => {
+  if (isAdmin(user)) return {};
+  const ownDbs = await PrivateDatabase.find({ owner: user._id, isDeleted: { $ne: true } }).select('_id').lean();
+  return { privateDbId: { $in: [null, ...ownDbs.map((db) => db._id)] } };
+};
+
+/**
+ * Whether `user` may search private DB `privateDbId`: one of their own live
+ * DBs, or any live DB for admins.
+ */
+export const canAccessPrivateDb = async (privateDbId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(String(privateDbId))) return false;
+  const filter = { _id: privateDbId, isDeleted: { $ne: true } };
+  if (!isAdmin(user)) filter.owner = user._id;
+  return Boolean(await PrivateDatabase.exists(filter));
+};
+
+/**
+ * The live candidate (lean, `select`ed) if `user` may see it, else null.
+ * A malformed id throws a CastError, as Candidate.findById does.
+ */
+export const findVisibleCandidate = async (candidateId, user, select = '_id') =>
+  Candidate.findOne({ _id: candidateId, isDeleted: false, ...(await candidateVisibilityFilter(user)) })
+    .select(select)
+    .lean();
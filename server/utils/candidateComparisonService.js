@@ -0,0 +1,360 @@
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  AlignmentType,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  BorderStyle,
+  ShadingType,
+  PageOrientation,
+} from 'docx';
+import Candidate from '../models/Candidate.js';
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import aiSourcingService from './aiSourcingService.js';
+import { scoreCandidate, locationMatches } from './matchScorer.js';
+import { extractExperienceYears } from './candidateProfileNormalizer.js';
+import { requirementsFromJob } from './jobRecommendationService.js';
+import { loadAccessibleJob } from './jobAccessService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 5;
+
+const COMPARE_SELECT =
+  'fullName jobTitle company skills summary experience experienceYears locality location country availability candidateStatus privateDbId';
+
+// Days until a candidate can join, for the availability check
+const NOTICE_DAYS = { IMMEDIATE: 0, '15_DAYS': 15, '30_DAYS': 30 };
+
+const httpError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+/**
+ * Requirements to compare against, from (in order of preference) requirements
+ * already parsed by an earlier comparison, a job the user can see, or pasted JD
+ * text. Returns { parsed, source }.
+ */
+export const resolveComparisonRequirements = async ({ jobId, jobDescription, parsedRequirements }, user) => {
+  let job = null;
+  if (jobId) {
+    job = await loadAccessibleJob(jobId, user);
+  }
+
+  let parsed;
+  if (parsedRequirements && typeof parsedRequirements === 'object') {
+    parsed = aiSourcingService.normalizeParsedRequirements(parsedRequirements);
+  } else if (job) {
+    parsed = job.parsedRequirements
+      ? aiSourcingService.normalizeParsedRequirements(job.parsedRequirements)
+      : await requirementsFromJob(job);
+  } else if (String(jobDescription || '').trim().length >= 20) {
+    parsed = await aiSourcingService.parseJobDescription(String(jobDescription));
+  } else {
+    throw httpError('Choose a job or paste a job description of at least 20 characters', 400);
+  }
+
+  const source = job
+    ? { type: 'JOB', jobId: job._id, label: [job.title, job.client].filter(Boolean).join(' — ') }
+    : { type: 'JOB_DESCRIPTION', jobId: null, label: parsed.job_title.main || 'Job description' };
+  return { parsed, source };
+};
+
+// Candidates the user may see: the global DB and their own private DBs (admins: all)
+const loadCandidates = async (candidateIds, user) => {
+  const filter = { _id: { $in: candidateIds }, isDeleted: false };
+  if (!isAdmin(user)) {
+    const ownDbs = await PrivateDatabase.find({ owner: user._id, isDeleted: { $ne: true } }).select('_id').lean();
+    filter.privateDbId = { $in: [null, ...ownDbs.map((db) => db._id)] };
+  }
+  const found = await Candidate.find(filter).select(COMPARE_SELECT).lean();
+  const byId = new Map(found.map((c) => [String(c._id), c]));
+  // Keep the order the candidates were selected in
+  return candidateIds.map((id) => byId.get(String(id))).filter(Boolean);
+};
+
+const experienceFit = (years, min, max) => {
+  if (!min && !max) return 'NOT_REQUIRED';
+  if (!years) return 'UNKNOWN';
+  if (min && years < min) return 'BELOW';
+  if (max && years > max) return 'ABOVE';
+  return 'FIT';
+};
+
+const locationFit = (candidateLocation, requiredLocation) => {
+  if (locationMatches('', requiredLocation)) return 'NOT_REQUIRED';
+  if (!candidateLocation) return 'UNKNOWN';
+  return locationMatches(candidateLocation, requiredLocation) ? 'FIT' : 'MISMATCH';
+};
+
+const availabilityFit = (candidateAvailability, requiredAvailability) => {
+  const required = NOTICE_DAYS[String(requiredAvailability || '').toUpperCase()];
+  if (required === undefined) return 'NOT_REQUIRED';
+  const available = NOTICE_DAYS[String(candidateAvailability || '').toUpperCase()];
+  if (available === undefined) return 'UNKNOWN';
+  return available <= required ? 'FIT' : 'MISMATCH';
+};
+
+const compareOne = (candidate, parsed, requirements) => {
+  // Imported profiles keep their free text in `summary`; the scorer reads `about`
+  const result = scoreCandidate({ ...candidate, about: candidate.summary }, parsed);
+  const years = candidate.experienceYears ?? extractExperienceYears(candidate.experience);
+  const location = candidate.locality || candidate.location || '';
+
+  return {
+    _id: candidate._id,
+    fullName: candidate.fullName,
+    jobTitle: candidate.jobTitle,
+    company: candidate.company,
+    privateDbId: candidate.privateDbId,
+    score: result.score,
+    matchCategory: result.matchCategory,
+    disqualified: result.disqualified,
+    skills: {
+      mustHave: { matched: result.matchedMustHave, missing: result.missingMustHave },
+      required: { matched: result.matchedRequired, missing: result.missingRequired },
+      preferred: {
+        matched: result.matchedPreferred,
+        missing: requirements.preferredSkills.filter((skill) => !result.matchedPreferred.includes(skill)),
+      },
+    },
+    experience: {
+      value: candidate.experience || null,
+      years: years || null,
+      status: experienceFit(years, requirements.experienceYears, requirements.maxExperienceYears),
+    },
+    location: { value: location || null, status: locationFit(location, requirements.location) },
+    availability: {
+      value: candidate.availability || 'UNKNOWN',
+      status: availabilityFit(candidate.availability, requirements.availability),
+    },
+  };
+};
+
+/**
+ * Scores 2–5 candidates against one set of requirements for the side-by-side
+ * view. Skill lists are deduplicated the way the scorer counts them, so a
+ * skill appears in one row only.
+ *
+ * `parsedRequirements` in the result is the internal form; sending it back
+ * (e.g. for the DOCX export) skips parsing the job again.
+ */
+export const compareCandidates = async ({ candidateIds, ...requirementInput }, user) => {
+  const ids = [...new Set((Array.isArray(candidateIds) ? candidateIds : []).map(String))];
+  if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    throw httpError(`Select ${MIN_COMPARE}–${MAX_COMPARE} candidates to compare`, 400);
+  }
+
+  const { parsed, source } = await resolveComparisonRequirements(requirementInput, user);
+  const candidates = await loadCandidates(ids, user);
+  if (candidates.length !== ids.length) {
+    throw httpError('Some of the selected candidates were not found', 404);
+  }
+
+  const mustHave = parsed.must_have_skills;
+  const isMustHave = (skill) => mustHave.some((m) => m.toLowerCase() === skill.toLowerCase());
+  const availability = String(parsed.availability || '').toUpperCase();
+  const requirements = {
+    jobTitle: parsed.job_title.main,
+    // null when the job has no location constraint ("Unspecified", remote)
+    location: locationMatches('', parsed.location) ? null : parsed.location,
+    experienceYears: parsed.experience_years,
+    maxExperienceYears: parsed.max_experience_years,
+    availability: NOTICE_DAYS[availability] === undefined ? 'ANY' : availability,
+    mustHaveSkills: mustHave,
+    requiredSkills: parsed.required_skills.filter((skill) => !isMustHave(skill)),
+    preferredSkills: parsed.preferred_skills.filter((skill) => !isMustHave(skill)),
+  };
+
+  return {
+    source,
+    requirements,
+    parsedRequirements: parsed,
+    candidates: candidates.map((candidate) => compareOne(candidate, parsed, requirements)),
+  };
+};
+
+// ── DOCX export ─────────────────────────────────────────────────────────────
+
+const FIT_LABELS = {
+  FIT: 'Fit',
+  BELOW: 'Below range',
+  ABOVE: 'Above range',
+  MISMATCH: 'Mismatch',
+  UNKNOWN: 'Unknown',
+  NOT_REQUIRED: '—',
+};
+const FIT_COLORS = { FIT: '047857', BELOW: 'B91C1C', ABOVE: 'B45309', MISMATCH: 'B91C1C', UNKNOWN: '6B7280' };
+const AVAILABILITY_LABELS = { IMMEDIATE: 'Immediate', '15_DAYS': '15 days', '30_DAYS': '30 days', UNKNOWN: 'Unknown' };
+
+const experienceRangeLabel = ({ experienceYears: min, maxExperienceYears: max }) => {
+  if (min && max) return `${min}–${max} yrs`;
+  if (min) return `${min}+ yrs`;
+  if (max) return `up to ${max} yrs`;
+  return 'any';
+};
+
+const cellBorders = {
+  top: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB' },
+  bottom: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB' },
+  left: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB' },
+  right: { style: BorderStyle.SINGLE, size: 4, color: 'D1D5DB' },
+};
+
+const cell = (runs, { width, fill, columnSpan } = {}) =>
+  new TableCell({
+    width: width ? { size: width, type: WidthType.PERCENTAGE } : undefined,
+    columnSpan,
+    borders: cellBorders,
+    shading: fill ? { fill, type: ShadingType.CLEAR, color: 'auto' } : undefined,
+    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+    children: [new Paragraph({ spacing: { after: 0 }, children: runs })],
+  });
+
+const text = (value, opts = {}) => new TextRun({ text: String(value ?? ''), size: 20, ...opts });
+
+/**
+ * Comparison table as a landscape DOCX: one column per candidate, one row per
+ * criterion, skills listed individually so the columns line up.
+ */
+export const buildComparisonDocx = async ({ source, requirements, candidates }) => {
+  const criterionWidth = 24;
+  const candidateWidth = Math.floor((100 - criterionWidth) / candidates.length);
+  const columnCount = candidates.length + 1;
+
+  const row = (label, cells, { fill } = {}) =>
+    new TableRow({
+      children: [
+        cell([text(label, { bold: true })], { width: criterionWidth, fill: fill || 'F9FAFB' }),
+        ...cells.map((runs) => cell(runs, { width: candidateWidth, fill })),
+      ],
+    });
+  const sectionRow = (label) =>
+    new TableRow({
+      children: [cell([text(label, { bold: true, color: '3730A3' })], { columnSpan: columnCount, fill: 'EEF2FF' })],
+    });
+  const fitRuns = (value, status) => [
+    text(value || 'Not stated'),
+    ...(status !== 'NOT_REQUIRED'
+      ? [text(` · ${FIT_LABELS[status]}`, { bold: true, color: FIT_COLORS[status] })]
+      : []),
+  ];
+
+  const rows = [
+    row(
+      'Candidate',
+      candidates.map((c) => [
+        text(c.fullName || 'Unnamed', { bold: true }),
+        text([c.jobTitle, c.company].filter(Boolean).join(' · '), { break: 1, color: '4B5563', size: 18 }),
+      ]),
+      { fill: 'E5E7EB' }
+    ),
+    row(
+      'Match score',
+      candidates.map((c) => [
+        text(`${c.score}% · ${c.matchCategory}`, { bold: true }),
+        ...(c.disqualified ? [text(' (fails a hard requirement)', { color: 'B91C1C', size: 18 })] : []),
+      ])
+    ),
+  ];
+
+  const skillGroups = [
+    ['Must-have skills', 'mustHave', requirements.mustHaveSkills],
+    ['Required skills', 'required', requirements.requiredSkills],
+    ['Preferred skills', 'preferred', requirements.preferredSkills],
+  ];
+  for (const [label, key, skills] of skillGroups) {
+    if (skills.length === 0) continue;
+    rows.push(sectionRow(label));
+    for (const skill of skills) {
+      rows.push(
+        row(
+          skill,
+          candidates.map((c) =>
+            c.skills[key].matched.includes(skill)
+              ? [text('✓ Matched', { color: '047857', bold: true })]
+              : [text('✗ Missing', { color: 'B91C1C' })]
+          )
+        )
+      );
+    }
+  }
+
+  rows.push(sectionRow('Fit'));
+  rows.push(
+    row(
+      `Experience (${experienceRangeLabel(requirements)})`,
+      candidates.map((c) =>
+        fitRuns(c.experience.years ? `${c.experience.years} yrs` : c.experience.value, c.experience.status)
+      )
+    )
+  );
+  rows.push(
+    row(
+      `Location (${requirements.location || 'any'})`,
+      candidates.map((c) => fitRuns(c.location.value, c.location.status))
+    )
+  );
+  rows.push(
+    row(
+      `Availability (${AVAILABILITY_LABELS[requirements.availability] || 'any'})`,
+      candidates.map((c) => fitRuns(AVAILABILITY_LABELS[c.availability.value], c.availability.status))
+    )
+  );
+
+  const doc = new Document({
+    styles: {
+      default: {
+        document: {
+          run: { font: 'Calibri', size: 22 },
+          paragraph: { spacing: { line: 276, after: 120 } },
+        },
+      },
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            size: { orientation: PageOrientation.LANDSCAPE },
+            margin: { top: 720, bottom: 720, left: 720, right: 720 },
+          },
+        },
+        children: [
+          new Paragraph({
+            spacing: { after: 60 },
+            children: [new TextRun({ text: 'Candidate Comparison', bold: true, size: 32 })],
+          }),
+          new Paragraph({
+            spacing: { after: 240 },
+            children: [
+              new TextRun({ text: source.label, color: '4B5563' }),
+              new TextRun({ text: `  ·  ${new Date().toLocaleDateString('en-GB')}`, color: '9CA3AF' }),
+            ],
+          }),
+          new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows }),
+          new Paragraph({
+            alignment: AlignmentType.CENTER,
+            spacing: { before: 360 },
+            children: [
+              new TextRun({
+                text: 'Comparison Generated by PeopleFinder',
+                font: 'Arial',
+                size: 18,
+                color: '666666',
+                italics: true,
+              }),
+            ],
+          }),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+};
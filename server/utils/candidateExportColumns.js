@@ -0,0 +1,150 @@
+// Column catalog shared by the candidate export endpoints and export templates.
+// `key` is the stable id stored in templates and used in JSONL records;
+// `header` is the default CSV/XLSX title; `select` lists the Candidate paths
+// a computed column reads. Value getters also accept the raw sourcing-agent
+// shapes (name/title/contact) posted to /api/ai-source/export/csv.
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+const parsedEducation = (c) =>
+  toArray(c.parsedResume?.raw?.ResumeParserData?.SegregatedQualification)
+    .map((edu) => {
+      const degree = String(edu?.Degree?.DegreeName || edu?.Degree?.NormalizeDegree || '').trim();
+      const institution = String(edu?.Institution?.Name || '').trim();
+      const period = String(edu?.FormattedDegreePeriod || '').trim();
+      const text = [degree, institution].filter(Boolean).join(', ');
+      return text && period ? `${text} (${period})` : text;
+    })
+    .filter(Boolean)
+    .join('; ');
+
+export const EXPORT_COLUMNS = [
+  { key: 'fullName', header: 'Full Name', value: (c) => c.fullName || c.name },
+  { key: 'jobTitle', header: 'Job Title', value: (c) => c.jobTitle || c.title },
+  { key: 'skills', header: 'Skills', value: (c) => (Array.isArray(c.skills) ? c.skills.join(', ') : c.skills) },
+  { key: 'company', header: 'Company Name' },
+  { key: 'experience', header: 'Experience' },
+  { key: 'experienceYears', header: 'Experience (Years)' },
+  { key: 'phone', header: 'Phone', value: (c) => c.phone || c.contact?.phone },
+  { key: 'email', header: 'Email', value: (c) => c.email || c.contact?.email },
+  { key: 'linkedinUrl', header: 'LinkedIn URL', value: (c) => c.linkedinUrl || c.linkedInUrl },
+  { key: 'githubUrl', header: 'GitHub URL' },
+  {
+    key: 'location',
+    header: 'Location',
+    select: ['location', 'locality', 'country'],
+    value: (c) => c.location || c.locality || c.country,
+  },
+  { key: 'locality', header: 'Locality' },
+  { key: 'country', header: 'Country' },
+  { key: 'sourceCountry', header: 'Source Country', value: (c) => c.sourceCountry || c.foundIn },
+  { key: 'industry', header: 'Industry' },
+  { key: 'education', header: 'Education' },
+  {
+    key: 'parsedEducation',
+    header: 'Education (Parsed Resume)',
+    select: ['parsedResume.raw.ResumeParserData.SegregatedQualification'],
+    value: parsedEducation,
+  },
+  { key: 'summary', header: 'Summary' },
+  { key: 'availability', header: 'Availability' },
+  { key: 'candidateStatus', header: 'Candidate Status' },
+  { key: 'pipelineStage', header: 'Pipeline Stage' },
+  {
+    key: 'tags',
+    header: 'Tags',
+    select: ['tags'],
+    // tagNames is attached by the export (visible tags only, see tagService.attachTagNames)
+    value: (c) => (c.tagNames || []).join(', '),
+  },
+  { key: 'internalTags', header: 'Internal Tags' },
+  { key: 'recruiterNotes', header: 'Recruiter Notes' },
+  { key: 'source', header: 'Source' },
+  {
+    key: 'enrichmentSource',
+    header: 'Enrichment Source',
+    select: ['enrichmentMetadata'],
+    value: (c) => c.enrichmentMetadata?.source || c.enrichmentSource,
+  },
+  { key: 'createdAt', header: 'Added On', value: (c) => formatDate(c.createdAt) },
+];
+
+// The columns the candidate CSV export has always produced, in order.
+export const DEFAULT_EXPORT_COLUMN_KEYS = [
+  'fullName', 'jobTitle', 'skills', 'company', 'experience', 'phone',
+  'email', 'linkedinUrl', 'location', 'industry', 'summary',
+];
+
+// The AI sourcing CSV layout.
+export const SOURCING_EXPORT_COLUMNS = [
+  { key: 'fullName', header: 'Name' },
+  { key: 'jobTitle', header: 'Current Title' },
+  { key: 'company', header: 'Company' },
+  { key: 'location', header: 'Location' },
+  { key: 'sourceCountry', header: 'Source Country' },
+  { key: 'linkedinUrl', header: 'LinkedIn URL' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'enrichmentSource', header: 'Enrichment Source' },
+  { key: 'pipelineStage', header: 'Pipeline Stage' },
+  { key: 'createdAt', header: 'Saved At' },
+];
+
+const COLUMNS_BY_KEY = new Map(EXPORT_COLUMNS.map((col) => [col.key, col]));
+
+export const isExportColumnKey = (key) => COLUMNS_BY_KEY.has(key);
+
+export const columnsNeedTagNames = (columns) => columns.some((col) => col.key === 'tags');
+
+/**
+ * Resolve a column spec — column keys or { key, header } pairs from a
+ * template — to column definitions with the header to print. Unknown keys
+ * are dropped; an empty result falls back to `fallback`.
+ */
+export const resolveExportColumns = (spec, fallback = DEFAULT_EXPORT_COLUMN_KEYS) => {
+  const resolve = (items) =>
+    (Array.isArray(items) ? items : [])
+      .map((item) => {
+        const key = typeof item === 'string' ? item : item?.key;
+        const col = COLUMNS_BY_KEY.get(key);
+        if (!col) return null;
+        const header = typeof item === 'object' && item.header ? String(item.header) : col.header;
+        return { ...col, header };
+      })
+      .filter(Boolean);
+
+  const columns = resolve(spec);
+  return columns.length > 0 ? columns : resolve(fallback);
+};
+
+const columnValue = (candidate, col) => {
+  const value = col.value ? col.value(candidate) : candidate[col.key];
+  return value === undefined || value === null ? '' : value;
+};
+
+export const toExportRow = (candidate, columns) => columns.map((col) => columnValue(candidate, col));
+
+export const toExportRecord = (candidate, columns) =>
+  columns.reduce((record, col) => {
+    record[col.key] = columnValue(candidate, col);
+    return record;
+  }, {});
+
+export const toCsvLine = (values) =>
+  values.map((field) => `"${String(field).replace(/"/g, '""')}"`).join(',');
+
+// Fields to load for a set of columns (computed columns read their source
+// fields; name and contact are always loaded for cleanAndValidateCandidate).
+export const exportSelectForColumns = (columns) => {
+  const fields = new Set(['fullName', 'email', 'phone', 'linkedinUrl']);
+  for (const col of columns) {
+    for (const field of col.select || [col.key]) fields.add(field);
+  }
+  return [...fields].join(' ');
+};
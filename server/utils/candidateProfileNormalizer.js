@@ -102,6 +102,16 @@ export function extractExperienceYears(value) {
   return match ? Math.floor(Number(match[1]) || 0) : 0;
 }
 
+// Stored Candidate.experienceYears: like extractExperienceYears, but text
+// without any number ("Not specified") is unknown (null) rather than 0 years.
+export function experienceYearsFromText(value) {
+  if (value == null || String(value).trim() === '') return null;
+  if (typeof value !== 'number' && !/\d/.test(String(value))) {
+    return /fresh/i.test(String(value)) ? 0 : null;
+  }
+  return extractExperienceYears(value);
+}
+
 export function normalizeExperienceText(value) {
   if (value == null || value === '') return null;
   if (typeof value === 'number' && Number.isFinite(value)) {
@@ -315,6 +325,7 @@ export function mergeCandidateWithAi(baseCandidate = {}, aiCandidate = {}) {
 export default {
   canonicalizeCandidateProfile,
   computeCandidateCompleteness,
+  experienceYearsFromText,
   extractExperienceYears,
   mergeCandidateWithAi,
   normalizeCompanyText,
@@ -0,0 +1,371 @@
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import logger from './logger.js';
+import { lookupCity, resolveCountryCode } from './gazetteer.js';
+import { resolveVisibleTagIds } from './tagService.js';
+import { isAdvancedQuery, parseSearchQuery, compileSearchQuery } from './searchQueryParser.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+import { candidateVisibilityFilter, canAccessPrivateDb } from './candidateAccessService.js';
+
+// Filter keys understood by buildCandidateSearchQuery (the /candidates/search query params).
+export const SEARCH_FILTER_KEYS = [
+  'q', 'locality', 'location', 'jobTitle', 'skills', 'near', 'radiusKm', 'minExp', 'maxExp', 'tags', 'pipelineStage',
+  'hasEmail', 'hasPhone', 'hasLinkedin',
+  'privateDbId', 'includePrivate', 'privateDbOnly',
+];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseCsvFilter = (value, maxItems = 20) => {
+  if (value === undefined || value === null) return [];
+
+  const raw = Array.isArray(value) ? value.join(',') : String(value);
+  return raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .slice(0, maxItems);
+};
+
+const parseLocationTerms = (localityValue, locationValue) => {
+  const localityTerms = parseCsvFilter(localityValue, 30);
+  const locationTerms = parseCsvFilter(locationValue, 30);
+  const merged = localityTerms.length > 0 ? localityTerms : locationTerms;
+
+  const dedup = new Set();
+  const normalized = [];
+
+  for (const rawTerm of merged) {
+    const term = String(rawTerm).trim().slice(0, 64);
+    if (term.length < 2) continue; // Avoid 1-char broad scans like "P"
+
+    const key = term.toLowerCase();
+    if (dedup.has(key)) continue;
+    dedup.add(key);
+    normalized.push(term);
+  }
+
+  return normalized;
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+const invalidNear = (message, token) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_QUERY';
+  err.token = token;
+  return err;
+};
+
+// `near` is a city name ("Pune", "Portland, US") or "lat,lon".
+const resolveNearPoint = (near) => {
+  const value = String(near).trim().slice(0, 100);
+  const coords = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (coords) {
+    const lat = Number(coords[1]);
+    const lon = Number(coords[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) throw invalidNear('near coordinates are out of range', value);
+    return [lon, lat];
+  }
+
+  const [cityName, ...rest] = value.split(',');
+  const countryHint = rest.length > 0 ? resolveCountryCode(rest[rest.length - 1]) : null;
+  const city = lookupCity(cityName, countryHint);
+  if (!city) throw invalidNear(`Unknown city for near: "${value}"`, value);
+  return city.coordinates;
+};
+
+const parseYears = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const years = Number(value);
+  return Number.isFinite(years) && years >= 0 ? years : null;
+};
+
+/**
+ * Mongo clause for an experienceYears range, or null when neither bound is
+ * a valid number. Shared with the private DB search.
+ */
+export const buildExperienceRangeClause = (minExp, maxExp) => {
+  const min = parseYears(minExp);
+  const max = parseYears(maxExp);
+  if (min === null && max === null) return null;
+
+  const range = {};
+  if (min !== null) range.$gte = min;
+  if (max !== null) range.$lte = max;
+  return { experienceYears: range };
+};
+
+const toTitleCaseLocation = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/\b[a-z]/g, (m) => m.toUpperCase());
+
+/**
+ * Build the Mongo filter used by candidate search from its query params.
+ * Shared by the search endpoint and everything that must return "the same
+ * candidates as the search" (saved-search alerts, facets, exports).
+ *
+ * With `anyTerm`, a plain multi-word query matches any of its words instead
+ * of the exact phrase (semantic re-ranking needs the looser candidate pool).
+ *
+ * Returns { query, useTextSearch, keywordRegexFallbackClause, locationHintIndex }.
+ * Throws `code = 'INVALID_QUERY'` (status 400) for malformed boolean queries
+ * and unknown `near` cities, and `code = 'PRIVATE_DB_NOT_FOUND'` (status 404)
+ * for a `privateDbId` the user may not search.
+ */
+export const buildCandidateSearchQuery = async (filters = {}, user, { anyTerm = false } = {}) => {
+  const {
+    q,
+    locality,
+    location,
+    jobTitle,
+    skills,
+    hasEmail,
+    hasPhone,
+    hasLinkedin,
+    privateDbId,
+    includePrivate,
+    privateDbOnly,
+    near,
+    radiusKm,
+    minExp,
+    maxExp,
+    tags,
+    pipelineStage,
+  } = filters;
+
+  const query = { isDeleted: false };
+
+  // Private DB filtering:
+  // - privateDbId=<id>  → search only within that private DB
+  // - includePrivate=true → search both global + user's private DBs
+  // - default → global only (privateDbId must be null)
+  if (privateDbId) {
+    if (!(await canAccessPrivateDb(privateDbId, user))) {
+      const err = new Error('Private database not found');
+      err.status = 404;
+      err.code = 'PRIVATE_DB_NOT_FOUND';
+      throw err;
+    }
+    query.privateDbId = privateDbId;
+  } else if (String(privateDbOnly) === 'true') {
+    if (isAdmin(user)) {
+      // Admins see candidates from all private databases across all users
+      query.privateDbId = { $ne: null };
+    } else {
+      // Regular users see only their own private databases
+      const userDbs = await PrivateDatabase.find(
+        { owner: user?._id, isDeleted: { $ne: true } },
+        { _id: 1 }
+      ).lean();
+      query.privateDbId = { $in: userDbs.map((db) => db._id) };
+    }
+  } else if (String(includePrivate) === 'true') {
+    // Global plus the private DBs visible to this user (admins: all of them)
+    Object.assign(query, await candidateVisibilityFilter(user));
+  } else {
+    query.privateDbId = null; // global PeopleFinder DB only
+  }
+
+  const andConditions = [];
+  let locationHintIndex = null;
+  let useTextSearch = false;
+  let keywordRegexFallbackClause = null;
+
+  // 1. Keyword Search
+  let searchQ = q;
+  if (searchQ && typeof searchQ !== 'string' && !Array.isArray(searchQ)) searchQ = String(searchQ);
+  if (Array.isArray(searchQ)) searchQ = searchQ.join(' ');
+
+  if (searchQ && searchQ.trim() && isAdvancedQuery(searchQ)) {
+    // Boolean / field-scoped syntax: title:"data engineer" AND (snowflake OR databricks)
+    const compiled = compileSearchQuery(parseSearchQuery(searchQ));
+    andConditions.push(...compiled.conditions);
+    useTextSearch = compiled.usesText;
+    keywordRegexFallbackClause = compiled.textFallbackClause;
+  } else if (searchQ && searchQ.trim()) {
+    const safeQ = escapeRegex(searchQ.trim());
+    const searchFields = ['fullName', 'jobTitle', 'skills', 'company', 'location', 'locality'];
+
+    const isEmail = safeQ.includes('@');
+    const isPhone = /^[0-9+\-\s()]+$/.test(safeQ) && safeQ.replace(/\D/g, '').length > 5;
+
+    if (isEmail) {
+      andConditions.push({ email: new RegExp(`^${safeQ}`, 'i') });
+    } else if (isPhone) {
+      andConditions.push({ phone: new RegExp(safeQ.replace(/\s+/g, ''), 'i') });
+    } else {
+      const normalizedQ = String(searchQ || '').trim().replace(/\s+/g, ' ');
+      const hasCommaSeparatedTerms = normalizedQ.includes(',');
+
+      if (hasCommaSeparatedTerms) {
+        const terms = parseCsvFilter(normalizedQ, 20)
+          .map((term) => String(term).trim().slice(0, 64))
+          .filter(Boolean);
+
+        const keywordRegex = new RegExp(terms.map(escapeRegex).join('|'), 'i');
+
+        keywordRegexFallbackClause = {
+          $or: searchFields.map((field) => ({ [field]: keywordRegex })),
+        };
+
+        const textSearch = terms
+          .join(' ')
+          .replace(/[^a-zA-Z0-9\s]/g, ' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+
+        if (textSearch.length >= 2) {
+          andConditions.push({ $text: { $search: textSearch } });
+          useTextSearch = true;
+        } else {
+          andConditions.push(keywordRegexFallbackClause);
+        }
+      } else {
+        const phrase = normalizedQ;
+        const phraseRegex = new RegExp(escapeRegex(phrase), 'i');
+        keywordRegexFallbackClause = {
+          $or: searchFields.map((field) => ({ [field]: phraseRegex })),
+        };
+
+        const textPhrase = phrase
+          .replace(/"/g, ' ')
+          .replace(/[^a-zA-Z0-9\s]/g, ' ')
+          .replace(/\s+/g, ' ')
+          .trim();
+
+        if (textPhrase.length >= 2) {
+          andConditions.push({ $text: { $search: anyTerm ? textPhrase : `"${textPhrase}"` } });
+          useTextSearch = true;
+        } else {
+          andConditions.push(keywordRegexFallbackClause);
+        }
+      }
+    }
+  }
+
+  // 2. LOCATION FILTER
+  try {
+    const locationTerms = parseLocationTerms(locality, location);
+    if (locationTerms.length > 0) {
+      const hasLocalityInput = parseCsvFilter(locality, 1).length > 0;
+      const primaryLocationField = hasLocalityInput ? 'locality' : 'location';
+      locationHintIndex = hasLocalityInput
+        ? 'locality_1_createdAt_-1'
+        : 'location_1_createdAt_-1';
+      const prefixClauses = [];
+      const seenPrefixes = new Set();
+
+      for (const term of locationTerms) {
+        const variants = [
+          term,
+          term.toLowerCase(),
+          term.toUpperCase(),
+          toTitleCaseLocation(term),
+        ];
+
+        for (const variant of variants) {
+          const cleanVariant = String(variant).trim();
+          if (!cleanVariant || seenPrefixes.has(cleanVariant)) continue;
+          seenPrefixes.add(cleanVariant);
+          prefixClauses.push({
+            [primaryLocationField]: { $regex: `^${escapeRegex(cleanVariant)}` }
+          });
+        }
+      }
+
+      if (prefixClauses.length === 1) {
+        andConditions.push(prefixClauses[0]);
+      } else if (prefixClauses.length > 1) {
+        andConditions.push({ $or: prefixClauses });
+      }
+    }
+  } catch (error) {
+    logger.error('Location filter error:', error);
+    // Continue without location filter
+  }
+
+  // 3. JOB TITLE FILTER
+  const titles = parseCsvFilter(jobTitle, 100);
+  if (titles.length > 0) {
+    andConditions.push({
+      jobTitle: { $regex: titles.map(escapeRegex).join('|'), $options: 'i' }
+    });
+  }
+
+  // 4. SKILLS FILTER
+  const skillList = parseCsvFilter(skills, 100);
+  if (skillList.length > 0) {
+    andConditions.push({
+      skills: { $regex: skillList.map(escapeRegex).join('|'), $options: 'i' }
+    });
+  }
+
+  // 5. EXPERIENCE RANGE (minExp/maxExp, in years)
+  const experienceClause = buildExperienceRangeClause(minExp, maxExp);
+  if (experienceClause) andConditions.push(experienceClause);
+
+  // 5a. Toggles
+  if (String(hasEmail) === 'true') {
+    andConditions.push({ email: { $exists: true, $ne: '' } });
+  }
+  if (String(hasPhone) === 'true') {
+    andConditions.push({ phone: { $exists: true, $ne: '' } });
+  }
+  if (String(hasLinkedin) === 'true') {
+    andConditions.push({ linkedinUrl: { $exists: true, $ne: '' } });
+  }
+
+  // 6. RADIUS FILTER (near=<city>&radiusKm=)
+  if (near && String(near).trim()) {
+    const radius = Math.min(Math.max(Number(radiusKm) || DEFAULT_RADIUS_KM, 1), MAX_RADIUS_KM);
+    andConditions.push({
+      geoPoint: { $geoWithin: { $centerSphere: [resolveNearPoint(near), radius / EARTH_RADIUS_KM] } }
+    });
+  }
+
+  // 7. TAGS FILTER (tags=<tagId>,<tagId> — any of them)
+  // Tags the user can't see are ignored; if none are left, nothing matches.
+  const tagIdList = parseCsvFilter(tags, 50);
+  if (tagIdList.length > 0) {
+    const visibleTagIds = await resolveVisibleTagIds(tagIdList, user);
+    andConditions.push(visibleTagIds.length > 0 ? { tags: { $in: visibleTagIds } } : { _id: { $in: [] } });
+  }
+
+  // 8. PIPELINE STAGE (pipelineStage=<stage>,<stage> — the global sourcing pipeline)
+  // Records saved before stages existed have none and count as DISCOVERED.
+  const stageList = parseCsvFilter(pipelineStage, 10).map((stage) => stage.toUpperCase());
+  if (stageList.length > 0) {
+    andConditions.push({ pipelineStage: { $in: stageList.includes('DISCOVERED') ? [...stageList, null] : stageList } });
+  }
+
+  // Add all conditions to $and if any exist
+  if (andConditions.length > 0) {
+    query.$and = andConditions;
+  }
+
+  return { query, useTextSearch, keywordRegexFallbackClause, locationHintIndex };
+};
+
+/**
+ * Same query as buildCandidateSearchQuery, but with the $text clause swapped
+ * for its regex equivalent — used when the text index is unavailable.
+ */
+export const withoutTextSearch = ({ query, keywordRegexFallbackClause }) => {
+  if (!keywordRegexFallbackClause) return query;
+  const andWithoutText = (query.$and || []).filter((c) => !(c && c.$text));
+  return { ...query, $and: [...andWithoutText, keywordRegexFallbackClause] };
+};
+
+/**
+ * Pick only the known search filters out of an arbitrary object
+ * (request query, saved-search payload).
+ */
+export const pickSearchFilters = (source = {}) =>
+  SEARCH_FILTER_KEYS.reduce((acc, key) => {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') acc[key] = source[key];
+    return acc;
+  }, {});
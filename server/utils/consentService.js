@@ -0,0 +1,140 @@
+import SuppressionEntry, { SUPPRESSION_KEY_TYPES } from '../models/SuppressionEntry.js';
+import { normalizeEmail, normalizePhone, normalizeLinkedinUrl } from './dedupeKeys.js';
+
+// Pipeline stages that start outreach to the candidate
+export const OUTREACH_STAGES = ['SEQUENCED', 'CALL_QUEUED'];
+
+// Consent statuses that rule out contact even without the do-not-contact flag
+const BLOCKING_CONSENT_STATUSES = ['DENIED', 'WITHDRAWN'];
+
+const NORMALIZERS = {
+  email: normalizeEmail,
+  phone: normalizePhone,
+  linkedin: normalizeLinkedinUrl,
+};
+
+const splitValues = (value) => String(value || '').split(/[,;|]/).map((part) => part.trim()).filter(Boolean);
+
+/**
+ * Normalized suppression keys for anything that looks like a candidate: a
+ * Candidate record, a sourced profile (`linkedInUrl`, `contact.email`) or a
+ * request body. Multi-valued fields contribute one key per value.
+ */
+export const contactKeysFor = (person = {}) => {
+  const raw = {
+    email: [person.email, person.contact?.email],
+    phone: [person.phone, person.contact?.phone],
+    linkedin: [person.linkedinUrl, person.linkedInUrl],
+  };
+  const keys = [];
+  for (const keyType of SUPPRESSION_KEY_TYPES) {
+    const seen = new Set();
+    for (const value of raw[keyType].flatMap(splitValues)) {
+      const key = NORMALIZERS[keyType](value);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        keys.push({ keyType, key });
+      }
+    }
+  }
+  return keys;
+};
+
+const ownBlockReason = (person) => {
+  if (person?.doNotContact?.flag) {
+    return person.doNotContact.reason ? `Marked do not contact: ${person.doNotContact.reason}` : 'Marked do not contact';
+  }
+  const status = person?.consent?.status;
+  if (BLOCKING_CONSENT_STATUSES.includes(status)) return `Consent ${status.toLowerCase()}`;
+  return null;
+};
+
+/**
+ * Why each of `people` may not be contacted, in input order: a reason string,
+ * or null when contact is allowed. Checks the candidate's own flag and
+ * consent status, then the global suppression list in a single query.
+ */
+export const contactBlockReasons = async (people = []) => {
+  const reasons = people.map(ownBlockReason);
+  const owners = new Map(); // "type:key" -> indexes into people
+  people.forEach((person, index) => {
+    if (reasons[index] || !person) return;
+    for (const { keyType, key } of contactKeysFor(person)) {
+      const id = `${keyType}:${key}`;
+      if (!owners.has(id)) owners.set(id, []);
+      owners.get(id).push(index);
+    }
+  });
+  if (owners.size === 0) return reasons;
+
+  const byType = {};
+  for (const id of owners.keys()) {
+    const [keyType, ...rest] = id.split(':');
+    (byType[keyType] ||= []).push(rest.join(':'));
+  }
+  const entries = await SuppressionEntry.find({
+    $or: Object.entries(byType).map(([keyType, keys]) => ({ keyType, key: { $in: keys } })),
+  })
+    .select('keyType key')
+    .lean();
+
+  for (const entry of entries) {
+    for (const index of owners.get(`${entry.keyType}:${entry.key}`) || []) {
+      reasons[index] ||= `On the suppression list (${entry.keyType})`;
+    }
+  }
+  return reasons;
+};
+
+export const contactBlockReason = async (person) => (await contactBlockReasons([person]))[0];
+
+/**
+ * Throw a 403 (code DO_NOT_CONTACT) when any of the given records for the
+ * same person is blocked.
+ */
+export const assertContactable = async (...records) => {
+  const reason = (await contactBlockReasons(records.filter(Boolean))).find(Boolean);
+  if (reason) {
+    throw Object.assign(new Error(`This candidate cannot be contacted. ${reason}.`), {
+      status: 403,
+      code: 'DO_NOT_CONTACT',
+      reason,
+    });
+  }
+};
+
+/**
+ * Put a person's email, phone and LinkedIn URL on the suppression list.
+ * Existing entries are left as they are. Returns the number of keys added.
+ */
+export const addSuppressionEntries = async ({ person, reason = '', source = 'MANUAL', candidateId = null, user = null }) => {
+  const keys = contactKeysFor(person);
+  if (keys.length === 0) return 0;
+
+  const result = await SuppressionEntry.bulkWrite(
+    keys.map(({ keyType, key }) => ({
+      updateOne: {
+        filter: { keyType, key },
+        update: {
+          $setOnInsert: {
+            keyType,
+            key,
+            reason: String(reason || '').slice(0, 500),
+            source,
+            candidateId,
+            addedBy: user?._id || null,
+            addedByName: user?.name || user?.email || '',
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  return result.upsertedCount || 0;
+};
+
+// Drop the entries a candidate's do-not-contact flag created; entries an
+// admin added by hand stay.
+export const removeCandidateSuppressions = (candidateId) =>
+  SuppressionEntry.deleteMany({ candidateId, source: 'DO_NOT_CONTACT' });
@@ -0,0 +1,133 @@
+import ContactReveal from '../models/ContactReveal.js';
+import { checkCredits, deductCredits } from './creditService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+export const CONTACT_REVEAL_CREDITS = Number(process.env.CONTACT_REVEAL_CREDITS ?? 1);
+
+// Parser output the profile view needs; everything else in the raw RChilli
+// payload (emails, phones, addresses, websites) is dropped for masked users.
+const PARSER_PROFILE_FIELDS = [
+  'SegregatedSkill',
+  'SegregatedQualification',
+  'SegregatedExperience',
+  'WorkedPeriod',
+  'AverageStay',
+  'LongestStay',
+  'CurrentEmployer',
+  'JobProfile',
+];
+
+/**
+ * Admins and credit-free accounts always see full contact details.
+ */
+export const hasFullContactAccess = (user) => isAdmin(user) || user?.creditFree === true;
+
+const splitValues = (value) => String(value || '').split(/[,;|]/).map((part) => part.trim()).filter(Boolean);
+
+const maskEach = (value, maskOne) => splitValues(value).map(maskOne).join(', ');
+
+// "priya.sharma@gmail.com" -> "p***@gmail.com"
+export const maskEmail = (value) =>
+  maskEach(value, (email) => {
+    const at = email.indexOf('@');
+    if (at < 1) return '***';
+    return `${email[0]}***${email.slice(at)}`;
+  });
+
+// "+91 98765 43210" -> "*******3210"
+export const maskPhone = (value) =>
+  maskEach(value, (phone) => {
+    const digits = phone.replace(/\D/g, '');
+    return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : '****';
+  });
+
+/**
+ * Ids (as strings) of the given candidates the user has revealed.
+ */
+export const revealedCandidateIds = async (user, candidateIds) => {
+  if (!user?._id || candidateIds.length === 0) return new Set();
+  const ids = await ContactReveal.distinct('candidateId', { userId: user._id, candidateId: { $in: candidateIds } });
+  return new Set(ids.map(String));
+};
+
+export const hasRevealedContact = async (user, candidateId) =>
+  hasFullContactAccess(user) || (await revealedCandidateIds(user, [candidateId])).has(String(candidateId));
+
+const maskRecord = (candidate) => {
+  const hasContact = Boolean(candidate.email || candidate.phone);
+  if (candidate.email) candidate.email = maskEmail(candidate.email);
+  if (candidate.phone) candidate.phone = maskPhone(candidate.phone);
+  const parserData = candidate.parsedResume?.raw?.ResumeParserData;
+  if (parserData) {
+    candidate.parsedResume = {
+      raw: {
+        ResumeParserData: Object.fromEntries(
+          PARSER_PROFILE_FIELDS.filter((field) => field in parserData).map((field) => [field, parserData[field]])
+        ),
+      },
+    };
+  }
+  candidate.contactMasked = hasContact;
+};
+
+/**
+ * Mask email and phone in place on plain candidate objects (search results,
+ * profile payloads, export rows) for users without full contact access,
+ * except on candidates they have revealed. Rows without `_id` are masked.
+ */
+export const maskContacts = async (candidates, user) => {
+  if (hasFullContactAccess(user) || candidates.length === 0) return candidates;
+  const revealed = await revealedCandidateIds(
+    user,
+    candidates.map((c) => c?._id).filter(Boolean)
+  );
+  for (const candidate of candidates) {
+    if (candidate && !revealed.has(String(candidate._id))) maskRecord(candidate);
+  }
+  return candidates;
+};
+
+/**
+ * Unlock a candidate's contact details for `user`, charging
+ * CONTACT_REVEAL_CREDITS the first time. Repeat reveals (and users with full
+ * access) are free. Throws the 402 from checkCredits when the balance is short.
+ * Returns { creditsCharged, alreadyRevealed }.
+ */
+export const chargeContactReveal = async ({ user, candidateId, description = '' }) => {
+  if (hasFullContactAccess(user)) return { creditsCharged: 0, alreadyRevealed: true };
+  if (await ContactReveal.exists({ userId: user._id, candidateId })) {
+    return { creditsCharged: 0, alreadyRevealed: true };
+  }
+
+  await checkCredits(user._id, user.role, CONTACT_REVEAL_CREDITS, user.creditFree);
+  // The unique (userId, candidateId) index makes concurrent reveals charge once
+  const result = await ContactReveal.updateOne(
+    { userId: user._id, candidateId },
+    { $setOnInsert: { userId: user._id, candidateId, source: 'REVEAL', creditsCharged: CONTACT_REVEAL_CREDITS } },
+    { upsert: true }
+  );
+  if (!result.upsertedCount) return { creditsCharged: 0, alreadyRevealed: true };
+
+  if (CONTACT_REVEAL_CREDITS > 0) {
+    await deductCredits(user._id, CONTACT_REVEAL_CREDITS, 'REVEAL', description || 'Contact reveal');
+  }
+  return { creditsCharged: CONTACT_REVEAL_CREDITS, alreadyRevealed: false };
+};
+
+/**
+ * Remember contacts a user unlocked some other paid way (contact
+ * enrichment), so they stay unmasked without a reveal charge.
+ */
+export const recordContactReveals = async (user, candidateIds, source = 'ENRICH') => {
+  if (!user?._id || hasFullContactAccess(user) || candidateIds.length === 0) return;
+  await ContactReveal.bulkWrite(
+    candidateIds.map((candidateId) => ({
+      updateOne: {
+        filter: { userId: user._id, candidateId },
+        update: { $setOnInsert: { userId: user._id, candidateId, source, creditsCharged: 0 } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
@@ -47,6 +47,41 @@ export async function deductCredits(userId, amount, reason, description = '') {
   });
 }
 
+/**
+ * Atomically take credits up front for work that is billed later (background
+ * exports). The balance check and the $inc are a single conditional update, so
+ * concurrent reservations can never drive the balance negative.
+ * Throws a 402 error like checkCredits when the balance is too low.
+ * Writes a CreditTransaction record.
+ */
+export async function reserveCredits(userId, amount, reason, description = '') {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, credits: { $gte: amount } },
+    { $inc: { credits: -amount } },
+    { new: true, select: 'credits' }
+  );
+  if (!user) {
+    const current = await User.findById(userId).select('credits').lean();
+    if (!current) throw { status: 404, message: 'User not found' };
+    const err = new Error('Insufficient credits');
+    err.status = 402;
+    err.required = amount;
+    err.available = current.credits ?? 0;
+    throw err;
+  }
+
+  await CreditTransaction.create({
+    userId,
+    type: 'DEDUCT',
+    amount,
+    reason,
+    description,
+    balanceBefore: user.credits + amount,
+    balanceAfter: user.credits,
+  });
+  return user.credits;
+}
+
 /**
  * Add credits to a user (mock purchase, admin top-up, or Stripe).
  * Writes a CreditTransaction record.
@@ -0,0 +1,101 @@
+// Normalized identity keys used to group duplicate Candidate records.
+// Kept free of model imports so the Candidate schema hooks can use it directly.
+
+export const DEDUPE_KEY_TYPES = ['email', 'linkedin', 'phone', 'nameCompany'];
+
+const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+export const NAME_NOISE = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'unknown', 'candidate']);
+export const COMPANY_SUFFIXES = new Set([
+  'pvt', 'private', 'ltd', 'limited', 'inc', 'incorporated', 'llc', 'llp', 'plc',
+  'corp', 'corporation', 'co', 'company', 'gmbh', 'pte', 'sa', 'ag', 'bv',
+]);
+
+// Multi-valued fields ("a@x.com, b@y.com") are keyed on their first value.
+const firstValue = (value) => String(value || '').split(/[,;|]/)[0].trim();
+
+export const asciiFold = (value) =>
+  String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export const normalizeEmail = (value) => {
+  const email = firstValue(value).toLowerCase().replace(/^mailto:/, '');
+  if (!EMAIL_RE.test(email)) return null;
+
+  let [local, domain] = email.split('@');
+  local = local.split('+')[0];
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return local ? `${local}@${domain}` : null;
+};
+
+export const normalizeLinkedinUrl = (value) => {
+  const match = firstValue(value).match(/linkedin\.com\/(in|pub)\/([^/?#\s]+)/i);
+  if (!match) return null;
+
+  let slug = match[2];
+  try {
+    slug = decodeURIComponent(slug);
+  } catch {
+    // keep the raw slug when it is not valid URI encoding
+  }
+  slug = slug.toLowerCase().trim();
+  return slug ? `${match[1].toLowerCase()}/${slug}` : null;
+};
+
+// Country codes and trunk prefixes vary between sources, so compare the
+// trailing 10 digits (the national significant number for IN/US numbers).
+export const normalizePhone = (value) => {
+  const digits = firstValue(value).replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// Fuzzy name+company key: token order, initials, honorifics, punctuation,
+// accents and legal suffixes are ignored ("Reddy, Srinivas K." at
+// "Infosys Ltd" == "Srinivas Reddy" at "INFOSYS LIMITED").
+export const normalizeNameCompany = (fullName, company) => {
+  const nameTokens = asciiFold(fullName)
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token.length > 1 && !NAME_NOISE.has(token))
+    .sort();
+  const companyKey = asciiFold(firstValue(company))
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token && !COMPANY_SUFFIXES.has(token))
+    .join('');
+
+  if (nameTokens.length === 0 || !companyKey) return null;
+  return `${nameTokens.join(' ')}|${companyKey}`;
+};
+
+/**
+ * Compute all dedupe keys for a (plain or mongoose) candidate document.
+ * Keys that cannot be derived are returned as null.
+ */
+export const computeDedupeKeys = (candidate = {}) => ({
+  email: normalizeEmail(candidate.email),
+  linkedin: normalizeLinkedinUrl(candidate.linkedinUrl),
+  phone: normalizePhone(candidate.phone),
+  nameCompany: normalizeNameCompany(candidate.fullName, candidate.company),
+});
+
+/**
+ * Build dotted `dedupeKeys.*` paths for an update operator from the fields it
+ * touches. Only keys whose source fields are all present are returned, so a
+ * partial update never blanks out a key it cannot recompute.
+ */
+export const dedupeKeyPathsForFields = (fields = {}) => {
+  const has = (name) => Object.prototype.hasOwnProperty.call(fields, name);
+  const paths = {};
+
+  if (has('email')) paths['dedupeKeys.email'] = normalizeEmail(fields.email);
+  if (has('linkedinUrl')) paths['dedupeKeys.linkedin'] = normalizeLinkedinUrl(fields.linkedinUrl);
+  if (has('phone')) paths['dedupeKeys.phone'] = normalizePhone(fields.phone);
+  if (has('fullName') && has('company')) {
+    paths['dedupeKeys.nameCompany'] = normalizeNameCompany(fields.fullName, fields.company);
+  }
+  return paths;
+};
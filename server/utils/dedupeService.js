@@ -0,0 +1,431 @@
+import mongoose from 'mongoose';
+import Candidate from '../models/Candidate.js';
+import EnrichedContact from '../models/EnrichedContact.js';
+import EnrichmentLog from '../models/EnrichmentLog.js';
+import CandidateActivity from '../models/CandidateActivity.js';
+import CandidateNote from '../models/CandidateNote.js';
+import Shortlist from '../models/Shortlist.js';
+import Application from '../models/Application.js';
+import logger from './logger.js';
+import { DEDUPE_KEY_TYPES, computeDedupeKeys } from './dedupeKeys.js';
+import { importLegacyNote, syncRecruiterNotes } from './noteService.js';
+
+// Scalar profile fields that take a single winning value on merge.
+const MERGE_FIELDS = [
+  'fullName', 'jobTitle', 'experience', 'country', 'locality', 'location',
+  'email', 'phone', 'company', 'industry', 'education', 'linkedinUrl', 'githubUrl',
+  'summary', 'availability', 'candidateStatus', 'parsedResume', 'sourceCountry',
+];
+// Free-text list fields whose values are unioned across all records.
+const UNION_FIELDS = { skills: ', ', internalTags: ', ' };
+// Notes are concatenated so nothing a recruiter wrote is lost (the merged
+// note threads then rebuild the survivor's recruiterNotes digest).
+const CONCAT_FIELDS = { recruiterNotes: '\n\n' };
+
+const DEFAULT_ENUM_VALUES = { availability: 'UNKNOWN', candidateStatus: 'ACTIVE' };
+
+const REVIEW_SELECT =
+  'fullName jobTitle company email phone linkedinUrl location locality country skills experience source sourceFile privateDbId dedupeKeys createdAt updatedAt';
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+const isEmptyValue = (field, value) => {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return !trimmed || /^(n\/?a|null|undefined|unknown candidate)$/i.test(trimmed) || trimmed === DEFAULT_ENUM_VALUES[field];
+  }
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+};
+
+const completenessOf = (candidate) =>
+  [...MERGE_FIELDS, ...Object.keys(UNION_FIELDS)].reduce(
+    (score, field) => score + (isEmptyValue(field, candidate[field]) ? 0 : 1),
+    0
+  );
+
+const byRecency = (a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+
+const toObjectId = (value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    const err = new Error(`Invalid candidate id: ${value}`);
+    err.status = 400;
+    throw err;
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const matchedKeyTypes = (candidates) =>
+  DEDUPE_KEY_TYPES.filter((type) => {
+    const values = candidates.map((c) => (c.dedupeKeys || computeDedupeKeys(c))[type]).filter(Boolean);
+    return values.length > 1 && new Set(values).size < values.length;
+  });
+
+/**
+ * Pick the record that should survive a merge: the most complete one,
+ * ties broken by the most recently updated.
+ */
+export const suggestSurvivor = (candidates) =>
+  [...candidates].sort((a, b) => completenessOf(b) - completenessOf(a) || byRecency(a, b))[0] || null;
+
+/**
+ * Decide the merged value of every field.
+ * Survivor values win unless empty; otherwise the most recently updated
+ * duplicate with a value wins. `fieldOverrides` ({ field: candidateId })
+ * lets the reviewer force a specific record's value.
+ */
+export const pickFieldWinners = (survivor, duplicates, fieldOverrides = {}) => {
+  const ordered = [survivor, ...[...duplicates].sort(byRecency)];
+  const byId = new Map(ordered.map((c) => [String(c._id), c]));
+  const values = {};
+  const fieldSources = {};
+
+  for (const field of MERGE_FIELDS) {
+    const overrideId = fieldOverrides[field] ? String(fieldOverrides[field]) : null;
+    if (overrideId) {
+      const source = byId.get(overrideId);
+      if (!source) {
+        const err = new Error(`Override for "${field}" references a candidate outside this merge`);
+        err.status = 400;
+        throw err;
+      }
+      values[field] = source[field] ?? null;
+      fieldSources[field] = overrideId;
+      continue;
+    }
+
+    const winner = ordered.find((c) => !isEmptyValue(field, c[field]));
+    if (winner) {
+      values[field] = winner[field];
+      fieldSources[field] = String(winner._id);
+    }
+  }
+
+  for (const [field, separator] of Object.entries(UNION_FIELDS)) {
+    const seen = new Map();
+    for (const candidate of ordered) {
+      String(candidate[field] || '')
+        .split(/[,;|]/)
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .forEach((item) => {
+          if (!seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+        });
+    }
+    if (seen.size > 0) {
+      values[field] = [...seen.values()].join(separator);
+      fieldSources[field] = 'UNION';
+    }
+  }
+
+  // Structured tags (Tag ids) are unioned the same way.
+  const tagIds = new Map();
+  for (const candidate of ordered) {
+    for (const id of candidate.tags || []) if (!tagIds.has(String(id))) tagIds.set(String(id), id);
+  }
+  if (tagIds.size > 0) {
+    values.tags = [...tagIds.values()];
+    fieldSources.tags = 'UNION';
+  }
+
+  // Attachments from every record are kept; the survivor's primaries win.
+  const attachments = [];
+  const primaryKinds = new Set();
+  for (const candidate of ordered) {
+    for (const attachment of candidate.attachments || []) {
+      if (attachments.some((a) => a.s3Key === attachment.s3Key)) continue;
+      const isPrimary = attachment.isPrimary && !primaryKinds.has(attachment.kind);
+      if (isPrimary) primaryKinds.add(attachment.kind);
+      attachments.push({ ...attachment, isPrimary });
+    }
+  }
+  if (attachments.length > 0) {
+    values.attachments = attachments;
+    fieldSources.attachments = 'UNION';
+  }
+
+  for (const [field, separator] of Object.entries(CONCAT_FIELDS)) {
+    const parts = [...new Set(ordered.map((c) => String(c[field] || '').trim()).filter(Boolean))];
+    if (parts.length > 0) {
+      values[field] = parts.join(separator);
+      fieldSources[field] = 'CONCAT';
+    }
+  }
+
+  return { values, fieldSources };
+};
+
+/**
+ * Review queue: groups of active candidates sharing a dedupe key.
+ * Records are only grouped within the same database (global or one private DB).
+ */
+export const findDuplicateGroups = async ({ type = 'email', privateDbId = null, page = 1, limit = 20 } = {}) => {
+  if (!DEDUPE_KEY_TYPES.includes(type)) {
+    const err = new Error(`Unknown duplicate type "${type}". Use one of: ${DEDUPE_KEY_TYPES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const keyPath = `dedupeKeys.${type}`;
+  const safeLimit = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const safePage = Math.max(Number(page) || 1, 1);
+  const scopedDbId = privateDbId ? toObjectId(privateDbId) : null;
+
+  const groups = await Candidate.aggregate([
+    { $match: { privateDbId: scopedDbId, [keyPath]: { $type: 'string' }, isDeleted: false } },
+    { $group: { _id: `$${keyPath}`, count: { $sum: 1 }, candidateIds: { $push: '$_id' } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $skip: (safePage - 1) * safeLimit },
+    { $limit: safeLimit + 1 },
+    { $project: { count: 1, candidateIds: { $slice: ['$candidateIds', 50] } } },
+  ])
+    .allowDiskUse(true)
+    .option({ maxTimeMS: 60000 });
+
+  const hasMore = groups.length > safeLimit;
+  const pageGroups = groups.slice(0, safeLimit);
+
+  const ids = pageGroups.flatMap((g) => g.candidateIds);
+  const candidates = ids.length
+    ? await Candidate.find({ _id: { $in: ids }, isDeleted: false }).select(REVIEW_SELECT).lean()
+    : [];
+  const candidateMap = new Map(candidates.map((c) => [String(c._id), c]));
+
+  return {
+    type,
+    groups: pageGroups.map((group) => {
+      const members = group.candidateIds.map((id) => candidateMap.get(String(id))).filter(Boolean);
+      const survivor = suggestSurvivor(members);
+      return {
+        key: group._id,
+        count: group.count,
+        matchedOn: matchedKeyTypes(members),
+        suggestedSurvivorId: survivor?._id || null,
+        candidates: members,
+      };
+    }),
+    hasMore,
+    currentPage: safePage,
+  };
+};
+
+/**
+ * Merge duplicates into a surviving candidate.
+ *
+ * - Survivor receives the winning field values and a mergeHistory entry
+ *   (sources per field + the survivor values it overwrote).
+ * - Duplicates are soft-deleted with `mergedInto` pointing at the survivor,
+ *   so the merge is traceable and the originals remain recoverable.
+ * - EnrichedContact, EnrichmentLog and Shortlist references are re-pointed.
+ * - All of the above is written in one transaction (MongoDB must run as a
+ *   replica set).
+ *
+ * With `dryRun` nothing is written and the planned result is returned.
+ */
+export const mergeCandidates = async ({ survivorId, duplicateIds = [], fieldOverrides = {}, mergedBy = null, dryRun = false }) => {
+  const survivorObjectId = toObjectId(survivorId);
+  const duplicateObjectIds = [...new Set((duplicateIds || []).map(String))]
+    .filter((id) => id !== String(survivorObjectId))
+    .map(toObjectId);
+
+  if (duplicateObjectIds.length === 0) {
+    const err = new Error('At least one duplicate candidate id is required');
+    err.status = 400;
+    throw err;
+  }
+
+  const records = await Candidate.find({ _id: { $in: [survivorObjectId, ...duplicateObjectIds] }, isDeleted: false }).lean();
+  const survivor = records.find((c) => String(c._id) === String(survivorObjectId));
+  const duplicates = records.filter((c) => String(c._id) !== String(survivorObjectId));
+
+  if (!survivor) {
+    const err = new Error('Surviving candidate not found');
+    err.status = 404;
+    throw err;
+  }
+  if (duplicates.length !== duplicateObjectIds.length) {
+    const err = new Error('One or more duplicate candidates were not found or are already deleted/merged');
+    err.status = 404;
+    throw err;
+  }
+  if (duplicates.some((c) => String(c.privateDbId || '') !== String(survivor.privateDbId || ''))) {
+    const err = new Error('Candidates from different databases cannot be merged');
+    err.status = 400;
+    throw err;
+  }
+
+  const { values, fieldSources } = pickFieldWinners(survivor, duplicates, fieldOverrides);
+  const previousValues = {};
+  const changes = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (JSON.stringify(survivor[field] ?? null) !== JSON.stringify(value ?? null)) {
+      previousValues[field] = survivor[field] ?? null;
+      changes[field] = value;
+    }
+  }
+
+  const mergedFrom = duplicates.map((c) => c._id);
+  const historyEntry = {
+    mergedAt: new Date(),
+    mergedBy,
+    mergedFrom,
+    matchedOn: matchedKeyTypes([survivor, ...duplicates]),
+    fieldSources,
+    previousValues,
+  };
+
+  if (dryRun) {
+    return { dryRun: true, survivorId: survivor._id, mergedFrom, changes, fieldSources, matchedOn: historyEntry.matchedOn };
+  }
+
+  // Turn any old free-text notes into thread notes before they are moved over
+  await Promise.all([survivor._id, ...mergedFrom].map((id) => importLegacyNote(id)));
+
+  // Every write runs in one transaction, so a failure partway cannot leave
+  // references split between the survivor and soft-deleted duplicates.
+  let contacts;
+  let logs;
+  let shortlists;
+  let moveIds;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // A concurrent merge of the same records makes this match fewer and aborts
+      const merged = await Candidate.updateMany(
+        { _id: { $in: mergedFrom }, isDeleted: false },
+        { $set: { isDeleted: true, mergedInto: survivor._id } },
+        { session }
+      );
+      if (merged.matchedCount !== mergedFrom.length) {
+        const err = new Error('One or more duplicate candidates were merged or deleted meanwhile');
+        err.status = 409;
+        throw err;
+      }
+
+      await Candidate.updateOne(
+        { _id: survivor._id },
+        {
+          $set: { ...changes, dedupeKeys: computeDedupeKeys({ ...survivor, ...changes }) },
+          $push: { mergeHistory: historyEntry },
+        },
+        { session }
+      );
+
+      // Operations in a transaction share the session, so they run one at a time
+      const repoint = { filter: { candidateId: { $in: mergedFrom } }, update: { $set: { candidateId: survivor._id } } };
+      contacts = await EnrichedContact.updateMany(repoint.filter, repoint.update, { session });
+      logs = await EnrichmentLog.updateMany(repoint.filter, repoint.update, { session });
+      await CandidateActivity.updateMany(repoint.filter, repoint.update, { session });
+      await CandidateNote.updateMany(repoint.filter, repoint.update, { session });
+
+      // Replace duplicate ids in place so shortlist ordering is preserved, then
+      // drop repeats when the survivor was already on the list.
+      const mergedFromSet = new Set(mergedFrom.map(String));
+      shortlists = await Shortlist.find({ candidateIds: { $in: mergedFrom } }).select('candidateIds').session(session);
+      for (const list of shortlists) {
+        const seen = new Set();
+        list.candidateIds = list.candidateIds
+          .map((id) => (mergedFromSet.has(String(id)) ? survivor._id : id))
+          .filter((id) => {
+            const key = String(id);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        await list.save({ session });
+      }
+
+      // Job applications move to the survivor. One application per job: the
+      // survivor's own wins, then the duplicate's that moved stage most recently.
+      const applications = await Application.find({ candidateId: { $in: [survivor._id, ...mergedFrom] } })
+        .select('jobId candidateId stageChangedAt')
+        .session(session)
+        .lean();
+      const survivorKey = String(survivor._id);
+      applications.sort(
+        (a, b) =>
+          (String(b.candidateId) === survivorKey) - (String(a.candidateId) === survivorKey) ||
+          new Date(b.stageChangedAt) - new Date(a.stageChangedAt)
+      );
+      const jobsHeld = new Set();
+      const dropIds = [];
+      moveIds = [];
+      for (const application of applications) {
+        const jobKey = String(application.jobId);
+        if (jobsHeld.has(jobKey)) dropIds.push(application._id);
+        else if (String(application.candidateId) !== survivorKey) moveIds.push(application._id);
+        jobsHeld.add(jobKey);
+      }
+      if (dropIds.length > 0) await Application.deleteMany({ _id: { $in: dropIds } }, { session });
+      if (moveIds.length > 0) {
+        await Application.updateMany({ _id: { $in: moveIds } }, { $set: { candidateId: survivor._id } }, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // The digest is rebuilt from the committed note threads
+  await syncRecruiterNotes(survivor._id);
+
+  logger.info(
+    `🔗 Merged ${mergedFrom.length} duplicate(s) into candidate ${survivor._id} ` +
+    `(contacts: ${contacts.modifiedCount}, logs: ${logs.modifiedCount}, shortlists: ${shortlists.length}, ` +
+    `applications: ${moveIds.length})`
+  );
+
+  return {
+    survivorId: survivor._id,
+    mergedFrom,
+    changes,
+    fieldSources,
+    matchedOn: historyEntry.matchedOn,
+    repointed: {
+      enrichedContacts: contacts.modifiedCount,
+      enrichmentLogs: logs.modifiedCount,
+      shortlists: shortlists.length,
+      applications: moveIds.length,
+    },
+  };
+};
+
+/**
+ * Compute dedupeKeys for records written before keys existed (or whose keys
+ * went stale through partial updates). Walks active candidates by _id in batches.
+ */
+export const backfillDedupeKeys = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false };
+  if (onlyMissing) filter.dedupeKeys = { $exists: false };
+
+  let lastId = null;
+  let processed = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('email linkedinUrl phone fullName company')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    await Candidate.collection.bulkWrite(
+      batch.map((c) => ({
+        updateOne: { filter: { _id: c._id }, update: { $set: { dedupeKeys: computeDedupeKeys(c) } } },
+      })),
+      { ordered: false }
+    );
+
+    processed += batch.length;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 50) === 0) {
+      logger.info(`🔑 Dedupe key backfill: ${processed} candidates processed`);
+    }
+  }
+
+  logger.info(`✅ Dedupe key backfill complete: ${processed} candidates processed`);
+  return { processed };
+};
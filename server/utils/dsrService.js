@@ -0,0 +1,465 @@
+import crypto from 'crypto';
+import JSZip from 'jszip';
+import Candidate from '../models/Candidate.js';
+import CandidateActivity from '../models/CandidateActivity.js';
+import CandidateEmbedding from '../models/CandidateEmbedding.js';
+import CandidateNote from '../models/CandidateNote.js';
+import CandidatePool from '../models/CandidatePool.js';
+import ContactReveal from '../models/ContactReveal.js';
+import DataSubjectRequest from '../models/DataSubjectRequest.js';
+import EnrichedContact from '../models/EnrichedContact.js';
+import EnrichmentLog from '../models/EnrichmentLog.js';
+import ExportJob from '../models/ExportJob.js';
+import SearchLog from '../models/SearchLog.js';
+import Shortlist from '../models/Shortlist.js';
+import Application from '../models/Application.js';
+import SourcingSession from '../models/SourcingSession.js';
+import logger from './logger.js';
+import { uploadToS3, deleteFromS3, downloadBufferFromS3 } from './s3Service.js';
+import { normalizeEmail, normalizeLinkedinUrl, normalizePhone } from './dedupeKeys.js';
+import { PARSEABLE_EXTENSIONS, fileExtension } from './attachmentService.js';
+
+export const DSR_TYPES = ['EXPORT', 'ERASE'];
+export const ERASE_MODES = ['DELETE', 'ANONYMIZE'];
+
+// What an anonymized candidate keeps: role, skills, experience, country/city
+// and pipeline/ownership fields, so counts and reports still add up.
+const ANONYMIZED_FIELDS = {
+  fullName: 'Erased candidate',
+  email: null,
+  phone: null,
+  linkedinUrl: null,
+  githubUrl: null,
+  location: null,
+  company: null,
+  education: null,
+  summary: null,
+  recruiterNotes: '',
+  internalTags: '',
+  parsedResume: null,
+  parseWarnings: [],
+  sourceFile: null,
+  attachments: [],
+  mergeHistory: [],
+  'enrichment.suggestedUpdates': null,
+  dedupeKeys: { email: null, linkedin: null, phone: null, nameCompany: null },
+  fuzzyKeys: { name: [], company: [] },
+  isDeleted: true,
+};
+
+// ── Identifiers ─────────────────────────────────────────────────────────────
+
+/**
+ * Normalize the identifiers a request was made with into dedupe keys
+ * (see utils/dedupeKeys.js). Unusable values come back as null.
+ */
+export const normalizeSubject = ({ email, phone, linkedinUrl } = {}) => ({
+  email: normalizeEmail(email),
+  phone: normalizePhone(phone),
+  linkedin: normalizeLinkedinUrl(linkedinUrl),
+});
+
+export const hasSubjectKey = (keys) => Object.values(keys).some(Boolean);
+
+export const hashSubjectKeys = (keys) =>
+  Object.entries(keys)
+    .filter(([, value]) => value)
+    .map(([type, value]) => crypto.createHash('sha256').update(`${type}:${value}`).digest('hex'));
+
+export const maskSubject = ({ email, phone, linkedinUrl } = {}) => {
+  const linkedin = normalizeLinkedinUrl(linkedinUrl);
+  const phoneDigits = String(phone || '').replace(/\D/g, '');
+  return {
+    email: email ? String(email).trim().replace(/^(.{0,2})[^@]*(@.*)?$/, '$1***$2') : null,
+    phone: phoneDigits ? `***${phoneDigits.slice(-3)}` : null,
+    linkedinUrl: linkedin ? `linkedin.com/${linkedin.replace(/^(in|pub)\/(.{0,3}).*$/, '$1/$2***')}` : null,
+  };
+};
+
+// Pool profiles and sourcing results keep the URL as fetched, so exact
+// lookups try the common spellings of the same profile.
+const linkedinUrlVariants = (key) => {
+  const variants = [];
+  for (const prefix of ['https://www.', 'https://', 'http://www.', 'http://', 'www.', '', 'https://in.']) {
+    variants.push(`${prefix}linkedin.com/${key}`, `${prefix}linkedin.com/${key}/`);
+  }
+  return variants;
+};
+
+// "+91 98765-43210" and "9876543210" end in the same digits.
+const phoneRegex = (key) => new RegExp(`${key.split('').join('\\D*')}$`);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Resume files and attachments belong to the person; bulk import files
+// (CSV/XLSX sourceFile) hold other people's rows and are only reported.
+const collectCandidateFiles = (candidates) => {
+  const files = [];
+  const sharedFiles = new Set();
+  for (const candidate of candidates) {
+    const keysOnRecord = new Set();
+    for (const attachment of candidate.attachments || []) {
+      keysOnRecord.add(attachment.s3Key);
+      files.push({ candidateId: candidate._id, s3Key: attachment.s3Key, fileName: `v${attachment.version}-${attachment.fileName}` });
+    }
+    if (candidate.sourceFile && !keysOnRecord.has(candidate.sourceFile)) {
+      if (PARSEABLE_EXTENSIONS.includes(fileExtension(candidate.sourceFile))) {
+        files.push({ candidateId: candidate._id, s3Key: candidate.sourceFile, fileName: candidate.sourceFile.split('/').pop() });
+      } else {
+        sharedFiles.add(candidate.sourceFile);
+      }
+    }
+  }
+  return { files, sharedFiles: [...sharedFiles] };
+};
+
+// ── Locate ──────────────────────────────────────────────────────────────────
+
+/**
+ * Find everything held on one person: candidate records (deleted and merged
+ * duplicates included), enriched contacts, pool profiles, sourcing results,
+ * notes, activity, enrichment logs, shortlist memberships, job applications
+ * and stored files. `knownCandidateIds` adds records matched by an earlier
+ * run, whose keys may already be anonymized.
+ */
+export const locateSubject = async (subject, knownCandidateIds = []) => {
+  const keys = normalizeSubject(subject);
+  const rawEmail = String(subject.email || '').trim().toLowerCase();
+
+  const keyQuery = [];
+  if (keys.email) keyQuery.push({ 'dedupeKeys.email': keys.email });
+  if (keys.linkedin) keyQuery.push({ 'dedupeKeys.linkedin': keys.linkedin });
+  if (keys.phone) keyQuery.push({ 'dedupeKeys.phone': keys.phone });
+  if (knownCandidateIds.length > 0) keyQuery.push({ _id: { $in: knownCandidateIds } });
+  const candidates = keyQuery.length > 0 ? await Candidate.find({ $or: keyQuery }).lean() : [];
+
+  const subjectContactQuery = [];
+  if (keys.email) subjectContactQuery.push({ email: { $in: [...new Set([rawEmail, keys.email])] } });
+  if (keys.phone) subjectContactQuery.push({ phone: phoneRegex(keys.phone) });
+  if (keys.linkedin) subjectContactQuery.push({ linkedinUrl: { $in: linkedinUrlVariants(keys.linkedin) } });
+
+  // Records reached only through an enriched contact, or merged into a match
+  const seen = new Set(candidates.map((c) => String(c._id)));
+  const contactHits = subjectContactQuery.length > 0
+    ? await EnrichedContact.find({ $or: subjectContactQuery }).select('candidateId').lean()
+    : [];
+  const extraIds = [
+    ...contactHits.map((c) => c.candidateId),
+    ...candidates.flatMap((c) => (c.mergeHistory || []).flatMap((m) => m.mergedFrom || [])),
+  ].filter((id) => id && !seen.has(String(id)));
+  if (extraIds.length > 0) candidates.push(...(await Candidate.find({ _id: { $in: extraIds } }).lean()));
+
+  const candidateIds = candidates.map((c) => c._id);
+  const idStrings = new Set(candidateIds.map(String));
+
+  // Every key the person is known by, from the request and from their records
+  const emailKeys = new Set([keys.email, ...candidates.map((c) => c.dedupeKeys?.email)].filter(Boolean));
+  const linkedinKeys = new Set([keys.linkedin, ...candidates.map((c) => c.dedupeKeys?.linkedin)].filter(Boolean));
+  const phoneKeys = new Set([keys.phone, ...candidates.map((c) => c.dedupeKeys?.phone)].filter(Boolean));
+  const linkedinUrls = [...linkedinKeys].flatMap(linkedinUrlVariants);
+  const rawEmails = [...new Set([rawEmail, ...emailKeys, ...candidates.map((c) => String(c.email || '').toLowerCase())])].filter(Boolean);
+
+  const sessionQuery = [{ 'candidates.savedCandidateId': { $in: [...candidateIds, ...idStrings] } }];
+  if (linkedinUrls.length > 0) sessionQuery.push({ 'candidates.linkedinUrl': { $in: linkedinUrls } });
+  if (rawEmails.length > 0) sessionQuery.push({ 'candidates.email': { $in: rawEmails } });
+
+  const [enrichedContacts, poolProfiles, sessions, notes, activities, enrichmentLogs, shortlists, applications] = await Promise.all([
+    EnrichedContact.find({ $or: [{ candidateId: { $in: candidateIds } }, ...subjectContactQuery] }).lean(),
+    linkedinUrls.length > 0 ? CandidatePool.find({ linkedinUrl: { $in: linkedinUrls } }).lean() : [],
+    SourcingSession.find({ $or: sessionQuery }).select('userId jobTitle location createdAt candidates').lean(),
+    CandidateNote.find({ candidateId: { $in: candidateIds } }).lean(),
+    CandidateActivity.find({ candidateId: { $in: candidateIds } }).lean(),
+    EnrichmentLog.find({ candidateId: { $in: candidateIds } }).lean(),
+    Shortlist.find({ candidateIds: { $in: candidateIds } }).select('name createdBy createdAt').lean(),
+    Application.find({ candidateId: { $in: candidateIds } }).populate('jobId', 'title').lean(),
+  ]);
+
+  const isSubjectEntry = (entry) =>
+    idStrings.has(String(entry?.savedCandidateId)) ||
+    linkedinKeys.has(normalizeLinkedinUrl(entry?.linkedinUrl || entry?.linkedInUrl)) ||
+    emailKeys.has(normalizeEmail(entry?.email)) ||
+    phoneKeys.has(normalizePhone(entry?.phone));
+
+  const sourcingSessions = sessions
+    .map((session) => ({ ...session, matches: (session.candidates || []).filter(isSubjectEntry) }))
+    .filter((session) => session.matches.length > 0);
+
+  const { files, sharedFiles } = collectCandidateFiles(candidates);
+
+  return {
+    keys,
+    candidates,
+    enrichedContacts,
+    poolProfiles,
+    sourcingSessions,
+    notes,
+    activities,
+    enrichmentLogs,
+    shortlists,
+    applications,
+    files,
+    sharedFiles,
+  };
+};
+
+export const summarizeLocated = (located) => ({
+  candidates: located.candidates.length,
+  enrichedContacts: located.enrichedContacts.length,
+  poolProfiles: located.poolProfiles.length,
+  sourcingResults: located.sourcingSessions.reduce((sum, s) => sum + s.matches.length, 0),
+  notes: located.notes.length,
+  activities: located.activities.length,
+  enrichmentLogs: located.enrichmentLogs.length,
+  shortlists: located.shortlists.length,
+  applications: located.applications.length,
+  files: located.files.length,
+});
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+const buildExportZip = async (request, located) => {
+  const zip = new JSZip();
+  const missingFiles = [];
+
+  for (const file of located.files) {
+    try {
+      const buffer = await downloadBufferFromS3(file.s3Key);
+      zip.file(`files/${file.candidateId}/${file.fileName}`, buffer);
+    } catch (error) {
+      logger.warn(`DSR ${request._id}: could not include ${file.s3Key}: ${error.message}`);
+      missingFiles.push(file.fileName);
+    }
+  }
+
+  const data = {
+    generatedAt: new Date(),
+    requestId: request._id,
+    reference: request.reference || undefined,
+    candidates: located.candidates,
+    enrichedContacts: located.enrichedContacts,
+    candidatePool: located.poolProfiles,
+    sourcingResults: located.sourcingSessions.map((s) => ({
+      sessionId: s._id,
+      searchedAt: s.createdAt,
+      jobTitle: s.jobTitle,
+      location: s.location,
+      entries: s.matches,
+    })),
+    notes: located.notes,
+    activity: located.activities,
+    enrichmentLog: located.enrichmentLogs,
+    shortlists: located.shortlists.map((s) => ({ name: s.name, createdAt: s.createdAt })),
+    jobApplications: located.applications.map((a) => ({
+      job: a.jobId?.title || null,
+      stage: a.stage,
+      addedAt: a.createdAt,
+      stageHistory: a.stageHistory.map(({ from, to, changedAt }) => ({ from, to, changedAt })),
+    })),
+    files: located.files.map((f) => `files/${f.candidateId}/${f.fileName}`),
+    missingFiles,
+  };
+  zip.file('data.json', JSON.stringify(data, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// ── Erase ───────────────────────────────────────────────────────────────────
+
+/**
+ * Delete or anonymize candidate records along with everything keyed on them:
+ * resume files and attachments in S3, notes, activity, enrichment logs,
+ * enriched contacts, shortlist memberships and job applications. Used by data-subject erasure
+ * and by retention rules (utils/retentionService.js).
+ *
+ * Every step is safe to repeat, and the candidate records go last, so a run
+ * that fails part-way can simply be run again on the same candidates.
+ */
+export const eraseCandidateRecords = async (candidates, mode) => {
+  const candidateIds = candidates.map((c) => c._id);
+  const { files, sharedFiles: bulkFiles } = collectCandidateFiles(candidates);
+  const sharedFiles = new Set(bulkFiles);
+
+  // Files first: their keys are gone from the records afterwards. A resume
+  // file still referenced by someone else's record is left in place.
+  let filesDeleted = 0;
+  for (const s3Key of new Set(files.map((f) => f.s3Key))) {
+    if (await Candidate.exists({ sourceFile: s3Key, _id: { $nin: candidateIds } })) {
+      sharedFiles.add(s3Key);
+      continue;
+    }
+    try {
+      await deleteFromS3(s3Key);
+      filesDeleted += 1;
+    } catch (error) {
+      logger.warn(`Erase: failed to delete ${s3Key}: ${error.message}`);
+    }
+  }
+
+  await Promise.all([
+    EnrichedContact.deleteMany({ candidateId: { $in: candidateIds } }),
+    CandidateNote.deleteMany({ candidateId: { $in: candidateIds } }),
+    CandidateActivity.deleteMany({ candidateId: { $in: candidateIds } }),
+    EnrichmentLog.deleteMany({ candidateId: { $in: candidateIds } }),
+    ContactReveal.deleteMany({ candidateId: { $in: candidateIds } }),
+    CandidateEmbedding.deleteMany({ candidateId: { $in: candidateIds } }),
+    Shortlist.updateMany({ candidateIds: { $in: candidateIds } }, { $pull: { candidateIds: { $in: candidateIds } } }),
+    Application.deleteMany({ candidateId: { $in: candidateIds } }),
+  ]);
+
+  if (mode === 'DELETE') {
+    await Candidate.deleteMany({ _id: { $in: candidateIds } });
+  } else {
+    await Candidate.updateMany(
+      { _id: { $in: candidateIds } },
+      { $set: { ...ANONYMIZED_FIELDS, erasedAt: new Date() } }
+    );
+  }
+
+  return { filesDeleted, sharedFiles: [...sharedFiles] };
+};
+
+// Earlier copies of the person's data: data-subject export ZIPs made for
+// them, and search export files that included them (found through the
+// EXPORTED timeline entries, so this must run before activity is deleted).
+// The files are deleted and their records lose the link.
+const eraseStoredExports = async (located) => {
+  const candidateIds = located.candidates.map((c) => c._id);
+  const hashes = hashSubjectKeys(located.keys);
+  const exportJobIds = located.activities
+    .filter((a) => a.type === 'EXPORTED' && a.details?.exportJobId)
+    .map((a) => a.details.exportJobId);
+
+  const [archives, exportJobs] = await Promise.all([
+    DataSubjectRequest.find({
+      type: 'EXPORT',
+      s3Key: { $ne: null },
+      $or: [{ subjectHashes: { $in: hashes } }, { candidateIds: { $in: candidateIds } }],
+    }).select('s3Key').lean(),
+    exportJobIds.length > 0
+      ? ExportJob.find({ _id: { $in: exportJobIds }, s3Key: { $ne: null } }).select('s3Key').lean()
+      : [],
+  ]);
+
+  let deleted = 0;
+  for (const [Model, records] of [[DataSubjectRequest, archives], [ExportJob, exportJobs]]) {
+    for (const record of records) {
+      // A file that is already gone is fine; anything else fails the run so it can be retried
+      await deleteFromS3(record.s3Key).catch((error) => {
+        if (!/NoSuchKey|NotFound/i.test(error.message)) throw error;
+      });
+      await Model.updateOne({ _id: record._id }, { $set: { s3Key: null } });
+      deleted += 1;
+    }
+  }
+  return deleted;
+};
+
+// Search analytics keep the text of each search; blank the ones that were
+// for this person's email, phone or LinkedIn URL.
+const scrubSearchLogs = async (located) => {
+  const patterns = [];
+  const { email, phone, linkedin } = located.keys;
+  if (email) patterns.push(new RegExp(escapeRegex(email), 'i'));
+  if (phone) patterns.push(new RegExp(phone.split('').join('\\D*')));
+  if (linkedin) patterns.push(new RegExp(escapeRegex(linkedin), 'i'));
+  if (patterns.length === 0) return 0;
+
+  const result = await SearchLog.updateMany(
+    { $or: patterns.flatMap((pattern) => [{ query: pattern }, { 'filters.q': pattern }]) },
+    { $set: { query: '', queryKey: '', filters: {} } }
+  );
+  return result.modifiedCount;
+};
+
+// A data subject can also be held outside candidate records: enriched
+// contacts matched on their details, pool profiles, sourcing results, stored
+// exports and search logs. Those go first; the candidate records, which the
+// lookup relies on, last.
+const eraseLocated = async (located, mode) => {
+  const exportFilesDeleted = await eraseStoredExports(located);
+  const searchLogsScrubbed = await scrubSearchLogs(located);
+
+  await Promise.all([
+    EnrichedContact.deleteMany({ _id: { $in: located.enrichedContacts.map((c) => c._id) } }),
+    CandidatePool.deleteMany({ _id: { $in: located.poolProfiles.map((p) => p._id) } }),
+  ]);
+
+  for (const session of located.sourcingSessions) {
+    const remaining = session.candidates.filter((entry) => !session.matches.includes(entry));
+    await SourcingSession.updateOne(
+      { _id: session._id },
+      { $set: { candidates: remaining, candidateCount: remaining.length } }
+    );
+  }
+
+  const result = await eraseCandidateRecords(located.candidates, mode);
+  return { ...result, exportFilesDeleted, searchLogsScrubbed };
+};
+
+// ── Worker entry point ──────────────────────────────────────────────────────
+
+/**
+ * Run one data-subject request end to end. Exports upload a ZIP (data.json
+ * plus the person's files) to S3; erasures delete or anonymize every record
+ * found. Once it completes the request keeps counts, not the identifiers; a
+ * failed one keeps them so it can be retried, and a retry picks up the
+ * candidates the first attempt found.
+ */
+export const runDataSubjectRequest = async (requestId) => {
+  const request = await DataSubjectRequest.findOneAndUpdate(
+    { _id: requestId, status: 'QUEUED' },
+    { $set: { status: 'PROCESSING', startedAt: new Date(), error: null } },
+    { new: true }
+  ).lean();
+  if (!request) return null;
+
+  try {
+    const located = await locateSubject(request.subject || {}, request.candidateIds || []);
+    // A retried erasure reports what was there before its first attempt
+    const summary = request.type === 'ERASE' && request.candidateIds?.length > 0 ? request.summary : summarizeLocated(located);
+    const candidateIds = located.candidates.map((c) => c._id);
+    await DataSubjectRequest.updateOne({ _id: request._id }, { $set: { summary, candidateIds } });
+
+    const update = {
+      'subject.email': null,
+      'subject.phone': null,
+      'subject.linkedinUrl': null,
+      status: 'COMPLETED',
+      summary,
+      candidateIds,
+      sharedFiles: located.sharedFiles,
+      completedAt: new Date(),
+    };
+
+    if (request.type === 'EXPORT') {
+      const buffer = await buildExportZip(request, located);
+      const s3Key = `dsr/${request._id}/export.zip`;
+      await uploadToS3(buffer, s3Key, 'application/zip');
+      update.s3Key = s3Key;
+      update.fileName = `data-subject-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      update.fileSize = buffer.length;
+    } else {
+      const { filesDeleted, exportFilesDeleted, searchLogsScrubbed, sharedFiles } =
+        await eraseLocated(located, request.mode || 'DELETE');
+      update.summary = { ...summary, filesDeleted, exportFilesDeleted, searchLogsScrubbed };
+      update.sharedFiles = sharedFiles;
+    }
+
+    await DataSubjectRequest.updateOne({ _id: request._id }, { $set: update });
+    logger.info(`✅ DSR ${request._id} (${request.type}) completed: ${summary.candidates} candidate records`);
+    return update.summary;
+  } catch (error) {
+    logger.error(`❌ DSR ${request._id} failed: ${error.message}`);
+    await DataSubjectRequest.updateOne(
+      { _id: request._id },
+      {
+        $set: {
+          status: 'FAILED',
+          error: String(error.message || error).substring(0, 500),
+          completedAt: new Date(),
+        },
+      }
+    );
+    return null;
+  }
+};
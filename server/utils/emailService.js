@@ -153,3 +153,104 @@ export async function sendOrderConfirmationEmail(to, name, { credits, amount, tr
     </div>
   `);
 }
+
+// Candidate data comes from imports/scrapes — never trust it inside HTML.
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Daily/weekly digest of new candidates matching the user's saved searches.
+ * results: [{ name, newCount, candidates: [{ fullName, jobTitle, company, location }] }]
+ */
+export async function sendSavedSearchDigestEmail(to, name, results) {
+  const searchUrl = `${process.env.CLIENT_URL || 'https://app.stucrow.com'}/dashboard`;
+  const total = results.reduce((sum, r) => sum + r.newCount, 0);
+
+  const sections = results.map((result) => {
+    const rows = (result.candidates || []).map((c) => `
+        <tr>
+          <td style="padding:8px 12px;border-top:1px solid #e2e8f0;color:#1e293b;font-size:13px;font-weight:600;">${escapeHtml(c.fullName || 'Unknown')}</td>
+          <td style="padding:8px 12px;border-top:1px solid #e2e8f0;color:#475569;font-size:13px;">${escapeHtml([c.jobTitle, c.company].filter(Boolean).join(' · '))}</td>
+          <td style="padding:8px 12px;border-top:1px solid #e2e8f0;color:#64748b;font-size:12px;">${escapeHtml(c.locality || c.location || '')}</td>
+        </tr>`).join('');
+    const more = result.newCount - (result.candidates || []).length;
+
+    return `
+      <h3 style="color:#1e293b;margin:24px 0 8px;font-size:15px;">
+        ${escapeHtml(result.name)}
+        <span style="color:#4f46e5;font-weight:700;">&middot; ${Number(result.newCount).toLocaleString()} new</span>
+      </h3>
+      <table style="width:100%;border-collapse:collapse;background:#fff;border-radius:10px;overflow:hidden;border:1px solid #e2e8f0;">
+        ${rows}
+      </table>
+      ${more > 0 ? `<p style="color:#64748b;font-size:12px;margin:6px 0 0;">+ ${more.toLocaleString()} more</p>` : ''}
+    `;
+  }).join('');
+
+  await send(to, `${total.toLocaleString()} new candidate${total === 1 ? '' : 's'} match your saved searches`, `
+    <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;padding:32px 24px;background:#f8fafc;border-radius:12px;">
+      <h2 style="color:#1e293b;margin-top:0;margin-bottom:8px;">Hi ${escapeHtml(name)},</h2>
+      <p style="color:#475569;margin-bottom:8px;">
+        New candidates were added that match your saved searches.
+      </p>
+      ${sections}
+      <div style="text-align:center;margin:24px 0;">
+        <a href="${searchUrl}"
+           style="display:inline-block;background:#4f46e5;color:#fff;text-decoration:none;padding:12px 32px;border-radius:8px;font-weight:600;font-size:15px;">
+          Open HireXtra
+        </a>
+      </div>
+      <p style="color:#94a3b8;font-size:13px;margin-bottom:0;">
+        You can turn off alerts for a saved search from the search page.
+      </p>
+      ${FOOTER}
+    </div>
+  `);
+}
+
+export async function sendNoteMentionEmail(to, name, { authorName, candidateName, excerpt }) {
+  const appUrl = `${process.env.CLIENT_URL || 'https://app.stucrow.com'}/dashboard`;
+  await send(to, `${authorName} mentioned you in a note on ${candidateName}`, `
+    <div style="font-family:Arial,sans-serif;max-width:520px;margin:0 auto;padding:32px 24px;background:#f8fafc;border-radius:12px;">
+      <h2 style="color:#1e293b;margin-top:0;margin-bottom:8px;">Hi ${escapeHtml(name)},</h2>
+      <p style="color:#475569;margin-bottom:16px;">
+        <strong style="color:#1e293b;">${escapeHtml(authorName)}</strong> mentioned you in a note on
+        <strong style="color:#1e293b;">${escapeHtml(candidateName)}</strong>:
+      </p>
+      <blockquote style="margin:0 0 24px;padding:12px 16px;background:#fff;border-left:4px solid #6366f1;border-radius:6px;color:#334155;white-space:pre-wrap;">${escapeHtml(excerpt)}</blockquote>
+      <div style="text-align:center;margin-bottom:24px;">
+        <a href="${appUrl}"
+           style="display:inline-block;background:#4f46e5;color:#fff;text-decoration:none;padding:12px 32px;border-radius:8px;font-weight:600;font-size:15px;">
+          Open HireXtra
+        </a>
+      </div>
+      ${FOOTER}
+    </div>
+  `);
+}
+
+export async function sendJobCollaboratorEmail(to, name, { inviterName, jobTitle, client, role }) {
+  const appUrl = `${process.env.CLIENT_URL || 'https://app.stucrow.com'}/dashboard`;
+  const roleLabel = { OWNER: 'an owner', RECRUITER: 'a recruiter', VIEWER: 'a viewer' }[role] || 'a collaborator';
+  await send(to, `${inviterName} added you to the job "${jobTitle}"`, `
+    <div style="font-family:Arial,sans-serif;max-width:520px;margin:0 auto;padding:32px 24px;background:#f8fafc;border-radius:12px;">
+      <h2 style="color:#1e293b;margin-top:0;margin-bottom:8px;">Hi ${escapeHtml(name)},</h2>
+      <p style="color:#475569;margin-bottom:24px;">
+        <strong style="color:#1e293b;">${escapeHtml(inviterName)}</strong> added you as ${roleLabel} on
+        <strong style="color:#1e293b;">${escapeHtml(jobTitle)}</strong>${client ? ` for ${escapeHtml(client)}` : ''}.
+        It now appears in your job list.
+      </p>
+      <div style="text-align:center;margin-bottom:24px;">
+        <a href="${appUrl}"
+           style="display:inline-block;background:#4f46e5;color:#fff;text-decoration:none;padding:12px 32px;border-radius:8px;font-weight:600;font-size:15px;">
+          Open HireXtra
+        </a>
+      </div>
+      ${FOOTER}
+    </div>
+  `);
+}
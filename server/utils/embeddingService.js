@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import Candidate from '../models/Candidate.js';
+import CandidateEmbedding from '../models/CandidateEmbedding.js';
+import logger from './logger.js';
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+// Share of the hybrid score that comes from vector similarity; the rest is
+// the keyword relevance of the text hit.
+const HYBRID_SEMANTIC_WEIGHT = Math.min(1, Math.max(0, Number(process.env.HYBRID_SEMANTIC_WEIGHT ?? 0.6)));
+const LOCAL_DIMENSIONS = Number(process.env.EMBEDDING_DIMENSIONS || 256);
+const BACKFILL_BATCH_SIZE = 500;
+const OPENAI_BATCH_SIZE = 100;
+const MAX_TEXT_LENGTH = 6000;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'its', 'my', 'of', 'on', 'or', 'our', 'the', 'to', 'was', 'we', 'were', 'with', 'who', 'will',
+]);
+
+// Lowercased word tokens; keeps "c++", "c#" and "node.js", drops stopwords
+// and folds simple plurals ("engineers" -> "engineer").
+const tokenize = (text) =>
+  (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [])
+    .map((token) => token.replace(/\.+$/, ''))
+    .filter((token) => token && !STOPWORDS.has(token))
+    .map((token) => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+
+// 32-bit FNV-1a
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map((v) => Math.round((v / norm) * 1e6) / 1e6) : vector;
+};
+
+/**
+ * Feature-hashed TF vector: words, word pairs and character trigrams (so
+ * "developer" and "development" overlap), each weighted 1 + log(tf) and
+ * signed by a hash bit to cancel collisions. Deterministic and offline.
+ */
+const hashEmbed = (text, dimensions) => {
+  const tokens = tokenize(text);
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, { weight, count: (features.get(feature)?.count || 0) + 1 });
+
+  tokens.forEach((token, i) => {
+    add(`w:${token}`, 1);
+    if (i > 0) add(`b:${tokens[i - 1]}_${token}`, 0.5);
+    if (token.length >= 4) {
+      const padded = `#${token}#`;
+      for (let j = 0; j + 3 <= padded.length; j++) add(`c:${padded.slice(j, j + 3)}`, 0.2);
+    }
+  });
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, { weight, count }] of features) {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * weight * (1 + Math.log(count));
+  }
+  return normalize(vector);
+};
+
+const createHashingProvider = (dimensions) => ({
+  id: `local-hash:v1:${dimensions}`,
+  embed: async (texts) => texts.map((text) => hashEmbed(text, dimensions)),
+});
+
+const createOpenAIProvider = ({ model, dimensions }) => {
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return {
+    id: `openai:${model}${dimensions ? `:${dimensions}` : ''}`,
+    embed: async (texts) => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+        const response = await client.embeddings.create({
+          model,
+          input: texts.slice(i, i + OPENAI_BATCH_SIZE),
+          ...(dimensions ? { dimensions } : {}),
+        });
+        vectors.push(...response.data.sort((a, b) => a.index - b.index).map((item) => item.embedding));
+      }
+      return vectors;
+    },
+  };
+};
+
+let provider = null;
+
+/**
+ * The configured embedding provider: EMBEDDING_PROVIDER=openai (needs
+ * OPENAI_API_KEY; EMBEDDING_MODEL, EMBEDDING_DIMENSIONS optional) or the
+ * local hashing provider (default). Providers expose `id` and
+ * `embed(texts) -> vectors`.
+ */
+export const getEmbeddingProvider = () => {
+  if (provider) return provider;
+  if (process.env.EMBEDDING_PROVIDER === 'openai') {
+    if (process.env.OPENAI_API_KEY) {
+      provider = createOpenAIProvider({
+        model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        dimensions: Number(process.env.EMBEDDING_DIMENSIONS) || null,
+      });
+      return provider;
+    }
+    logger.warn('EMBEDDING_PROVIDER=openai but OPENAI_API_KEY is not set; using local hashing embeddings');
+  }
+  provider = createHashingProvider(LOCAL_DIMENSIONS);
+  return provider;
+};
+
+/**
+ * Profile text that gets embedded: what the candidate does, not who they are.
+ */
+export const candidateEmbeddingText = (candidate) =>
+  [candidate.jobTitle, candidate.company, candidate.industry, candidate.skills, candidate.experience, candidate.summary]
+    .map((part) => String(part || '').trim())
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_TEXT_LENGTH);
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Vectors for the given candidates (plain objects with the profile text
+ * fields), keyed by candidate id. Stored embeddings are reused; missing ones,
+ * ones from another provider and ones for edited profiles are computed and
+ * saved. With `force`, every candidate is re-embedded.
+ */
+export const embeddingsForCandidates = async (candidates, { force = false } = {}) => {
+  const active = getEmbeddingProvider();
+  const vectors = new Map();
+  if (candidates.length === 0) return { vectors, embedded: 0 };
+
+  const stored = force
+    ? []
+    : await CandidateEmbedding.find({ candidateId: { $in: candidates.map((c) => c._id) }, model: active.id })
+        .select('candidateId textHash vector')
+        .lean();
+  const storedById = new Map(stored.map((e) => [String(e.candidateId), e]));
+
+  const stale = [];
+  for (const candidate of candidates) {
+    const text = candidateEmbeddingText(candidate);
+    if (!text) continue;
+    const textHash = hashText(text);
+    const existing = storedById.get(String(candidate._id));
+    if (existing && existing.textHash === textHash) {
+      vectors.set(String(candidate._id), existing.vector);
+    } else {
+      stale.push({ candidateId: candidate._id, text, textHash });
+    }
+  }
+  if (stale.length === 0) return { vectors, embedded: 0 };
+
+  const computed = await active.embed(stale.map((item) => item.text));
+  await CandidateEmbedding.bulkWrite(
+    stale.map((item, i) => ({
+      updateOne: {
+        filter: { candidateId: item.candidateId },
+        update: {
+          $set: { model: active.id, dimensions: computed[i].length, vector: computed[i], textHash: item.textHash },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  stale.forEach((item, i) => vectors.set(String(item.candidateId), computed[i]));
+  return { vectors, embedded: stale.length };
+};
+
+/**
+ * Free-text part of a search query for embedding: drops field prefixes,
+ * boolean operators, excluded terms and grouping.
+ */
+export const semanticQueryText = (q) =>
+  String(Array.isArray(q) ? q.join(' ') : q || '')
+    .replace(/(^|\s)(-|NOT\s+)("[^"]*"|\S+)/g, ' ')
+    .replace(/\b(AND|OR)\b/g, ' ')
+    .replace(/\b[a-zA-Z]+:/g, ' ')
+    .replace(/["()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Re-rank keyword hits by similarity to `queryText`. `semantic` orders by
+ * vector similarity alone; `hybrid` blends it with keyword relevance
+ * (`textScore` when the hits came from $text, otherwise their order).
+ * Adds `semanticScore` and `relevanceScore` to each candidate.
+ */
+export const rerankBySimilarity = async (queryText, candidates, { mode = 'hybrid' } = {}) => {
+  if (candidates.length === 0) return candidates;
+  const [[queryVector], { vectors }] = await Promise.all([
+    getEmbeddingProvider().embed([queryText]),
+    embeddingsForCandidates(candidates),
+  ]);
+
+  const maxTextScore = Math.max(0, ...candidates.map((c) => c.textScore || 0));
+  const scored = candidates.map((candidate, rank) => {
+    const similarity = Math.max(0, cosineSimilarity(queryVector, vectors.get(String(candidate._id))));
+    const keyword = maxTextScore > 0 ? (candidate.textScore || 0) / maxTextScore : 1 - rank / candidates.length;
+    const score = mode === 'semantic' ? similarity : HYBRID_SEMANTIC_WEIGHT * similarity + (1 - HYBRID_SEMANTIC_WEIGHT) * keyword;
+    return { candidate, rank, similarity, score };
+  });
+  scored.sort((a, b) => b.score - a.score || a.rank - b.rank);
+
+  return scored.map(({ candidate, similarity, score }) => {
+    delete candidate.textScore;
+    candidate.semanticScore = round(similarity);
+    candidate.relevanceScore = round(score);
+    return candidate;
+  });
+};
+
+/**
+ * Migration: embed existing candidates with the configured provider. Walks
+ * _id order in batches; with onlyMissing, candidates whose stored embedding
+ * is current are left alone.
+ */
+export const backfillCandidateEmbeddings = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false };
+  let lastId = null;
+  let processed = 0;
+  let embedded = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('jobTitle company industry skills experience summary')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    const result = await embeddingsForCandidates(batch, { force: !onlyMissing });
+    processed += batch.length;
+    embedded += result.embedded;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 100) === 0) {
+      logger.info(`⏳ Embedding backfill: ${processed} candidates processed, ${embedded} embedded`);
+    }
+  }
+
+  logger.info(`✅ Embedding backfill complete (${getEmbeddingProvider().id}): ${processed} candidates processed, ${embedded} embedded`);
+  return { processed, embedded };
+};
@@ -25,7 +25,6 @@ const ENRICH_ALLOWED_UPDATE_FIELDS = new Set([
   "summary",
   "availability",
   "candidateStatus",
-  "internalTags",
   "recruiterNotes",
 ]);
 
@@ -343,7 +342,6 @@ export const enrichCandidateProfile = async (candidateInput) => {
 export const sanitizeUpdateValue = (field, value) => {
   if (!ENRICH_ALLOWED_UPDATE_FIELDS.has(field)) return "";
   if (field === "skills") return dedupeCsv(value);
-  if (field === "internalTags") return dedupeCsv(value);
   if (field === "summary") return String(value || "").trim();
   if (field === "recruiterNotes") return String(value || "").trim();
   if (field === "availability") return cleanInline(value).toUpperCase();
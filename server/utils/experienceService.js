@@ -0,0 +1,49 @@
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { experienceYearsFromText } from './candidateProfileNormalizer.js';
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+/**
+ * Migration: parse experienceYears from the free-text `experience` of
+ * existing candidates. Walks _id order in batches through the raw collection.
+ *
+ * With onlyMissing, only rows that predate the field are visited; rows with
+ * no number in their text get experienceYears: null so later runs skip them.
+ */
+export const backfillExperienceYears = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false };
+  if (onlyMissing) filter.experienceYears = { $exists: false };
+
+  let lastId = null;
+  let processed = 0;
+  let parsed = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('experience')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    await Candidate.collection.bulkWrite(
+      batch.map((c) => {
+        const experienceYears = experienceYearsFromText(c.experience);
+        if (experienceYears !== null) parsed += 1;
+        return { updateOne: { filter: { _id: c._id }, update: { $set: { experienceYears } } } };
+      }),
+      { ordered: false }
+    );
+
+    processed += batch.length;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 50) === 0) {
+      logger.info(`⏳ Experience backfill: ${processed} candidates processed, ${parsed} parsed`);
+    }
+  }
+
+  logger.info(`✅ Experience backfill complete: ${processed} candidates processed, ${parsed} parsed`);
+  return { processed, parsed };
+};
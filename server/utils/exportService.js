@@ -0,0 +1,318 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import xlsx from 'xlsx';
+import Candidate from '../models/Candidate.js';
+import ExportJob from '../models/ExportJob.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { uploadToS3, deleteFromS3 } from './s3Service.js';
+import { addCredits } from './creditService.js';
+import { recordCandidateActivity } from './activityService.js';
+import { cleanAndValidateCandidate } from './dataCleaner.js';
+import { buildCandidateSearchQuery, withoutTextSearch } from './candidateSearchQuery.js';
+import {
+  resolveExportColumns,
+  exportSelectForColumns,
+  toExportRow,
+  toExportRecord,
+  toCsvLine,
+  columnsNeedTagNames,
+} from './candidateExportColumns.js';
+import { loadTagNameMap, attachTagNames } from './tagService.js';
+import { contactBlockReasons } from './consentService.js';
+import { maskContacts, recordContactReveals } from './contactRevealService.js';
+
+export const EXPORT_FORMATS = {
+  CSV: { ext: 'csv', contentType: 'text/csv' },
+  XLSX: { ext: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  JSONL: { ext: 'jsonl', contentType: 'application/x-ndjson' },
+};
+
+export const EXPORT_MAX_ROWS = Number(process.env.EXPORT_MAX_ROWS) || 100000;
+// XLSX workbooks are built in memory, so they get a lower ceiling.
+const XLSX_MAX_ROWS = Math.min(EXPORT_MAX_ROWS, Number(process.env.EXPORT_XLSX_MAX_ROWS) || 50000);
+export const EXPORT_CREDITS_PER_ROW = Number(process.env.EXPORT_CREDITS_PER_ROW ?? 1);
+
+// An export still QUEUED or PROCESSING after this is assumed to have died
+// with its worker (or, without Redis, with the server process)
+const STALE_EXPORT_MS = Number(process.env.EXPORT_STALE_MS) || 2 * 60 * 60 * 1000;
+// Files are removed this long before their job record's TTL runs out, so the
+// cleanup tick (hourly) always gets to them first
+const FILE_EXPIRY_LEAD_MS = 2 * 60 * 60 * 1000;
+
+const PROGRESS_EVERY = 5000;
+const ACTIVITY_BATCH = 1000;
+const CONSENT_CHECK_BATCH = 1000;
+
+export const maxRowsForFormat = (format) => (format === 'XLSX' ? XLSX_MAX_ROWS : EXPORT_MAX_ROWS);
+
+const isTextIndexError = (error) =>
+  /text index|required for \$text|index not found for text query/i.test(String(error?.message || ''));
+
+/**
+ * Resolve the search filters to a runnable query and count its matches,
+ * capped at `cap`. Falls back to the regex form when the text index is
+ * missing. Returns { query, count }.
+ */
+export const countExportMatches = async (filters, user, cap) => {
+  const searchQuery = await buildCandidateSearchQuery(filters, user);
+  try {
+    const count = await Candidate.countDocuments(searchQuery.query, { limit: cap }).maxTimeMS(60000);
+    return { query: searchQuery.query, count };
+  } catch (error) {
+    if (!searchQuery.useTextSearch || !isTextIndexError(error)) throw error;
+    const query = withoutTextSearch(searchQuery);
+    const count = await Candidate.countDocuments(query, { limit: cap }).maxTimeMS(60000);
+    return { query, count };
+  }
+};
+
+const exportFileName = (job) => {
+  const date = new Date(job.createdAt || Date.now()).toISOString().slice(0, 10);
+  return `candidates_export_${date}.${EXPORT_FORMATS[job.format].ext}`;
+};
+
+// Stream matching candidates into a local file. CSV/JSONL are written row
+// by row; XLSX rows are collected and written as one workbook at the end.
+// Do-not-contact and suppressed candidates are skipped (checked in batches).
+// Exported candidates get an EXPORTED timeline entry, written in batches.
+const writeExportFile = async (job, query, filePath, user) => {
+  const columns = resolveExportColumns(job.columns);
+  const tagNameMap = columnsNeedTagNames(columns) ? await loadTagNameMap(user) : null;
+  const cursor = Candidate.find(query)
+    .select(`${exportSelectForColumns(columns)} consent doNotContact`)
+    .sort({ createdAt: -1 })
+    .limit(job.maxRows)
+    .lean()
+    .cursor({ batchSize: 1000 });
+
+  const xlsxRows = job.format === 'XLSX' ? [columns.map((col) => col.header)] : null;
+  const out = xlsxRows ? null : fs.createWriteStream(filePath, { encoding: 'utf8' });
+  const write = async (line) => {
+    if (!out.write(`${line}\n`)) await once(out, 'drain');
+  };
+
+  if (job.format === 'CSV') await write(toCsvLine(columns.map((col) => col.header)));
+
+  let exportedRows = 0;
+  let suppressedRows = 0;
+  let exportedIds = [];
+  let pending = [];
+  const flushActivity = async () => {
+    if (exportedIds.length === 0) return;
+    const candidateIds = exportedIds;
+    exportedIds = [];
+    await recordCandidateActivity({
+      candidateIds,
+      actor: user,
+      type: 'EXPORTED',
+      summary: `Exported to ${job.format} (search export)`,
+      details: { format: job.format, exportJobId: job._id },
+    });
+  };
+
+  const flushPending = async () => {
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    const blocked = await contactBlockReasons(batch);
+
+    const rows = [];
+    for (const [index, candidate] of batch.entries()) {
+      if (blocked[index]) {
+        suppressedRows += 1;
+        continue;
+      }
+      if (tagNameMap) attachTagNames([candidate], tagNameMap);
+      const result = cleanAndValidateCandidate(candidate);
+      if (result.valid) rows.push(result.data);
+    }
+    // A charged row pays for its contact details, so it is exported in full
+    // and stays revealed afterwards. Free exports mask unrevealed contacts,
+    // same as search.
+    if (job.creditsPerRow > 0) {
+      await recordContactReveals(user, rows.map((row) => row._id), 'EXPORT');
+    } else {
+      await maskContacts(rows, user);
+    }
+
+    for (const row of rows) {
+      if (job.format === 'CSV') await write(toCsvLine(toExportRow(row, columns)));
+      else if (job.format === 'JSONL') await write(JSON.stringify(toExportRecord(row, columns)));
+      else xlsxRows.push(toExportRow(row, columns));
+
+      exportedRows += 1;
+      exportedIds.push(row._id);
+      if (exportedIds.length >= ACTIVITY_BATCH) await flushActivity();
+      if (exportedRows % PROGRESS_EVERY === 0) {
+        await ExportJob.updateOne({ _id: job._id }, { $set: { exportedRows } });
+      }
+    }
+  };
+
+  try {
+    for await (const candidate of cursor) {
+      pending.push(candidate);
+      if (pending.length >= CONSENT_CHECK_BATCH) await flushPending();
+    }
+    await flushPending();
+    await flushActivity();
+  } finally {
+    await cursor.close().catch(() => {});
+    if (out) {
+      out.end();
+      await once(out, 'close');
+    }
+  }
+
+  if (xlsxRows) {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(xlsxRows), 'Candidates');
+    xlsx.writeFile(workbook, filePath);
+  }
+
+  return { exportedRows, suppressedRows };
+};
+
+/**
+ * Refund the part of a job's up-front credit reservation that `creditsCharged`
+ * did not use.
+ */
+export const releaseReservedCredits = async (job, creditsCharged = 0) => {
+  const unused = (job.creditsReserved || 0) - creditsCharged;
+  if (unused > 0) {
+    await addCredits(job.userId, unused, 'EXPORT', `Refund of unused export credits (${job.format})`);
+  }
+};
+
+/**
+ * Worker entry point: run one export job end to end — query, write the
+ * file, upload it to S3 and settle the credits reserved for it against the
+ * rows actually exported. A job left PROCESSING by a dead worker can be
+ * claimed again once it is stale; its startedAt identifies the current run,
+ * so only that run settles the credits.
+ */
+export const runExportJob = async (exportJobId) => {
+  const staleBefore = new Date(Date.now() - STALE_EXPORT_MS);
+  const job = await ExportJob.findOneAndUpdate(
+    {
+      _id: exportJobId,
+      $or: [{ status: 'QUEUED' }, { status: 'PROCESSING', startedAt: { $lt: staleBefore } }],
+    },
+    { $set: { status: 'PROCESSING', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const { ext, contentType } = EXPORT_FORMATS[job.format];
+  const filePath = path.join(os.tmpdir(), `export_${job._id}.${ext}`);
+  const thisRun = { _id: job._id, status: 'PROCESSING', startedAt: job.startedAt };
+
+  try {
+    const user = await User.findById(job.userId).select('role name email creditFree').lean();
+    if (!user) throw new Error('Export owner no longer exists');
+
+    const { query } = await countExportMatches(job.filters || {}, user, job.maxRows);
+    const { exportedRows, suppressedRows } = await writeExportFile(job, query, filePath, user);
+
+    const s3Key = `exports/${job.userId}/${job._id}.${ext}`;
+    const { size } = await fs.promises.stat(filePath);
+    await uploadToS3(fs.createReadStream(filePath), s3Key, contentType);
+
+    const creditsCharged = exportedRows * job.creditsPerRow;
+    const completed = await ExportJob.updateOne(
+      thisRun,
+      {
+        $set: {
+          status: 'COMPLETED',
+          exportedRows,
+          suppressedRows,
+          creditsCharged,
+          s3Key,
+          fileName: exportFileName(job),
+          fileSize: size,
+          completedAt: new Date(),
+        },
+      }
+    );
+    if (completed.modifiedCount === 0) {
+      // Recovered as stale (or re-claimed) while this run was still going
+      logger.warn(`Export ${job._id} was taken over before it finished; discarding this run`);
+      await deleteFromS3(s3Key).catch(() => {});
+      return null;
+    }
+    await releaseReservedCredits(job, creditsCharged).catch((err) =>
+      logger.error(`Failed to refund unused credits for export ${job._id}: ${err.message}`)
+    );
+    logger.info(`✅ Export ${job._id} completed: ${exportedRows} rows (${job.format})`);
+    return { exportedRows, creditsCharged };
+  } catch (error) {
+    logger.error(`❌ Export ${job._id} failed: ${error.message}`);
+    const failed = await ExportJob.updateOne(
+      thisRun,
+      { $set: { status: 'FAILED', error: String(error.message || error).substring(0, 500), completedAt: new Date() } }
+    );
+    if (failed.modifiedCount > 0) {
+      await releaseReservedCredits(job).catch((err) =>
+        logger.error(`Failed to refund credits for export ${job._id}: ${err.message}`)
+      );
+    }
+    return null;
+  } finally {
+    await fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+/**
+ * Scheduler tick (hourly):
+ * - exports stuck QUEUED or PROCESSING past STALE_EXPORT_MS are failed and
+ *   their reserved credits refunded;
+ * - files of exports whose job record is about to expire (ExportJob TTL) are
+ *   deleted from S3, so nothing is left under exports/ once the record is gone.
+ */
+export const cleanUpExportJobs = async () => {
+  const staleBefore = new Date(Date.now() - STALE_EXPORT_MS);
+  const stale = await ExportJob.find({
+    $or: [
+      { status: 'QUEUED', createdAt: { $lt: staleBefore } },
+      { status: 'PROCESSING', startedAt: { $lt: staleBefore } },
+    ],
+  }).lean();
+
+  let recovered = 0;
+  for (const job of stale) {
+    const claim = job.status === 'PROCESSING'
+      ? { _id: job._id, status: 'PROCESSING', startedAt: job.startedAt }
+      : { _id: job._id, status: 'QUEUED' };
+    const result = await ExportJob.updateOne(claim, {
+      $set: { status: 'FAILED', error: 'The export was interrupted; reserved credits were refunded', completedAt: new Date() },
+    });
+    if (result.modifiedCount === 0) continue;
+    await releaseReservedCredits(job).catch((err) =>
+      logger.error(`Failed to refund credits for export ${job._id}: ${err.message}`)
+    );
+    recovered += 1;
+  }
+
+  const expiring = await ExportJob.find({
+    s3Key: { $ne: null },
+    expiresAt: { $lt: new Date(Date.now() + FILE_EXPIRY_LEAD_MS) },
+  })
+    .select('s3Key')
+    .lean();
+  for (const job of expiring) {
+    try {
+      await deleteFromS3(job.s3Key);
+      await ExportJob.updateOne({ _id: job._id }, { $set: { s3Key: null } });
+    } catch (error) {
+      logger.warn(`Could not delete export file ${job.s3Key}: ${error.message}`);
+    }
+  }
+
+  if (recovered > 0 || expiring.length > 0) {
+    logger.info(`🧹 Export cleanup: ${recovered} stale exports refunded, ${expiring.length} expiring files removed`);
+  }
+  return { recovered, filesRemoved: expiring.length };
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import ExportTemplate from '../models/ExportTemplate.js';
+import { resolveExportColumns, DEFAULT_EXPORT_COLUMN_KEYS } from './candidateExportColumns.js';
+
+// Templates a user may apply: their own plus every org-wide template.
+export const visibleTemplatesFilter = (user) => ({
+  isDeleted: false,
+  $or: [{ scope: 'ORG' }, { scope: 'USER', ownerId: user._id }],
+});
+
+/**
+ * Columns for an export. An explicit templateId must be visible to the user
+ * (404 otherwise); without one the user's default template applies, then the
+ * org default, then `fallback` (the endpoint's built-in layout).
+ * Returns { template, columns }.
+ */
+export const resolveTemplateColumns = async ({ templateId, user, fallback = DEFAULT_EXPORT_COLUMN_KEYS }) => {
+  let template = null;
+
+  if (templateId) {
+    if (mongoose.Types.ObjectId.isValid(templateId)) {
+      template = await ExportTemplate.findOne({ _id: templateId, ...visibleTemplatesFilter(user) }).lean();
+    }
+    if (!template) {
+      const err = new Error('Export template not found');
+      err.status = 404;
+      throw err;
+    }
+  } else if (user) {
+    const defaults = await ExportTemplate.find({ ...visibleTemplatesFilter(user), isDefault: true }).lean();
+    template = defaults.find((t) => t.scope === 'USER') || defaults.find((t) => t.scope === 'ORG') || null;
+  }
+
+  return {
+    template,
+    columns: resolveExportColumns(template?.columns, fallback),
+  };
+};
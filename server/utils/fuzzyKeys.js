@@ -0,0 +1,65 @@
+// Phonetic keys for typo-tolerant name and company search.
+// Kept free of model imports so the Candidate schema hooks can use it directly.
+
+import { asciiFold, NAME_NOISE, COMPANY_SUFFIXES } from './dedupeKeys.js';
+
+// Romanized Indian names are spelt many ways: aspirates (Bh/Dh/Th), sh/s,
+// w/v (ow/au), z/j, c/k/q and long vowels (ee/ea/i, oo/u) all vary between
+// sources. One leftmost pass, so "ch" is read before "c" and outputs are not
+// re-mapped.
+const SOUND_GROUPS = {
+  ksh: 'ks', shr: 'sr', sh: 's', ph: 'f', ch: 'c', th: 't', dh: 'd', bh: 'b',
+  kh: 'k', gh: 'g', jh: 'j', ck: 'k', ow: 'o', aw: 'a', q: 'k', x: 'ks', z: 'j', w: 'v', c: 'k',
+};
+const SOUND_GROUP_RE = new RegExp(Object.keys(SOUND_GROUPS).join('|'), 'g');
+
+// Keys shorter than this ("Rao" → "r") would match a large share of the DB
+const MIN_KEY_LENGTH = 2;
+const MAX_KEYS = 12;
+
+/**
+ * Phonetic key for one word: sound groups merged, repeated letters collapsed,
+ * then the consonant skeleton after the first letter (vowels, y and h
+ * dropped). "Sreenivas", "Shrinivas" and "Srinivas" → "srnvs";
+ * "Reddy"/"Reddi" → "rd"; "Accenture"/"Accentur" → "akntr".
+ */
+export const phoneticKey = (word) => {
+  const letters = asciiFold(word).replace(/[^a-z]/g, '');
+  if (!letters) return null;
+  const mapped = letters
+    .replace(SOUND_GROUP_RE, (group) => SOUND_GROUPS[group])
+    .replace(/(.)\1+/g, '$1');
+  const key = mapped[0] + mapped.slice(1).replace(/[aeiouyh]/g, '');
+  return key.length >= MIN_KEY_LENGTH ? key : null;
+};
+
+// Words worth keying: letters only, noise (honorifics, legal suffixes) dropped
+export const fuzzyWords = (value, noise = NAME_NOISE) =>
+  asciiFold(String(value || '').split(/[,;|]/)[0])
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 1 && !noise.has(word));
+
+const keysFor = (words) => [...new Set(words.map(phoneticKey).filter(Boolean))].slice(0, MAX_KEYS);
+
+export const nameFuzzyKeys = (fullName) => keysFor(fuzzyWords(fullName));
+export const companyFuzzyKeys = (company) => keysFor(fuzzyWords(company, COMPANY_SUFFIXES));
+
+/**
+ * Phonetic keys of a (plain or mongoose) candidate's name and company words.
+ */
+export const computeFuzzyKeys = (candidate = {}) => ({
+  name: nameFuzzyKeys(candidate.fullName),
+  company: companyFuzzyKeys(candidate.company),
+});
+
+/**
+ * Dotted `fuzzyKeys.*` paths for an update operator from the fields it touches.
+ */
+export const fuzzyKeyPathsForFields = (fields = {}) => {
+  const has = (name) => Object.prototype.hasOwnProperty.call(fields, name);
+  const paths = {};
+  if (has('fullName')) paths['fuzzyKeys.name'] = nameFuzzyKeys(fields.fullName);
+  if (has('company')) paths['fuzzyKeys.company'] = companyFuzzyKeys(fields.company);
+  return paths;
+};
@@ -0,0 +1,171 @@
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { computeFuzzyKeys, fuzzyWords, phoneticKey } from './fuzzyKeys.js';
+import { isAdvancedQuery } from './searchQueryParser.js';
+import { buildCandidateSearchQuery } from './candidateSearchQuery.js';
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+// Keyword searches with fewer hits than this also get phonetic matches
+export const FUZZY_MIN_HITS = Math.max(0, Number(process.env.FUZZY_SEARCH_MIN_HITS || 5));
+// Phonetic matches scored per search; common keys ("rd" = Reddy) can match many records
+const FUZZY_POOL = 500;
+// Mean per-word similarity (0–1) a phonetic match needs to be returned
+const MIN_SIMILARITY = 0.6;
+const MAX_QUERY_WORDS = 4;
+
+/**
+ * Migration: compute fuzzyKeys for existing candidates. Walks _id order in
+ * batches through the raw collection, like the other derived-field backfills.
+ */
+export const backfillFuzzyKeys = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false };
+  if (onlyMissing) filter.fuzzyKeys = { $exists: false };
+
+  let lastId = null;
+  let processed = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('fullName company')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    await Candidate.collection.bulkWrite(
+      batch.map((c) => ({
+        updateOne: { filter: { _id: c._id }, update: { $set: { fuzzyKeys: computeFuzzyKeys(c) } } },
+      })),
+      { ordered: false }
+    );
+
+    processed += batch.length;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 50) === 0) {
+      logger.info(`🔤 Fuzzy key backfill: ${processed} candidates processed`);
+    }
+  }
+
+  logger.info(`✅ Fuzzy key backfill complete: ${processed} candidates processed`);
+  return { processed };
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * Words of a plain keyword query, each with its folded form and phonetic key
+ * (null for words too short to key). Email/phone lookups, comma lists and
+ * boolean queries are not name/company lookups and return [].
+ */
+export const fuzzyQueryWords = (q) => {
+  const text = String(Array.isArray(q) ? q.join(' ') : q || '').replace(/\s+/g, ' ').trim();
+  if (!text || text.includes('@') || text.includes(',') || /^[0-9+\-\s()]+$/.test(text) || isAdvancedQuery(text)) {
+    return [];
+  }
+  return text
+    .split(' ')
+    .map((original) => {
+      const [folded] = fuzzyWords(original, new Set());
+      return folded ? { original, folded, key: phoneticKey(folded) } : null;
+    })
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_WORDS);
+};
+
+// Name and company words of a candidate, in their original spelling
+const candidateWords = (candidate) =>
+  ['fullName', 'company'].flatMap((field) =>
+    String(candidate[field] || '')
+      .split(/[,;|]/)[0]
+      .split(/[^A-Za-zÀ-ɏ]+/)
+      .filter((word) => word.length > 1)
+      .map((word) => ({ field, word, folded: fuzzyWords(word, new Set())[0] || '' }))
+  );
+
+// Best candidate word for each query word, and the mean similarity
+const scoreCandidate = (candidate, words) => {
+  const available = candidateWords(candidate);
+  const matches = words.map((queryWord) => {
+    let best = { similarity: 0, word: null, field: null };
+    for (const { field, word, folded } of available) {
+      const value = similarity(queryWord.folded, folded);
+      if (value > best.similarity) best = { similarity: value, word, field };
+    }
+    return best;
+  });
+  const score = matches.reduce((sum, match) => sum + match.similarity, 0) / matches.length;
+  return { score, matches };
+};
+
+/**
+ * Typo-tolerant name/company matches for a keyword search: candidates whose
+ * fuzzyKeys contain the phonetic key of every keyable query word, within the
+ * search's other filters, ranked by spelling similarity.
+ *
+ * Returns { candidates, didYouMean } — matched records get `fuzzyMatch`,
+ * `fuzzyScore` (0–100) and `matchedFields`; `didYouMean` is the query with
+ * each word replaced by its closest spelling in the best match, or null.
+ */
+export const findFuzzyCandidates = async (filters, user, { select, excludeIds = [], limit = 20 } = {}) => {
+  const words = fuzzyQueryWords(filters.q);
+  const keyed = words.filter((word) => word.key);
+  if (keyed.length === 0 || limit <= 0) return { candidates: [], didYouMean: null };
+
+  const { query } = await buildCandidateSearchQuery({ ...filters, q: undefined }, user);
+  const andConditions = [
+    ...(query.$and || []),
+    ...keyed.map(({ key }) => ({ $or: [{ 'fuzzyKeys.name': key }, { 'fuzzyKeys.company': key }] })),
+  ];
+  if (excludeIds.length > 0) andConditions.push({ _id: { $nin: excludeIds } });
+
+  const pool = await Candidate.find({ ...query, $and: andConditions })
+    .select(select)
+    .limit(FUZZY_POOL)
+    .lean()
+    .maxTimeMS(10000);
+
+  const ranked = pool
+    .map((candidate) => ({ candidate, ...scoreCandidate(candidate, words) }))
+    .filter(({ score }) => score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score || new Date(b.candidate.createdAt) - new Date(a.candidate.createdAt))
+    .slice(0, limit);
+
+  let didYouMean = null;
+  if (ranked.length > 0) {
+    const suggestion = words
+      .map((word, i) => {
+        const match = ranked[0].matches[i];
+        return match.word && match.similarity >= MIN_SIMILARITY ? match.word : word.original;
+      })
+      .join(' ');
+    const asTyped = words.map((word) => word.original).join(' ');
+    if (suggestion.toLowerCase() !== asTyped.toLowerCase()) didYouMean = suggestion;
+  }
+
+  const candidates = ranked.map(({ candidate, score, matches }) => {
+    candidate.fuzzyMatch = true;
+    candidate.fuzzyScore = Math.round(score * 100);
+    candidate.matchedFields = [...new Set(matches.map((match) => match.field).filter(Boolean))];
+    candidate.highlights = [];
+    return candidate;
+  });
+  return { candidates, didYouMean };
+};
@@ -0,0 +1,111 @@
+// Offline city-level geocoder backed by data/cities.json.
+// Kept free of model imports so the Candidate schema hooks can use it directly.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const GAZETTEER_PATH = path.resolve(__dirname, '..', 'data', 'cities.json');
+
+// LinkedIn-style decorations around the city name ("Greater Pune Area",
+// "San Francisco Bay Area", "Bengaluru Metropolitan Region").
+const AREA_PREFIX_RE = /^(greater|metro|metropolitan)\s+/;
+const AREA_SUFFIX_RE = /\s+(metropolitan|metro|bay)?\s*(area|region)$/;
+
+const normalizePlace = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+let gazetteer = null;
+
+// Lazily build name -> [entries] and country name -> code maps. Entries keep
+// file order, so the first entry for an ambiguous name is the default.
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+
+  const raw = JSON.parse(fs.readFileSync(GAZETTEER_PATH, 'utf8'));
+  const cities = new Map();
+  const countries = new Map();
+
+  for (const [code, names] of Object.entries(raw.countries || {})) {
+    countries.set(code.toLowerCase(), code);
+    for (const name of names) countries.set(normalizePlace(name), code);
+  }
+
+  for (const [name, country, lat, lon, aliases = []] of raw.cities || []) {
+    const entry = { name, country, coordinates: [lon, lat] };
+    for (const key of new Set([name, ...aliases].map(normalizePlace))) {
+      if (!key) continue;
+      if (!cities.has(key)) cities.set(key, []);
+      cities.get(key).push(entry);
+    }
+  }
+
+  gazetteer = { cities, countries };
+  return gazetteer;
+};
+
+/**
+ * Resolve a country name or ISO code ("India", "UK", "us") to its ISO code.
+ */
+export const resolveCountryCode = (value) => {
+  const key = normalizePlace(value);
+  if (!key) return null;
+  return loadGazetteer().countries.get(key) || null;
+};
+
+/**
+ * Look up a city by name. With a country hint only a city in that country
+ * matches; without one the most prominent city of that name wins.
+ * Returns { name, country, coordinates: [lon, lat] } or null.
+ */
+export const lookupCity = (name, countryHint = null) => {
+  let key = normalizePlace(name);
+  if (!key) return null;
+
+  const { cities } = loadGazetteer();
+  let entries = cities.get(key);
+  if (!entries) {
+    key = key.replace(AREA_PREFIX_RE, '').replace(AREA_SUFFIX_RE, '').trim();
+    entries = key ? cities.get(key) : null;
+  }
+  if (!entries) return null;
+
+  if (countryHint) return entries.find((entry) => entry.country === countryHint) || null;
+  return entries[0];
+};
+
+/**
+ * Geocode a candidate's free-text location fields to a city-level point.
+ * `locality` is tried first, then each comma-separated part of `location`.
+ * Returns { geoPoint: { type: 'Point', coordinates }, geoCity } or null.
+ */
+export const geocodeCandidate = ({ locality, location, country } = {}) => {
+  const locationParts = String(location || '')
+    .split(/[,|/]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  let countryHint = resolveCountryCode(country);
+  if (!countryHint && locationParts.length > 1) {
+    countryHint = resolveCountryCode(locationParts[locationParts.length - 1]);
+  }
+
+  const names = [...String(locality || '').split(','), ...locationParts];
+  for (const name of names) {
+    const city = lookupCity(name, countryHint);
+    if (city) {
+      return {
+        geoPoint: { type: 'Point', coordinates: city.coordinates },
+        geoCity: `${city.name}, ${city.country}`,
+      };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,53 @@
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { geocodeCandidate } from './gazetteer.js';
+
+const BACKFILL_BATCH_SIZE = 1000;
+
+/**
+ * Resolve geoPoint/geoCity for existing candidates. Walks _id order in
+ * batches and writes through the raw collection (the fields are computed
+ * here, so the update hooks are not needed).
+ *
+ * With onlyMissing, only rows never geocoded are visited; rows whose city is
+ * not in the gazetteer get geoCity: null so later runs skip them.
+ */
+export const backfillCandidateGeo = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false };
+  if (onlyMissing) filter.geoCity = { $exists: false };
+
+  let lastId = null;
+  let processed = 0;
+  let located = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('locality location country')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    await Candidate.collection.bulkWrite(
+      batch.map((c) => {
+        const geo = geocodeCandidate(c);
+        if (geo) located += 1;
+        const update = geo
+          ? { $set: geo }
+          : { $set: { geoCity: null }, $unset: { geoPoint: '' } };
+        return { updateOne: { filter: { _id: c._id }, update } };
+      }),
+      { ordered: false }
+    );
+
+    processed += batch.length;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 50) === 0) {
+      logger.info(`📍 Geo backfill: ${processed} candidates processed, ${located} located`);
+    }
+  }
+
+  logger.info(`✅ Geo backfill complete: ${processed} candidates processed, ${located} located`);
+  return { processed, located };
+};
@@ -0,0 +1,112 @@
+import Candidate from '../models/Candidate.js';
+import { normalizeParsedRequirements } from './aiSourcingService.js';
+import { experienceYearsFromText } from './candidateProfileNormalizer.js';
+import { scoreCandidates, locationMatches } from './matchScorer.js';
+
+const PRE_FETCH_LIMIT = 2000;
+const SELECT_FIELDS = 'fullName jobTitle skills experience location locality country email phone linkedinUrl company industry education summary availability candidateStatus createdAt privateDbId';
+
+// Skills beyond the first REQUIRED_SEED_SKILLS only add a preferred bonus
+const REQUIRED_SEED_SKILLS = 8;
+const PREFERRED_SEED_SKILLS = 6;
+
+export const hasRequiredLocation = (location) =>
+  Boolean(location && !/unspecified|not specified/i.test(location));
+
+/**
+ * Match parsed requirements against the internal candidate DB.
+ *
+ *   1. Broad pre-filter on the $text index over the core skills + location
+ *      (uses existing indexes — does NOT do a full collection scan)
+ *   2. Score each pre-filtered candidate with matchScorer
+ *   3. Drop candidates outside the required location
+ *
+ * `scope` is merged into the pre-filter (which DBs to search, exclusions).
+ * Returns { rawCandidates, scored } with `scored` ranked best first.
+ */
+export const matchInternalCandidates = async (
+  parsed,
+  { scope = { privateDbId: null }, minScore = 25, excludeDisqualified = true } = {}
+) => {
+  const mustHaveSkills = parsed.must_have_skills || [];
+  const requiredSkills = parsed.required_skills || [];
+  const reqLocation = String(parsed.location || '');
+  const hasLocation = hasRequiredLocation(reqLocation);
+
+  // Internal DB stores skills as a comma-separated string e.g. "React, Node.js, Python"
+  // jobTitle e.g. "Senior React Developer", locality e.g. "Hyderabad"
+  //
+  // CandidateTextIndex covers: fullName, jobTitle, skills, company, location, locality, summary
+  // We quote each term so MongoDB treats "Node.js" as a phrase, not split tokens.
+  //
+  // IMPORTANT: $text cannot be combined with .sort(createdAt) — use textScore sort instead.
+  const coreSkills = [...new Set([...mustHaveSkills, ...requiredSkills])].slice(0, 6);
+  const textTerms = [
+    ...coreSkills,
+    ...(hasLocation ? [reqLocation.split(',')[0].trim()] : []),
+  ].filter(Boolean);
+
+  let rawCandidates;
+
+  if (textTerms.length > 0) {
+    // Quoted phrases → exact token match ("Node.js" stays "Node.js", not split)
+    const textSearch = textTerms.map((t) => `"${t}"`).join(' ');
+    const preFilter = {
+      isDeleted: false,
+      ...scope,
+      $text: { $search: textSearch },
+    };
+    rawCandidates = await Candidate
+      .find(preFilter, { _textScore: { $meta: 'textScore' } })
+      .select(SELECT_FIELDS)
+      .sort({ _textScore: { $meta: 'textScore' } }) // required when using $text
+      .limit(PRE_FETCH_LIMIT)
+      .lean()
+      .maxTimeMS(30000);
+  } else {
+    // No skills/location — return most recent candidates for scoring
+    rawCandidates = await Candidate
+      .find({ isDeleted: false, ...scope })
+      .select(SELECT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(PRE_FETCH_LIMIT)
+      .lean()
+      .maxTimeMS(30000);
+  }
+
+  let scored = scoreCandidates(rawCandidates, parsed, { minScore, excludeDisqualified });
+
+  if (hasLocation) {
+    scored = scored.filter((candidate) =>
+      locationMatches(candidate.location || candidate.locality || '', reqLocation)
+    );
+  }
+
+  return { rawCandidates, scored };
+};
+
+/**
+ * Requirement object for "more like this": the seed candidate's title, its
+ * first skills as required (the rest preferred, no must-haves), an
+ * experience window of -1/+1 years around theirs (the scorer's gates add
+ * slack on both sides) and their city. A seed without skills falls back to
+ * its title as the one required term.
+ */
+export const requirementsFromCandidate = (seed) => {
+  const skills = [...new Set(
+    String(seed.skills || '').split(/[,;|·]+/).map((skill) => skill.trim()).filter(Boolean)
+  )];
+  const title = String(seed.jobTitle || '').trim();
+  const years = seed.experienceYears ?? experienceYearsFromText(seed.experience);
+  const city = String(seed.locality || seed.location || '').split(',')[0].trim();
+
+  return normalizeParsedRequirements({
+    jobTitle: title,
+    required_skills: skills.length > 0 ? skills.slice(0, REQUIRED_SEED_SKILLS) : [title].filter(Boolean),
+    preferred_skills: skills.slice(REQUIRED_SEED_SKILLS, REQUIRED_SEED_SKILLS + PREFERRED_SEED_SKILLS),
+    must_have_skills: [],
+    experience_years: years > 0 ? Math.max(0, Math.floor(years) - 1) : 0,
+    max_experience_years: years > 0 ? Math.ceil(years) + 1 : 0,
+    location: city || 'Unspecified',
+  });
+};
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import Job, { JOB_ROLES } from '../models/Job.js';
+
+// Each role can do everything the ones before it can:
+//   VIEWER    — see the job, its pipeline and recommendations
+//   RECRUITER — edit the job and work its applications
+//   OWNER     — delete the job and manage collaborators
+const ROLE_RANK = Object.fromEntries(JOB_ROLES.map((role, index) => [role, index]));
+
+const FORBIDDEN_MESSAGES = {
+  RECRUITER: "Only the job's recruiters and owners can do this",
+  OWNER: "Only the job's owners can do this",
+};
+
+const httpError = (message, status) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Mongo filter for the live jobs `user` created or collaborates on
+export const accessibleJobsFilter = (user) => ({
+  isDeleted: false,
+  $or: [{ createdBy: user._id }, { 'collaborators.user': user._id }],
+});
+
+/**
+ * The user's role on a job: OWNER for its creator, else their collaborator
+ * role, else null.
+ */
+export const jobRoleFor = (job, user) => {
+  if (String(job.createdBy?._id || job.createdBy) === String(user._id)) return 'OWNER';
+  const entry = (job.collaborators || []).find((c) => String(c.user?._id || c.user) === String(user._id));
+  return entry?.role || null;
+};
+
+export const hasJobRole = (role, minRole) => role !== null && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+/**
+ * The job (lean) if `user` holds at least `minRole` on it, with `myRole` set.
+ * Throws 404 when they cannot see it at all and 403 when their role is too low.
+ */
+export const loadAccessibleJob = async (jobId, user, minRole = 'VIEWER') => {
+  if (!mongoose.Types.ObjectId.isValid(String(jobId))) throw httpError('Job not found', 404);
+  const job = await Job.findOne({ _id: jobId, ...accessibleJobsFilter(user) }).lean();
+  if (!job) throw httpError('Job not found', 404);
+  const myRole = jobRoleFor(job, user);
+  if (!hasJobRole(myRole, minRole)) {
+    throw httpError(FORBIDDEN_MESSAGES[minRole], 403);
+  }
+  return { ...job, myRole };
+};
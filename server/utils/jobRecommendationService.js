@@ -0,0 +1,166 @@
+import Application from '../models/Application.js';
+import Candidate from '../models/Candidate.js';
+import Job from '../models/Job.js';
+import PrivateDatabase from '../models/PrivateDatabase.js';
+import aiSourcingService from './aiSourcingService.js';
+import logger from './logger.js';
+import { matchInternalCandidates } from './internalDbSearch.js';
+import { maskContacts } from './contactRevealService.js';
+import { candidateVisibilityFilter } from './candidateAccessService.js';
+
+// Edits to any of these invalidate a job's parsed requirements
+export const REQUIREMENT_FIELDS = ['title', 'location', 'skills', 'description'];
+
+const MAX_RECOMMENDATIONS = 50;
+const RECOMMENDATION_MIN_SCORE = 40;
+const MAX_JOBS_PER_TICK = 200;
+
+const RECOMMENDED_SELECT =
+  'fullName jobTitle company skills experience locality location country email phone linkedinUrl availability privateDbId';
+
+const splitSkills = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((skill) => String(skill).trim())
+    .filter(Boolean);
+
+/**
+ * Internal (snake_case) requirements for a job. The description goes through
+ * the JD parser when there is enough of it; the skills typed on the job card
+ * are always scored, even if the parser left them out.
+ */
+export const requirementsFromJob = async (job) => {
+  const skills = splitSkills(job.skills);
+  if (String(job.description || '').trim().length < 20) {
+    return aiSourcingService.normalizeParsedRequirements({
+      jobTitle: job.title,
+      location: job.location,
+      requiredSkills: skills,
+    });
+  }
+
+  const text = [
+    job.title,
+    job.location ? `Location: ${job.location}` : '',
+    skills.length > 0 ? `Skills: ${skills.join(', ')}` : '',
+    job.description,
+  ]
+    .filter(Boolean)
+    .join('\n');
+  const parsed = await aiSourcingService.parseJobDescription(text);
+  return aiSourcingService.normalizeParsedRequirements({
+    ...parsed,
+    location: job.location || parsed.location,
+    required_skills: [...skills, ...parsed.required_skills],
+  });
+};
+
+// Global DB plus the job owner's private DBs
+const ownerScope = async (job) => {
+  const ownDbs = await PrivateDatabase.find({ owner: job.createdBy, isDeleted: { $ne: true } }).select('_id').lean();
+  return { privateDbId: { $in: [null, ...ownDbs.map((db) => db._id)] } };
+};
+
+/**
+ * Parse the job's requirements if an edit cleared them, then rerun the
+ * internal DB match pipeline and store the top matches. Candidates already on
+ * the job are left out. Background work, so no search credits are charged.
+ */
+export const refreshJobRecommendations = async (jobId) => {
+  const job = await Job.findOne({ _id: jobId, isDeleted: false });
+  if (!job) return null;
+
+  try {
+    if (!job.parsedRequirements) {
+      job.parsedRequirements = await requirementsFromJob(job);
+      job.requirementsParsedAt = new Date();
+    }
+
+    const parsed = aiSourcingService.normalizeParsedRequirements(job.parsedRequirements);
+    const onJob = await Application.distinct('candidateId', { jobId: job._id });
+    const { scored } = await matchInternalCandidates(parsed, {
+      scope: { ...(await ownerScope(job)), _id: { $nin: onJob } },
+      minScore: RECOMMENDATION_MIN_SCORE,
+      excludeDisqualified: true,
+    });
+
+    job.recommendations = scored.slice(0, MAX_RECOMMENDATIONS).map((c) => ({
+      candidateId: c._id,
+      matchScore: c.matchScore,
+      matchCategory: c.matchCategory,
+      matchedSkills: c.matchedSkills,
+      missingSkills: c.missingSkills,
+      locationMatch: c.locationMatch,
+      experienceMatch: c.experienceMatch,
+    }));
+    job.recommendationStatus = 'READY';
+    job.recommendationError = null;
+  } catch (error) {
+    logger.error(`[JobRecommendations] Refresh failed for job ${job._id}: ${error.message}`);
+    job.recommendationStatus = 'FAILED';
+    job.recommendationError = String(error.message || error).substring(0, 500);
+  }
+
+  // Set even on failure so a broken job waits for the next import instead of
+  // being retried every tick
+  job.recommendationsRefreshedAt = new Date();
+  await job.save();
+  return job;
+};
+
+/**
+ * Scheduler tick: refresh open jobs whose matches are missing, or older than
+ * the newest candidate they could see.
+ */
+export const processJobRecommendations = async () => {
+  const jobs = await Job.find({ status: 'OPEN', isDeleted: false })
+    .select('createdBy recommendationsRefreshedAt')
+    .sort({ recommendationsRefreshedAt: 1 })
+    .limit(MAX_JOBS_PER_TICK)
+    .lean();
+  if (jobs.length === 0) return { refreshed: 0 };
+
+  // Nothing imported since the stalest job was refreshed: nothing to do
+  const stalest = jobs[0].recommendationsRefreshedAt;
+  if (stalest && !(await Candidate.exists({ isDeleted: false, createdAt: { $gt: stalest } }))) {
+    return { refreshed: 0 };
+  }
+
+  let refreshed = 0;
+  for (const job of jobs) {
+    const since = job.recommendationsRefreshedAt;
+    if (since) {
+      const hasNew = await Candidate.exists({ isDeleted: false, createdAt: { $gt: since }, ...(await ownerScope(job)) });
+      if (!hasNew) continue;
+    }
+    await refreshJobRecommendations(job._id);
+    refreshed += 1;
+  }
+
+  logger.info(`[JobRecommendations] Refreshed ${refreshed} job(s)`);
+  return { refreshed };
+};
+
+/**
+ * Stored recommendations for one job, joined with the current candidate
+ * records. Matches come from the owner's private DBs too, so `user` only gets
+ * the ones they can see (global DB plus their own private DBs). Candidates
+ * deleted or added to the job since the last refresh are dropped; contacts
+ * are masked for `user`.
+ */
+export const listJobRecommendations = async (job, user) => {
+  const ids = (job.recommendations || []).map((r) => r.candidateId);
+  const [candidates, onJob] = await Promise.all([
+    Candidate.find({ _id: { $in: ids }, isDeleted: false, ...(await candidateVisibilityFilter(user)) })
+      .select(RECOMMENDED_SELECT)
+      .lean(),
+    Application.distinct('candidateId', { jobId: job._id, candidateId: { $in: ids } }),
+  ]);
+  const byId = new Map(candidates.map((c) => [String(c._id), c]));
+  const onJobSet = new Set(onJob.map(String));
+
+  const rows = (job.recommendations || [])
+    .filter((r) => byId.has(String(r.candidateId)) && !onJobSet.has(String(r.candidateId)))
+    .map(({ candidateId, ...match }) => ({ ...byId.get(String(candidateId)), ...match }));
+  await maskContacts(rows, user);
+  return rows;
+};
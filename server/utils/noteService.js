@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import CandidateNote, { MAX_NOTE_LENGTH } from '../models/CandidateNote.js';
+import Candidate from '../models/Candidate.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { sendNoteMentionEmail } from './emailService.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+
+const MAX_EDITS_KEPT = 20;
+const MENTION_RE = /@\[([^\]\n]{1,80})\]\(([a-f0-9]{24})\)/gi;
+
+export const canEditNote = (note, user) => String(note.authorId) === String(user?._id);
+export const canDeleteNote = (note, user) => canEditNote(note, user) || isAdmin(user);
+
+// "Hi @[Jane Doe](64f...)" -> "Hi @Jane Doe"
+export const renderMentions = (body) => String(body || '').replace(MENTION_RE, (_, name) => `@${name}`);
+
+export const validateNoteBody = (body) => {
+  const text = String(body ?? '').trim();
+  if (!text) return 'Note text is required';
+  if (text.length > MAX_NOTE_LENGTH) return `Notes can be up to ${MAX_NOTE_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * Ids of active users mentioned in a note body. Unknown ids and pending or
+ * locked accounts are dropped, so a mention can't be used to email anyone.
+ */
+const resolveMentions = async (body) => {
+  const ids = [...new Set([...String(body || '').matchAll(MENTION_RE)].map((m) => m[2]))];
+  if (ids.length === 0) return [];
+  const users = await User.find({ _id: { $in: ids }, status: 'active', isLocked: { $ne: true } }).select('_id').lean();
+  return users.map((u) => u._id);
+};
+
+// Email newly mentioned users. Fire-and-forget: mail problems never fail the note.
+const notifyMentions = async ({ note, userIds, author, candidateId }) => {
+  const recipients = userIds.filter((id) => String(id) !== String(author?._id));
+  if (recipients.length === 0) return;
+  try {
+    const [users, candidate] = await Promise.all([
+      User.find({ _id: { $in: recipients } }).select('name email').lean(),
+      Candidate.findById(candidateId).select('fullName').lean(),
+    ]);
+    const excerpt = renderMentions(note.body).slice(0, 300);
+    await Promise.allSettled(
+      users.map((u) =>
+        sendNoteMentionEmail(u.email, u.name, {
+          authorName: author?.name || author?.email || 'A teammate',
+          candidateName: candidate?.fullName || 'a candidate',
+          excerpt,
+        })
+      )
+    );
+  } catch (error) {
+    logger.warn(`Failed to send note mention emails: ${error.message}`);
+  }
+};
+
+/**
+ * Rebuild Candidate.recruiterNotes from the thread (pinned first, then
+ * newest) so exports, dedupe and search keep a plain-text view of the notes.
+ */
+export const syncRecruiterNotes = async (candidateId) => {
+  const notes = await CandidateNote.find({ candidateId, isDeleted: false })
+    .sort({ pinned: -1, createdAt: -1 })
+    .select('authorName body createdAt')
+    .lean();
+  const digest = notes
+    .map((n) => {
+      const date = new Date(n.createdAt).toISOString().slice(0, 10);
+      const author = n.authorName ? `${n.authorName}, ` : '';
+      return `[${author}${date}] ${renderMentions(n.body)}`;
+    })
+    .join('\n\n');
+  await Candidate.updateOne({ _id: candidateId }, { $set: { recruiterNotes: digest } });
+  return digest;
+};
+
+/**
+ * Turn a candidate's old free-text recruiterNotes into the first note of its
+ * thread. Runs lazily before a thread is read or written, only while the
+ * candidate has no notes yet. An upsert on { candidateId, legacy } (backed by
+ * a unique partial index) keeps concurrent first reads to a single note.
+ */
+export const importLegacyNote = async (candidateId) => {
+  const hasNotes = await CandidateNote.exists({ candidateId });
+  if (hasNotes) return null;
+  const candidate = await Candidate.findById(candidateId).select('recruiterNotes updatedAt').lean();
+  const text = String(candidate?.recruiterNotes || '').trim();
+  if (!text) return null;
+
+  const importedAt = candidate.updatedAt || new Date();
+  try {
+    return await CandidateNote.findOneAndUpdate(
+      { candidateId, legacy: true },
+      {
+        $setOnInsert: {
+          candidateId,
+          authorName: 'Earlier notes',
+          body: text.slice(0, MAX_NOTE_LENGTH),
+          legacy: true,
+          createdAt: importedAt,
+          updatedAt: importedAt,
+        },
+      },
+      // Timestamps off so the note keeps the date of the text it came from
+      { upsert: true, new: true, timestamps: false }
+    );
+  } catch (error) {
+    // Lost the race to a concurrent import: the note is there either way
+    if (error?.code === 11000) return null;
+    throw error;
+  }
+};
+
+export const listCandidateNotes = async (candidateId) => {
+  await importLegacyNote(candidateId);
+  return CandidateNote.find({ candidateId, isDeleted: false }).sort({ pinned: -1, createdAt: -1 }).lean();
+};
+
+export const findCandidateNote = async (candidateId, noteId) => {
+  if (!mongoose.Types.ObjectId.isValid(noteId)) return null;
+  return CandidateNote.findOne({ _id: noteId, candidateId, isDeleted: false });
+};
+
+export const addCandidateNote = async ({ candidateId, author, body, pinned = false }) => {
+  await importLegacyNote(candidateId);
+  const text = String(body).trim();
+  const mentions = await resolveMentions(text);
+  const note = await CandidateNote.create({
+    candidateId,
+    authorId: author?._id || null,
+    authorName: author?.name || author?.email || '',
+    body: text,
+    mentions,
+    pinned: Boolean(pinned),
+    pinnedAt: pinned ? new Date() : null,
+  });
+  await syncRecruiterNotes(candidateId);
+  notifyMentions({ note, userIds: mentions, author, candidateId });
+  return note;
+};
+
+/**
+ * Apply { body, pinned } to a note. A body change keeps the previous text in
+ * `edits`; only users mentioned for the first time are notified.
+ */
+export const updateCandidateNote = async (note, { body, pinned }, author) => {
+  let newMentions = [];
+  if (body !== undefined) {
+    const text = String(body).trim();
+    if (text !== note.body) {
+      const mentions = await resolveMentions(text);
+      const before = new Set(note.mentions.map(String));
+      newMentions = mentions.filter((id) => !before.has(String(id)));
+      note.edits.push({ body: note.body, editedAt: new Date() });
+      if (note.edits.length > MAX_EDITS_KEPT) note.edits.splice(0, note.edits.length - MAX_EDITS_KEPT);
+      note.body = text;
+      note.mentions = mentions;
+      note.editedAt = new Date();
+    }
+  }
+  if (pinned !== undefined && Boolean(pinned) !== note.pinned) {
+    note.pinned = Boolean(pinned);
+    note.pinnedAt = note.pinned ? new Date() : null;
+  }
+  await note.save();
+  await syncRecruiterNotes(note.candidateId);
+  notifyMentions({ note, userIds: newMentions, author, candidateId: note.candidateId });
+  return note;
+};
+
+export const deleteCandidateNote = async (note) => {
+  note.isDeleted = true;
+  note.deletedAt = new Date();
+  await note.save();
+  await syncRecruiterNotes(note.candidateId);
+  return note;
+};
+
+/**
+ * Users that can be @mentioned, matched on name or email prefix.
+ */
+export const searchMentionableUsers = async (q, limit = 8) => {
+  const filter = { status: 'active', isLocked: { $ne: true } };
+  const term = String(q || '').trim().slice(0, 60);
+  if (term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.$or = [{ name: { $regex: escaped, $options: 'i' } }, { email: { $regex: `^${escaped}`, $options: 'i' } }];
+  }
+  return User.find(filter).select('name email').sort({ name: 1 }).limit(limit).lean();
+};
@@ -11,6 +11,17 @@ import logger from "./logger.js";
 import { downloadFromS3, fileExistsInS3, listS3FilesByPage } from "./s3Service.js";
 import { cleanAndValidateCandidate } from "./dataCleaner.js";
 import { detectDelimiter, parseCsvLineWithDelimiter } from "./delimiterDetector.js";
+import { backfillDedupeKeys } from "./dedupeService.js";
+import { backfillCandidateGeo } from "./geoService.js";
+import { backfillExperienceYears } from "./experienceService.js";
+import { backfillCandidateTags } from "./tagService.js";
+import { backfillCandidateEmbeddings } from "./embeddingService.js";
+import { backfillFuzzyKeys } from "./fuzzySearchService.js";
+import { runExportJob, cleanUpExportJobs } from "./exportService.js";
+import { runDataSubjectRequest } from "./dsrService.js";
+import { processRetentionRules, runRetentionRuleById } from "./retentionService.js";
+import { processDueSavedSearches } from "./savedSearchService.js";
+import { processJobRecommendations, refreshJobRecommendations } from "./jobRecommendationService.js";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
@@ -1127,6 +1138,102 @@ export const processResumeJob = async ({ jobId, s3Key, skipIfExists = false, ski
 	}
 };
 
+// ---------------------------------------------------
+// Attachment re-parse
+// Runs one of a candidate's stored resume versions through the same RChilli
+// path as imports and applies the result to the profile. Fields the new
+// parse leaves empty keep their current values. The version becomes the
+// primary resume.
+// ---------------------------------------------------
+export const reparseCandidateAttachment = async ({ candidateId, attachmentId }) => {
+	const candidate = await Candidate.findOne({ _id: candidateId, isDeleted: false }).lean();
+	const attachment = (candidate?.attachments || []).find((a) => String(a._id) === String(attachmentId));
+	if (!attachment) {
+		logger.warn(`Re-parse skipped: attachment ${attachmentId} not found on candidate ${candidateId}`);
+		return;
+	}
+
+	const { s3Key } = attachment;
+	const fileExt = path.extname(attachment.fileName || s3Key).slice(1).toLowerCase();
+	let buffer = null;
+	try {
+		logger.info(`📄 Re-parsing ${s3Key} for candidate ${candidateId}`);
+		buffer = await streamToBuffer(await downloadFromS3(s3Key));
+
+		let extractedText = "";
+		try {
+			extractedText = await extractTextFromFile(buffer, fileExt);
+		} catch (extractErr) {
+			logger.warn(`Fallback text extraction failed for ${s3Key}: ${extractErr.message}`);
+		}
+		const fallbackData = extractFallbackFields(extractedText, s3Key);
+
+		const rchilliResult = await parseResumeWithRChilli(buffer, s3Key, fileExt, fallbackData);
+		if (!rchilliResult?.parsedData) {
+			throw new Error("RCHILLI_PARSE_FAILED: RChilli did not return parsed data.");
+		}
+
+		const merged = mergeResumeData({
+			parsedData: rchilliResult.parsedData,
+			fallbackData,
+			s3Key,
+			jobId: candidate.uploadJobId,
+			parseStatus: "PARSED",
+			parseWarnings: rchilliResult.parseWarnings || [],
+			rawParsedResume: rchilliResult.rawPayload || null,
+		});
+		const validation = cleanAndValidateCandidate(merged, {
+			requireName: false,
+			requireContact: false,
+			fallbackName: candidate.fullName || fileNameToCandidateName(s3Key),
+		});
+		if (!validation.valid) {
+			throw new Error(`VALIDATION_FAILED: ${validation.reason || "unknown validation error"}`);
+		}
+
+		// The import provenance stays as it was
+		const profile = { ...validation.data };
+		for (const field of ["sourceFile", "uploadJobId", "isDeleted"]) delete profile[field];
+		for (const [field, value] of Object.entries(profile)) {
+			if (value === "" || value === null || value === undefined) delete profile[field];
+		}
+
+		await Candidate.updateOne(
+			{ _id: candidateId },
+			{
+				$set: {
+					...profile,
+					"attachments.$[other].isPrimary": false,
+					"attachments.$[target].isPrimary": true,
+					"attachments.$[target].parseStatus": "PARSED",
+					"attachments.$[target].parsedAt": new Date(),
+					"attachments.$[target].parseError": null,
+				},
+			},
+			{
+				arrayFilters: [
+					{ "other.kind": attachment.kind, "other._id": { $ne: attachment._id } },
+					{ "target._id": attachment._id },
+				],
+			},
+		);
+		logger.info(`✅ Re-parsed ${s3Key} into candidate ${candidateId}`);
+	} catch (error) {
+		logger.error(`Re-parse failed for ${s3Key} (candidate ${candidateId}): ${error.message}`);
+		await Candidate.updateOne(
+			{ _id: candidateId, "attachments._id": attachment._id },
+			{
+				$set: {
+					"attachments.$.parseStatus": "FAILED",
+					"attachments.$.parseError": String(error.message || error).slice(0, 500),
+				},
+			},
+		);
+	} finally {
+		buffer = null;
+	}
+};
+
 // ---------------------------------------------------
 // Folder Resume Processing (AI Powered)
 // Scans S3 folder for resume files and processes them
@@ -2000,6 +2107,36 @@ if (connection) {
 				if (job.name === "delete-file") {
 					const { jobId } = job.data;
 					await processDeleteJob({ jobId });
+				} else if (job.name === "saved-search-alerts") {
+					await processDueSavedSearches();
+				} else if (job.name === "dedupe-backfill") {
+					await backfillDedupeKeys(job.data);
+				} else if (job.name === "geo-backfill") {
+					await backfillCandidateGeo(job.data);
+				} else if (job.name === "experience-backfill") {
+					await backfillExperienceYears(job.data);
+				} else if (job.name === "tags-backfill") {
+					await backfillCandidateTags(job.data);
+				} else if (job.name === "embedding-backfill") {
+					await backfillCandidateEmbeddings(job.data);
+				} else if (job.name === "fuzzy-backfill") {
+					await backfillFuzzyKeys(job.data);
+				} else if (job.name === "attachment-reparse") {
+					await reparseCandidateAttachment(job.data);
+				} else if (job.name === "candidate-export") {
+					await runExportJob(job.data.exportJobId);
+				} else if (job.name === "export-cleanup") {
+					await cleanUpExportJobs();
+				} else if (job.name === "data-subject-request") {
+					await runDataSubjectRequest(job.data.requestId);
+				} else if (job.name === "retention-sweep") {
+					await processRetentionRules();
+				} else if (job.name === "retention-run") {
+					await runRetentionRuleById(job.data);
+				} else if (job.name === "job-recommendations") {
+					await refreshJobRecommendations(job.data.jobId);
+				} else if (job.name === "job-recommendations-sweep") {
+					await processJobRecommendations();
 				} else if (job.name === "resume-import") {
 					// Process a single resume file
 					await processResumeJob(job.data);
@@ -2038,6 +2175,47 @@ if (connection) {
 	logger.warn("⚠️ Redis connection missing. CSV worker not started.");
 }
 
+// ---------------------------------------------------
+// Repeating jobs (saved-search alerts, retention sweep, job recommendations, export cleanup)
+// ---------------------------------------------------
+// Uses a BullMQ job scheduler when Redis is available so only one instance
+// fires per tick (the worker above runs the job by name); otherwise falls back
+// to an in-process timer calling the same handler.
+const REPEATING_JOB_HANDLERS = {
+	"saved-search-alerts": processDueSavedSearches,
+	"retention-sweep": processRetentionRules,
+	"job-recommendations-sweep": processJobRecommendations,
+	"export-cleanup": cleanUpExportJobs,
+};
+const repeatingJobTimers = new Map();
+
+export const scheduleRepeatingJob = async (name, pattern, data = {}) => {
+	const handler = REPEATING_JOB_HANDLERS[name];
+	if (!handler) throw new Error(`Unknown repeating job "${name}"`);
+
+	if (importQueue && worker) {
+		try {
+			await importQueue.upsertJobScheduler(name, pattern, {
+				name,
+				data,
+				opts: { removeOnComplete: 50, removeOnFail: 50 },
+			});
+			logger.info(`⏰ ${name} scheduled on Redis queue`);
+			return;
+		} catch (error) {
+			logger.error(`❌ Failed to register ${name} scheduler, using in-process timer:`, error);
+		}
+	}
+
+	if (repeatingJobTimers.has(name)) return;
+	const timer = setInterval(() => {
+		handler(data).catch((err) => logger.error(`${name} tick failed:`, err?.message || err));
+	}, pattern.every);
+	timer.unref?.();
+	repeatingJobTimers.set(name, timer);
+	logger.info(`⏰ ${name} scheduled with in-process timer`);
+};
+
 // Best-effort cancellation of queued resume-import tasks for a specific UploadJob.
 // Active jobs cannot always be removed immediately, but pending/delayed jobs are removed.
 export const cancelQueuedResumeImports = async (uploadJobId) => {
@@ -0,0 +1,227 @@
+import Candidate from '../models/Candidate.js';
+import RetentionRule from '../models/RetentionRule.js';
+import RetentionRun from '../models/RetentionRun.js';
+import Shortlist from '../models/Shortlist.js';
+import Application from '../models/Application.js';
+import logger from './logger.js';
+import { eraseCandidateRecords } from './dsrService.js';
+
+export const RETENTION_SOURCES = ['UPLOAD', 'AI_SOURCING', 'MANUAL', 'API'];
+export const RETENTION_ACTIONS = ['ANONYMIZE', 'DELETE'];
+export const RETENTION_BASES = ['UPDATED_AT', 'CREATED_AT'];
+
+// Fields that decide which records a rule matches; changing any of them
+// requires a fresh dry run before the rule is enforced again.
+export const RULE_CRITERIA_FIELDS = ['source', 'basis', 'olderThanMonths', 'neverShortlisted', 'includePrivateDatabases', 'action'];
+
+const RETENTION_MAX_PER_RUN = Number(process.env.RETENTION_MAX_PER_RUN) || 10000;
+const BATCH_SIZE = 500;
+const SAMPLE_SIZE = 25;
+// A RUNNING run older than this is assumed to have died with its process
+const STALE_RUN_MS = 6 * 60 * 60 * 1000;
+// Stages that mean someone already shortlisted or worked the candidate
+const SHORTLISTED_STAGES = ['SHORTLISTED', 'CONTACTED', 'RESPONDED', 'INTERVIEWING'];
+
+const pickCriteria = (rule) => Object.fromEntries(RULE_CRITERIA_FIELDS.map((field) => [field, rule[field]]));
+
+export const hasCurrentDryRun = (rule) =>
+  Boolean(rule.lastDryRunAt) && new Date(rule.lastDryRunAt) >= new Date(rule.ruleChangedAt || 0);
+
+export const retentionCutoff = (rule, now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - rule.olderThanMonths);
+  return cutoff;
+};
+
+const dateFieldFor = (rule) => (rule.basis === 'CREATED_AT' ? 'createdAt' : 'updatedAt');
+
+/**
+ * Candidate query for a rule. Soft-deleted records are included (they still
+ * hold personal data); records already anonymized are not.
+ */
+export const buildRetentionQuery = (rule, cutoff) => {
+  const query = {
+    source: rule.source || { $in: RETENTION_SOURCES },
+    [dateFieldFor(rule)]: { $lt: cutoff },
+    erasedAt: null,
+  };
+  if (!rule.includePrivateDatabases) query.privateDbId = null;
+  if (rule.neverShortlisted) {
+    query.shortlistedAt = null;
+    query.pipelineStage = { $nin: SHORTLISTED_STAGES };
+  }
+  return query;
+};
+
+/**
+ * Aggregation stages that keep only the rule's matches. With neverShortlisted,
+ * being on a live shortlist or on any job's pipeline also counts as
+ * shortlisted: an anti-join per candidate, so no id list is built up front.
+ * `after` resumes an _id-ordered walk.
+ */
+const retentionPipeline = (rule, cutoff, { after = null } = {}) => {
+  const match = buildRetentionQuery(rule, cutoff);
+  if (after) match._id = { $gt: after };
+  const stages = [{ $match: match }];
+  if (!rule.neverShortlisted) return stages;
+
+  const firstMatch = (extra = []) => [...extra, { $limit: 1 }, { $project: { _id: 1 } }];
+  stages.push(
+    {
+      $lookup: {
+        from: Shortlist.collection.name,
+        localField: '_id',
+        foreignField: 'candidateIds',
+        pipeline: firstMatch([{ $match: { isDeleted: false } }]),
+        as: 'onShortlists',
+      },
+    },
+    { $match: { 'onShortlists.0': { $exists: false } } },
+    {
+      $lookup: {
+        from: Application.collection.name,
+        localField: '_id',
+        foreignField: 'candidateId',
+        pipeline: firstMatch(),
+        as: 'onJobs',
+      },
+    },
+    { $match: { 'onJobs.0': { $exists: false } } },
+    { $project: { onShortlists: 0, onJobs: 0 } }
+  );
+  return stages;
+};
+
+/**
+ * Evaluate one rule. A dry run counts the matches and keeps a sample for the
+ * report; an enforcement run anonymizes or deletes them (with their S3
+ * files) in batches, up to RETENTION_MAX_PER_RUN records.
+ */
+export const runRetentionRule = async (rule, { dryRun = false, trigger = 'MANUAL', user = null } = {}) => {
+  const startedAt = Date.now();
+  const cutoff = retentionCutoff(rule);
+  const run = await RetentionRun.create({
+    ruleId: rule._id,
+    ruleName: rule.name,
+    criteria: pickCriteria(rule),
+    action: rule.action,
+    dryRun,
+    trigger,
+    triggeredBy: user?._id || null,
+    cutoff,
+  });
+
+  try {
+    const pipeline = retentionPipeline(rule, cutoff);
+    const [counted] = await Candidate.aggregate([...pipeline, { $count: 'n' }]).allowDiskUse(true);
+    const update = { matched: counted?.n || 0 };
+
+    if (dryRun) {
+      const sample = await Candidate.aggregate([
+        ...pipeline,
+        { $sort: { [dateFieldFor(rule)]: 1 } },
+        { $limit: SAMPLE_SIZE },
+        { $project: { fullName: 1, source: 1, pipelineStage: 1, createdAt: 1, updatedAt: 1 } },
+      ]).allowDiskUse(true);
+      update.sample = sample.map((c) => ({
+        candidateId: c._id,
+        fullName: c.fullName,
+        source: c.source,
+        pipelineStage: c.pipelineStage,
+        createdAt: c.createdAt,
+        updatedAt: c.updatedAt,
+      }));
+    } else {
+      const candidateIds = [];
+      let filesDeleted = 0;
+      let lastId = null;
+      // Walk in _id order: kept (shortlisted) records stay in the base query
+      while (candidateIds.length < RETENTION_MAX_PER_RUN) {
+        const [match, ...antiJoin] = retentionPipeline(rule, cutoff, { after: lastId });
+        const batch = await Candidate.aggregate([
+          match,
+          { $sort: { _id: 1 } },
+          ...antiJoin,
+          { $limit: Math.min(BATCH_SIZE, RETENTION_MAX_PER_RUN - candidateIds.length) },
+          { $project: { sourceFile: 1, attachments: 1 } },
+        ]);
+        if (batch.length === 0) break;
+
+        const result = await eraseCandidateRecords(batch, rule.action);
+        filesDeleted += result.filesDeleted;
+        candidateIds.push(...batch.map((c) => c._id));
+        lastId = batch[batch.length - 1]._id;
+      }
+      update.processed = candidateIds.length;
+      update.filesDeleted = filesDeleted;
+      update.candidateIds = candidateIds;
+      update.capped =
+        candidateIds.length >= RETENTION_MAX_PER_RUN &&
+        (await Candidate.aggregate([...retentionPipeline(rule, cutoff, { after: lastId }), { $limit: 1 }])).length > 0;
+    }
+
+    Object.assign(update, { status: 'COMPLETED', durationMs: Date.now() - startedAt, completedAt: new Date() });
+    await RetentionRun.updateOne({ _id: run._id }, { $set: update });
+    await RetentionRule.updateOne(
+      { _id: rule._id },
+      { $set: dryRun ? { lastDryRunAt: run.createdAt, lastDryRunId: run._id } : { lastRunAt: run.createdAt, lastRunId: run._id } }
+    );
+
+    if (!dryRun) {
+      logger.info(`🧹 Retention rule "${rule.name}": ${update.processed} candidates ${rule.action === 'DELETE' ? 'deleted' : 'anonymized'}`);
+    }
+    return { ...run.toObject(), ...update };
+  } catch (error) {
+    logger.error(`❌ Retention rule "${rule.name}" failed: ${error.message}`);
+    const failed = {
+      status: 'FAILED',
+      error: String(error.message || error).substring(0, 500),
+      durationMs: Date.now() - startedAt,
+      completedAt: new Date(),
+    };
+    await RetentionRun.updateOne({ _id: run._id }, { $set: failed });
+    return { ...run.toObject(), ...failed };
+  }
+};
+
+export const isRuleRunning = (ruleId) =>
+  RetentionRun.exists({
+    ruleId,
+    dryRun: false,
+    status: 'RUNNING',
+    createdAt: { $gt: new Date(Date.now() - STALE_RUN_MS) },
+  });
+
+/**
+ * Worker entry point for an admin-started enforcement run.
+ */
+export const runRetentionRuleById = async ({ ruleId, userId = null }) => {
+  const rule = await RetentionRule.findOne({ _id: ruleId, isDeleted: false }).lean();
+  if (!rule) return null;
+  return runRetentionRule(rule, { dryRun: false, trigger: 'MANUAL', user: userId ? { _id: userId } : null });
+};
+
+/**
+ * Scheduler tick: enforce every enabled rule. Rules edited since their last
+ * dry run are skipped until an admin reviews a new report.
+ */
+export const processRetentionRules = async () => {
+  const rules = await RetentionRule.find({ enabled: true, isDeleted: false }).lean();
+  let enforced = 0;
+  let processed = 0;
+
+  for (const rule of rules) {
+    if (!hasCurrentDryRun(rule)) {
+      logger.warn(`Retention rule "${rule.name}" changed since its last dry run; skipping`);
+      continue;
+    }
+    if (await isRuleRunning(rule._id)) continue;
+
+    const run = await runRetentionRule(rule, { dryRun: false, trigger: 'SCHEDULED' });
+    if (run.status === 'COMPLETED') {
+      enforced += 1;
+      processed += run.processed || 0;
+    }
+  }
+  return { rules: rules.length, enforced, processed };
+};
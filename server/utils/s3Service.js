@@ -261,13 +261,18 @@ export const deleteFromS3 = async (key) => {
  * Get presigned URL for file access
  * @param {string} key - S3 object key
  * @param {number} expiresIn - URL expiration time in seconds (default: 3600)
+ * @param {object} options - Optional parameters
+ * @param {string} options.downloadName - File name to suggest to the browser
  * @returns {Promise<string>} - Presigned URL
  */
-export const getPresignedUrl = async (key, expiresIn = 3600) => {
+export const getPresignedUrl = async (key, expiresIn = 3600, options = {}) => {
   try {
     const command = new GetObjectCommand({
       Bucket: BUCKET_NAME,
       Key: key,
+      ...(options.downloadName
+        ? { ResponseContentDisposition: `attachment; filename="${options.downloadName.replace(/"/g, '')}"` }
+        : {}),
     });
 
     const url = await getSignedUrl(s3Client, command, { expiresIn });
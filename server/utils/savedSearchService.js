@@ -0,0 +1,181 @@
+import Candidate from '../models/Candidate.js';
+import SavedSearch from '../models/SavedSearch.js';
+import SavedSearchRun from '../models/SavedSearchRun.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+import { sendSavedSearchDigestEmail } from './emailService.js';
+import { buildCandidateSearchQuery, withoutTextSearch } from './candidateSearchQuery.js';
+
+const FREQUENCY_MS = {
+  DAILY: 24 * 60 * 60 * 1000,
+  WEEKLY: 7 * 24 * 60 * 60 * 1000,
+};
+
+const DIGEST_SAMPLE_SIZE = 10;
+const MAX_DUE_PER_TICK = 500;
+const SAMPLE_SELECT = 'fullName jobTitle company locality location createdAt';
+
+/**
+ * Convert stored saved-search filters into /candidates/search query params.
+ */
+export const toSearchParams = (filters = {}) => {
+  const params = {};
+  for (const key of ['q', 'locality', 'location', 'jobTitle', 'skills', 'near', 'tags']) {
+    if (filters[key]) params[key] = filters[key];
+  }
+  if (filters.near && filters.radiusKm) params.radiusKm = String(filters.radiusKm);
+  if (filters.experience) params.minExp = filters.experience;
+  for (const key of ['hasEmail', 'hasPhone', 'hasLinkedin', 'includePrivate', 'privateDbOnly']) {
+    if (filters[key]) params[key] = 'true';
+  }
+  if (filters.privateDbId) params.privateDbId = String(filters.privateDbId);
+  return params;
+};
+
+const findNewCandidates = async (searchQuery, since, until) => {
+  const runQuery = async (query) => {
+    const windowed = { ...query, createdAt: { $gt: since, $lte: until } };
+    const [newCount, sample] = await Promise.all([
+      Candidate.countDocuments(windowed).maxTimeMS(30000),
+      Candidate.find(windowed)
+        .select(SAMPLE_SELECT)
+        .sort({ createdAt: -1 })
+        .limit(DIGEST_SAMPLE_SIZE)
+        .lean()
+        .maxTimeMS(30000),
+    ]);
+    return { newCount, sample };
+  };
+
+  try {
+    return await runQuery(searchQuery.query);
+  } catch (error) {
+    const textIndexMissing =
+      searchQuery.useTextSearch &&
+      /text index|required for \$text|index not found for text query/i.test(String(error?.message || ''));
+    if (!textIndexMissing) throw error;
+    return runQuery(withoutTextSearch(searchQuery));
+  }
+};
+
+/**
+ * Rerun one saved search over candidates created since its last run and
+ * record the run. Only scheduled runs move the alert window (lastRunAt /
+ * nextRunAt); a manual run just peeks at what the next alert would cover.
+ * Returns { run, candidates }.
+ */
+export const runSavedSearch = async (savedSearch, { trigger = 'SCHEDULED', user = null } = {}) => {
+  const startedAt = Date.now();
+  const until = new Date();
+  const interval = FREQUENCY_MS[savedSearch.frequency] || FREQUENCY_MS.DAILY;
+  const since = savedSearch.lastRunAt || new Date(until.getTime() - interval);
+
+  let run;
+  let sample = [];
+  try {
+    const owner = user || (await User.findById(savedSearch.userId).select('role').lean());
+    const searchQuery = await buildCandidateSearchQuery(toSearchParams(savedSearch.filters), owner);
+    const result = await findNewCandidates(searchQuery, since, until);
+    sample = result.sample;
+
+    run = await SavedSearchRun.create({
+      savedSearchId: savedSearch._id,
+      userId: savedSearch.userId,
+      trigger,
+      since,
+      until,
+      newCount: result.newCount,
+      sampleCandidateIds: sample.map((c) => c._id),
+      durationMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    logger.error(`[SavedSearch] Run failed for ${savedSearch._id}: ${error.message}`);
+    run = await SavedSearchRun.create({
+      savedSearchId: savedSearch._id,
+      userId: savedSearch.userId,
+      trigger,
+      status: 'FAILED',
+      since,
+      until,
+      error: String(error.message || error).substring(0, 500),
+      durationMs: Date.now() - startedAt,
+    });
+  }
+
+  // A failed run does not advance lastRunAt, so the next run covers the gap.
+  const update = { lastRunId: run._id };
+  if (trigger !== 'MANUAL') {
+    update.nextRunAt = new Date(until.getTime() + interval);
+    if (run.status === 'SUCCESS') {
+      update.lastRunAt = until;
+      update.lastNewCount = run.newCount;
+    }
+  }
+  await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: update });
+
+  return { run, candidates: sample };
+};
+
+/**
+ * Scheduler tick: run every due saved search with alerts enabled and send
+ * each owner a single digest covering all of their searches with new matches.
+ */
+export const processDueSavedSearches = async () => {
+  const now = new Date();
+  const due = await SavedSearch.find({ alertsEnabled: true, isDeleted: false, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(MAX_DUE_PER_TICK)
+    .lean();
+
+  if (due.length === 0) return { processed: 0, emailed: 0 };
+
+  const byUser = new Map();
+  for (const search of due) {
+    const key = String(search.userId);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(search);
+  }
+
+  const users = await User.find({ _id: { $in: [...byUser.keys()] } })
+    .select('name email role status isLocked')
+    .lean();
+  const userMap = new Map(users.map((u) => [String(u._id), u]));
+
+  let processed = 0;
+  let emailed = 0;
+
+  for (const [userId, searches] of byUser) {
+    const user = userMap.get(userId);
+    if (!user || user.status !== 'active' || user.isLocked) {
+      // Skip inactive accounts but push them out so they are not picked up every tick
+      await SavedSearch.updateMany(
+        { _id: { $in: searches.map((s) => s._id) } },
+        { $set: { nextRunAt: new Date(now.getTime() + FREQUENCY_MS.DAILY) } }
+      );
+      continue;
+    }
+
+    const digest = [];
+    const runIds = [];
+    for (const search of searches) {
+      const { run, candidates } = await runSavedSearch(search, { trigger: 'SCHEDULED', user });
+      processed += 1;
+      if (run.status === 'SUCCESS' && run.newCount > 0) {
+        digest.push({ name: search.name, newCount: run.newCount, candidates });
+        runIds.push(run._id);
+      }
+    }
+
+    if (digest.length === 0) continue;
+    try {
+      await sendSavedSearchDigestEmail(user.email, user.name, digest);
+      await SavedSearchRun.updateMany({ _id: { $in: runIds } }, { $set: { emailed: true } });
+      emailed += 1;
+    } catch (error) {
+      logger.error(`[SavedSearch] Digest email failed for user ${userId}: ${error.message}`);
+    }
+  }
+
+  logger.info(`[SavedSearch] Processed ${processed} saved search(es), sent ${emailed} digest(s)`);
+  return { processed, emailed };
+};
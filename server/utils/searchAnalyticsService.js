@@ -0,0 +1,288 @@
+import SearchLog from '../models/SearchLog.js';
+import User from '../models/User.js';
+import logger from './logger.js';
+
+// Searches slower than this count as slow in the dashboard totals
+const SLOW_SEARCH_MS = Math.max(100, Number(process.env.SLOW_SEARCH_MS || 3000));
+const MAX_QUERY_LENGTH = 300;
+// Users that get their own series in the daily volume chart
+const VOLUME_TOP_USERS = 5;
+
+// Candidate search params worth keeping with the log entry (q is logged as the query)
+const CANDIDATE_FILTER_KEYS = [
+  'locality', 'location', 'jobTitle', 'skills', 'hasEmail', 'hasPhone', 'hasLinkedin',
+  'privateDbId', 'includePrivate', 'privateDbOnly', 'near', 'radiusKm', 'minExp', 'maxExp', 'tags',
+];
+
+const squash = (value) => String(value ?? '').replace(/\s+/g, ' ').trim();
+const clip = (value) => squash(value).slice(0, MAX_QUERY_LENGTH);
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []).map(squash).filter(Boolean);
+
+/**
+ * Query text and filters for a candidate DB search. Searches with no keyword
+ * are labelled by their title/skills/location filters so they still group.
+ */
+export const candidateSearchSummary = (params = {}) => {
+  const filters = {};
+  for (const key of CANDIDATE_FILTER_KEYS) {
+    const value = params[key];
+    if (value !== undefined && value !== '' && value !== 'false') filters[key] = value;
+  }
+  const q = clip(Array.isArray(params.q) ? params.q.join(' ') : params.q);
+  const query = q || clip(
+    [
+      filters.jobTitle && `title:${filters.jobTitle}`,
+      filters.skills && `skills:${filters.skills}`,
+      (filters.locality || filters.location) && `location:${filters.locality || filters.location}`,
+    ].filter(Boolean).join(' ')
+  );
+  return { query, filters };
+};
+
+/**
+ * Query text and filters for a JD-driven search (internal DB match, AI
+ * sourcing): the job title plus the core skills. Before requirements are
+ * parsed (a failed call) the start of the job description stands in.
+ */
+export const requirementsSearchSummary = (requirements, jobDescription = '') => {
+  const jobTitle = squash(requirements?.jobTitle);
+  const mustHaveSkills = toList(requirements?.mustHaveSkills).slice(0, 10);
+  const requiredSkills = toList(requirements?.requiredSkills).slice(0, 10);
+  const location = squash(requirements?.location);
+
+  const coreSkills = [...new Set([...mustHaveSkills, ...requiredSkills])].slice(0, 5);
+  const query = clip([jobTitle, coreSkills.join(', ')].filter(Boolean).join(' — ')) || clip(jobDescription);
+  const filters = {};
+  if (jobTitle) filters.jobTitle = jobTitle;
+  if (mustHaveSkills.length > 0) filters.mustHaveSkills = mustHaveSkills;
+  if (requiredSkills.length > 0) filters.requiredSkills = requiredSkills;
+  if (location) filters.location = location;
+  if (requirements?.experienceYears) filters.experienceYears = requirements.experienceYears;
+  return { query, filters };
+};
+
+// Status for a failed search call, from the error the controller caught
+export const searchErrorStatus = (error) => {
+  if (error?.status === 402) return 'INSUFFICIENT_CREDITS';
+  if (error?.code === 'INVALID_QUERY') return 'INVALID_QUERY';
+  return 'ERROR';
+};
+
+/**
+ * Record one search call. `startedAt` (ms) gives the latency.
+ *
+ * Never throws and callers don't await it: analytics must not slow down or
+ * fail the search being logged.
+ */
+export const logSearch = ({
+  user,
+  endpoint,
+  query = '',
+  filters = {},
+  mode = null,
+  page = 1,
+  resultCount = 0,
+  startedAt,
+  creditsCharged = 0,
+  status = 'OK',
+  error = null,
+}) => {
+  const text = clip(query);
+  SearchLog.create({
+    userId: user?._id || null,
+    endpoint,
+    query: text,
+    queryKey: text.toLowerCase(),
+    filters,
+    mode,
+    page,
+    resultCount,
+    latencyMs: startedAt ? Date.now() - startedAt : 0,
+    creditsCharged,
+    status,
+    error: error ? String(error.message || error).slice(0, 500) : null,
+  }).catch((err) => logger.warn(`Search log not saved: ${err.message}`));
+};
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Admin search analytics over the last `days` days. "Searches" are new
+ * searches: later pages of a candidate search are logged (their latency
+ * counts) but not counted again in volumes, top queries or zero-result queries.
+ */
+export const searchAnalyticsReport = async ({ days = 30, endpoint = null, limit = 20 } = {}) => {
+  const since = new Date();
+  since.setUTCHours(0, 0, 0, 0);
+  since.setUTCDate(since.getUTCDate() - (days - 1));
+
+  const match = { createdAt: { $gte: since } };
+  if (endpoint) match.endpoint = endpoint;
+
+  const firstPage = { page: 1 };
+  const zeroResult = { page: 1, status: 'OK', resultCount: 0 };
+  const isFirstPage = { $eq: ['$page', 1] };
+  const isZeroResult = { $and: [isFirstPage, { $eq: ['$status', 'OK'] }, { $eq: ['$resultCount', 0] }] };
+
+  const queryGroup = {
+    _id: { endpoint: '$endpoint', queryKey: '$queryKey' },
+    query: { $first: '$query' },
+    count: { $sum: 1 },
+    users: { $addToSet: '$userId' },
+    avgResults: { $avg: '$resultCount' },
+    avgLatencyMs: { $avg: '$latencyMs' },
+    lastSearchedAt: { $max: '$createdAt' },
+  };
+  const queryProject = {
+    _id: 0,
+    endpoint: '$_id.endpoint',
+    query: 1,
+    count: 1,
+    users: { $size: '$users' },
+    avgResults: { $round: ['$avgResults', 1] },
+    avgLatencyMs: { $round: ['$avgLatencyMs', 0] },
+    lastSearchedAt: 1,
+  };
+
+  const [facets] = await SearchLog.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              calls: { $sum: 1 },
+              searches: { $sum: { $cond: [isFirstPage, 1, 0] } },
+              zeroResults: { $sum: { $cond: [isZeroResult, 1, 0] } },
+              failed: { $sum: { $cond: [{ $ne: ['$status', 'OK'] }, 1, 0] } },
+              slow: { $sum: { $cond: [{ $gte: ['$latencyMs', SLOW_SEARCH_MS] }, 1, 0] } },
+              avgLatencyMs: { $avg: '$latencyMs' },
+              creditsCharged: { $sum: '$creditsCharged' },
+              users: { $addToSet: '$userId' },
+            },
+          },
+        ],
+        byEndpoint: [
+          { $match: firstPage },
+          {
+            $group: {
+              _id: '$endpoint',
+              searches: { $sum: 1 },
+              zeroResults: { $sum: { $cond: [isZeroResult, 1, 0] } },
+              avgLatencyMs: { $avg: '$latencyMs' },
+              creditsCharged: { $sum: '$creditsCharged' },
+            },
+          },
+        ],
+        topQueries: [
+          { $match: { ...firstPage, status: 'OK', queryKey: { $ne: '' } } },
+          { $group: queryGroup },
+          { $sort: { count: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+          { $project: queryProject },
+        ],
+        zeroResultQueries: [
+          { $match: { ...zeroResult, queryKey: { $ne: '' } } },
+          { $group: queryGroup },
+          { $sort: { count: -1, lastSearchedAt: -1 } },
+          { $limit: limit },
+          { $project: queryProject },
+        ],
+        slowQueries: [
+          { $sort: { latencyMs: -1 } },
+          { $limit: limit },
+          {
+            $project: {
+              endpoint: 1, query: 1, filters: 1, mode: 1, page: 1, userId: 1,
+              resultCount: 1, latencyMs: 1, creditsCharged: 1, status: 1, createdAt: 1,
+            },
+          },
+        ],
+        users: [
+          { $match: firstPage },
+          {
+            $group: {
+              _id: '$userId',
+              searches: { $sum: 1 },
+              zeroResults: { $sum: { $cond: [isZeroResult, 1, 0] } },
+              creditsCharged: { $sum: '$creditsCharged' },
+              avgLatencyMs: { $avg: '$latencyMs' },
+              lastSearchedAt: { $max: '$createdAt' },
+            },
+          },
+          { $sort: { searches: -1 } },
+          { $limit: limit },
+        ],
+        volume: [
+          { $match: firstPage },
+          {
+            $group: {
+              _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, userId: '$userId' },
+              searches: { $sum: 1 },
+              zeroResults: { $sum: { $cond: [isZeroResult, 1, 0] } },
+            },
+          },
+        ],
+      },
+    },
+  ]).option({ maxTimeMS: 30000 });
+
+  const totals = facets.totals[0] || {};
+  const userIds = [...new Set([
+    ...facets.users.map((row) => row._id),
+    ...facets.slowQueries.map((row) => row.userId),
+  ].filter(Boolean).map(String))];
+  const people = await User.find({ _id: { $in: userIds } }).select('name email').lean();
+  const personById = new Map(people.map((person) => [String(person._id), person]));
+  const describeUser = (id) => {
+    const person = id ? personById.get(String(id)) : null;
+    return { userId: id || null, name: person?.name || (id ? 'Deleted user' : 'Unknown'), email: person?.email || null };
+  };
+
+  // One row per day (days without searches included), with the top users broken out
+  const chartUserIds = facets.users.slice(0, VOLUME_TOP_USERS).map((row) => String(row._id));
+  const dailyByKey = new Map();
+  for (let day = new Date(since); day <= new Date(); day.setUTCDate(day.getUTCDate() + 1)) {
+    dailyByKey.set(dayKey(day), { date: dayKey(day), searches: 0, zeroResults: 0, byUser: {} });
+  }
+  for (const row of facets.volume) {
+    const entry = dailyByKey.get(row._id.day);
+    if (!entry) continue;
+    entry.searches += row.searches;
+    entry.zeroResults += row.zeroResults;
+    const id = String(row._id.userId);
+    if (chartUserIds.includes(id)) entry.byUser[id] = (entry.byUser[id] || 0) + row.searches;
+  }
+
+  return {
+    since,
+    days,
+    slowThresholdMs: SLOW_SEARCH_MS,
+    totals: {
+      calls: totals.calls || 0,
+      searches: totals.searches || 0,
+      zeroResults: totals.zeroResults || 0,
+      failed: totals.failed || 0,
+      slow: totals.slow || 0,
+      avgLatencyMs: Math.round(totals.avgLatencyMs || 0),
+      creditsCharged: totals.creditsCharged || 0,
+      users: (totals.users || []).filter(Boolean).length,
+    },
+    byEndpoint: facets.byEndpoint.map(({ _id, avgLatencyMs, ...row }) => ({
+      endpoint: _id,
+      ...row,
+      avgLatencyMs: Math.round(avgLatencyMs || 0),
+    })),
+    topQueries: facets.topQueries,
+    zeroResultQueries: facets.zeroResultQueries,
+    slowQueries: facets.slowQueries.map((row) => ({ ...row, user: describeUser(row.userId) })),
+    users: facets.users.map(({ _id, avgLatencyMs, ...row }) => ({
+      ...describeUser(_id),
+      ...row,
+      avgLatencyMs: Math.round(avgLatencyMs || 0),
+    })),
+    volumeUsers: chartUserIds.map(describeUser),
+    daily: [...dailyByKey.values()],
+  };
+};
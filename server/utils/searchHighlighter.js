@@ -0,0 +1,199 @@
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { isAdvancedQuery, parseSearchQuery, collectPositiveTerms } from './searchQueryParser.js';
+
+// Candidate fields a field-scoped query term can match; unscoped keywords
+// can match any of them.
+const FIELD_TARGETS = {
+  title: ['jobTitle'],
+  skills: ['skills'],
+  company: ['company'],
+  name: ['fullName'],
+  location: ['location', 'locality', 'country'],
+};
+const PROFILE_FIELDS = ['fullName', 'jobTitle', 'company', 'location', 'locality', 'country'];
+
+const MAX_TERMS = 20;
+const SNIPPET_RADIUS = 70;
+const MAX_SNIPPET_SKILLS = 6;
+// Resume text is loaded for the first results only ("View All" pages can be 5000 rows)
+const RESUME_HIGHLIGHT_LIMIT = 100;
+const RESUME_TEXT_SELECT = [
+  'parsedResume.textPreview',
+  'parsedResume.raw.ResumeParserData.DetailResume',
+  'parsedResume.raw.ResumeParserData.Summary',
+  'parsedResume.raw.ResumeParserData.ExecutiveSummary',
+  'parsedResume.raw.ResumeParserData.SegregatedExperience.JobDescription',
+].join(' ');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const squash = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const splitCsv = (value) =>
+  (Array.isArray(value) ? value.join(',') : String(value || ''))
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+/**
+ * Terms to highlight for a set of search filters: the positive terms of the
+ * keyword query (boolean queries: everything outside a NOT) plus the
+ * jobTitle and skills filters. Email and phone lookups are not highlighted.
+ * With `anyTerm` (semantic re-ranking) the words of a phrase count on their own.
+ */
+export const highlightTermsFor = (filters = {}, { anyTerm = false } = {}) => {
+  const terms = [];
+  const q = squash(Array.isArray(filters.q) ? filters.q.join(' ') : filters.q);
+
+  if (q && isAdvancedQuery(q)) {
+    try {
+      terms.push(...collectPositiveTerms(parseSearchQuery(q)).filter((term) => term.field !== 'email'));
+    } catch {
+      // Malformed queries are rejected by buildCandidateSearchQuery before we get here
+    }
+  } else if (q && !q.includes('@') && !/^[0-9+\-\s()]+$/.test(q)) {
+    for (const value of q.includes(',') ? splitCsv(q) : [q]) {
+      terms.push({ value, field: null });
+      if (anyTerm && value.includes(' ')) {
+        value.split(' ').forEach((word) => terms.push({ value: word, field: null }));
+      }
+    }
+  }
+  splitCsv(filters.jobTitle).forEach((value) => terms.push({ value, field: 'title' }));
+  splitCsv(filters.skills).forEach((value) => terms.push({ value, field: 'skills' }));
+
+  const seen = new Set();
+  return terms
+    .filter((term) => term.value.length >= 2)
+    .filter((term) => {
+      const key = `${term.field}:${term.value.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TERMS);
+};
+
+// Matches start at a word boundary but may run on ("develop" → "developer")
+const termSource = (value) => `(?<![A-Za-z0-9])${escapeRegex(value).replace(/\s+/g, '\\s+')}`;
+
+// One case-insensitive regex per candidate field, from the terms that can match it
+const buildFieldRegexes = (terms) => {
+  const regexes = {};
+  for (const field of [...PROFILE_FIELDS, 'skills', 'summary', 'resume']) {
+    const sources = terms
+      .filter((term) => !term.field || (FIELD_TARGETS[term.field] || []).includes(field))
+      .map((term) => termSource(term.value));
+    if (sources.length > 0) regexes[field] = new RegExp(sources.join('|'), 'gi');
+  }
+  return regexes;
+};
+
+const matchRanges = (text, regex) => {
+  const ranges = [];
+  regex.lastIndex = 0;
+  for (const match of text.matchAll(regex)) {
+    if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+// Window of text around the first match, cut at word boundaries, with the
+// match ranges shifted to snippet offsets.
+const snippetAround = (text, ranges) => {
+  let start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+  let end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS * 2);
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > ranges[0][1] ? text.lastIndexOf(' ', end) : end;
+
+  const prefix = start > 0 ? '… ' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+  const matches = ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+  return { snippet, matches };
+};
+
+const highlightText = (field, rawText, regex) => {
+  const text = squash(rawText);
+  if (!text || !regex) return null;
+  const ranges = matchRanges(text, regex);
+  return ranges.length > 0 ? { field, ...snippetAround(text, ranges) } : null;
+};
+
+// Skills are a comma list: show the matching skills rather than a text window
+const highlightSkills = (skills, regex) => {
+  if (!skills || !regex) return null;
+  const matched = String(skills)
+    .split(/[,;|]/)
+    .map(squash)
+    .filter((skill) => skill && matchRanges(skill, regex).length > 0)
+    .slice(0, MAX_SNIPPET_SKILLS);
+  if (matched.length === 0) return null;
+  const snippet = matched.join(', ');
+  return { field: 'skills', snippet, matches: matchRanges(snippet, regex) };
+};
+
+// Resume text can hold contact details, which stay out of snippets
+const redactContacts = (text) =>
+  text
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+    .replace(/\+?\d[\d\s().-]{7,}\d/g, (match) => (match.replace(/\D/g, '').length >= 10 ? '[phone]' : match));
+
+const resumeText = (candidate) => {
+  const parserData = candidate?.parsedResume?.raw?.ResumeParserData || {};
+  const experiences = Array.isArray(parserData.SegregatedExperience) ? parserData.SegregatedExperience : [];
+  const text = squash(
+    parserData.DetailResume ||
+      [
+        parserData.Summary,
+        parserData.ExecutiveSummary,
+        ...experiences.map((exp) => exp?.JobDescription),
+        candidate?.parsedResume?.textPreview,
+      ]
+        .filter((part) => typeof part === 'string')
+        .join(' ')
+  );
+  return text ? redactContacts(text) : '';
+};
+
+/**
+ * Explain keyword hits: sets `matchedFields` (fields containing a query
+ * term) and `highlights` ([{ field, snippet, matches: [[start, end]] }] for
+ * skills, summary and parsed resume text) on each candidate, in place.
+ */
+export const attachSearchHighlights = async (candidates, filters, { anyTerm = false } = {}) => {
+  const terms = highlightTermsFor(filters, { anyTerm });
+  if (terms.length === 0 || candidates.length === 0) return candidates;
+  const regexes = buildFieldRegexes(terms);
+
+  let resumes = new Map();
+  if (regexes.resume) {
+    try {
+      const docs = await Candidate.find({ _id: { $in: candidates.slice(0, RESUME_HIGHLIGHT_LIMIT).map((c) => c._id) } })
+        .select(RESUME_TEXT_SELECT)
+        .lean()
+        .maxTimeMS(10000);
+      resumes = new Map(docs.map((doc) => [String(doc._id), resumeText(doc)]));
+    } catch (error) {
+      logger.warn(`Search highlights: resume text unavailable: ${error.message}`);
+    }
+  }
+
+  for (const candidate of candidates) {
+    const matchedFields = PROFILE_FIELDS.filter(
+      (field) => regexes[field] && candidate[field] && matchRanges(squash(candidate[field]), regexes[field]).length > 0
+    );
+    const highlights = [
+      highlightSkills(candidate.skills, regexes.skills),
+      highlightText('summary', candidate.summary, regexes.summary),
+      highlightText('resume', resumes.get(String(candidate._id)), regexes.resume),
+    ].filter(Boolean);
+    highlights.forEach((highlight) => matchedFields.push(highlight.field));
+
+    candidate.matchedFields = matchedFields;
+    candidate.highlights = highlights;
+  }
+  return candidates;
+};
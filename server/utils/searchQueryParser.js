@@ -0,0 +1,384 @@
+// Boolean / field-scoped query language for the candidate search box.
+//
+//   title:"data engineer" AND (snowflake OR databricks) NOT company:infosys
+//
+// Grammar (AND binds tighter than OR, adjacent terms are an implicit AND):
+//   query   := orExpr
+//   orExpr  := andExpr ( OR andExpr )*
+//   andExpr := notExpr ( [AND] notExpr )*
+//   notExpr := NOT notExpr | primary
+//   primary := "(" orExpr ")" | [field ":"] ( word | "quoted phrase" )
+//
+// Operators are upper-case only so lower-case "and"/"or" stay ordinary words.
+
+const FIELD_ALIASES = {
+  title: 'title',
+  jobtitle: 'title',
+  skill: 'skills',
+  skills: 'skills',
+  company: 'company',
+  location: 'location',
+  loc: 'location',
+  email: 'email',
+  name: 'name',
+};
+
+const SUPPORTED_FIELDS = ['title', 'skills', 'company', 'location', 'email', 'name'];
+
+// Fields searched by an unscoped term when the text index cannot be used.
+const KEYWORD_FIELDS = ['fullName', 'jobTitle', 'skills', 'company', 'location', 'locality'];
+
+const MAX_TERMS = 30;
+const MAX_DEPTH = 8;
+const MAX_TERM_LENGTH = 64;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toTitleCase = (value) => String(value).toLowerCase().replace(/\b[a-z]/g, (m) => m.toUpperCase());
+
+const queryError = (message, token, position) => {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_QUERY';
+  err.token = token;
+  err.position = position;
+  return err;
+};
+
+/**
+ * True when `q` uses any syntax the plain keyword search cannot express.
+ * Plain keywords, emails and phone numbers keep the legacy fast paths.
+ */
+export const isAdvancedQuery = (q) => {
+  const value = String(q || '');
+  return (
+    /(^|[\s(])(AND|OR|NOT)(?=[\s(]|$)/.test(value) ||
+    /[()"]/.test(value) ||
+    /(^|[\s(])[A-Za-z]+:(?!\/)/.test(value)
+  );
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'LPAREN' : 'RPAREN', value: ch, position: i });
+      i += 1;
+      continue;
+    }
+
+    const start = i;
+    let field = null;
+
+    const prefix = input.slice(i).match(/^([A-Za-z]+):(?!\/)/);
+    if (prefix) {
+      const alias = FIELD_ALIASES[prefix[1].toLowerCase()];
+      if (!alias) {
+        throw queryError(
+          `Unknown field "${prefix[1]}:" at position ${start + 1}. Supported fields: ${SUPPORTED_FIELDS.join(', ')}`,
+          prefix[0],
+          start
+        );
+      }
+      field = alias;
+      i += prefix[0].length;
+      if (i >= input.length || /[\s()]/.test(input[i])) {
+        throw queryError(`Missing value after "${prefix[0]}" at position ${start + 1}`, prefix[0], start);
+      }
+    }
+
+    if (input[i] === '"') {
+      const close = input.indexOf('"', i + 1);
+      if (close === -1) {
+        throw queryError(`Unterminated quote starting at position ${i + 1}`, input.slice(i, i + 20), i);
+      }
+      const phrase = input.slice(i + 1, close).replace(/\s+/g, ' ').trim();
+      if (!phrase) {
+        throw queryError(`Empty quoted phrase at position ${i + 1}`, '""', i);
+      }
+      tokens.push({ type: 'TERM', field, value: phrase, phrase: true, position: start, raw: input.slice(start, close + 1) });
+      i = close + 1;
+      continue;
+    }
+
+    let end = i;
+    while (end < input.length && !/[\s()"]/.test(input[end])) end += 1;
+    const word = input.slice(i, end);
+    i = end;
+
+    if (!field && (word === 'AND' || word === 'OR' || word === 'NOT')) {
+      tokens.push({ type: word, value: word, position: start });
+      continue;
+    }
+
+    tokens.push({ type: 'TERM', field, value: word, phrase: false, position: start, raw: input.slice(start, end) });
+  }
+
+  return tokens;
+};
+
+const parseTokens = (tokens) => {
+  let index = 0;
+  let depth = 0;
+  let termCount = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.raw || token.value}" at position ${token.position + 1}` : 'end of query');
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      const previous = tokens[index - 1];
+      throw queryError(
+        `Expected a search term after ${describe(previous)}`,
+        previous?.value || '',
+        previous ? previous.position : 0
+      );
+    }
+
+    if (token.type === 'LPAREN') {
+      depth += 1;
+      if (depth > MAX_DEPTH) {
+        throw queryError(`Parentheses nested too deeply at position ${token.position + 1}`, token.value, token.position);
+      }
+      index += 1;
+      const inner = parseOr();
+      const closing = peek();
+      if (!closing || closing.type !== 'RPAREN') {
+        throw queryError(`Unmatched "(" at position ${token.position + 1}`, token.value, token.position);
+      }
+      index += 1;
+      depth -= 1;
+      return inner;
+    }
+
+    if (token.type === 'TERM') {
+      index += 1;
+      termCount += 1;
+      if (termCount > MAX_TERMS) {
+        throw queryError(`Too many search terms (max ${MAX_TERMS}) at ${describe(token)}`, token.value, token.position);
+      }
+      if (token.value.length > MAX_TERM_LENGTH) {
+        throw queryError(`Search term too long (max ${MAX_TERM_LENGTH} characters) at ${describe(token)}`, token.value, token.position);
+      }
+      return { type: 'TERM', field: token.field, value: token.value, phrase: token.phrase };
+    }
+
+    if (token.type === 'RPAREN') {
+      throw queryError(`Unexpected ")" at position ${token.position + 1}`, token.value, token.position);
+    }
+
+    const previous = tokens[index - 1];
+    throw queryError(
+      previous
+        ? `Unexpected operator "${token.value}" after ${describe(previous)}`
+        : `Query cannot start with "${token.value}" (position ${token.position + 1})`,
+      token.value,
+      token.position
+    );
+  };
+
+  const parseNot = () => {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index += 1;
+      if (!peek()) {
+        throw queryError(`Expected a search term after "NOT" at position ${token.position + 1}`, token.value, token.position);
+      }
+      return { type: 'NOT', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+      if (peek().type === 'AND') {
+        const operator = peek();
+        index += 1;
+        if (!peek()) {
+          throw queryError(`Expected a search term after "AND" at position ${operator.position + 1}`, operator.value, operator.position);
+        }
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'AND', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const operator = peek();
+      index += 1;
+      if (!peek()) {
+        throw queryError(`Expected a search term after "OR" at position ${operator.position + 1}`, operator.value, operator.position);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'OR', children };
+  };
+
+  const ast = parseOr();
+  const leftover = peek();
+  if (leftover) {
+    throw queryError(
+      leftover.type === 'RPAREN'
+        ? `Unexpected ")" at position ${leftover.position + 1}`
+        : `Unexpected ${describe(leftover)}`,
+      leftover.value,
+      leftover.position
+    );
+  }
+  return ast;
+};
+
+/**
+ * Parse a search string into an AST. Throws an error with `status = 400`,
+ * `code = 'INVALID_QUERY'`, `token` and `position` when the query is malformed.
+ */
+export const parseSearchQuery = (input) => {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return null;
+  return parseTokens(tokens);
+};
+
+// ---------------------------------------------------------------------------
+// Compilation to MongoDB
+// ---------------------------------------------------------------------------
+
+const termPattern = (term) => escapeRegex(term.value).replace(/\s+/g, '\\s+');
+
+const keywordClause = (term) => {
+  const value = term.value;
+  if (!term.phrase && value.includes('@')) {
+    return { email: { $regex: `^${escapeRegex(value.toLowerCase())}`, $options: 'i' } };
+  }
+  if (!term.phrase && /^[0-9+\-()]+$/.test(value) && value.replace(/\D/g, '').length > 5) {
+    return { phone: { $regex: escapeRegex(value.replace(/\s+/g, '')) } };
+  }
+  const regex = { $regex: termPattern(term), $options: 'i' };
+  return { $or: KEYWORD_FIELDS.map((field) => ({ [field]: regex })) };
+};
+
+// Location mirrors the location filter: case variants of an anchored prefix,
+// which lets the partial location/locality/country indexes be used.
+const locationClause = (term) => {
+  const variants = [...new Set([term.value, term.value.toLowerCase(), term.value.toUpperCase(), toTitleCase(term.value)])];
+  const clauses = [];
+  for (const field of ['location', 'locality', 'country']) {
+    for (const variant of variants) {
+      clauses.push({ [field]: { $regex: `^${escapeRegex(variant).replace(/\s+/g, '\\s+')}` } });
+    }
+  }
+  return { $or: clauses };
+};
+
+const fieldClause = (term) => {
+  switch (term.field) {
+    case 'title':
+      return { jobTitle: { $regex: termPattern(term), $options: 'i' } };
+    case 'skills':
+      return { skills: { $regex: termPattern(term), $options: 'i' } };
+    case 'company':
+      return { company: { $regex: termPattern(term), $options: 'i' } };
+    case 'name':
+      return { fullName: { $regex: termPattern(term), $options: 'i' } };
+    case 'email':
+      return { email: { $regex: `^${escapeRegex(term.value.toLowerCase())}`, $options: 'i' } };
+    case 'location':
+      return locationClause(term);
+    default:
+      return keywordClause(term);
+  }
+};
+
+// $text matches phrases verbatim, so terms with punctuation ("c#", "full-stack")
+// stay on the regex path where they match exactly.
+const isTextEligible = (node) =>
+  node.type === 'TERM' &&
+  !node.field &&
+  /^[A-Za-z0-9 ]{2,}$/.test(node.value) &&
+  !/^[0-9 ]+$/.test(node.value);
+
+const toTextWords = (value) =>
+  String(value).replace(/[^a-zA-Z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const compileNode = (node) => {
+  if (node.type === 'TERM') return node.field ? fieldClause(node) : keywordClause(node);
+  if (node.type === 'NOT') return { $nor: [compileNode(node.child)] };
+  const key = node.type === 'AND' ? '$and' : '$or';
+  return { [key]: node.children.map(compileNode) };
+};
+
+/**
+ * Compile a parsed query into search conditions.
+ *
+ * MongoDB allows a single `$text` per query and not under `$nor`, so the
+ * text index is used for one top-level construct:
+ *   - all required unscoped terms (each sent as a quoted phrase → AND), or
+ *   - failing that, a top-level OR group made only of unscoped terms.
+ * Everything else compiles to regex clauses on the indexed fields.
+ *
+ * Returns `{ conditions, textFallbackClause, usesText }`. `conditions` are
+ * meant to be pushed into the search `$and`; `textFallbackClause` replaces
+ * the `$text` condition when the text index is unavailable.
+ */
+export const compileSearchQuery = (ast) => {
+  if (!ast) return { conditions: [], textFallbackClause: null, usesText: false };
+
+  const flattenAnd = (node) => (node.type === 'AND' ? node.children.flatMap(flattenAnd) : [node]);
+  const topLevel = flattenAnd(ast);
+  const requiredTextTerms = topLevel.filter(isTextEligible);
+
+  let textNodes = [];
+  let textClause = null;
+
+  if (requiredTextTerms.length > 0) {
+    textNodes = requiredTextTerms;
+    const search = requiredTextTerms.map((term) => `"${toTextWords(term.value)}"`).join(' ');
+    textClause = { $text: { $search: search } };
+  } else {
+    const orGroup = topLevel.find((node) => node.type === 'OR' && node.children.every(isTextEligible));
+    // Single words are OR-ed by $text; multi-word members would be split
+    // into independent words, so those groups stay on the regex path.
+    if (orGroup && orGroup.children.every((term) => !toTextWords(term.value).includes(' '))) {
+      textNodes = [orGroup];
+      textClause = { $text: { $search: orGroup.children.map((term) => toTextWords(term.value)).join(' ') } };
+    }
+  }
+
+  const conditions = [];
+  if (textClause) conditions.push(textClause);
+  for (const node of topLevel) {
+    if (!textNodes.includes(node)) conditions.push(compileNode(node));
+  }
+
+  let textFallbackClause = null;
+  if (textClause) {
+    const fallbackParts = textNodes.map(compileNode);
+    textFallbackClause = fallbackParts.length === 1 ? fallbackParts[0] : { $and: fallbackParts };
+  }
+
+  return { conditions, textFallbackClause, usesText: !!textClause };
+};
+
+/**
+ * Terms a matching candidate can contain: every TERM outside a NOT, as
+ * `{ value, field, phrase }` with `field` resolved to a supported field or null.
+ */
+export const collectPositiveTerms = (ast) => {
+  if (!ast || ast.type === 'NOT') return [];
+  if (ast.type === 'TERM') return [{ value: ast.value, field: ast.field || null, phrase: ast.phrase }];
+  return ast.children.flatMap(collectPositiveTerms);
+};
@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import Candidate from '../models/Candidate.js';
+import logger from './logger.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+import { candidateVisibilityFilter } from './candidateAccessService.js';
+
+const BACKFILL_BATCH_SIZE = 1000;
+export const MAX_BULK_TAG_CANDIDATES = 5000;
+export const MAX_TAGS_PER_USER = 200;
+const MAX_TAG_NAMES_PER_EDIT = 50;
+
+// Tags a user may see and apply: org-wide ones plus their own.
+export const visibleTagsFilter = (user) => ({
+  $or: [{ scope: 'ORG' }, { scope: 'USER', ownerId: user?._id || null }],
+});
+
+// USER tags are managed by their owner; ORG tags by admins.
+export const canManageTag = (tag, user) =>
+  tag.scope === 'ORG' ? isAdmin(user) : String(tag.ownerId) === String(user?._id);
+
+export const toObjectIds = (values) =>
+  [...new Set((Array.isArray(values) ? values : String(values || '').split(',')).map((v) => String(v).trim()))]
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+/**
+ * Keep only the tag ids this user can see. Used by the tags= search filter
+ * (so nobody can probe someone else's private tags) and bulk tagging.
+ */
+export const resolveVisibleTagIds = async (ids, user) => {
+  const objectIds = toObjectIds(ids);
+  if (objectIds.length === 0) return [];
+  const tags = await Tag.find({ _id: { $in: objectIds }, ...visibleTagsFilter(user) }).select('_id').lean();
+  return tags.map((t) => t._id);
+};
+
+// Legacy free-text tags ("Java, Remote; Top|Priority") as distinct names.
+export const parseTagNames = (text) =>
+  [...new Set(String(text || '').split(/[,;|]/).map((t) => t.trim().slice(0, 60)).filter(Boolean))];
+
+/**
+ * Tag ids for `names` as `user` would pick them: an org tag or one of their
+ * own with that name, else a new personal tag. Throws status 400 once the
+ * user's personal tags would pass MAX_TAGS_PER_USER.
+ */
+export const resolveTagNames = async (names, user) => {
+  const existing = await Tag.find({
+    normalizedName: { $in: names.map((name) => name.toLowerCase()) },
+    ...visibleTagsFilter(user),
+  })
+    .select('normalizedName scope')
+    .lean();
+  const idsByName = new Map();
+  for (const tag of existing) {
+    if (!idsByName.has(tag.normalizedName) || tag.scope === 'ORG') idsByName.set(tag.normalizedName, tag._id);
+  }
+
+  let ownTagCount = null;
+  for (const name of names) {
+    const normalizedName = name.toLowerCase();
+    if (idsByName.has(normalizedName)) continue;
+    ownTagCount ??= await Tag.countDocuments({ scope: 'USER', ownerId: user._id });
+    if (ownTagCount >= MAX_TAGS_PER_USER) {
+      const err = new Error(`You can keep up to ${MAX_TAGS_PER_USER} personal tags`);
+      err.status = 400;
+      throw err;
+    }
+    const tag = await Tag.findOneAndUpdate(
+      { scope: 'USER', ownerId: user._id, normalizedName },
+      { $setOnInsert: { name, normalizedName, scope: 'USER', ownerId: user._id, createdBy: user._id } },
+      { upsert: true, new: true }
+    ).lean();
+    ownTagCount += 1;
+    idsByName.set(normalizedName, tag._id);
+  }
+  return [...new Set(names.map((name) => idsByName.get(name.toLowerCase())))];
+};
+
+/**
+ * Legacy `internalTags` edits: make the tags `user` can see on the candidate
+ * exactly the ones named in `text`. Tags they can't see are left alone, and
+ * the internalTags text itself is not written (it is read-only since the
+ * tags backfill). Returns the candidate's tag ids that were named.
+ */
+export const setCandidateTagsFromText = async (candidate, text, user) => {
+  const tagIds = await resolveTagNames(parseTagNames(text).slice(0, MAX_TAG_NAMES_PER_EDIT), user);
+  const named = new Set(tagIds.map(String));
+  const unnamed = (await resolveVisibleTagIds(candidate.tags || [], user)).filter((id) => !named.has(String(id)));
+  if (unnamed.length > 0) await Candidate.updateOne({ _id: candidate._id }, { $pull: { tags: { $in: unnamed } } });
+  if (tagIds.length > 0) await Candidate.updateOne({ _id: candidate._id }, { $addToSet: { tags: { $each: tagIds } } });
+  return tagIds;
+};
+
+/**
+ * id -> name for every tag the user can see; exports use it to print tag names.
+ */
+export const loadTagNameMap = async (user) => {
+  const tags = await Tag.find(visibleTagsFilter(user)).select('name').lean();
+  return new Map(tags.map((t) => [String(t._id), t.name]));
+};
+
+// Attach `tagNames` (visible tags only) to candidates about to be exported.
+export const attachTagNames = (candidates, tagNameMap) => {
+  for (const candidate of candidates) {
+    candidate.tagNames = (candidate.tags || []).map((id) => tagNameMap.get(String(id))).filter(Boolean);
+  }
+  return candidates;
+};
+
+/**
+ * Add or remove tags on the candidates in `candidateIds` that `user` can see.
+ * Returns { modified, candidateIds } — the number of candidate documents
+ * changed and the ids that were in scope.
+ */
+export const applyTagsToCandidates = async ({ candidateIds, tagIds, user, remove = false }) => {
+  const ids = toObjectIds(candidateIds);
+  if (ids.length === 0 || tagIds.length === 0) return { modified: 0, candidateIds: [] };
+  const visibleIds = await Candidate.find({
+    _id: { $in: ids },
+    isDeleted: false,
+    ...(await candidateVisibilityFilter(user)),
+  }).distinct('_id');
+  if (visibleIds.length === 0) return { modified: 0, candidateIds: [] };
+
+  const update = remove ? { $pull: { tags: { $in: tagIds } } } : { $addToSet: { tags: { $each: tagIds } } };
+  const result = await Candidate.updateMany({ _id: { $in: visibleIds } }, update);
+  return { modified: result.modifiedCount, candidateIds: visibleIds };
+};
+
+/**
+ * Fold `source` into `target`: every candidate carrying source gets target,
+ * then source is removed from candidates and deleted.
+ */
+export const mergeTags = async (source, target) => {
+  const added = await Candidate.updateMany({ tags: source._id }, { $addToSet: { tags: target._id } });
+  await Candidate.updateMany({ tags: source._id }, { $pull: { tags: source._id } });
+  await Tag.deleteOne({ _id: source._id });
+  logger.info(`🏷️ Merged tag "${source.name}" into "${target.name}" (${added.matchedCount} candidates)`);
+  return added.matchedCount;
+};
+
+// Remove a tag from every candidate, then delete it.
+export const deleteTag = async (tag) => {
+  const result = await Candidate.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+  await Tag.deleteOne({ _id: tag._id });
+  logger.info(`🏷️ Deleted tag "${tag.name}" (removed from ${result.modifiedCount} candidates)`);
+  return result.modifiedCount;
+};
+
+/**
+ * Migration: turn the legacy free-text `internalTags` of existing candidates
+ * into ORG tags and add them to `tags`. The text is left in place.
+ * Walks _id order in batches through the raw collection; with onlyMissing,
+ * candidates that already carry tags are skipped.
+ */
+export const backfillCandidateTags = async ({ onlyMissing = true } = {}) => {
+  const filter = { isDeleted: false, internalTags: { $type: 'string', $ne: '' } };
+  if (onlyMissing) filter['tags.0'] = { $exists: false };
+
+  const tagIdsByName = new Map(
+    (await Tag.find({ scope: 'ORG' }).select('normalizedName').lean()).map((t) => [t.normalizedName, t._id])
+  );
+  const tagIdFor = async (name) => {
+    const normalizedName = name.toLowerCase();
+    if (!tagIdsByName.has(normalizedName)) {
+      const tag = await Tag.findOneAndUpdate(
+        { scope: 'ORG', ownerId: null, normalizedName },
+        { $setOnInsert: { name, normalizedName, scope: 'ORG', ownerId: null } },
+        { upsert: true, new: true }
+      ).lean();
+      tagIdsByName.set(normalizedName, tag._id);
+    }
+    return tagIdsByName.get(normalizedName);
+  };
+
+  let lastId = null;
+  let processed = 0;
+  let tagged = 0;
+
+  while (true) {
+    const batchFilter = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const batch = await Candidate.find(batchFilter)
+      .select('internalTags')
+      .sort({ _id: 1 })
+      .limit(BACKFILL_BATCH_SIZE)
+      .lean();
+    if (batch.length === 0) break;
+
+    const ops = [];
+    for (const c of batch) {
+      const names = parseTagNames(c.internalTags);
+      if (names.length === 0) continue;
+      const tagIds = [];
+      for (const name of names) tagIds.push(await tagIdFor(name));
+      ops.push({ updateOne: { filter: { _id: c._id }, update: { $addToSet: { tags: { $each: tagIds } } } } });
+    }
+    if (ops.length > 0) await Candidate.collection.bulkWrite(ops, { ordered: false });
+
+    processed += batch.length;
+    tagged += ops.length;
+    lastId = batch[batch.length - 1]._id;
+    if (processed % (BACKFILL_BATCH_SIZE * 50) === 0) {
+      logger.info(`⏳ Tag backfill: ${processed} candidates processed, ${tagged} tagged`);
+    }
+  }
+
+  logger.info(`✅ Tag backfill complete: ${processed} candidates processed, ${tagged} tagged, ${tagIdsByName.size} org tags`);
+  return { processed, tagged };
+};